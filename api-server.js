@@ -28,9 +28,12 @@ const fs = require("fs");
 
 const db = require("./src/db");
 const desk = require("./src/desk");
+const corrections = require("./src/corrections");
+const { readFactFlags } = require("./src/fact-check");
 const { renderAdminPage } = require("./src/admin-page");
+const { EDITOR_LENSES } = require("./src/prompts");
 const x402 = require("./src/x402");
-const { SECTIONS, SECTION_ORDER } = require("./src/sections");
+const { describeSections } = require("./src/sections");
 
 const DATA_DIR = path.resolve(__dirname, "data");
 const SITE_DIR = path.resolve(__dirname, "site");
@@ -47,6 +50,9 @@ const ADMIN_TOKEN = process.env.GT_ADMIN_TOKEN || "";
 const ADMIN_EMAIL = (process.env.GT_ADMIN_EMAIL || "").trim().toLowerCase();
 const WORKER_URL = (process.env.GT_WORKER_URL || process.env.CHAT_WORKER_URL || "").replace(/\/$/, "");
 const ADMIN_ENABLED = !!(ADMIN_TOKEN || (ADMIN_EMAIL && WORKER_URL));
+// Corrections are filed to the Worker's ledger, which publish pulls — this
+// host's site copy is not what gh-pages serves. Same secret as the newsletter.
+const NEWSLETTER_SECRET = process.env.NEWSLETTER_SECRET || "";
 const HOST = process.env.HOST || "127.0.0.1";  // localhost-only by default
 
 // ---------------------------------------------------------------------------
@@ -151,18 +157,19 @@ async function sessionEmail(token) {
 
 /**
  * Admin auth. Accepts either the shared token (X-Admin-Token) or a Git Times
- * account session (X-Gittimes-Session) belonging to GT_ADMIN_EMAIL. Writes 401
- * and returns false when neither checks out.
+ * account session (X-Gittimes-Session) belonging to GT_ADMIN_EMAIL. Returns who
+ * the editor is (the account email, or "admin token") — what a correction is
+ * signed with. Writes 401 and returns false when neither checks out.
  */
 async function adminAuthed(req, res) {
   const headerToken = (req.headers["x-admin-token"] || "").trim();
   const bearer = (req.headers.authorization || "").replace(/^Bearer\s+/i, "").trim();
-  if (ADMIN_TOKEN && (tokensMatch(headerToken, ADMIN_TOKEN) || tokensMatch(bearer, ADMIN_TOKEN))) return true;
+  if (ADMIN_TOKEN && (tokensMatch(headerToken, ADMIN_TOKEN) || tokensMatch(bearer, ADMIN_TOKEN))) return "admin token";
 
   const session = (req.headers["x-gittimes-session"] || "").trim() || bearer;
   if (session && ADMIN_EMAIL) {
     const email = await sessionEmail(session);
-    if (email && email === ADMIN_EMAIL) return true;
+    if (email && email === ADMIN_EMAIL) return email;
     if (email) {
       json(res, { error: `${email} is not the editor of record` }, 403);
       return false;
@@ -346,13 +353,7 @@ function handleRepoCoverage(repoName, query) {
 }
 
 function handleSections() {
-  return SECTION_ORDER.map((id) => ({
-    id,
-    label: SECTIONS[id].label,
-    topics: SECTIONS[id].query?.topics || [],
-    languages: SECTIONS[id].query?.languages || [],
-    budget: SECTIONS[id].budget,
-  }));
+  return describeSections();
 }
 
 function handleTrending(query) {
@@ -423,12 +424,32 @@ function handleAdminDesk(query) {
       date: entry.date,
       headline: entry.headline,
       slate,
+      panel: desk.getPanelVotes(DATA_DIR, entry.date),
       pick: desk.getPick(DATA_DIR, entry.date),
     });
   }
   return { editions, rubric: desk.getRubric(DATA_DIR) };
 }
 
+/**
+ * The corrections ledger plus, for the filing form, the recent editions, the
+ * article pages each one has on disk and the claims its fact-check flagged.
+ */
+function handleAdminCorrections(query) {
+  const limit = Math.min(90, Math.max(1, parseInt(query.limit || "30", 10)));
+  const editions = getManifest().slice(0, limit).map((entry) => {
+    const dir = path.join(SITE_DIR, "editions", entry.date);
+    let articles = [];
+    try {
+      articles = fs.readdirSync(dir, { withFileTypes: true })
+        .filter((d) => d.isDirectory() && fs.existsSync(path.join(dir, d.name, "index.html")))
+        .map((d) => d.name);
+    } catch { /* edition not on this host's site copy */ }
+    return { date: entry.date, headline: entry.headline, articles, factFlags: readFactFlags(dir) };
+  });
+  return { corrections: corrections.readCorrections(SITE_DIR), editions };
+}
+
 // ---------------------------------------------------------------------------
 // Router
 // ---------------------------------------------------------------------------
@@ -458,6 +479,11 @@ const server = http.createServer(async (req, res) => {
         if (!(await adminAuthed(req, res))) return;
         return json(res, handleAdminDesk(query));
       }
+      // Per-lens agreement with the human rulings — which panel lenses earn their seat.
+      if (p === "/api/admin/calibration" && req.method === "GET") {
+        if (!(await adminAuthed(req, res))) return;
+        return json(res, desk.lensCalibration(DATA_DIR, { lenses: EDITOR_LENSES.map((l) => l.key) }));
+      }
       // The preference corpus, for distillation or export.
       if (p === "/api/admin/pairs" && req.method === "GET") {
         if (!(await adminAuthed(req, res))) return;
@@ -474,6 +500,28 @@ const server = http.createServer(async (req, res) => {
         });
         return json(res, record, 201);
       }
+      // Corrections: checked against this host's site copy, filed to the Worker's
+      // ledger, and applied by the next publish. No republish, no LLM, no newsletter.
+      if (p === "/api/admin/corrections" && req.method === "GET") {
+        if (!(await adminAuthed(req, res))) return;
+        return json(res, handleAdminCorrections(query));
+      }
+      if (p === "/api/admin/corrections" && req.method === "POST") {
+        const editor = await adminAuthed(req, res);
+        if (!editor) return;
+        if (!WORKER_URL || !NEWSLETTER_SECRET) {
+          return json(res, { error: "Filing corrections needs GT_WORKER_URL and NEWSLETTER_SECRET — publish reads them from the Worker" }, 503);
+        }
+        const body = await readJsonBody(req);
+        const record = await corrections.fileCorrection(SITE_DIR, {
+          date: body.date,
+          slug: body.slug,
+          text: body.text,
+          kind: body.kind,
+          editor,
+        }, { workerUrl: WORKER_URL, newsletterSecret: NEWSLETTER_SECRET });
+        return json(res, { correction: record, appliesAt: "next publish" }, 201);
+      }
       const delMatch = p.match(/^\/api\/admin\/pick\/(\d{4}-\d{2}-\d{2})$/);
       if (delMatch && req.method === "DELETE") {
         if (!(await adminAuthed(req, res))) return;
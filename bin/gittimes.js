@@ -17,17 +17,47 @@ const ROOT = path.resolve(__dirname, "..");
 const COMMANDS = {
   generate: {
     script: "generate.js",
-    summary: "Generate an edition into the working directory",
+    summary: "Generate an edition (--record/--replay <dir> for offline reruns)",
   },
   publish: {
     script: "publish-edition.js",
-    summary: "Sync model pricing, then build and publish the edition",
+    summary: "Sync model pricing, then build and publish the edition (resumes; --from-stage <stage>)",
     pre: "src/sync-models.js",
   },
   mock: {
     script: "scripts/mock-edition.js",
     summary: "Build a mock edition from fixtures (--watch to rebuild)",
   },
+  rerender: {
+    script: "src/rerender.js",
+    summary: "Rebuild edition HTML from stored content, no LLM (<date> | --all)",
+  },
+  corrections: {
+    script: "src/corrections.js",
+    summary: "Correct a published story in place, no republish (list | add | apply)",
+  },
+  weekly: {
+    script: "src/weekly.js",
+    summary: "Build and send the Week in Review from the last seven dailies (<date>, --dry-run)",
+  },
+  eval: {
+    summary: "Offline quality checks",
+    subcommands: {
+      retrieval: {
+        script: "src/retrieval-eval.js",
+        summary: "Score AI Desk retrieval on the golden questions, diff the baseline (--update-baseline)",
+      },
+    },
+  },
+  email: {
+    summary: "Email templates",
+    subcommands: {
+      preview: {
+        script: "src/email-preview.js",
+        summary: "Render every email template with fixture data to mock/email/ ([template], --out <dir>)",
+      },
+    },
+  },
   "sync-models": {
     script: "src/sync-models.js",
     summary: "Refresh the AI model pricing catalog",
@@ -3,16 +3,34 @@ require("dotenv").config();
 const { runPipeline } = require("./src/pipeline");
 const { render } = require("./src/render");
 const { closeDb } = require("./src/db");
+const { configureReplay, parseReplayArgs } = require("./src/replay");
+const { needsOpenRouterKey } = require("./src/xai");
 
 async function main() {
-  const githubToken = process.env.GITHUB_TOKEN;
-  const llmKey = process.env.OPENROUTER_API_KEY;
+  // --record <dir> captures every network response this run sees; --replay <dir>
+  // answers from that capture instead, so a bad edition can be rebuilt offline.
+  const replay = parseReplayArgs(process.argv.slice(2));
+  if (replay) {
+    const { dir, recordedAt } = configureReplay(replay);
+    console.log(replay.mode === "record"
+      ? `Recording to ${dir} (started ${recordedAt})`
+      : `Replaying from ${dir} (clock pinned to ${recordedAt})`);
+  }
+  const replaying = replay && replay.mode === "replay";
+
+  // A replay never reaches the network, so it needs no credentials. The
+  // placeholders keep token-gated code paths (enrichment) on the same branch
+  // they took when the capture was recorded.
+  const githubToken = process.env.GITHUB_TOKEN || (replaying ? "replay" : null);
+  const llmKey = process.env.OPENROUTER_API_KEY || (replaying ? "replay" : null);
 
   if (!githubToken) {
     console.error("Missing GITHUB_TOKEN in .env");
     process.exit(1);
   }
-  if (!llmKey) {
+  // Only a route to OpenRouter needs its key; an llm.config.json that sends
+  // every task elsewhere authenticates each provider by its own apiKeyEnv.
+  if (!llmKey && needsOpenRouterKey()) {
     console.error("Missing OPENROUTER_API_KEY in .env");
     process.exit(1);
   }
@@ -18,7 +18,7 @@ const { z } = require("zod");
 const path = require("path");
 
 const db = require("./src/db");
-const { SECTIONS, SECTION_ORDER } = require("./src/sections");
+const { describeSections } = require("./src/sections");
 
 const DATA_DIR = path.resolve(__dirname, "data");
 const SITE_DIR = path.resolve(__dirname, "site");
@@ -320,13 +320,7 @@ server.tool(
   "List all GitTimes newspaper sections with their topics and languages",
   {},
   async () => {
-    const result = SECTION_ORDER.map((id) => ({
-      id,
-      label: SECTIONS[id].label,
-      topics: SECTIONS[id].query?.topics || [],
-      languages: SECTIONS[id].query?.languages || [],
-      budget: SECTIONS[id].budget,
-    }));
+    const result = describeSections();
     return {
       content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
     };
@@ -0,0 +1,193 @@
+/* The Git Times — the reader's own front page.
+ *
+ * Every reader gets the same static edition; this re-lays it out in the
+ * browser from the layout saved on the account page (synced through
+ * /auth/settings, cached in localStorage as "gittimes-layout"):
+ *
+ *   - section weights (0-3, default 1) reorder the tab bar and the Across the
+ *     Desk rail, heaviest first; weight 0 hides the section. The Front Page
+ *     tab always stays first.
+ *   - boosted languages move forward within each story grid and Quick Hits
+ *     list; hidden languages and muted orgs drop out of them and the rail.
+ *
+ * It only moves and hides elements the renderer marked with data-section /
+ * data-lang / data-org — leads are never hidden, so a section can't open on a
+ * hole. Signed-out readers have no layout and see the page as published.
+ */
+(function (root) {
+  "use strict";
+
+  var CACHE_KEY = "gittimes-layout";
+  var HIDDEN_CLASS = "gt-layout-hidden";
+  var RANK = { boost: 0, keep: 1, hide: 2 };
+
+  function lowerList(v) {
+    if (!Array.isArray(v)) return [];
+    return v.map(function (x) { return String(x).trim().toLowerCase(); }).filter(Boolean);
+  }
+
+  /** Fill in a partial or missing layout so callers never null-check fields. */
+  function normalize(layout) {
+    var l = layout && typeof layout === "object" ? layout : {};
+    return {
+      sectionWeights: l.sectionWeights && typeof l.sectionWeights === "object" ? l.sectionWeights : {},
+      hideLanguages: lowerList(l.hideLanguages),
+      boostLanguages: lowerList(l.boostLanguages),
+      mutedOrgs: lowerList(l.mutedOrgs),
+    };
+  }
+
+  function weightOf(layout, id) {
+    var w = Number(layout.sectionWeights[id]);
+    return isFinite(w) && layout.sectionWeights[id] != null ? w : 1;
+  }
+
+  /**
+   * Section ids heaviest first, ties in their published order. frontPage is
+   * pinned first whatever its weight — it is the edition, not a desk.
+   */
+  function orderSections(ids, layout) {
+    layout = normalize(layout);
+    return ids
+      .map(function (id, i) { return { id: id, i: i, w: id === "frontPage" ? Infinity : weightOf(layout, id) }; })
+      .sort(function (a, b) { return b.w - a.w || a.i - b.i; })
+      .map(function (x) { return x.id; });
+  }
+
+  function isSectionHidden(id, layout) {
+    return id !== "frontPage" && weightOf(normalize(layout), id) <= 0;
+  }
+
+  /** "hide", "boost" or "keep" for one story, from its language and owner. */
+  function classify(layout, item) {
+    layout = normalize(layout);
+    var lang = String(item.lang || "").toLowerCase();
+    var org = String(item.org || "").toLowerCase();
+    if (org && layout.mutedOrgs.indexOf(org) !== -1) return "hide";
+    if (lang && layout.hideLanguages.indexOf(lang) !== -1) return "hide";
+    if (lang && layout.boostLanguages.indexOf(lang) !== -1) return "boost";
+    return "keep";
+  }
+
+  function isEmptyLayout(layout) {
+    layout = normalize(layout);
+    return Object.keys(layout.sectionWeights).length === 0 &&
+      !layout.hideLanguages.length && !layout.boostLanguages.length && !layout.mutedOrgs.length;
+  }
+
+  var api = {
+    normalize: normalize,
+    orderSections: orderSections,
+    isSectionHidden: isSectionHidden,
+    classify: classify,
+    isEmptyLayout: isEmptyLayout,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+    return;
+  }
+  if (typeof document === "undefined") return;
+
+  // --- DOM ---
+
+  function toArray(list) { return Array.prototype.slice.call(list); }
+
+  // Remember each element's published position once, so re-applying a new
+  // layout (after the account sync lands) sorts from the original order
+  // rather than from the previous re-layout.
+  function inPublishedOrder(els) {
+    els.forEach(function (el, i) {
+      if (el.getAttribute("data-layout-index") == null) el.setAttribute("data-layout-index", String(i));
+    });
+    return els.sort(function (a, b) { return publishedIndex(a) - publishedIndex(b); });
+  }
+
+  function publishedIndex(el) {
+    return Number(el.getAttribute("data-layout-index"));
+  }
+
+  function setHidden(el, hidden) {
+    if (hidden) el.classList.add(HIDDEN_CLASS);
+    else el.classList.remove(HIDDEN_CLASS);
+  }
+
+  function layoutTabs(layout) {
+    var nav = document.querySelector(".section-nav");
+    if (!nav) return;
+    var tabs = inPublishedOrder(toArray(nav.querySelectorAll(".section-tab[data-section]")));
+    var byId = {};
+    tabs.forEach(function (t) { byId[t.getAttribute("data-section")] = t; });
+    orderSections(Object.keys(byId), layout).forEach(function (id) {
+      nav.appendChild(byId[id]);
+      setHidden(byId[id], isSectionHidden(id, layout));
+    });
+    // Don't leave the reader on a section they just hid.
+    var active = nav.querySelector(".section-tab.active");
+    if (active && active.classList.contains(HIDDEN_CLASS) && byId.frontPage) byId.frontPage.click();
+  }
+
+  function layoutRail(layout) {
+    var rail = document.querySelector(".desk-rail");
+    if (!rail) return;
+    var items = inPublishedOrder(toArray(rail.querySelectorAll(".ritem[data-section]")));
+    var ids = items.map(function (el) { return el.getAttribute("data-section"); });
+    orderSections(ids, layout).forEach(function (id) {
+      var el = items[ids.indexOf(id)];
+      rail.appendChild(el);
+      var verdict = classify(layout, { lang: el.getAttribute("data-lang"), org: el.getAttribute("data-org") });
+      setHidden(el, isSectionHidden(id, layout) || verdict === "hide");
+    });
+  }
+
+  function layoutLists(layout) {
+    toArray(document.querySelectorAll(".hybrid-grid, .quick-hits-list")).forEach(function (list) {
+      var ranked = inPublishedOrder(toArray(list.children)).map(function (el) {
+        var verdict = classify(layout, { lang: el.getAttribute("data-lang"), org: el.getAttribute("data-org") });
+        setHidden(el, verdict === "hide");
+        // Hidden items sink to the end so the Quick Hits fold (first three
+        // shown) still opens on three stories.
+        return { el: el, rank: RANK[verdict], i: publishedIndex(el) };
+      });
+      ranked
+        .sort(function (a, b) { return a.rank - b.rank || a.i - b.i; })
+        .forEach(function (x) { list.appendChild(x.el); });
+    });
+  }
+
+  function apply(layout) {
+    layoutTabs(layout);
+    layoutRail(layout);
+    layoutLists(layout);
+  }
+
+  function readCache() {
+    try {
+      return JSON.parse(localStorage.getItem(CACHE_KEY) || "null");
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Take a layout from the account (the settings sync in the edition page
+   * calls this with whatever /auth/settings returned), cache it and re-lay
+   * the page out. A null layout restores the published order.
+   */
+  function update(layout) {
+    try {
+      if (layout && !isEmptyLayout(layout)) localStorage.setItem(CACHE_KEY, JSON.stringify(layout));
+      else localStorage.removeItem(CACHE_KEY);
+    } catch {
+      // storage full or blocked — the layout still applies for this page view
+    }
+    apply(normalize(layout));
+  }
+
+  root.GitTimesLayout = { update: update, apply: apply };
+
+  // The cached layout applies before the sync round-trip, so a signed-in
+  // reader doesn't watch the page reshuffle on every load.
+  var cached = readCache();
+  if (cached && localStorage.getItem("gittimes-session")) apply(normalize(cached));
+})(typeof window !== "undefined" ? window : this);
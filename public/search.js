@@ -234,9 +234,16 @@
       if (b.s !== a.s) return b.s - a.s;
       return a.c.date < b.c.date ? 1 : a.c.date > b.c.date ? -1 : 0;
     });
-    return out.slice(0, MAX_RESULTS).map(function (r) {
-      return r.c;
-    });
+    // An article is several body chunks; show its best passage once.
+    var seen = {};
+    var picked = [];
+    for (var j = 0; j < out.length && picked.length < MAX_RESULTS; j++) {
+      var key = out[j].c.url || "#" + j;
+      if (seen[key]) continue;
+      seen[key] = true;
+      picked.push(out[j].c);
+    }
+    return picked;
   }
 
   function latestEditions() {
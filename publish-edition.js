@@ -3,37 +3,37 @@ require("dotenv").config();
 const { execSync, execFileSync } = require("child_process");
 const fs = require("fs");
 const { runPipeline } = require("./src/pipeline");
-const { publish, getRecentRepoNames, getRecentLeadRepos, getRecentRepoCoverage, validateContent, readManifest } = require("./src/publish");
+const { publish, toDateStr, getRecentRepoNames, getRecentLeadRepos, getRecentRepoCoverage, applyFactCheck, validateContent, readManifest } = require("./src/publish");
 const { snapshotHistory } = require("./src/history");
-const { buildLeadThreadContext } = require("./src/threads");
-const { sendNewsletter } = require("./src/newsletter");
+const { buildLeadThreadContext, backfillThreads, getOpenThreads } = require("./src/threads");
+const { sendNewsletter, editionPayload } = require("./src/newsletter");
+const { alertEvents, sendAlerts } = require("./src/alerts");
+const { pullCorrections } = require("./src/corrections");
 const { getTickerData, getFullMarketData, renderTickerBanner, saveSnapshot, loadHistory } = require("./src/ai-ticker");
-const { fetchAIHeadlines, fetchArxiv } = require("./src/ai-headlines");
-const { fetchModelDrops } = require("./src/model-drops");
-const { fetchGitHubReleases, WATCHED_REPOS } = require("./src/github-releases");
-const { fetchPushups, collectFeaturedRepos } = require("./src/pushups");
+const { fetchFlowSources, recordCooldowns } = require("./src/flow-sources");
+const { openCheckpoint, noCheckpoint, parseFromStage } = require("./src/checkpoint");
 const { renderAIWire } = require("./src/render");
 const { generateEditionPromo } = require("./src/promo");
 const { writePromosPage } = require("./src/promos-page");
 const { enrichRepo } = require("./src/github");
 const { fetchStarTrajectory } = require("./src/star-history");
-const { buildRegistry, watchedRepos } = require("./src/registry");
+const { buildRegistry } = require("./src/registry");
 const { buildBusinessDesks, buildBusinessStrip } = require("./src/desks");
 const { writeBusinessPages } = require("./src/business-pages");
 const { buildPriceBoard, priceHeadline } = require("./src/price-board");
 const {
   closeDb,
   recordEditionMeta,
-  recordFeaturedReleases,
-  getRecentFeaturedReleaseRepos,
   recordRegistry,
   getEntityHistory,
   getEntityTimeline,
+  getEditionEntityEvents,
   loadPriceTape,
   resolveDataDir,
 } = require("./src/db");
-const { resetMetrics, getMetrics, createClient, attachModelDropHeadlines } = require("./src/xai");
-const { recordSlate } = require("./src/desk");
+const { resetMetrics, getMetrics, setBudget, createClient, needsOpenRouterKey } = require("./src/xai");
+const { createBudget, readBudgetConfig } = require("./src/budget");
+const { recordSlate, recordPanelVotes } = require("./src/desk");
 
 /**
  * Sync site/ from gh-pages branch so local runs have full edition history.
@@ -55,6 +55,95 @@ function syncSiteFromGhPages(outDir) {
   }
 }
 
+/**
+ * Fetch the FLOW sources — the AI Wire (the day's top AI stories from the
+ * wider web, so the paper isn't blind to headlines that aren't trending repos),
+ * Model Drops (the freshest model releases from Hugging Face), GitHub Releases
+ * (notable releases from watched repos, trending or not) and the Pushup
+ * Report. Each is an adapter in src/flow-sources.js carrying its own fetch,
+ * cooldown and killswitch (GT_DISABLE_MODEL_DROPS=1, GT_DISABLE_GH_RELEASES=1,
+ * …); a failing source contributes an empty band, never a failed edition.
+ */
+function fetchBands(githubToken, outDir, content) {
+  return fetchFlowSources({
+    token: githubToken,
+    outDir,
+    dataDir: resolveDataDir(outDir),
+    content,
+    client: createClient(),
+  });
+}
+
+/**
+ * The company registry, and the three Business desks that are views over it.
+ * Every FLOW source emits an ARTIFACT (a model, a tag, a repo); this resolves
+ * those onto the companies that shipped them, so the paper has recurring
+ * characters instead of strings that happen to reappear. Reads back its own
+ * coverage history (storyCount / firstSeen) to build the continuity that makes
+ * an entity page worth having. GT_DISABLE_BUSINESS=1 kills it; fully fail-soft,
+ * like every other band.
+ * @returns {{ businessDesks, businessStrip, registryEntities: Array, priceBoard }}
+ */
+function buildBusiness(outDir, sources, tickerData) {
+  let businessDesks = null;
+  let businessStrip = null;
+  let registryEntities = [];
+  let priceBoard = null;
+  if (process.env.GT_DISABLE_BUSINESS === "1") return { businessDesks, businessStrip, registryEntities, priceBoard };
+  try {
+    const dataDir = resolveDataDir(outDir);
+    let entityHistory = new Map();
+    try {
+      entityHistory = getEntityHistory(dataDir);
+    } catch (e) {
+      console.warn(`Entity history unavailable (non-fatal): ${e.message}`);
+    }
+    const registry = buildRegistry(sources, { history: entityHistory });
+    registryEntities = registry.entities;
+    businessDesks = buildBusinessDesks(registryEntities);
+
+    // The Price Board. The rolling ticker history has been in the repo the
+    // whole time and no desk read it — it is the only proprietary time series
+    // this project keeps, and price is the one number about these companies
+    // that is dated, numeric and decision-relevant. Built here so a move can
+    // ride the front-page strip alongside the shipping desks.
+    try {
+      // The tape written by sync-models.js (`model_prices`): never pruned,
+      // keyed on the upstream model id, and promo-aware. The ticker's rolling
+      // JSON is the fallback only — it deletes its own tail and joins on our
+      // editorial key, so it cannot carry a long series.
+      const priceDataDir = resolveDataDir(outDir);
+      const tape = loadPriceTape(priceDataDir);
+      priceBoard = buildPriceBoard({
+        models: (tickerData && tickerData.models) || [],
+        history: tape.length > 0 ? tape : loadHistory(outDir),
+      });
+      console.log(
+        `Price tape: ${tape.length} day(s) on file` + (tape.length === 0 ? " — falling back to the rolling ticker window" : "")
+      );
+      console.log(
+        `Price Board: ${priceBoard.rows.length} models, ${priceBoard.movers.length} moved` +
+          (priceBoard.baselineDate ? ` vs ${priceBoard.baselineDate}` : " (no baseline yet)")
+      );
+    } catch (e) {
+      console.warn(`Price Board skipped (non-fatal): ${e.message}`);
+    }
+
+    // Strip built last so a price move can lead it.
+    businessStrip = buildBusinessStrip(businessDesks, {
+      priceBoard,
+      priceHeadline: priceBoard ? priceHeadline(priceBoard) : null,
+    });
+    const shape = Object.values(businessDesks)
+      .map((d) => `${d.label} ${d.empty ? "dark" : d.items.length}`)
+      .join(", ");
+    console.log(`Business desks: ${registryEntities.length} companies tracked — ${shape}`);
+  } catch (e) {
+    console.warn(`Business desks skipped (non-fatal): ${e.message}`);
+  }
+  return { businessDesks, businessStrip, registryEntities, priceBoard };
+}
+
 async function main() {
   const githubToken = process.env.GITHUB_TOKEN;
   const llmKey = process.env.OPENROUTER_API_KEY;
@@ -63,7 +152,9 @@ async function main() {
     console.error("Missing GITHUB_TOKEN in .env");
     process.exit(1);
   }
-  if (!llmKey) {
+  // Only a route to OpenRouter needs its key; an llm.config.json that sends
+  // every task elsewhere authenticates each provider by its own apiKeyEnv.
+  if (!llmKey && needsOpenRouterKey()) {
     console.error("Missing OPENROUTER_API_KEY in .env");
     process.exit(1);
   }
@@ -88,13 +179,47 @@ async function main() {
   // Editorial memory: feed the last few front pages to the editor-in-chief so it
   // can pick genuine follow-ups and sustain narrative arcs. Fail-soft — an empty
   // or missing manifest yields no context and the lead prompt is unchanged.
-  const { block: threadContext } = buildLeadThreadContext(manifest, { lookback: 3 });
+  // Open story threads ride along with the date each last moved; a fresh
+  // database gets its ledger replayed from the edition history first.
+  let openThreads = [];
+  if (process.env.GT_DISABLE_THREADS !== "1") {
+    try {
+      const replayed = backfillThreads(resolveDataDir(outDir));
+      if (replayed > 0) console.log(`Story threads: ledger rebuilt from ${replayed} editions`);
+      openThreads = getOpenThreads(resolveDataDir(outDir));
+    } catch (e) {
+      console.warn(`Story threads unavailable (non-fatal): ${e.message}`);
+    }
+  }
+  const { block: threadContext } = buildLeadThreadContext(manifest, { lookback: 3, openThreads });
 
   // Telemetry: reset the per-run token accumulator and start the wall clock.
   resetMetrics();
   const _genStartMs = Date.now();
 
+  // Budget: GT_BUDGET_TOKENS / GT_BUDGET_USD cap this edition's LLM spend. Near
+  // the cap the optional passes drop out rather than the edition failing; at it,
+  // xai.js refuses any further call.
+  const budget = createBudget(readBudgetConfig(), { meter: getMetrics });
+  setBudget(budget);
+  if (budget.limits.tokens || budget.limits.usd) {
+    const caps = [budget.limits.tokens && `${budget.limits.tokens} tokens`, budget.limits.usd && `$${budget.limits.usd}`];
+    console.log(`Budget: ${caps.filter(Boolean).join(" / ")}`);
+  }
+
+  // Checkpoints: each stage below is saved to data/checkpoints/<date>/ as it
+  // completes, so a rerun after a crash resumes at the first stage missing.
+  // --from-stage <stage> reruns from a named stage; GT_DISABLE_CHECKPOINTS=1
+  // always starts from scratch.
+  const fromStage = parseFromStage(process.argv.slice(2));
+  const checkpoint =
+    process.env.GT_DISABLE_CHECKPOINTS === "1"
+      ? noCheckpoint()
+      : openCheckpoint(resolveDataDir(outDir), toDateStr(new Date()), { fromStage });
+
   const { content, rawCandidates } = await runPipeline(githubToken, llmKey, {
+    checkpoint,
+    budget,
     outDir,
     recentRepoNames,
     recentLeadRepos,
@@ -108,134 +233,31 @@ async function main() {
       candidates.filter((r) => !recentLeadRepos.has(r.full_name) && !recentRepoNames.has(r.full_name)),
   });
 
-  // Step 2b: Fetch AI ticker data + full market catalog
-  const tickerData = await getTickerData(outDir);
+  // Step 2b+2c: The bands — the AI ticker and the FLOW sources — are one
+  // checkpoint stage: fetched together, resumed together.
+  const { tickerData, flow } = await checkpoint.run("bands", async () => ({
+    tickerData: await getTickerData(outDir),
+    flow: await fetchBands(githubToken, outDir, content),
+  }));
+
+  // Full market catalog (local, never checkpointed) and the ticker banner
   const fullMarketData = getFullMarketData();
   const tickerHtml = renderTickerBanner(tickerData, { basePath });
   console.log(`AI ticker: ${tickerData.models.length} models, ${tickerData.speed.length} speed providers, ${tickerData.images.length} image models`);
   if (fullMarketData) console.log(`AI markets: ${fullMarketData.length} models in full catalog`);
 
-  // Step 2c: Non-repo AI intake (the AI Wire) — the day's top AI stories from the
-  // wider web, so the paper isn't blind to headlines that aren't trending repos.
-  // The flow bands fetch alongside — Model Drops (the day's freshest model
-  // releases from Hugging Face) and GitHub Releases (notable releases from
-  // watched AI/dev-infra repos, trending or not). GT_DISABLE_MODEL_DROPS=1 /
-  // GT_DISABLE_GH_RELEASES=1 kill them individually.
-  const modelDropsOff = process.env.GT_DISABLE_MODEL_DROPS === "1";
-  const ghReleasesOff = process.env.GT_DISABLE_GH_RELEASES === "1";
-  // Cooldown: repos featured in recent Just Shipped bands sit out this run so
-  // the band rotates. Wrapped — the releases band is a bonus block, and a db
-  // hiccup must never take the edition down with it.
-  let releaseCooldown = new Set();
-  try {
-    releaseCooldown = getRecentFeaturedReleaseRepos(resolveDataDir(outDir));
-  } catch (e) {
-    console.warn(`Just Shipped cooldown unavailable (non-fatal): ${e.message}`);
-  }
-  const [aiHeadlines, arxivPapers, modelDrops, ghReleases] = await Promise.all([
-    fetchAIHeadlines({ limit: 5 }),
-    fetchArxiv({ limit: 3 }),
-    modelDropsOff ? Promise.resolve([]) : fetchModelDrops({ limit: 6 }),
-    ghReleasesOff
-      ? Promise.resolve([])
-      : fetchGitHubReleases({
-          limit: 5,
-          token: githubToken,
-          suppressRepos: releaseCooldown,
-          // The registry's rostered companies ship in repos the AI-infra
-          // watchlist never looked at, which is why the Startups and Unicorns
-          // desks came up empty against live data while Vercel and Supabase
-          // were pushing daily. Deduped; the base list keeps priority.
-          repos: [...new Set([...WATCHED_REPOS, ...watchedRepos()])],
-        }),
-  ]);
-  const aiWireHtml = renderAIWire(aiHeadlines, { research: arxivPapers });
-
-  // Model Drops arrives as metadata — name, owner, task, likes. One LLM call
-  // gives each release a headline so the band reads as reporting rather than a
-  // product listing. Fail-soft by construction: on any error the drops render
-  // exactly as they did before.
-  const drops = modelDrops.length > 0 ? await attachModelDropHeadlines(createClient(), modelDrops) : modelDrops;
-
-  // Step 2c-bis: The company registry, and the three Business desks that are
-  // views over it. Every FLOW source above emits an ARTIFACT (a model, a tag, a
-  // repo); this resolves those onto the companies that shipped them, so the
-  // paper has recurring characters instead of strings that happen to reappear.
-  // Reads back its own coverage history (storyCount / firstSeen) to build the
-  // continuity that makes an entity page worth having. GT_DISABLE_BUSINESS=1
-  // kills it; fully fail-soft, like every other band.
-  let businessDesks = null;
-  let businessStrip = null;
-  let registryEntities = [];
-  let priceBoard = null;
-  if (process.env.GT_DISABLE_BUSINESS !== "1") {
-    try {
-      const dataDir = resolveDataDir(outDir);
-      let entityHistory = new Map();
-      try {
-        entityHistory = getEntityHistory(dataDir);
-      } catch (e) {
-        console.warn(`Entity history unavailable (non-fatal): ${e.message}`);
-      }
-      const registry = buildRegistry(
-        { modelDrops, releases: ghReleases, repos: rawCandidates },
-        { history: entityHistory }
-      );
-      registryEntities = registry.entities;
-      businessDesks = buildBusinessDesks(registryEntities);
+  const aiWire = flow.aiWire || { headlines: [], research: [] };
+  const aiWireHtml = renderAIWire(aiWire.headlines, { research: aiWire.research });
 
+  // Step 2c-bis: The company registry and the Business desks over it.
+  const { businessDesks, businessStrip, registryEntities, priceBoard } = await checkpoint.run("registry", () =>
+    buildBusiness(outDir, { ...flow, repos: rawCandidates }, tickerData)
+  );
 
-      // The Price Board. The rolling ticker history has been in the repo the
-      // whole time and no desk read it — it is the only proprietary time series
-      // this project keeps, and price is the one number about these companies
-      // that is dated, numeric and decision-relevant. Built here so a move can
-      // ride the front-page strip alongside the shipping desks.
-      try {
-        // The tape written by sync-models.js (`model_prices`): never pruned,
-        // keyed on the upstream model id, and promo-aware. The ticker's rolling
-        // JSON is the fallback only — it deletes its own tail and joins on our
-        // editorial key, so it cannot carry a long series.
-        const priceDataDir = resolveDataDir(outDir);
-        const tape = loadPriceTape(priceDataDir);
-        priceBoard = buildPriceBoard({
-          models: (tickerData && tickerData.models) || [],
-          history: tape.length > 0 ? tape : loadHistory(outDir),
-        });
-        console.log(
-          `Price tape: ${tape.length} day(s) on file` + (tape.length === 0 ? " — falling back to the rolling ticker window" : "")
-        );
-        console.log(
-          `Price Board: ${priceBoard.rows.length} models, ${priceBoard.movers.length} moved` +
-            (priceBoard.baselineDate ? ` vs ${priceBoard.baselineDate}` : " (no baseline yet)")
-        );
-      } catch (e) {
-        console.warn(`Price Board skipped (non-fatal): ${e.message}`);
-      }
-
-      // Strip built last so a price move can lead it.
-      businessStrip = buildBusinessStrip(businessDesks, {
-        priceBoard,
-        priceHeadline: priceBoard ? priceHeadline(priceBoard) : null,
-      });
-      const shape = Object.values(businessDesks)
-        .map((d) => `${d.label} ${d.empty ? "dark" : d.items.length}`)
-        .join(", ");
-      console.log(`Business desks: ${registryEntities.length} companies tracked — ${shape}`);
-    } catch (e) {
-      console.warn(`Business desks skipped (non-fatal): ${e.message}`);
-    }
-  }
-
-  // Step 2d: The Pushup Report (the sports desk) — how many commits today's
-  // featured repos pushed this week, ranked. Pure fun, fully fail-soft.
-  // GT_DISABLE_PUSHUPS=1 kills it.
-  const pushups =
-    process.env.GT_DISABLE_PUSHUPS === "1"
-      ? []
-      : await fetchPushups({ repos: collectFeaturedRepos(content), token: githubToken, limit: 5 });
-
-  // Step 3: Validate content
+  // Step 3: Fact-check (corrects figures and pulls blocked articles in place),
+  // then validate what will actually print
   const dryRun = process.argv.includes("--dry-run");
+  const factCheck = applyFactCheck(content);
   const validation = validateContent(content);
   const s = validation.summary;
 
@@ -244,10 +266,19 @@ async function main() {
   console.log(`  Articles:  ${s.articles}`);
   console.log(`  Fallbacks: ${s.fallbacks}`);
   console.log(`  Empty:     ${s.emptyCount}`);
+  if (factCheck) {
+    const t = factCheck.report.totals;
+    console.log(`  Facts:     ${t.claims} claims, ${t.rewritten} corrected, ${t.flagged} flagged, ${t.blocked} blocked`);
+    for (const w of factCheck.warnings) console.warn(`  ! ${w}`);
+  }
+  for (const w of validation.warnings) console.warn(`  ! ${w}`);
 
   if (validation.errors.length > 0) {
     console.error("\nValidation FAILED:");
     for (const err of validation.errors) console.error(`  - ${err}`);
+    // Keep the fetch and the plan, but make the retry write new copy rather
+    // than resume straight back into the content that just failed.
+    checkpoint.discardFrom("generate");
     process.exit(1);
   }
 
@@ -256,6 +287,20 @@ async function main() {
     return;
   }
 
+  // Step 3b: Corrections filed at the editor's desk wait in the Worker's
+  // ledger; merge them into the site's so this publish applies them.
+  if (process.env.NEWSLETTER_SECRET && process.env.CHAT_WORKER_URL) {
+    try {
+      const pulled = await pullCorrections(outDir, {
+        workerUrl: process.env.CHAT_WORKER_URL,
+        newsletterSecret: process.env.NEWSLETTER_SECRET,
+      });
+      if (pulled > 0) console.log(`Corrections: ${pulled} new from the desk`);
+    } catch (e) {
+      console.warn(`Desk corrections unavailable (non-fatal): ${e.message}`);
+    }
+  }
+
   // Step 4: Publish edition
   await publish(content, outDir, {
     siteUrl,
@@ -264,21 +309,22 @@ async function main() {
     tickerData,
     fullMarketData,
     aiWireHtml,
-    aiWire: { headlines: aiHeadlines, research: arxivPapers },
-    modelDrops: drops,
-    ghReleases,
-    pushups,
+    ...flow,
     businessDesks,
     businessStrip,
+    factCheck: factCheck && factCheck.report,
   });
+  // The edition is on disk: nothing left to resume, and a same-day republish
+  // must regenerate rather than reprint this attempt.
+  checkpoint.clear();
 
   // Step 4b: Record generation telemetry. Observational only and fully wrapped —
   // a failure here can never affect the edition, which is already on disk.
   try {
     const publishedDate = (readManifest(outDir)[0] || {}).date;
     if (publishedDate) {
-      // Feed the Just Shipped cooldown ledger so tomorrow's run rotates.
-      recordFeaturedReleases(resolveDataDir(outDir), publishedDate, ghReleases);
+      // Feed each source's cooldown ledger so tomorrow's run rotates.
+      recordCooldowns(resolveDataDir(outDir), publishedDate, flow);
       // Close the continuity loop: what the registry saw today becomes the
       // storyCount and "tracked since" it reads back tomorrow.
       if (registryEntities.length > 0) {
@@ -311,6 +357,10 @@ async function main() {
         recordSlate(resolveDataDir(outDir), publishedDate, leadSlate);
         console.log(`Editor's desk: slate of ${leadSlate.length} recorded for ${publishedDate}`);
       }
+      const panelVotes = content.editorialMeta && content.editorialMeta.panelVotes;
+      if (panelVotes) {
+        recordPanelVotes(resolveDataDir(outDir), publishedDate, panelVotes);
+      }
 
       const m = getMetrics();
       const elapsedMs = Date.now() - _genStartMs;
@@ -321,12 +371,22 @@ async function main() {
         promptTokens: m.promptTokens,
         completionTokens: m.completionTokens,
         totalTokens: m.totalTokens,
+        costUsd: m.costUsd,
+        parseRepairs: m.parseRepairs,
+        parseFallbacks: m.parseFallbacks,
+        ...budget.report(),
         elapsedMs,
         generatedAt: new Date().toISOString(),
       });
       console.log(
-        `Telemetry: ${m.llmCalls} LLM calls, ${m.totalTokens} tokens, ${(elapsedMs / 1000).toFixed(1)}s (model=${m.model})`
+        `Telemetry: ${m.llmCalls} LLM calls, ${m.totalTokens} tokens, $${m.costUsd.toFixed(4)}, ${(elapsedMs / 1000).toFixed(1)}s (model=${m.model})`
       );
+      if (budget.degradations().length > 0) {
+        console.log(`Budget degradations: ${budget.degradations().join(", ")}`);
+      }
+      if (m.parseRepairs > 0) {
+        console.log(`Output contracts: ${m.parseRepairs} repair call(s), ${m.parseFallbacks} reply(ies) read by the legacy parser`);
+      }
     }
   } catch (e) {
     console.warn(`Telemetry record skipped (non-fatal): ${e.message}`);
@@ -347,10 +407,11 @@ async function main() {
   try {
     const newsletterSecret = process.env.NEWSLETTER_SECRET;
     const chatWorkerUrl = process.env.CHAT_WORKER_URL;
-    // Explicit opt-out for a same-day republish (the worker /newsletter/send has
-    // no per-date dedup, so a second publish would double-send). Gated on a plain
-    // env flag, NOT a withheld secret — GitHub Actions `cond && '' || secret`
-    // returns the secret when the middle operand is the falsy empty string.
+    // Explicit opt-out for a same-day republish. The worker's delivery ledger
+    // already refuses a second send for the same edition date, so this just
+    // saves the call. Gated on a plain env flag, NOT a withheld secret — GitHub
+    // Actions `cond && '' || secret` returns the secret when the middle operand
+    // is the falsy empty string.
     if (process.env.SKIP_NEWSLETTER === "true") {
       console.log("Newsletter skipped (SKIP_NEWSLETTER=true)");
     } else if (newsletterSecret && chatWorkerUrl) {
@@ -360,14 +421,7 @@ async function main() {
         const sent = await sendNewsletter({
           workerUrl: chatWorkerUrl,
           newsletterSecret,
-          edition: {
-            headline: latest.headline,
-            subheadline: latest.subheadline || "",
-            tagline: latest.tagline || "",
-            date: latest.date,
-            url: siteUrl + latest.url,
-            repos: (latest.repos || []).slice(0, 8),
-          },
+          edition: editionPayload(content, latest, { siteUrl }),
         });
         console.log(`Newsletter sent to ${sent} subscribers`);
       }
@@ -378,6 +432,39 @@ async function main() {
     console.warn(`Newsletter send failed (non-fatal): ${err.message}`);
   }
 
+  // Step 6b: Watchlist alerts. The day's placements, registry events, releases
+  // and price moves go to the worker, which matches them against every
+  // reader's watchlist. Non-fatal like the newsletter; a rerun of the same date
+  // alerts nobody twice. GT_DISABLE_ALERTS=1 kills it.
+  try {
+    const newsletterSecret = process.env.NEWSLETTER_SECRET;
+    const chatWorkerUrl = process.env.CHAT_WORKER_URL;
+    const latest = readManifest(outDir)[0];
+    if (process.env.GT_DISABLE_ALERTS === "1") {
+      console.log("Alerts skipped (GT_DISABLE_ALERTS=1)");
+    } else if (newsletterSecret && chatWorkerUrl && latest) {
+      let entityEvents = [];
+      try {
+        entityEvents = getEditionEntityEvents(resolveDataDir(outDir), latest.date);
+      } catch (e) {
+        console.warn(`Entity events unavailable for alerts (non-fatal): ${e.message}`);
+      }
+      const events = alertEvents({
+        date: latest.date,
+        content,
+        entry: latest,
+        siteUrl,
+        entityEvents,
+        releases: flow.ghReleases || [],
+        priceBoard,
+      });
+      const r = await sendAlerts({ workerUrl: chatWorkerUrl, newsletterSecret, date: latest.date, events });
+      console.log(`Alerts: ${events.length} events, ${r.alerted} of ${r.watchers} watchlists matched, ${r.emailed} digests emailed`);
+    }
+  } catch (err) {
+    console.warn(`Alerts failed (non-fatal): ${err.message}`);
+  }
+
   // Step 7: Generate promo video (HTML + MP4)
   const promo = await generateEditionPromo(outDir);
   if (promo) {
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * Generate the worker's copies of shared modules: the AI Desk retrieval code
+ * (src/retrieve.js), the email templates (src/email.js) and the feed writers
+ * (src/feed.js).
+ *
+ * The worker has to stay one import-free file: wrangler deploys worker/index.js
+ * as-is and test/worker.test.js compiles it from a string. So instead of an
+ * import, esbuild bundles each canonical module into an IIFE that is spliced
+ * between its GENERATED markers in worker/index.js, and the generated file is
+ * committed. Edit the module, then:
+ *
+ *   npm run build:worker            # rewrite the generated blocks
+ *   npm run build:worker -- --check # exit 1 if worker/index.js is stale
+ *
+ * The test suite runs the same check, so a stale worker fails CI before it can
+ * be deployed.
+ */
+const fs = require("fs");
+const path = require("path");
+const esbuild = require("esbuild");
+
+const ROOT = path.join(__dirname, "..");
+const WORKER = path.join(ROOT, "worker", "index.js");
+const END = "// --- END GENERATED ---";
+// What the worker calls from each module; the rest stays private to the bundle.
+const MODULES = [
+  {
+    entry: "src/retrieve.js",
+    globalName: "_retrieve",
+    exports: ["scoreChunks", "shardsFor", "questionOf", "rewriteQuery", "formatGrounding", "RAG_MIN_SCORE"],
+  },
+  { entry: "src/email.js", globalName: "_email", exports: ["renderEmail"] },
+  { entry: "src/feed.js", globalName: "_feed", exports: ["generateRss", "generateAtom", "generateJsonFeed"] },
+];
+
+function beginMarker(mod) {
+  return `// --- BEGIN GENERATED from ${mod.entry} by scripts/build-worker.js — do not edit ---`;
+}
+
+/** The generated block for one module, markers included. */
+function generateBlock(mod) {
+  const { outputFiles } = esbuild.buildSync({
+    entryPoints: [mod.entry],
+    absWorkingDir: ROOT,
+    bundle: true,
+    write: false,
+    format: "iife",
+    globalName: mod.globalName,
+    platform: "neutral",
+    target: ["es2022"],
+    legalComments: "none",
+  });
+  // The worker is an ES module and strict already; esbuild hoists the source's
+  // directive to the top of the bundle, where mid-file it would be a bare string.
+  const bundle = outputFiles[0].text.replace(/^"use strict";\n/, "").trimEnd();
+  return [
+    beginMarker(mod),
+    bundle,
+    `const { ${mod.exports.join(", ")} } = ${mod.globalName};`,
+    END,
+  ].join("\n");
+}
+
+/** A module's generated block currently in the worker source, or null without markers. */
+function extractBlock(src, mod) {
+  const begin = beginMarker(mod);
+  const start = src.indexOf(begin);
+  const end = src.indexOf(END, start);
+  if (start < 0 || end < 0) return null;
+  return src.slice(start, end + END.length);
+}
+
+function spliceBlock(src, mod, block) {
+  const current = extractBlock(src, mod);
+  if (current == null) throw new Error(`${path.relative(ROOT, WORKER)} has no "${beginMarker(mod)}" ... "${END}" block`);
+  return src.replace(current, () => block);
+}
+
+function main() {
+  const src = fs.readFileSync(WORKER, "utf8");
+  let next = src;
+  for (const mod of MODULES) next = spliceBlock(next, mod, generateBlock(mod));
+  if (process.argv.includes("--check")) {
+    if (next !== src) {
+      console.error("worker/index.js is stale against its shared modules — run `npm run build:worker`");
+      process.exit(1);
+    }
+    console.log("worker/index.js generated code is up to date");
+    return;
+  }
+  if (next === src) {
+    console.log("worker/index.js generated code is up to date");
+    return;
+  }
+  fs.writeFileSync(WORKER, next);
+  console.log(`worker/index.js regenerated from ${MODULES.map((m) => m.entry).join(", ")}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { generateBlock, extractBlock, spliceBlock, beginMarker, MODULES, END };
@@ -61,7 +61,7 @@ async function main() {
   }
 
   console.log(`Distilling ${pairs.length} rulings (model=${MODEL})...`);
-  const raw = await chat(createClient(key), MODEL, rubricPrompt(pairs), 400);
+  const raw = await chat(createClient(key), MODEL, rubricPrompt(pairs), 400, { task: "rubric" });
   const text = (raw || "").trim();
   if (!text) {
     console.error("Model returned nothing; rubric left unchanged.");
@@ -1,4 +1,45 @@
 const { applyTemplate } = require("./template-utils");
+const { SECTIONS, SECTION_ORDER } = require("./sections");
+const { escapeHtml } = require("./render");
+
+// Section weights the front-page layout form offers (public/personalize.js).
+const LAYOUT_WEIGHTS = [
+  [3, "Lead with it"],
+  [2, "More"],
+  [1, "Normal"],
+  [0, "Hide"],
+];
+
+/**
+ * One weight select per desk. The Front Page is always first on the page, so
+ * it has no row.
+ * @returns {string} HTML
+ */
+function renderLayoutSections() {
+  return SECTION_ORDER.filter((id) => id !== "frontPage" && SECTIONS[id])
+    .map((id) => {
+      const options = LAYOUT_WEIGHTS.map(
+        ([w, label]) => `<option value="${w}"${w === 1 ? " selected" : ""}>${label}</option>`
+      ).join("");
+      return `<label class="account-row"><span class="account-label">${escapeHtml(SECTIONS[id].label)}</span><select data-section="${escapeHtml(id)}">${options}</select></label>`;
+    })
+    .join("\n        ");
+}
+
+/**
+ * One checkbox per desk for the newsletter: ticked desks' leads open the
+ * subscriber's email (worker personalizeNewsletter). The Front Page is a desk
+ * here — a reader may want the paper's lead first.
+ * @returns {string} HTML
+ */
+function renderNewsletterSections() {
+  return SECTION_ORDER.filter((id) => SECTIONS[id])
+    .map(
+      (id) =>
+        `<label class="account-row"><span class="account-label">${escapeHtml(SECTIONS[id].label)}</span><input type="checkbox" data-newsletter-section="${escapeHtml(id)}"></label>`
+    )
+    .join("\n        ");
+}
 
 /**
  * Render the account page.
@@ -36,6 +77,8 @@ function renderAccountPage(options = {}) {
   })
     .replace(/\{\{WORKER_URL\}\}/g, chatWorkerUrl)
     .replace("{{CLERK_SCRIPT}}", clerkScript)
+    .replace("{{LAYOUT_SECTIONS}}", () => renderLayoutSections())
+    .replace("{{NEWSLETTER_SECTIONS}}", () => renderNewsletterSections())
     .replace(/\{\{CLERK_PUBLISHABLE_KEY\}\}/g, clerkEnabled ? clerkPublishableKey : "");
 }
 
@@ -6,6 +6,15 @@
  * the human editor rule: "this one should have led, because…". Rulings never
  * change the printed edition — they feed forward into tomorrow's lead prompt.
  *
+ * Above the editions sits lens calibration: how often each editor-panel lens
+ * voted for the story the human later ruled should lead, overall and by month.
+ *
+ * Corrections are the one thing here that does change the printed paper: a dated
+ * notice filed against a story goes to the Worker's ledger and is injected into
+ * its pages by the next publish (see src/corrections.js). Under the form sit the
+ * claims the fact-check flagged for the chosen edition — printed as written
+ * because nothing on record backs them — each one a click from a notice.
+ *
  * The page itself carries no secret. Every data call is gated on the admin token,
  * which the editor pastes once and the browser keeps in localStorage.
  */
@@ -62,6 +71,22 @@ function renderAdminPage(basePath = "", opts = {}) {
             text-decoration:none; color:var(--ink); background:#fff; }
   .signin:hover { background:var(--ink); color:var(--paper); }
   details summary { cursor:pointer; margin-top:.5rem; }
+  .lens { font-size:.65rem; letter-spacing:.06em; border:1px solid var(--muted); color:var(--muted);
+          padding:.05rem .3rem; vertical-align:.1em; text-transform:uppercase; }
+  #calibration { margin-bottom:1.5rem; }
+  #calibration h2 { font-size:1rem; letter-spacing:.08em; text-transform:uppercase; margin:0 0 .4rem; }
+  table.cal { width:100%; border-collapse:collapse; font-size:.85rem; }
+  table.cal th, table.cal td { text-align:left; padding:.3rem .4rem; border-bottom:1px solid #d8d2c4; }
+  table.cal th { font-size:.7rem; letter-spacing:.1em; text-transform:uppercase; color:var(--muted); }
+  table.cal tr.baseline td { font-style:italic; color:var(--muted); }
+  .months { font-family: ui-monospace, "SF Mono", Menlo, monospace; font-size:.75rem; color:var(--muted); }
+  #corrections { border:1px solid var(--rule); background:#fff; padding:1rem; margin-bottom:1.5rem; }
+  #corrections h2 { font-size:1rem; letter-spacing:.08em; text-transform:uppercase; margin:0 0 .4rem; }
+  #corrections select { font:inherit; font-size:.85rem; padding:.3rem; max-width:100%; }
+  ul.filed { list-style:none; margin:.75rem 0 0; padding:0; font-size:.85rem; }
+  ul.filed li { padding:.3rem 0; border-top:1px solid #d8d2c4; }
+  ul.flags { list-style:none; margin:.5rem 0 0; padding:0; font-size:.85rem; }
+  ul.flags li { padding:.3rem 0; border-top:1px dashed #d8d2c4; }
 </style>
 </head>
 <body>
@@ -84,6 +109,8 @@ function renderAdminPage(basePath = "", opts = {}) {
     </details>
     <span class="status" id="gate-status"></span>
   </div>
+  <section id="calibration" hidden></section>
+  <section id="corrections" hidden></section>
   <div id="list"></div>
 </main>
 <script>
@@ -132,6 +159,115 @@ function renderAdminPage(basePath = "", opts = {}) {
     });
   }
 
+  function pct(rate) {
+    return rate == null ? "&mdash;" : Math.round(rate * 100) + "%";
+  }
+
+  function renderCalibration(cal) {
+    var box = document.getElementById("calibration");
+    if (!cal || !cal.lenses || !cal.lenses.length) { box.hidden = true; return; }
+    var rows = cal.lenses.map(function (l) {
+      var months = l.byMonth.map(function (m) {
+        return esc(m.month) + " " + m.agreed + "/" + m.votes;
+      }).join(" &middot; ");
+      return "<tr><td>" + esc(l.lens) + (l.current ? "" : ' <span class="lens">retired</span>') + "</td>" +
+        "<td>" + l.votes + (l.abstained ? " (+" + l.abstained + " abstained)" : "") + "</td>" +
+        "<td>" + l.agreed + "</td><td>" + pct(l.rate) + "</td>" +
+        '<td class="months">' + (months || "&mdash;") + "</td></tr>";
+    }).join("");
+    box.innerHTML = "<h2>Lens calibration</h2>" +
+      '<p class="status">How often each panel lens voted for the story you ruled should lead, across ' +
+      cal.rulings + " ruled edition" + (cal.rulings === 1 ? "" : "s") + " with a panel ballot.</p>" +
+      '<table class="cal"><tr><th>Lens</th><th>Votes</th><th>Agreed</th><th>Rate</th><th>By month</th></tr>' +
+      rows +
+      '<tr class="baseline"><td>panel pick</td><td>' + cal.panel.votes + "</td><td>" + cal.panel.agreed +
+      "</td><td>" + pct(cal.panel.rate) + "</td><td></td></tr></table>";
+    box.hidden = false;
+  }
+
+  var correctable = [];
+
+  function articleOptions(date) {
+    var ed = correctable.filter(function (e) { return e.date === date; })[0];
+    return '<option value="">The edition as a whole</option>' + (ed ? ed.articles : []).map(function (slug) {
+      return '<option value="' + esc(slug) + '">' + esc(slug) + "</option>";
+    }).join("");
+  }
+
+  function factFlags(date) {
+    var ed = correctable.filter(function (e) { return e.date === date; })[0];
+    var flags = (ed && ed.factFlags) || [];
+    if (!flags.length) return "";
+    return '<p class="status">Unverified claims the fact-check let through:</p><ul class="flags">' +
+      flags.map(function (f) {
+        return '<li><span class="lens">' + esc(f.kind) + "</span> " +
+          '<span class="repo">' + esc(f.slug) + "</span> &mdash; &ldquo;" + esc(f.text) + "&rdquo; " +
+          '<button class="corr-flag" data-slug="' + esc(f.slug) + '">Correct</button></li>';
+      }).join("") + "</ul>";
+  }
+
+  function renderCorrections(b) {
+    var box = document.getElementById("corrections");
+    if (!b || !b.editions || !b.editions.length) { box.hidden = true; return; }
+    correctable = b.editions;
+    var filed = (b.corrections || []).slice(0, 10).map(function (c) {
+      return "<li>" + '<span class="date">' + esc(c.date) + "</span> " +
+        (c.kind === "retraction" ? '<span class="lens">retraction</span> ' : "") +
+        '<span class="repo">' + esc(c.slug || "edition") + "</span> &mdash; " + esc(c.text) +
+        '<br><span class="desc">' + esc(c.at) + (c.editor ? " &middot; " + esc(c.editor) : "") + "</span></li>";
+    }).join("");
+    box.innerHTML = "<h2>Corrections</h2>" +
+      '<p class="status">Filed notices appear at the top of the story with the next publish, dated, and in the feeds. ' +
+      "The story itself stays as printed. Notices can't be withdrawn &mdash; correct a correction with another.</p>" +
+      '<div class="row"><select id="corr-date">' + b.editions.map(function (e) {
+        return '<option value="' + esc(e.date) + '">' + esc(e.date) + " &mdash; " + esc(e.headline || "") + "</option>";
+      }).join("") + "</select></div>" +
+      '<div class="row"><select id="corr-slug">' + articleOptions(b.editions[0].date) + "</select>" +
+      '<select id="corr-kind"><option value="correction">Correction</option>' +
+      '<option value="retraction">Retraction</option></select></div>' +
+      '<div class="row"><textarea id="corr-text" rows="2" placeholder="What was wrong, and what is right."></textarea></div>' +
+      '<div class="row"><button id="corr-save">File notice</button><span class="status" id="corr-status"></span></div>' +
+      '<div id="corr-flags">' + factFlags(b.editions[0].date) + "</div>" +
+      (filed ? '<ul class="filed">' + filed + "</ul>" : "");
+    box.hidden = false;
+  }
+
+  document.getElementById("corrections").addEventListener("change", function (ev) {
+    if (ev.target.id === "corr-date") {
+      document.getElementById("corr-slug").innerHTML = articleOptions(ev.target.value);
+      document.getElementById("corr-flags").innerHTML = factFlags(ev.target.value);
+    }
+  });
+
+  document.getElementById("corrections").addEventListener("click", function (ev) {
+    var flag = ev.target.closest(".corr-flag");
+    if (flag) {
+      document.getElementById("corr-slug").value = flag.getAttribute("data-slug");
+      document.getElementById("corr-text").focus();
+      return;
+    }
+    if (!ev.target.closest("#corr-save")) return;
+    var btn = ev.target.closest("#corr-save");
+    var status = document.getElementById("corr-status");
+    var text = document.getElementById("corr-text").value.trim();
+    if (!text) { status.textContent = "Write the notice first."; return; }
+    btn.disabled = true;
+    status.textContent = "Filing\u2026";
+    api_("/corrections", {
+      method: "POST",
+      body: JSON.stringify({
+        date: document.getElementById("corr-date").value,
+        slug: document.getElementById("corr-slug").value,
+        kind: document.getElementById("corr-kind").value,
+        text: text,
+      }),
+    }).then(loadCorrections).catch(function (e) { status.textContent = e.message; btn.disabled = false; });
+  });
+
+  function loadCorrections() {
+    api_("/corrections?limit=30").then(renderCorrections).catch(function () { renderCorrections(null); });
+  }
+
   function render(editions) {
     if (!editions.length) {
       list.innerHTML = '<p class="empty">No editions with a recorded candidate slate yet. ' +
@@ -147,13 +283,17 @@ function renderAdminPage(basePath = "", opts = {}) {
           : '<p class="ruling">Ruled: ' + esc(pick.preferredRepo) + " should have led." +
             (pick.why ? " &mdash; " + esc(pick.why) : "") + "</p>";
       }
+      var votes = (e.panel && e.panel.votes) || [];
       var items = e.slate.map(function (c, i) {
         var id = "p-" + e.date + "-" + i;
         var checked = pick ? (pick.preferredRepo === c.repo) : c.chosen;
+        var lenses = votes.filter(function (v) { return v.repo === c.repo; }).map(function (v) {
+          return ' <span class="lens" title="' + esc(v.why) + '">' + esc(v.lens) + "</span>";
+        }).join("");
         return '<li><input type="radio" id="' + esc(id) + '" name="pick-' + esc(e.date) + '" value="' +
           esc(c.repo) + '"' + (checked ? " checked" : "") + '>' +
           '<label for="' + esc(id) + '"><span class="repo">' + esc(c.repo) + "</span>" +
-          (c.chosen ? ' <span class="led">LED</span>' : "") +
+          (c.chosen ? ' <span class="led">LED</span>' : "") + lenses +
           (c.description ? '<br><span class="desc">' + esc(c.description) + "</span>" : "") +
           "</label></li>";
       }).join("");
@@ -176,6 +316,9 @@ function renderAdminPage(basePath = "", opts = {}) {
       .catch(function (err) {
         list.innerHTML = '<p class="err">' + esc(err.message) + "</p>";
       });
+    // Calibration is a side panel — a failure here never blanks the desk.
+    api_("/calibration").then(renderCalibration).catch(function () { renderCalibration(null); });
+    loadCorrections();
   }
 
   list.addEventListener("click", function (ev) {
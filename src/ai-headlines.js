@@ -172,4 +172,21 @@ async function fetchArxiv(options = {}) {
   }
 }
 
-module.exports = { fetchAIHeadlines, selectTopHeadlines, fetchArxiv, parseArxivAtom, _domain };
+/**
+ * The AI Wire as a flow source. It prints as its own section tab rather than a
+ * front-page band, so there is no render hook — render.js builds the panel from
+ * the stored { headlines, research }. Absent (not []) when off, which is what
+ * tells the template to fall back to a pre-rendered aiWireHtml.
+ */
+const flowSource = {
+  id: "aiWire",
+  label: "AI Wire",
+  killswitch: "GT_DISABLE_AI_WIRE",
+  empty: () => null,
+  async fetch() {
+    const [headlines, research] = await Promise.all([fetchAIHeadlines({ limit: 5 }), fetchArxiv({ limit: 3 })]);
+    return { headlines, research };
+  },
+};
+
+module.exports = { fetchAIHeadlines, selectTopHeadlines, fetchArxiv, parseArxivAtom, _domain, flowSource };
@@ -0,0 +1,132 @@
+/**
+ * Watchlist alerts — what today's edition has for readers who follow a repo,
+ * a company or a model.
+ *
+ * The paper doesn't know who follows what; the worker does (each account's
+ * `readerSettings.watchlist`). So publish sends ONE list of alert events —
+ * every story placement, the registry's entity events for the day, the GitHub
+ * Releases band and the Price Board's moves — and the worker matches every
+ * watchlist against it, adds the matches to that reader's /alerts feed and
+ * emails a digest. Event ids are stable across days (a release is its tag, an
+ * entity event its event_key), so something seen again tomorrow alerts nobody
+ * twice.
+ */
+
+const MAX_EVENTS = 400;
+const MAX_CALLS = 500;
+
+/**
+ * The day's alert events.
+ * @param {object} args
+ * @param {string} args.date - edition date
+ * @param {object} args.content - the generated edition
+ * @param {object} args.entry - its manifest entry
+ * @param {string} [args.siteUrl]
+ * @param {Array} [args.entityEvents] - getEditionEntityEvents() rows
+ * @param {Array} [args.releases] - selectReleases() output (the ghReleases band)
+ * @param {object} [args.priceBoard] - buildPriceBoard() output
+ * @returns {Array<{id, source, title, detail, url, repo?, entity?, models?}>}
+ */
+function alertEvents({ date, content, entry, siteUrl = "https://gittimes.com", entityEvents = [], releases = [], priceBoard = null }) {
+  const { editionPayload } = require("./newsletter");
+  const { entitySlug } = require("./business-pages");
+  const { SECTIONS } = require("./sections");
+  const events = [];
+
+  for (const st of editionPayload(content, entry, { siteUrl }).stories) {
+    const desk = (SECTIONS[st.section] && SECTIONS[st.section].label) || st.section;
+    events.push({
+      id: `placement:${date}:${st.repo}`.toLowerCase(),
+      source: "placement",
+      title: st.headline || st.repo,
+      detail: st.slot === "lead" ? `${desk} lead` : desk,
+      url: st.url,
+      repo: st.repo.toLowerCase(),
+    });
+  }
+
+  for (const ev of entityEvents) {
+    if (!ev || !ev.entityId || !ev.eventKey) continue;
+    const slug = entitySlug(ev.entityId);
+    events.push({
+      id: `entity:${slug}:${ev.eventKey}`,
+      source: "entity",
+      title: `${ev.name}: ${ev.title}`,
+      detail: ev.type,
+      url: ev.url || `${siteUrl}/companies/${slug}/`,
+      entity: slug,
+    });
+  }
+
+  for (const r of releases || []) {
+    if (!r || !r.repo || !r.tag) continue;
+    events.push({
+      id: `release:${r.repo}@${r.tag}`.toLowerCase(),
+      source: "release",
+      title: `${r.repo} ${r.tag}${r.title && r.title !== r.tag ? ` — ${r.title}` : ""}`,
+      detail: "GitHub release",
+      url: r.url || `https://github.com/${r.repo}/releases`,
+      repo: r.repo.toLowerCase(),
+    });
+  }
+
+  if (priceBoard) {
+    for (const row of [...(priceBoard.movers || []), ...(priceBoard.promoEndings || [])]) {
+      const pct = Number.isFinite(row.movePct) ? `${Math.abs(row.movePct).toFixed(0)}% ` : "";
+      events.push({
+        id: `price:${date}:${row.id}`.toLowerCase(),
+        source: "price",
+        title: row.promoLapsed
+          ? `${row.label}: introductory pricing ended, now $${row.output}/Mtok out`
+          : `${row.lab} ${row.direction === "cut" ? "cut" : "raised"} ${row.label} ${pct}to $${row.output}/Mtok out`,
+        detail: "Price Board",
+        url: `${siteUrl}/prices/`,
+        entity: row.entityId ? entitySlug(row.entityId) : null,
+        models: [...new Set([row.id, row.key].filter(Boolean).map((m) => String(m).toLowerCase()))],
+      });
+    }
+  }
+
+  return events.slice(0, MAX_EVENTS);
+}
+
+async function postAlerts(workerUrl, newsletterSecret, date, events) {
+  const res = await fetch(workerUrl + "/alerts/publish", {
+    method: "POST",
+    headers: {
+      Authorization: "Bearer " + newsletterSecret,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ date, events }),
+    signal: AbortSignal.timeout(30_000),
+  });
+  const data = await res.json();
+  if (!data.ok) throw new Error(data.error || "Alerts publish failed");
+  return data;
+}
+
+/**
+ * Hand the day's events to the worker, which matches them against every
+ * watchlist. The worker keeps a ledger per date and scans a bounded page of
+ * accounts per call, so we keep calling while it reports `done: false` and
+ * each call scans further. A repeat publish for a finished date is a
+ * `duplicate` that adds nothing and mails nobody; a run that stops short
+ * resumes from the ledger on the next publish.
+ * @returns {Promise<{ok, key, done, events, scanned, watchers, alerted, emailed, failed}>}
+ */
+async function sendAlerts({ workerUrl, newsletterSecret, date, events }) {
+  let data = await postAlerts(workerUrl, newsletterSecret, date, events);
+  if (data.duplicate) console.log(`[alerts] ${data.key} already run — not alerting again`);
+  // `done` is absent from an older worker's reply: treat that as finished.
+  for (let calls = 1; data.done === false && calls < MAX_CALLS; calls++) {
+    const before = data.scanned;
+    data = await postAlerts(workerUrl, newsletterSecret, date, events);
+    if (data.done === false && data.scanned <= before) break; // no progress: stop, the ledger keeps our place
+  }
+  if (data.done === false) {
+    throw new Error(`alerts run ${data.key} stopped after ${data.scanned} accounts — rerun to resume`);
+  }
+  return data;
+}
+
+module.exports = { alertEvents, sendAlerts, MAX_EVENTS };
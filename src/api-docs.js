@@ -1,5 +1,5 @@
 const { applyTemplate } = require("./template-utils");
-const { SECTIONS, SECTION_ORDER } = require("./sections");
+const { describeSections } = require("./sections");
 
 /**
  * Render the API docs page.
@@ -7,12 +7,7 @@ const { SECTIONS, SECTION_ORDER } = require("./sections");
  * @returns {string} Complete HTML string
  */
 function renderApiDocsPage(basePath) {
-  const sectionsData = SECTION_ORDER.map((id) => ({
-    id,
-    label: SECTIONS[id].label,
-    topics: SECTIONS[id].query?.topics || [],
-    languages: SECTIONS[id].query?.languages || [],
-  }));
+  const sectionsData = describeSections();
 
   return applyTemplate("api-docs", basePath)
     .replace("{{SECTIONS_JSON}}", JSON.stringify(sectionsData, null, 2));
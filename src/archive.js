@@ -3,7 +3,7 @@ const { applyTemplate } = require("./template-utils");
 
 /**
  * Render the archive page listing all editions.
- * @param {Array} manifest - Array of { date, headline, tagline, url }
+ * @param {Array} manifest - Array of { date, headline, tagline, url, kind? } — kind "weekly" marks a digest
  * @param {string} basePath - Base path for links (e.g. "")
  * @returns {string} Complete HTML string
  */
@@ -18,9 +18,10 @@ function renderArchivePage(manifest, basePath) {
     const url = entry.url || `${basePath}/editions/${entry.date}/`;
     const headline = entry.headline || "Edition";
     const tagline = entry.tagline || "";
+    const weekly = entry.kind === "weekly";
     return `
-    <div class="archive-entry">
-      <span class="archive-date">${escapeHtml(displayDate)}</span>
+    <div class="archive-entry${weekly ? " archive-weekly" : ""}">
+      <span class="archive-date">${escapeHtml(displayDate)}${weekly ? ` <span class="archive-kind">Week in Review</span>` : ""}</span>
       <a href="${escapeHtml(url)}" class="archive-headline">${escapeHtml(headline)}</a>
       ${tagline ? `<span class="archive-tagline">${escapeHtml(tagline)}</span>` : ""}
     </div>`;
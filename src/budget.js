@@ -0,0 +1,184 @@
+/**
+ * Per-edition LLM budget — a ceiling on tokens and dollars for one publish run.
+ *
+ * Spend is read off the xai.js usage meter (tokens as the provider reports them,
+ * dollars priced from the synced OpenRouter catalog in data/ai-models.json). As
+ * the run approaches its limit the optional passes drop out in a fixed order,
+ * cheapest loss first:
+ *
+ *   sentiment      50%   X sentiment passes on featured articles
+ *   quickHitProse  70%   Quick Hits written as short fragments on a small token cap
+ *   editorPanel    85%   the lens panel is skipped; the single-call editor picks the lead
+ *   extras        100%   trend and sleeper articles are not written
+ *   llmCalls      100%   hard stop: every further LLM call is refused
+ *
+ * The hard stop is enforced in xai.js, which checks the run's budget (setBudget)
+ * before each completion and throws BudgetExceededError instead of calling out.
+ * A refused section article falls back to the repo's own description — an
+ * over-budget edition is a thin edition, not a missing one. Each step is decided
+ * at the point the pass would run, so only degradations that actually changed
+ * the edition are recorded (in edition_meta.degradations).
+ *
+ * Configure with GT_BUDGET_TOKENS and/or GT_BUDGET_USD; with neither set the
+ * budget allows everything. A model missing from the catalog can't be priced:
+ * its calls count toward the token limit only.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CATALOG_PATH = path.join(__dirname, "..", "data", "ai-models.json");
+
+const DEGRADATIONS = [
+  { key: "sentiment", at: 0.5, label: "X sentiment" },
+  { key: "quickHitProse", at: 0.7, label: "full Quick Hit prose" },
+  { key: "editorPanel", at: 0.85, label: "the editor panel" },
+  { key: "extras", at: 1, label: "trend and sleeper articles" },
+  { key: "llmCalls", at: 1, label: "all further LLM calls" },
+];
+
+/** Thrown in place of an LLM call once the run's budget is spent. */
+class BudgetExceededError extends Error {
+  constructor(fraction) {
+    super(`LLM budget exhausted (${Math.round(fraction * 100)}% spent); call refused`);
+    this.name = "BudgetExceededError";
+  }
+}
+
+let _prices = null;
+
+/**
+ * $/1M-token prices keyed by OpenRouter id, from the synced catalog. Read once
+ * per process; an unreadable catalog prices nothing.
+ * @param {string} [file]
+ * @returns {Map<string, {input: number, output: number}>}
+ */
+function loadPrices(file = CATALOG_PATH) {
+  const prices = new Map();
+  try {
+    const catalog = JSON.parse(fs.readFileSync(file, "utf-8")).catalog || [];
+    for (const m of catalog) {
+      if (m && m.id && typeof m.input === "number" && typeof m.output === "number") {
+        prices.set(m.id, { input: m.input, output: m.output });
+      }
+    }
+  } catch (e) {
+    console.warn(`Model prices unavailable, USD budget unenforced (non-fatal): ${e.message}`);
+  }
+  return prices;
+}
+
+/**
+ * Price for one model, or null when it can't be priced. The catalog only carries
+ * paid models, so an absent `:free` variant is a known zero, not an unknown.
+ */
+function priceOf(model, prices) {
+  if (!model) return null;
+  if (!prices) prices = _prices || (_prices = loadPrices());
+  if (prices.has(model)) return prices.get(model);
+  if (model.endsWith(":free")) return { input: 0, output: 0 };
+  return null;
+}
+
+/**
+ * USD cost of one completion from its usage object, or null if unpriced.
+ * @param {string} model
+ * @param {{prompt_tokens?: number, completion_tokens?: number}} usage
+ * @param {Map} [prices] - defaults to the synced catalog
+ */
+function costOf(model, usage, prices) {
+  const p = priceOf(model, prices);
+  if (!p) return null;
+  const u = usage || {};
+  return ((u.prompt_tokens || 0) * p.input + (u.completion_tokens || 0) * p.output) / 1_000_000;
+}
+
+function positive(raw, name) {
+  if (raw == null || raw === "") return null;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n <= 0) {
+    console.warn(`${name}="${raw}" is not a positive number; ignoring it`);
+    return null;
+  }
+  return n;
+}
+
+/**
+ * Budget limits from the environment.
+ * @returns {{ tokens: number|null, usd: number|null }}
+ */
+function readBudgetConfig(env = process.env) {
+  return {
+    tokens: positive(env.GT_BUDGET_TOKENS, "GT_BUDGET_TOKENS"),
+    usd: positive(env.GT_BUDGET_USD, "GT_BUDGET_USD"),
+  };
+}
+
+/**
+ * A budget for one run.
+ * @param {{ tokens?: number|null, usd?: number|null }} limits
+ * @param {object} opts - { meter } — () => { totalTokens, costUsd }, normally xai.getMetrics
+ * @returns {object} { limits, spent(), allows(step), degradations(), report() }
+ */
+function createBudget(limits = {}, opts = {}) {
+  const tokens = limits.tokens || null;
+  const usd = limits.usd || null;
+  const meter = opts.meter || (() => ({}));
+  const fired = [];
+
+  const budget = {
+    limits: { tokens, usd },
+
+    /** Fraction of the tighter limit used so far (0 with no limits). */
+    spent() {
+      const m = meter() || {};
+      let fraction = 0;
+      if (tokens) fraction = Math.max(fraction, (m.totalTokens || 0) / tokens);
+      if (usd) fraction = Math.max(fraction, (m.costUsd || 0) / usd);
+      return fraction;
+    },
+
+    /**
+     * May the optional pass `step` run? Once a step is refused it stays refused
+     * for the rest of the run, so the edition degrades in one direction only.
+     */
+    allows(step) {
+      const rung = DEGRADATIONS.find((d) => d.key === step);
+      if (!rung) throw new Error(`Unknown budget step "${step}"`);
+      if (fired.includes(step)) return false;
+      if (!tokens && !usd) return true;
+      const fraction = budget.spent();
+      if (fraction < rung.at) return true;
+      fired.push(step);
+      console.warn(`Budget: ${Math.round(fraction * 100)}% spent — dropping ${rung.label}`);
+      return false;
+    },
+
+    /** Steps refused this run, in the order they fired. */
+    degradations() {
+      return fired.slice();
+    },
+
+    /** What edition_meta stores. */
+    report() {
+      return { budgetTokens: tokens, budgetUsd: usd, degradations: fired.slice() };
+    },
+  };
+  return budget;
+}
+
+/** Allows every step — what generation runs under when no budget is passed. */
+function noBudget() {
+  return createBudget({});
+}
+
+module.exports = {
+  DEGRADATIONS,
+  BudgetExceededError,
+  loadPrices,
+  priceOf,
+  costOf,
+  readBudgetConfig,
+  createBudget,
+  noBudget,
+};
@@ -3,19 +3,30 @@
 /**
  * Build data/corpus.json — the retrieval corpus the AI Desk grounds on.
  *
- * Source of truth is data/gittimes.db. We emit two kinds of chunk:
+ * Headlines and coverage come from data/gittimes.db; article bodies come from
+ * the published article pages. We emit three kinds of chunk:
  *   - "repo": one per distinct repo the paper has covered, carrying its best
  *     (most-recent non-empty) headline, star count, and how many editions it
  *     appeared in. Answers "has the paper covered X / what did it say".
  *   - "edition": one per edition front-page lead (headline + subhead + tagline).
  *     Answers thematic / trend questions.
+ *   - "article": the body of every story with a page of its own (lead,
+ *     secondary, trend and sleeper pieces), cut into paragraph-aligned chunks
+ *     of ~CHUNK_CHARS, each tagged with its section, slot and part number.
+ *     Answers "what did the paper actually say about X".
  *
- * Each chunk carries a `url` (the edition page) so the worker can hand the model
- * inline citations. Article *body* text lives only in the published HTML; pulling
- * it in is a future enrichment — this v1 grounds on headlines + repo coverage.
+ * Each chunk carries a `url` the worker hands the model as an inline citation:
+ * the article page for article chunks (and for a repo chunk whose latest story
+ * has one), the edition page otherwise. Bodies are read from the site, not the
+ * DB, because the site is what survives between CI runs.
  *
- * Output is intentionally compact (<~300KB) so the edge worker can fetch the
- * whole thing per cold isolate and keyword-rank it in memory.
+ * The edge worker fetches corpus.json per cold isolate and ranks it in memory,
+ * so it has a size budget (GT_CORPUS_MAX_KB, default 1024). Past it, article
+ * chunks for the oldest months move out to data/corpus/YYYY-MM.json shards,
+ * listed in `shards`; repo and edition chunks always stay in the main file, so
+ * a first pass can still find old coverage and fetch just that month's bodies.
+ *
+ * `aliases` carries the registry's entity names, grouped, for query expansion.
  */
 
 const fs = require("fs");
@@ -24,7 +35,10 @@ const Database = require("better-sqlite3");
 
 const DB_PATH = path.join(__dirname, "..", "data", "gittimes.db");
 const OUT_PATH = path.join(__dirname, "..", "data", "corpus.json");
-const MAX_TEXT = 240; // cap per-chunk searchable text
+const MAX_TEXT = 240; // cap per-chunk searchable text (repo + edition chunks)
+const CHUNK_CHARS = 700; // target article-chunk size; chunks break between paragraphs
+const MAX_CHUNK = 1000; // hard cap for an article chunk
+const MAX_BYTES = (Number(process.env.GT_CORPUS_MAX_KB) || 1024) * 1024;
 
 function clean(s) {
   return String(s || "")
@@ -33,7 +47,188 @@ function clean(s) {
     .slice(0, MAX_TEXT);
 }
 
-function buildCorpus(dbPath) {
+function decodeEntities(s) {
+  return s
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+function htmlText(s) {
+  return decodeEntities(String(s || "").replace(/<[^>]+>/g, ""))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Pull the story out of a published article page: headline, repo, placement and
+ * body paragraphs. Body paragraphs are the bare <p>s markdown renders; every
+ * piece of card furniture (source line, rationale, timeline) carries a class.
+ * @param {string} html - an editions/<date>/<slug>/index.html page
+ * @returns {object|null} { headline, repo, section, slot, sectionLabel, paragraphs }
+ */
+function readArticlePage(html) {
+  const open = html.match(/<article class="(hybrid-article[^"]*)"([^>]*)>/);
+  if (!open) return null;
+  const start = open.index + open[0].length;
+  const end = html.indexOf("</article>", start);
+  const inner = html.slice(start, end < 0 ? undefined : end);
+  const attr = (name) => {
+    const m = open[2].match(new RegExp(`${name}="([^"]*)"`));
+    return m ? decodeEntities(m[1]) : null;
+  };
+
+  const h = inner.match(/<h3 class="hybrid-headline[^"]*">([\s\S]*?)<a class="hybrid-share/);
+  const badge = html.match(/<span class="article-page-section-badge">([^<]*)<\/span>/);
+  const paragraphs = [];
+  for (const m of inner.matchAll(/<p>([\s\S]*?)<\/p>/g)) {
+    const t = htmlText(m[1]);
+    if (t) paragraphs.push(t);
+  }
+  const repo = attr("data-repo");
+  const isTrend = open[1].includes("hybrid-trend");
+  return {
+    headline: h ? htmlText(h[1]) : "",
+    repo: repo && !isTrend ? repo : null,
+    section: attr("data-section"),
+    slot: attr("data-slot") || (isTrend ? "trend" : null),
+    sectionLabel: badge ? htmlText(badge[1]) : "",
+    paragraphs,
+  };
+}
+
+/**
+ * Pack paragraphs into chunks of about `size` characters, breaking only between
+ * paragraphs — or between sentences, for a paragraph longer than a chunk.
+ * @returns {string[]}
+ */
+function chunkParagraphs(paragraphs, size = CHUNK_CHARS) {
+  const units = [];
+  for (const p of paragraphs) {
+    if (p.length <= size) units.push(p);
+    else units.push(...(p.match(/[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g) || [p]).map((s) => s.trim()).filter(Boolean));
+  }
+  const chunks = [];
+  let cur = "";
+  for (const u of units) {
+    if (cur && cur.length + u.length + 1 > size) {
+      chunks.push(cur);
+      cur = "";
+    }
+    cur = cur ? `${cur} ${u}` : u;
+  }
+  if (cur) chunks.push(cur);
+  return chunks.map((c) => c.slice(0, MAX_CHUNK));
+}
+
+/**
+ * Article chunks for every story page under siteDir/editions/. Placement comes
+ * from the page's own data-section / data-slot; pages printed before those
+ * existed fall back to edition_repos, then to the section badge.
+ * @param {string} siteDir
+ * @param {Map} placements - "date/slug" -> { section, slot }
+ * @param {Map} starsByRepo
+ */
+function articleChunks(siteDir, placements, starsByRepo) {
+  const editionsDir = path.join(siteDir, "editions");
+  if (!fs.existsSync(editionsDir)) return [];
+  const { SECTIONS } = require("./sections");
+  const sectionByLabel = new Map(Object.entries(SECTIONS).map(([id, s]) => [s.label, id]));
+
+  const chunks = [];
+  for (const date of fs.readdirSync(editionsDir).filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d))) {
+    for (const slug of fs.readdirSync(path.join(editionsDir, date))) {
+      const page = path.join(editionsDir, date, slug, "index.html");
+      if (!fs.existsSync(page)) continue;
+      const story = readArticlePage(fs.readFileSync(page, "utf-8"));
+      if (!story || !story.paragraphs.length) continue;
+      const placed = placements.get(`${date}/${slug}`) || {};
+      const section = story.section || placed.section || sectionByLabel.get(story.sectionLabel) || null;
+      const slot = story.slot || placed.slot || null;
+      const parts = chunkParagraphs(story.paragraphs);
+      parts.forEach((text, n) => {
+        chunks.push({
+          type: "article",
+          date,
+          repo: story.repo,
+          title: story.headline || slug,
+          text,
+          url: `/editions/${date}/${slug}/`,
+          section,
+          slot,
+          part: n + 1,
+          parts: parts.length,
+          stars: story.repo && starsByRepo.has(story.repo) ? starsByRepo.get(story.repo) : null,
+        });
+      });
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Split chunks into the main file and month shards so the main file stays
+ * under maxBytes. Whole months move out, oldest first; only article chunks
+ * ever leave. Input must be sorted newest-first.
+ * @returns {{ main: Array, shards: Array<{ month, chunks }> }}
+ */
+function shardCorpus(chunks, maxBytes = MAX_BYTES) {
+  const size = (c) => Buffer.byteLength(JSON.stringify(c)) + 1;
+  const total = chunks.reduce((n, c) => n + size(c), 0);
+  if (total <= maxBytes) return { main: chunks, shards: [] };
+
+  let used = chunks.filter((c) => c.type !== "article").reduce((n, c) => n + size(c), 0);
+  const byMonth = new Map();
+  for (const c of chunks) {
+    if (c.type !== "article") continue;
+    const month = c.date.slice(0, 7);
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(c);
+  }
+  const kept = new Set();
+  const shards = [];
+  let full = false;
+  for (const [month, monthChunks] of byMonth) {
+    const bytes = monthChunks.reduce((n, c) => n + size(c), 0);
+    if (!full && used + bytes <= maxBytes) {
+      used += bytes;
+      kept.add(month);
+    } else {
+      full = true; // never keep an older month once a newer one has moved out
+      shards.push({ month, chunks: monthChunks });
+    }
+  }
+  const main = chunks.filter((c) => c.type !== "article" || kept.has(c.date.slice(0, 7)));
+  return { main, shards };
+}
+
+/**
+ * The registry's alias index, inverted into one group of names per entity —
+ * the worker's query rewriter (rewriteQuery in src/retrieve.js) expands a
+ * mention of any of them into the rest. Domains are left out: nobody asks
+ * about "ai.meta.com", and they would only add noise terms.
+ * @returns {Array<string[]>}
+ */
+function aliasGroups(entities) {
+  const { buildAliasIndex } = require("./registry");
+  const byId = new Map();
+  for (const [alias, id] of buildAliasIndex(entities)) {
+    if (/\.[a-z]{2,}$/.test(alias)) continue;
+    if (!byId.has(id)) byId.set(id, []);
+    byId.get(id).push(alias);
+  }
+  return Array.from(byId.values()).filter((g) => g.length > 1);
+}
+
+/**
+ * @param {string} [dbPath]
+ * @param {object} [opts] - { siteDir, maxBytes, entities }; no siteDir means no
+ *   article chunks; entities (default: the registry's seed list) feed the alias groups
+ * @returns {object} corpus; `shards` entries carry their chunks until writeCorpus
+ */
+function buildCorpus(dbPath, opts = {}) {
   const db = new Database(dbPath || DB_PATH, { readonly: true });
   try {
     // Latest star count per repo.
@@ -63,6 +258,15 @@ function buildCorpus(dbPath) {
       )
       .all();
 
+    const { slugify } = require("./render");
+    const pageFor = (date, headline) => {
+      if (!opts.siteDir || !headline) return null;
+      const slug = slugify(headline);
+      return fs.existsSync(path.join(opts.siteDir, "editions", date, slug, "index.html"))
+        ? `/editions/${date}/${slug}/`
+        : null;
+    };
+
     const chunks = [];
     for (const r of repoRows) {
       const headline = headlineByRepo.get(r.repo_name) || "";
@@ -75,7 +279,7 @@ function buildCorpus(dbPath) {
         repo: r.repo_name,
         title: headline || r.repo_name,
         text,
-        url: `/editions/${r.last_date}/`,
+        url: pageFor(r.last_date, headline) || `/editions/${r.last_date}/`,
         stars: stars != null ? stars : null,
         appearances: r.appearances,
       });
@@ -96,30 +300,75 @@ function buildCorpus(dbPath) {
       });
     }
 
+    // Article-body chunks. Placement for pages printed before they carried
+    // data-section / data-slot comes from edition_repos (the column migration
+    // is optional, so an old DB without it just goes without).
+    if (opts.siteDir) {
+      const placements = new Map();
+      const cols = db.prepare("PRAGMA table_info(edition_repos)").all().map((c) => c.name);
+      if (cols.includes("slot")) {
+        for (const r of db
+          .prepare("SELECT edition_date, headline, section, slot FROM edition_repos WHERE headline IS NOT NULL AND headline != ''")
+          .all()) {
+          placements.set(`${r.edition_date}/${slugify(r.headline)}`, { section: r.section || null, slot: r.slot || null });
+        }
+      }
+      chunks.push(...articleChunks(opts.siteDir, placements, starsByRepo));
+    }
+
     // Stable ordering: newest first, then index for citation labels.
     chunks.sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
     chunks.forEach((c, i) => (c.i = i));
 
+    const { main, shards } = shardCorpus(chunks, opts.maxBytes || MAX_BYTES);
     return {
       builtAt: new Date().toISOString(),
       count: chunks.length,
       repoCount: repoRows.length,
       editionCount: chunks.filter((c) => c.type === "edition").length,
-      chunks,
+      articleCount: chunks.filter((c) => c.type === "article").length,
+      chunks: main,
+      aliases: aliasGroups(opts.entities),
+      shards: shards.map((s) => ({ month: s.month, url: `/data/corpus/${s.month}.json`, count: s.chunks.length, chunks: s.chunks })),
     };
   } finally {
     db.close();
   }
 }
 
+/**
+ * Write corpus.json and its month shards into dataDir (data/corpus/YYYY-MM.json).
+ * Shard files no longer listed — a month that fits again — are removed.
+ * @returns {string} path of the main file
+ */
+function writeCorpus(dataDir, corpus) {
+  if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+  const shardDir = path.join(dataDir, "corpus");
+  const listed = new Set(corpus.shards.map((s) => `${s.month}.json`));
+  if (fs.existsSync(shardDir)) {
+    for (const f of fs.readdirSync(shardDir)) {
+      if (/^\d{4}-\d{2}\.json$/.test(f) && !listed.has(f)) fs.unlinkSync(path.join(shardDir, f));
+    }
+  }
+  for (const s of corpus.shards) {
+    if (!fs.existsSync(shardDir)) fs.mkdirSync(shardDir, { recursive: true });
+    fs.writeFileSync(path.join(shardDir, `${s.month}.json`), JSON.stringify({ month: s.month, chunks: s.chunks }));
+  }
+  const main = { ...corpus, shards: corpus.shards.map(({ month, url, count }) => ({ month, url, count })) };
+  const out = path.join(dataDir, "corpus.json");
+  fs.writeFileSync(out, JSON.stringify(main));
+  return out;
+}
+
 if (require.main === module) {
-  const corpus = buildCorpus();
-  fs.writeFileSync(OUT_PATH, JSON.stringify(corpus));
+  const corpus = buildCorpus(undefined, { siteDir: process.env.PUBLISH_DIR || "./site" });
+  writeCorpus(path.dirname(OUT_PATH), corpus);
   const kb = (fs.statSync(OUT_PATH).size / 1024).toFixed(1);
   console.log(
     `[build-corpus] wrote ${OUT_PATH} — ${corpus.count} chunks ` +
-      `(${corpus.repoCount} repos + ${corpus.editionCount} editions), ${kb}KB`
+      `(${corpus.repoCount} repos + ${corpus.editionCount} editions + ${corpus.articleCount} article chunks), ${kb}KB` +
+      (corpus.shards.length ? `, ${corpus.shards.length} month shard(s)` : "")
   );
 }
 
-module.exports = { buildCorpus };
+module.exports = { buildCorpus, aliasGroups, writeCorpus, readArticlePage, chunkParagraphs, shardCorpus, CHUNK_CHARS };
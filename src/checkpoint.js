@@ -0,0 +1,242 @@
+/**
+ * Per-stage checkpoints — so a publish that dies forty LLM calls in resumes
+ * where it stopped instead of paying for the whole edition again.
+ *
+ * Each stage's output is written to data/checkpoints/<YYYY-MM-DD>/<stage>.json as
+ * it completes. A rerun for the same edition date loads completed stages in
+ * order and runs live from the first one missing; everything after a live stage
+ * runs live too, so a resumed edition never mixes a fresh input with a stale
+ * output built from an earlier attempt's.
+ *
+ *   fetch     sections + raw candidates              (runPipeline)
+ *   plan      editorial plan, trend READMEs attached  (runPipeline)
+ *   generate  the finished content tree               (runPipeline)
+ *   bands     ticker data + the FLOW sources          (publish-edition.js)
+ *   registry  company registry, Business desks, Price Board
+ *
+ * Inside `generate` the unit is the LLM call: every completion is journaled
+ * (llm.jsonl, append-only) as it returns, and a resumed stage answers each
+ * prompt it has already paid for from the journal. Per-article granularity
+ * without threading a cache through every generator in xai.js.
+ *
+ * `--from-stage <name>` forces that stage and everything after it to rerun
+ * (earlier stages must be on disk). A stage rerun that way also drops the LLM
+ * journal when it is `generate` or earlier — an operator asking for a fresh
+ * generation wants new copy, not the old one replayed. The checkpoint is
+ * cleared once the edition is published; GT_DISABLE_CHECKPOINTS=1 turns it off.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const STAGES = ["fetch", "plan", "generate", "bands", "registry"];
+const JOURNAL_FILE = "llm.jsonl";
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// The checkpoint the LLM journal writes to. Only one edition is in flight per
+// process, and _chat has no way to be handed one without touching every caller.
+let _active = null;
+
+function checkpointRoot(dataDir) {
+  return path.join(dataDir, "checkpoints");
+}
+
+function stageIndex(stage) {
+  const i = STAGES.indexOf(stage);
+  if (i === -1) throw new Error(`Unknown stage "${stage}" — expected one of: ${STAGES.join(", ")}`);
+  return i;
+}
+
+function journalKey(params) {
+  return crypto.createHash("sha256").update(JSON.stringify(params)).digest("hex").slice(0, 24);
+}
+
+/**
+ * Open (or create) the checkpoint for one edition date. Checkpoints left behind
+ * by other dates are removed — only today's edition can be resumed.
+ * @param {string} dataDir
+ * @param {string} date - YYYY-MM-DD edition date
+ * @param {object} [opts] - { fromStage }
+ * @returns {object} handle: { dir, run(stage, fn), discardFrom(stage), completed(), clear() }
+ */
+function openCheckpoint(dataDir, date, opts = {}) {
+  if (!DATE_RE.test(date || "")) throw new Error(`Expected a YYYY-MM-DD edition date, got "${date}"`);
+  const from = opts.fromStage ? stageIndex(opts.fromStage) : STAGES.length;
+  const root = checkpointRoot(dataDir);
+  const dir = path.join(root, date);
+
+  if (fs.existsSync(root)) {
+    for (const name of fs.readdirSync(root)) {
+      if (name !== date) fs.rmSync(path.join(root, name), { recursive: true, force: true });
+    }
+  }
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = (stage) => path.join(dir, `${stage}.json`);
+  const dropFrom = (index) => {
+    for (const stage of STAGES.slice(index)) fs.rmSync(fileFor(stage), { force: true });
+    if (index <= stageIndex("generate")) fs.rmSync(path.join(dir, JOURNAL_FILE), { force: true });
+  };
+  if (opts.fromStage) {
+    for (const stage of STAGES.slice(0, from)) {
+      if (!fs.existsSync(fileFor(stage))) {
+        throw new Error(`--from-stage ${opts.fromStage} needs the ${stage} checkpoint, and ${date} has none`);
+      }
+    }
+    dropFrom(from);
+  }
+
+  // Once any stage runs live, nothing downstream may be loaded.
+  let live = false;
+  const resumed = [];
+
+  const handle = {
+    dir,
+    date,
+
+    /**
+     * Run one stage, or load it from disk when resuming. `fn` must return a
+     * JSON-serialisable value; it is written before run() resolves.
+     */
+    async run(stage, fn) {
+      stageIndex(stage);
+      const file = fileFor(stage);
+      if (!live && fs.existsSync(file)) {
+        try {
+          const { value } = JSON.parse(fs.readFileSync(file, "utf-8"));
+          resumed.push(stage);
+          console.log(`Checkpoint: resumed ${stage} from ${date}`);
+          return value;
+        } catch (e) {
+          console.warn(`Checkpoint: ${stage} unreadable, rerunning (${e.message})`);
+        }
+      }
+      live = true;
+      const value = await fn();
+      try {
+        fs.writeFileSync(file, JSON.stringify({ stage, savedAt: new Date().toISOString(), value }));
+      } catch (e) {
+        // A checkpoint that can't be written costs a resume, never the edition.
+        console.warn(`Checkpoint: ${stage} not saved (non-fatal): ${e.message}`);
+      }
+      return value;
+    },
+
+    /**
+     * Forget a stage and everything after it, so the next run redoes them —
+     * for output that was saved but then rejected (failed validation), which a
+     * resume would otherwise hand straight back.
+     */
+    discardFrom(stage) {
+      dropFrom(stageIndex(stage));
+      handle._journal = loadJournal(path.join(dir, JOURNAL_FILE));
+    },
+
+    /** Stages loaded from disk this run, in order. */
+    completed() {
+      return resumed.slice();
+    },
+
+    /** Remove this edition's checkpoint — called once it is published. */
+    clear() {
+      fs.rmSync(dir, { recursive: true, force: true });
+      if (_active === handle) _active = null;
+    },
+
+    _journal: loadJournal(path.join(dir, JOURNAL_FILE)),
+  };
+
+  _active = handle;
+  return handle;
+}
+
+function loadJournal(file) {
+  const byKey = new Map();
+  if (!fs.existsSync(file)) return byKey;
+  for (const line of fs.readFileSync(file, "utf-8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (!byKey.has(entry.id)) byKey.set(entry.id, { responses: [], next: 0 });
+      byKey.get(entry.id).responses.push(entry.response);
+    } catch {
+      // A torn last line from a killed process — everything before it still counts.
+    }
+  }
+  return byKey;
+}
+
+/**
+ * Route one LLM completion through the open checkpoint's journal. A prompt
+ * already answered in an earlier attempt gets that answer back (in order, when
+ * the same prompt was sent more than once); anything else goes live and is
+ * appended. Pass-through when no checkpoint is open.
+ * @param {object} params - the completion request
+ * @param {function} live - () => Promise of the completion response
+ */
+async function journaled(params, live) {
+  const cp = _active;
+  if (!cp) return live();
+  const id = journalKey(params);
+  const slot = cp._journal.get(id);
+  if (slot && slot.next < slot.responses.length) return slot.responses[slot.next++];
+
+  const response = await live();
+  // Re-check: the checkpoint may have been cleared while the call was in flight.
+  if (_active === cp) {
+    try {
+      fs.appendFileSync(path.join(cp.dir, JOURNAL_FILE), `${JSON.stringify({ id, response })}\n`);
+      if (!cp._journal.has(id)) cp._journal.set(id, { responses: [], next: 0 });
+      const s = cp._journal.get(id);
+      s.responses.push(response);
+      s.next = s.responses.length;
+    } catch (e) {
+      console.warn(`Checkpoint: LLM journal write failed (non-fatal): ${e.message}`);
+    }
+  }
+  return response;
+}
+
+/** Detach the journal without deleting anything. For tests and shutdown. */
+function closeCheckpoint() {
+  _active = null;
+}
+
+/**
+ * A handle that always runs live and stores nothing — what callers get when
+ * checkpointing is off, so stage code never branches on it.
+ */
+function noCheckpoint() {
+  return {
+    dir: null,
+    date: null,
+    run: (stage, fn) => fn(),
+    discardFrom() {},
+    completed: () => [],
+    clear() {},
+  };
+}
+
+/**
+ * Pull `--from-stage <name>` out of argv.
+ * @returns {string|null}
+ */
+function parseFromStage(argv) {
+  const idx = argv.indexOf("--from-stage");
+  if (idx === -1) return null;
+  const stage = argv[idx + 1];
+  if (!stage || stage.startsWith("--")) throw new Error(`--from-stage needs a stage: ${STAGES.join(", ")}`);
+  stageIndex(stage);
+  return stage;
+}
+
+module.exports = {
+  STAGES,
+  openCheckpoint,
+  closeCheckpoint,
+  noCheckpoint,
+  journaled,
+  parseFromStage,
+  checkpointRoot,
+};
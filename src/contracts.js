@@ -0,0 +1,203 @@
+/**
+ * Output contracts for the generation prompts.
+ *
+ * Every prompt in src/prompts.js asks for a JSON object, and each kind of answer
+ * has a declared schema here. The schema travels three ways: as the
+ * `response_format` of a provider that enforces structured output (see
+ * `structuredOutput` in src/llm-providers.js), as the check every reply is
+ * validated against, and inside the one repair prompt a failed reply gets.
+ * Models that ignore the contract still have the legacy marker parsers in
+ * src/xai.js behind them — this module only decides whether a reply kept it.
+ *
+ * The validator covers the JSON Schema subset the contracts use (type,
+ * properties, required, items, minLength, minimum, minItems). Schemas are written
+ * for strict mode: every property required, no additional properties.
+ */
+
+const str = (minLength = 0) => (minLength ? { type: "string", minLength } : { type: "string" });
+const list = (items) => ({ type: "array", items });
+const obj = (properties) => ({
+  type: "object",
+  properties,
+  required: Object.keys(properties),
+  additionalProperties: false,
+});
+
+const CONTRACTS = {
+  article: {
+    name: "article",
+    schema: obj({ headline: str(1), subheadline: str(), body: str(1), useCases: list(str(1)) }),
+  },
+  quickHits: {
+    name: "quick_hits",
+    schema: obj({ summaries: list(str(1)) }),
+  },
+  leadVote: {
+    name: "lead_vote",
+    schema: obj({ lead: { type: "integer", minimum: 1 }, why: str(1) }),
+  },
+  leadRationale: {
+    name: "lead_rationale",
+    schema: obj({ rationale: str(1) }),
+  },
+  modelDropHeadlines: {
+    name: "model_drop_headlines",
+    schema: obj({ headlines: list(str()) }),
+  },
+  weeklyDigest: {
+    name: "weekly_digest",
+    schema: obj({ headline: str(1), subheadline: str(), body: str(1), stories: list(str()) }),
+  },
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Validate a value against a contract schema.
+ * @returns {string[]} one message per violation, empty when the value conforms
+ */
+function validate(schema, value, at = "$") {
+  const actual = typeOf(value);
+  const matches = actual === schema.type || (schema.type === "number" && actual === "integer");
+  if (!matches) return [`${at} should be ${schema.type}, got ${actual}`];
+
+  const errors = [];
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}.${key} is missing`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validate(sub, value[key], `${at}.${key}`));
+    }
+  } else if (schema.type === "array") {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push(`${at} needs at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(schema.items, item, `${at}[${i}]`)));
+  } else if (schema.type === "string") {
+    if (schema.minLength && value.trim().length < schema.minLength) errors.push(`${at} is empty`);
+  } else if (schema.minimum != null && value < schema.minimum) {
+    errors.push(`${at} should be at least ${schema.minimum}`);
+  }
+  return errors;
+}
+
+// Models put literal newlines inside JSON strings more often than any other
+// mistake (an article body is several paragraphs). Escape control characters
+// that sit inside a string literal and leave the structure alone.
+function escapeStringControls(text) {
+  let out = "";
+  let inString = false;
+  let escaped = false;
+  for (const ch of text) {
+    if (inString && !escaped && (ch === "\n" || ch === "\r" || ch === "\t")) {
+      out += ch === "\n" ? "\\n" : ch === "\r" ? "\\r" : "\\t";
+      continue;
+    }
+    if (escaped) escaped = false;
+    else if (ch === "\\") escaped = inString;
+    else if (ch === '"') inString = !inString;
+    out += ch;
+  }
+  return out;
+}
+
+// Every balanced top-level {...} span in the text, string-aware so a brace in a
+// headline doesn't cut the object short.
+function objectSpans(text) {
+  const spans = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = depth > 0;
+    } else if (ch === "{") {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (ch === "}" && depth > 0) {
+      depth--;
+      if (depth === 0) spans.push(text.slice(start, i + 1));
+    }
+  }
+  return spans;
+}
+
+/**
+ * Pull the answer object out of a reply: bare JSON, fenced JSON, or JSON after
+ * some preamble. The LAST object wins — reasoning models restate the shape they
+ * were asked for before giving the real answer.
+ * @param {string} text
+ * @returns {object|undefined}
+ */
+function extractJson(text) {
+  const spans = objectSpans(String(text || ""));
+  for (let i = spans.length - 1; i >= 0; i--) {
+    for (const candidate of [spans[i], escapeStringControls(spans[i])]) {
+      try {
+        const value = JSON.parse(candidate);
+        if (typeOf(value) === "object") return value;
+      } catch {
+        /* try the lenient form, then the previous span */
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Check a reply against a contract, plus any call-specific rules (a vote in
+ * range, one summary per repo) passed as `check(value) => string[]`.
+ * @returns {{ ok: boolean, value: object|undefined, errors: string[] }}
+ */
+function checkReply(contract, text, check) {
+  const value = extractJson(text);
+  if (value === undefined) return { ok: false, value, errors: ["no JSON object in the reply"] };
+  const errors = validate(contract.schema, value);
+  if (errors.length === 0 && check) errors.push(...check(value));
+  return { ok: errors.length === 0, value, errors };
+}
+
+/** The `response_format` for a provider that enforces structured output. */
+function responseFormat(contract) {
+  return { type: "json_schema", json_schema: { name: contract.name, strict: true, schema: contract.schema } };
+}
+
+/**
+ * The one repair attempt: the original prompt again, what was wrong with the
+ * reply, and the schema it has to meet. Keeping the original prompt in front
+ * means the model repairs the same task rather than answering the complaint.
+ */
+function repairPrompt(prompt, contract, reply, errors) {
+  const previous = String(reply || "").trim().slice(0, 1500) || "(empty)";
+  return `${prompt}
+
+---
+Your previous reply could not be used: ${errors.slice(0, 5).join("; ")}.
+
+YOUR PREVIOUS REPLY:
+${previous}
+
+Reply again with ONLY the corrected JSON object — no prose, no code fence — matching this JSON Schema:
+${JSON.stringify(contract.schema)}`;
+}
+
+module.exports = {
+  CONTRACTS,
+  validate,
+  extractJson,
+  checkReply,
+  responseFormat,
+  repairPrompt,
+};
@@ -0,0 +1,461 @@
+/**
+ * Corrections and retractions for published stories.
+ *
+ * A published edition is static HTML, and until now the only way to fix one was
+ * a full republish — new LLM copy, a second newsletter. A correction is instead
+ * a dated notice attached to the story as printed:
+ *
+ *   addCorrection()     → the ledger, corrections/corrections.json on the site
+ *   applyCorrections()  → the notice injected in place into the article page and
+ *                         the edition front page (and /latest/ and the root when
+ *                         that edition is the newest), plus the /corrections/ page
+ *   feedEntries()       → one `correction` item per notice in the RSS/Atom feeds
+ *
+ * The ledger lives on the site for the same reason weekly/manifest.json does: the
+ * site is what CI carries between runs (checked out from gh-pages), while the
+ * sqlite file starts empty there. Injection is idempotent — each pass strips the
+ * previous notices and writes the current ones — so publish and rerender simply
+ * re-apply the whole ledger after they rewrite a page.
+ *
+ * The editor's desk runs on the API host, whose site copy CI never sees, so it
+ * files through the Worker instead (fileCorrection → POST /corrections) and
+ * publish merges the Worker's ledger into the site's before it writes anything
+ * (pullCorrections). The CLI's `add` writes the local ledger as before.
+ *
+ * The ledger is append-only by design. A paper doesn't delete a correction; a
+ * wrong one gets corrected by the next.
+ *
+ *   gittimes corrections list
+ *   gittimes corrections add <date> [slug] --text "…" [--retraction] [--editor name]
+ *   gittimes corrections apply
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { escapeHtml } = require("./render");
+const { applyTemplate } = require("./template-utils");
+
+const CORRECTIONS_DIR = "corrections";
+const LEDGER = "corrections.json";
+const KINDS = ["correction", "retraction"];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const SLUG_RE = /^[a-z0-9][a-z0-9-]*$/;
+const MAX_TEXT = 2000;
+
+// Injected notices sit between these markers so the next pass can find them.
+// Stripping a block (with the newline it was inserted after) restores the page
+// byte for byte, which is what keeps re-application idempotent.
+const BLOCK_RE = /\n<!-- gt-corrections -->[\s\S]*?<!-- \/gt-corrections -->/g;
+
+function ledgerPath(outDir) {
+  return path.join(outDir, CORRECTIONS_DIR, LEDGER);
+}
+
+/**
+ * Every correction on file, newest first. A missing ledger is an empty one; a
+ * corrupt one warns and reads as empty rather than taking the publish down.
+ * @param {string} outDir - site root
+ * @returns {Array<{id, date, slug, headline, kind, text, editor, at}>}
+ */
+function readCorrections(outDir) {
+  const file = ledgerPath(outDir);
+  if (!fs.existsSync(file)) return [];
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.warn(`Warning: corrupt corrections ledger: ${e.message}`);
+    return [];
+  }
+}
+
+function writeLedger(outDir, corrections) {
+  const dir = path.join(outDir, CORRECTIONS_DIR);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(ledgerPath(outDir), JSON.stringify(corrections, null, 2));
+}
+
+function decodeEntities(s) {
+  return s
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+// The headline as printed: the article page's <title>, or the edition's
+// manifest entry when the correction is to the edition as a whole.
+function printedHeadline(outDir, date, slug) {
+  if (slug) {
+    const page = fs.readFileSync(path.join(outDir, "editions", date, slug, "index.html"), "utf-8");
+    const m = page.match(/<title>([\s\S]*?) — The Git Times<\/title>/);
+    return m ? decodeEntities(m[1].trim()) : slug;
+  }
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(outDir, "editions", "manifest.json"), "utf-8"));
+    const entry = Array.isArray(manifest) && manifest.find((e) => e.date === date);
+    if (entry && entry.headline) return entry.headline;
+  } catch {
+    /* no manifest — fall through to the generic title */
+  }
+  return `The Git Times, ${date}`;
+}
+
+/**
+ * File a correction against a published story (or, with no slug, the edition).
+ * @param {string} outDir - site root
+ * @param {{date: string, slug?: string, text: string, kind?: string, editor?: string, at?: string}} input
+ * @returns {object} the stored record
+ * @throws when the edition or article isn't on the site, or the text is missing
+ */
+function addCorrection(outDir, input = {}) {
+  const corrections = readCorrections(outDir);
+  const record = newCorrection(outDir, input, corrections);
+  corrections.unshift(record);
+  writeLedger(outDir, corrections);
+  return record;
+}
+
+// The record addCorrection stores, numbered against `corrections` — validated
+// against the site but not yet written anywhere.
+function newCorrection(outDir, input, corrections) {
+  const date = String(input.date || "").trim();
+  const slug = String(input.slug || "").trim();
+  const text = String(input.text || "").trim();
+  const kind = String(input.kind || "correction").trim();
+  if (!DATE_RE.test(date)) throw new Error(`Expected a YYYY-MM-DD date, got "${date}"`);
+  if (slug && !SLUG_RE.test(slug)) throw new Error(`Not an article slug: "${slug}"`);
+  if (!text) throw new Error("Correction text is required");
+  if (text.length > MAX_TEXT) throw new Error(`Correction text is over ${MAX_TEXT} characters`);
+  if (!KINDS.includes(kind)) throw new Error(`kind must be one of: ${KINDS.join(", ")}`);
+  if (!fs.existsSync(path.join(outDir, "editions", date, "index.html"))) {
+    throw new Error(`No published edition for ${date}`);
+  }
+  if (slug && !fs.existsSync(path.join(outDir, "editions", date, slug, "index.html"))) {
+    throw new Error(`No article "${slug}" in the ${date} edition`);
+  }
+
+  const target = `${date}-${slug || "edition"}`;
+  const n = corrections.filter((c) => c.id.startsWith(`${target}-`)).length + 1;
+  return {
+    id: `${target}-${n}`,
+    date,
+    slug,
+    headline: printedHeadline(outDir, date, slug),
+    kind,
+    text,
+    editor: String(input.editor || "").trim(),
+    at: input.at || new Date().toISOString(),
+  };
+}
+
+/**
+ * Merge records into the site's ledger. A record already on file by id is
+ * kept as it is (the ledger is append-only); the rest go in, newest first.
+ * @param {string} outDir - site root
+ * @param {Array} records
+ * @returns {number} records added
+ */
+function mergeCorrections(outDir, records) {
+  const corrections = readCorrections(outDir);
+  const ids = new Set(corrections.map((c) => c.id));
+  const added = [];
+  for (const c of records || []) {
+    if (!c || !c.id || ids.has(c.id)) continue;
+    ids.add(c.id);
+    added.push(c);
+  }
+  if (added.length === 0) return 0;
+  const at = (c) => new Date(c.at).getTime() || 0;
+  writeLedger(outDir, [...added, ...corrections].sort((a, b) => at(b) - at(a)));
+  return added.length;
+}
+
+async function workerLedger(workerUrl, newsletterSecret, init = {}) {
+  const res = await fetch(workerUrl + "/corrections", {
+    ...init,
+    headers: {
+      Authorization: "Bearer " + newsletterSecret,
+      "Content-Type": "application/json",
+    },
+    signal: AbortSignal.timeout(15_000),
+  });
+  const data = await res.json();
+  if (!data.ok) throw new Error(data.error || `Corrections ledger answered ${res.status}`);
+  return data;
+}
+
+/**
+ * Bring the desk's corrections (the Worker's ledger) into the site's, so the
+ * publish that follows applies them. Publish runs this before it writes a page.
+ * @param {string} outDir - site root
+ * @param {{ workerUrl: string, newsletterSecret: string }} opts
+ * @returns {Promise<number>} corrections new to this site
+ */
+async function pullCorrections(outDir, { workerUrl, newsletterSecret }) {
+  const { items } = await workerLedger(workerUrl, newsletterSecret);
+  return mergeCorrections(outDir, items);
+}
+
+/**
+ * File a correction from the desk: validated against this host's site copy,
+ * numbered against the Worker's ledger (pulled in first, so ids never clash
+ * with ones filed elsewhere) and sent there for the next publish to apply. The
+ * local ledger gets it too, so the desk lists it at once.
+ * @param {string} outDir - the API host's site copy
+ * @param {object} input - as for addCorrection
+ * @param {{ workerUrl: string, newsletterSecret: string }} opts
+ * @returns {Promise<object>} the filed record
+ */
+async function fileCorrection(outDir, input, { workerUrl, newsletterSecret }) {
+  await pullCorrections(outDir, { workerUrl, newsletterSecret });
+  const record = newCorrection(outDir, input, readCorrections(outDir));
+  await workerLedger(workerUrl, newsletterSecret, { method: "POST", body: JSON.stringify(record) });
+  mergeCorrections(outDir, [record]);
+  return record;
+}
+
+function noticeDate(at) {
+  const d = new Date(at);
+  if (isNaN(d)) return "";
+  return d.toLocaleDateString("en-US", { month: "long", day: "numeric", year: "numeric", timeZone: "UTC" });
+}
+
+/**
+ * One notice, as it appears at the top of the corrected story.
+ * @param {{id, kind, text, at}} c
+ * @returns {string}
+ */
+function renderCorrectionNotice(c) {
+  const label = c.kind === "retraction" ? "Retraction" : "Correction";
+  return `<aside class="correction-notice correction-${escapeHtml(c.kind)}" id="correction-${escapeHtml(c.id)}" role="note">` +
+    `<span class="correction-label">${label}</span> ` +
+    `<time datetime="${escapeHtml(c.at)}">${escapeHtml(noticeDate(c.at))}</time>: ` +
+    `${escapeHtml(c.text)}</aside>`;
+}
+
+function block(notices) {
+  return `\n<!-- gt-corrections -->\n${notices.map(renderCorrectionNotice).join("\n")}\n<!-- /gt-corrections -->`;
+}
+
+/**
+ * Put a page's notices in place, replacing whatever an earlier pass injected.
+ * Article notices go inside the story's <article> — on the article page that is
+ * the only one; on a front page it is the card whose data-slug matches. Notices
+ * on the edition as a whole go under the masthead.
+ * @param {string} html
+ * @param {Array} corrections - this edition's corrections (any order)
+ * @param {{ slug?: string }} [opts] - set on an article page: only its notices apply
+ * @returns {string}
+ */
+function injectCorrections(html, corrections, opts = {}) {
+  let out = html.replace(BLOCK_RE, "");
+  // Oldest first, so the notice history reads down the page in order.
+  const ordered = [...corrections].sort((a, b) => String(a.at).localeCompare(String(b.at)));
+  const bySlug = new Map();
+  for (const c of ordered) {
+    if (!bySlug.has(c.slug)) bySlug.set(c.slug, []);
+    bySlug.get(c.slug).push(c);
+  }
+
+  if (opts.slug) {
+    const notices = bySlug.get(opts.slug) || [];
+    if (notices.length === 0) return out;
+    return out.replace(/<article class="[^"]*hybrid-article[^"]*"[^>]*>/, (tag) => tag + block(notices));
+  }
+
+  for (const [slug, notices] of bySlug) {
+    if (!slug) continue;
+    const card = new RegExp(`<article class="[^"]*hybrid-article[^"]*" data-slug="${slug}"[^>]*>`);
+    out = out.replace(card, (tag) => tag + block(notices));
+  }
+  const editionWide = bySlug.get("") || [];
+  if (editionWide.length > 0) {
+    out = out.replace(/<\/header>/, (tag) => tag + block(editionWide));
+  }
+  return out;
+}
+
+function patchFile(file, corrections, opts) {
+  if (!fs.existsSync(file)) return false;
+  const before = fs.readFileSync(file, "utf-8");
+  const after = injectCorrections(before, corrections, opts);
+  if (after === before) return false;
+  fs.writeFileSync(file, after);
+  return true;
+}
+
+function newestEditionDate(outDir) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(outDir, "editions", "manifest.json"), "utf-8"));
+    return Array.isArray(manifest) && manifest[0] ? manifest[0].date : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Inject every filed correction into the pages it concerns, and rewrite the
+ * /corrections/ index. Safe to run any number of times.
+ * @param {string} outDir - site root
+ * @param {{ basePath?: string, dates?: string[] }} [opts] - `dates` limits the page
+ *   patching to those editions (the index is always rewritten)
+ * @returns {{ corrections: number, pages: number }} pages actually changed
+ */
+function applyCorrections(outDir, opts = {}) {
+  const basePath = opts.basePath || "";
+  const corrections = readCorrections(outDir);
+  const byDate = new Map();
+  for (const c of corrections) {
+    if (opts.dates && !opts.dates.includes(c.date)) continue;
+    if (!byDate.has(c.date)) byDate.set(c.date, []);
+    byDate.get(c.date).push(c);
+  }
+
+  const newest = newestEditionDate(outDir);
+  let pages = 0;
+  for (const [date, list] of byDate) {
+    const editionDir = path.join(outDir, "editions", date);
+    const fronts = [path.join(editionDir, "index.html")];
+    // /latest/ and the root are copies of the newest edition's front page.
+    if (date === newest) fronts.push(path.join(outDir, "latest", "index.html"), path.join(outDir, "index.html"));
+    for (const file of fronts) if (patchFile(file, list)) pages++;
+    for (const slug of new Set(list.map((c) => c.slug).filter(Boolean))) {
+      if (patchFile(path.join(editionDir, slug, "index.html"), list, { slug })) pages++;
+    }
+  }
+
+  if (corrections.length > 0 || fs.existsSync(path.join(outDir, CORRECTIONS_DIR))) {
+    const dir = path.join(outDir, CORRECTIONS_DIR);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, "index.html"), renderCorrectionsPage(corrections, basePath));
+  }
+  return { corrections: corrections.length, pages };
+}
+
+function correctionUrl(c, basePath = "") {
+  const page = c.slug ? `/editions/${c.date}/${c.slug}/` : `/editions/${c.date}/`;
+  return `${basePath}${page}#correction-${c.id}`;
+}
+
+/**
+ * The /corrections/ page: every notice, newest first, linked to the story.
+ * @param {Array} corrections - readCorrections() order
+ * @param {string} basePath
+ * @returns {string} complete HTML
+ */
+function renderCorrectionsPage(corrections, basePath = "") {
+  const rows = corrections.map((c) => {
+    const label = c.kind === "retraction" ? "Retraction" : "Correction";
+    return `
+    <div class="archive-entry correction-entry">
+      <span class="archive-date">${escapeHtml(noticeDate(c.at))} <span class="archive-kind">${label}</span></span>
+      <a href="${escapeHtml(correctionUrl(c, basePath))}" class="archive-headline">${escapeHtml(c.headline || c.date)}</a>
+      <span class="archive-tagline">${escapeHtml(c.text)} <span class="correction-edition">(edition of ${escapeHtml(c.date)})</span></span>
+    </div>`;
+  });
+  const list = rows.length > 0
+    ? rows.join("\n")
+    : `<p class="archive-tagline">No corrections have been published.</p>`;
+  return applyTemplate("corrections", basePath).replace("{{CORRECTION_LIST}}", list);
+}
+
+/**
+ * Feed items for the corrections, in the manifest-entry shape feed.js reads.
+ * `date` is the day the correction ran, so it sorts among the editions by when
+ * readers would see it; `publishedAt` carries the exact time.
+ * @param {Array} corrections
+ * @returns {Array<{kind, date, publishedAt, headline, url, tagline}>}
+ */
+function feedEntries(corrections) {
+  return corrections.map((c) => ({
+    kind: c.kind === "retraction" ? "retraction" : "correction",
+    date: String(c.at || c.date).slice(0, 10),
+    publishedAt: c.at,
+    headline: c.headline || c.date,
+    url: correctionUrl(c),
+    tagline: c.text,
+  }));
+}
+
+/**
+ * Apply the ledger and rebuild the feeds — what a correction filed outside a
+ * publish (the desk, the CLI) needs to reach readers.
+ * @param {string} outDir
+ * @param {{ siteUrl?: string, basePath?: string }} [opts]
+ */
+function publishCorrections(outDir, opts = {}) {
+  const siteUrl = opts.siteUrl || "https://gittimes.com";
+  const basePath = opts.basePath || "";
+  const result = applyCorrections(outDir, { basePath });
+  // Lazy: publish requires this module for its own feeds.
+  const { readManifest, writeFeedsAndArchive } = require("./publish");
+  writeFeedsAndArchive(outDir, readManifest(outDir), { siteUrl, basePath });
+  return result;
+}
+
+function flag(args, name) {
+  const i = args.indexOf(name);
+  return i === -1 ? undefined : args[i + 1];
+}
+
+async function main() {
+  require("dotenv").config();
+  const [verb, ...args] = process.argv.slice(2);
+  const outDir = process.env.PUBLISH_DIR || "./site";
+  const siteUrl = process.env.SITE_BASE_URL || "https://gittimes.com";
+  const basePath = process.env.BASE_PATH || "";
+
+  if (verb === "list") {
+    const corrections = readCorrections(outDir);
+    if (corrections.length === 0) console.log("[corrections] none on file");
+    for (const c of corrections) {
+      console.log(`${c.at.slice(0, 10)}  ${c.kind.padEnd(10)} ${c.date}${c.slug ? `/${c.slug}` : ""} — ${c.text}`);
+    }
+    return;
+  }
+  if (verb === "add") {
+    const positional = args.filter((a, i) => !a.startsWith("--") && !(i > 0 && ["--text", "--editor"].includes(args[i - 1])));
+    const record = addCorrection(outDir, {
+      date: positional[0],
+      slug: positional[1],
+      text: flag(args, "--text"),
+      kind: args.includes("--retraction") ? "retraction" : "correction",
+      editor: flag(args, "--editor") || process.env.USER || "",
+    });
+    console.log(`[corrections] filed ${record.id}`);
+  } else if (verb !== "apply") {
+    console.error('Usage: gittimes corrections list | add <date> [slug] --text "…" [--retraction] [--editor name] | apply');
+    process.exitCode = 1;
+    return;
+  }
+  const { corrections, pages } = publishCorrections(outDir, { siteUrl, basePath });
+  console.log(`[corrections] ${corrections} on file; ${pages} page(s) updated in ${outDir}`);
+}
+
+if (require.main === module) {
+  main()
+    .catch((err) => {
+      console.error(`[corrections] ${err.message}`);
+      process.exitCode = 1;
+    })
+    .finally(() => require("./db").closeDb());
+}
+
+module.exports = {
+  KINDS,
+  CORRECTIONS_DIR,
+  readCorrections,
+  addCorrection,
+  mergeCorrections,
+  pullCorrections,
+  fileCorrection,
+  renderCorrectionNotice,
+  injectCorrections,
+  applyCorrections,
+  renderCorrectionsPage,
+  feedEntries,
+  publishCorrections,
+};
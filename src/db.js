@@ -149,6 +149,32 @@ function _initSchema(db) {
       PRIMARY KEY (entity_id, event_key)
     );
 
+    -- Story threads (src/threads.js). One row per running story: a repo, or a
+    -- company on the registry roster.
+    CREATE TABLE IF NOT EXISTS story_threads (
+      id         TEXT PRIMARY KEY,                     -- 'repo-denoland-deno', 'entity-openai'
+      kind       TEXT NOT NULL,                        -- 'repo' | 'entity'
+      subject    TEXT NOT NULL,                        -- repo full name or entity id
+      title      TEXT NOT NULL DEFAULT '',
+      status     TEXT NOT NULL DEFAULT 'developing',  -- 'developing' | 'resolved'
+      first_date TEXT NOT NULL DEFAULT '',
+      last_date  TEXT NOT NULL DEFAULT '',
+      UNIQUE (kind, subject)
+    );
+
+    -- Each piece of coverage filed under a thread. url is site-relative
+    -- (no base path): the article page, or the edition for a quick hit.
+    CREATE TABLE IF NOT EXISTS thread_articles (
+      thread_id    TEXT NOT NULL,
+      edition_date TEXT NOT NULL,
+      repo_name    TEXT NOT NULL,
+      headline     TEXT NOT NULL DEFAULT '',
+      section      TEXT NOT NULL DEFAULT '',
+      slot         TEXT NOT NULL DEFAULT '',
+      url          TEXT NOT NULL DEFAULT '',
+      PRIMARY KEY (thread_id, edition_date, repo_name)
+    );
+
     -- Daily price tape for the model catalog. Same dated-PK shape as
     -- repo_snapshots, deliberately without the prune: for prices the tail IS
     -- the value, and a price series can't be backfilled after the fact.
@@ -175,6 +201,7 @@ function _initSchema(db) {
     CREATE INDEX IF NOT EXISTS idx_model_prices_model ON model_prices(model_id, date DESC);
     CREATE INDEX IF NOT EXISTS idx_entity_events_entity ON entity_events(entity_id, occurred_at DESC);
     CREATE INDEX IF NOT EXISTS idx_entity_events_edition ON entity_events(edition_date);
+    CREATE INDEX IF NOT EXISTS idx_thread_articles_date ON thread_articles(edition_date);
     CREATE INDEX IF NOT EXISTS idx_edition_repos_repo ON edition_repos(repo_name);
     CREATE INDEX IF NOT EXISTS idx_repo_snapshots_repo ON repo_snapshots(repo_name);
     CREATE INDEX IF NOT EXISTS idx_used_quotes_text ON used_quotes(quote_text, author);
@@ -196,6 +223,30 @@ function _initSchema(db) {
   if (!cols.includes("slot_rank")) {
     db.exec("ALTER TABLE edition_repos ADD COLUMN slot_rank INTEGER DEFAULT -1");
   }
+
+  // Idempotent migration: edition budget. What the run cost, what it was allowed,
+  // and which optional passes it dropped to stay inside that (JSON array).
+  const metaCols = db.pragma("table_info(edition_meta)").map((c) => c.name);
+  if (!metaCols.includes("cost_usd")) {
+    db.exec("ALTER TABLE edition_meta ADD COLUMN cost_usd REAL DEFAULT 0");
+  }
+  if (!metaCols.includes("budget_tokens")) {
+    db.exec("ALTER TABLE edition_meta ADD COLUMN budget_tokens INTEGER DEFAULT NULL");
+  }
+  if (!metaCols.includes("budget_usd")) {
+    db.exec("ALTER TABLE edition_meta ADD COLUMN budget_usd REAL DEFAULT NULL");
+  }
+  if (!metaCols.includes("degradations")) {
+    db.exec("ALTER TABLE edition_meta ADD COLUMN degradations TEXT DEFAULT '[]'");
+  }
+  // Idempotent migration: output contracts. Replies that needed the repair call,
+  // and replies only the legacy marker parser could read.
+  if (!metaCols.includes("parse_repairs")) {
+    db.exec("ALTER TABLE edition_meta ADD COLUMN parse_repairs INTEGER DEFAULT 0");
+  }
+  if (!metaCols.includes("parse_fallbacks")) {
+    db.exec("ALTER TABLE edition_meta ADD COLUMN parse_fallbacks INTEGER DEFAULT 0");
+  }
 }
 
 // --- Edition / Manifest operations ---
@@ -298,20 +349,28 @@ function upsertEdition(dataDir, entry) {
  * Record generation telemetry for one edition. Idempotent (upsert by date).
  * Observational only — never read back by the generation/publish path.
  * @param {string} dataDir
- * @param {{ date, model, llmCalls, promptTokens, completionTokens, totalTokens, elapsedMs, generatedAt }} meta
+ * @param {{ date, model, llmCalls, promptTokens, completionTokens, totalTokens, costUsd,
+ *   budgetTokens, budgetUsd, degradations, parseRepairs, parseFallbacks, elapsedMs, generatedAt }} meta
  */
 function recordEditionMeta(dataDir, meta) {
   const db = getDb(dataDir);
   db.prepare(
     `INSERT INTO edition_meta
-       (date, model, llm_calls, prompt_tokens, completion_tokens, total_tokens, elapsed_ms, generated_at)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       (date, model, llm_calls, prompt_tokens, completion_tokens, total_tokens, cost_usd,
+        budget_tokens, budget_usd, degradations, parse_repairs, parse_fallbacks, elapsed_ms, generated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
      ON CONFLICT(date) DO UPDATE SET
        model = excluded.model,
        llm_calls = excluded.llm_calls,
        prompt_tokens = excluded.prompt_tokens,
        completion_tokens = excluded.completion_tokens,
        total_tokens = excluded.total_tokens,
+       cost_usd = excluded.cost_usd,
+       budget_tokens = excluded.budget_tokens,
+       budget_usd = excluded.budget_usd,
+       degradations = excluded.degradations,
+       parse_repairs = excluded.parse_repairs,
+       parse_fallbacks = excluded.parse_fallbacks,
        elapsed_ms = excluded.elapsed_ms,
        generated_at = excluded.generated_at`
   ).run(
@@ -321,6 +380,12 @@ function recordEditionMeta(dataDir, meta) {
     meta.promptTokens || 0,
     meta.completionTokens || 0,
     meta.totalTokens || 0,
+    meta.costUsd || 0,
+    meta.budgetTokens || null,
+    meta.budgetUsd || null,
+    JSON.stringify(meta.degradations || []),
+    meta.parseRepairs || 0,
+    meta.parseFallbacks || 0,
     meta.elapsedMs || 0,
     meta.generatedAt || ""
   );
@@ -333,7 +398,14 @@ function recordEditionMeta(dataDir, meta) {
  */
 function getEditionMeta(dataDir, date) {
   const db = getDb(dataDir);
-  return db.prepare("SELECT * FROM edition_meta WHERE date = ?").get(date) || null;
+  const row = db.prepare("SELECT * FROM edition_meta WHERE date = ?").get(date);
+  if (!row) return null;
+  try {
+    row.degradations = JSON.parse(row.degradations || "[]");
+  } catch {
+    row.degradations = [];
+  }
+  return row;
 }
 
 // --- Recent repos (for dedup) ---
@@ -826,6 +898,35 @@ function getEntityTimeline(dataDir, entityId, limit = 20) {
   }));
 }
 
+/**
+ * Every entity event recorded against one edition, with its company's name —
+ * what a reader following that company is alerted to. An event seen again on a
+ * later day is re-stamped with that day, so `eventKey` is what tells a repeat
+ * from news.
+ * @param {string} dataDir
+ * @param {string} editionDate
+ * @returns {Array<{entityId, name, eventKey, type, title, url, occurredAt}>}
+ */
+function getEditionEntityEvents(dataDir, editionDate) {
+  const db = getDb(dataDir);
+  const rows = db.prepare(`
+    SELECT ev.entity_id, e.name, ev.event_key, ev.type, ev.title, ev.url, ev.occurred_at
+    FROM entity_events ev
+    LEFT JOIN entities e ON e.id = ev.entity_id
+    WHERE ev.edition_date = ?
+    ORDER BY ev.entity_id, (ev.occurred_at = '') ASC, ev.occurred_at DESC
+  `).all(editionDate);
+  return rows.map((r) => ({
+    entityId: r.entity_id,
+    name: r.name || r.entity_id,
+    eventKey: r.event_key,
+    type: r.type,
+    title: r.title,
+    url: r.url,
+    occurredAt: r.occurred_at || null,
+  }));
+}
+
 /**
  * Record where each repo actually ran in one edition. Idempotent — a republish
  * overwrites the day's placements rather than doubling them. Rows are UPDATEd,
@@ -928,4 +1029,5 @@ module.exports = {
   recordRegistry,
   getEntityHistory,
   getEntityTimeline,
+  getEditionEntityEvents,
 };
@@ -7,13 +7,16 @@
  * are fed forward into tomorrow's lead prompt as standing editorial policy. No
  * published edition is ever rewritten; the signal only ever changes future picks.
  *
- * Two things are persisted:
+ * Three things are persisted:
  *   1. lead_slate  — the candidate slate the editor-in-chief actually chose from
  *                    on a given day. Without it a retrospective ruling has no
  *                    alternatives to rule between.
  *   2. editor_picks — one ruling per edition: override (Y should have led) or
  *                    confirm (the lead was right). Stored as a preference PAIR,
  *                    because "X over Y, on this slate" teaches; "I like Y" does not.
+ *   3. panel_votes — how each lens on the editor panel voted on that slate.
+ *                    Joined against the rulings, it says which lenses actually
+ *                    agree with the human editor (lensCalibration).
  *
  * Rulings are also mirrored to an append-only JSONL (`<dataDir>/editor-picks.jsonl`)
  * — the durable training log, git-friendly and independent of the sqlite file.
@@ -29,6 +32,10 @@ const path = require("path");
 const { getDb } = require("./db");
 
 const PICKS_LOG = "editor-picks.jsonl";
+// Lowest weight a panel lens can fall to (GT_PANEL_WEIGHT_FLOOR overrides). A lens
+// that keeps disagreeing with the editor is quieted, never silenced — one bad
+// month shouldn't take a perspective off the panel.
+const PANEL_WEIGHT_FLOOR = 0.25;
 
 /** Idempotent schema. Owned by this module, not db.js — the desk is optional. */
 function ensureSchema(db) {
@@ -63,6 +70,19 @@ function ensureSchema(db) {
       updated_at TEXT    NOT NULL DEFAULT ''
     );
 
+    -- The editor panel's ballot on the slate: one row per lens. winner_repo and
+    -- synthesis repeat per row so a single row reads on its own.
+    CREATE TABLE IF NOT EXISTS panel_votes (
+      edition_date  TEXT    NOT NULL,
+      lens          TEXT    NOT NULL,
+      candidate_idx INTEGER NOT NULL DEFAULT -1,  -- slate rank voted for; -1 = no usable vote
+      repo_name     TEXT    NOT NULL DEFAULT '',
+      why           TEXT    NOT NULL DEFAULT '',
+      winner_repo   TEXT    NOT NULL DEFAULT '',
+      synthesis     TEXT    NOT NULL DEFAULT '',
+      PRIMARY KEY (edition_date, lens)
+    );
+
     CREATE INDEX IF NOT EXISTS idx_lead_slate_repo ON lead_slate(repo_name);
   `);
   return db;
@@ -136,6 +156,144 @@ function getChosenRepo(dataDir, editionDate) {
   return row ? row.repo_name : null;
 }
 
+// ---------------------------------------------------------------------------
+// Panel ballot — how each lens voted
+// ---------------------------------------------------------------------------
+
+/**
+ * Record the editor panel's votes for one edition. Replaces the day's ballot on
+ * a republish, like the slate.
+ * @param {string} dataDir
+ * @param {string} editionDate
+ * @param {{winner?: string, synthesis?: string, votes: Array<{lens: string, idx: number, repo?: string, why?: string}>}} panel
+ *   idx is the slate rank voted for (-1 when the panelist returned nothing usable).
+ * @returns {number} votes written
+ */
+function recordPanelVotes(dataDir, editionDate, panel) {
+  const votes = panel && Array.isArray(panel.votes) ? panel.votes.filter((v) => v && v.lens) : [];
+  if (!editionDate || votes.length === 0) return 0;
+  const db = _db(dataDir);
+  const del = db.prepare("DELETE FROM panel_votes WHERE edition_date = ?");
+  const ins = db.prepare(
+    `INSERT OR REPLACE INTO panel_votes (edition_date, lens, candidate_idx, repo_name, why, winner_repo, synthesis)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  );
+  db.transaction(() => {
+    del.run(editionDate);
+    for (const v of votes) {
+      const idx = Number.isInteger(v.idx) ? v.idx : -1;
+      ins.run(editionDate, v.lens, idx, idx >= 0 ? v.repo || "" : "", v.why || "", panel.winner || "", panel.synthesis || "");
+    }
+  })();
+  return votes.length;
+}
+
+/** The panel's ballot for one edition, or null when it didn't sit (or predates the ledger). */
+function getPanelVotes(dataDir, editionDate) {
+  const rows = _db(dataDir)
+    .prepare("SELECT * FROM panel_votes WHERE edition_date = ? ORDER BY rowid")
+    .all(editionDate);
+  if (rows.length === 0) return null;
+  return {
+    winner: rows[0].winner_repo,
+    synthesis: rows[0].synthesis,
+    votes: rows.map((r) => ({ lens: r.lens, idx: r.candidate_idx, repo: r.repo_name, why: r.why })),
+  };
+}
+
+/**
+ * How often each lens voted for the story the human editor later said should
+ * have led — the evidence for reweighting or retiring a lens. Only editions with
+ * both a ballot and a ruling count; an abstention (no usable vote) is tallied
+ * but left out of the rate. The panel's own winner is scored the same way as
+ * the baseline every lens should beat.
+ *
+ * @param {string} dataDir
+ * @param {{lenses?: string[]}} [opts] - the current lens keys, listed first (and
+ *   shown even before they have data); lenses found only in the ledger are
+ *   reported with current: false
+ * @returns {{rulings: number, panel: object, lenses: Array<{lens, current, votes, agreed, abstained, rate, byMonth}>}}
+ */
+function lensCalibration(dataDir, opts = {}) {
+  const rows = _db(dataDir)
+    .prepare(
+      `SELECT v.edition_date, v.lens, v.candidate_idx, v.repo_name, v.winner_repo, p.preferred_repo
+       FROM panel_votes v JOIN editor_picks p ON p.edition_date = v.edition_date
+       ORDER BY v.edition_date, v.rowid`
+    )
+    .all();
+
+  const current = opts.lenses || [];
+  const byLens = new Map();
+  const tallyFor = (lens) => {
+    if (!byLens.has(lens)) {
+      byLens.set(lens, { lens, current: current.includes(lens), votes: 0, agreed: 0, abstained: 0, months: new Map() });
+    }
+    return byLens.get(lens);
+  };
+  for (const lens of current) tallyFor(lens);
+
+  const same = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+  const panel = { votes: 0, agreed: 0, dates: new Set() };
+  for (const r of rows) {
+    const t = tallyFor(r.lens);
+    if (!panel.dates.has(r.edition_date)) {
+      panel.dates.add(r.edition_date);
+      panel.votes++;
+      if (same(r.winner_repo, r.preferred_repo)) panel.agreed++;
+    }
+    if (r.candidate_idx < 0) {
+      t.abstained++;
+      continue;
+    }
+    const hit = same(r.repo_name, r.preferred_repo);
+    t.votes++;
+    if (hit) t.agreed++;
+    const month = r.edition_date.slice(0, 7);
+    const m = t.months.get(month) || { month, votes: 0, agreed: 0 };
+    m.votes++;
+    if (hit) m.agreed++;
+    t.months.set(month, m);
+  }
+
+  const rate = (agreed, votes) => (votes > 0 ? agreed / votes : null);
+  return {
+    rulings: panel.dates.size,
+    panel: { votes: panel.votes, agreed: panel.agreed, rate: rate(panel.agreed, panel.votes) },
+    lenses: [...byLens.values()].map((t) => ({
+      lens: t.lens,
+      current: t.current,
+      votes: t.votes,
+      agreed: t.agreed,
+      abstained: t.abstained,
+      rate: rate(t.agreed, t.votes),
+      byMonth: [...t.months.values()].map((m) => ({ ...m, rate: rate(m.agreed, m.votes) })),
+    })),
+  };
+}
+
+/**
+ * Tally weights for the editor panel, learned from lensCalibration. A lens's
+ * weight is its smoothed agreement rate ((agreed + 1) / (votes + 2)) relative
+ * to a coin flip, so a lens with no ruled ballots sits at exactly 1, one that
+ * always agrees approaches 2, and one that never does drops toward the floor.
+ *
+ * @param {string} dataDir
+ * @param {{lenses?: string[], floor?: number}} [opts]
+ * @returns {{weights: Object<string, number>, floor: number, rulings: number}}
+ */
+function lensWeights(dataDir, opts = {}) {
+  const envFloor = parseFloat(process.env.GT_PANEL_WEIGHT_FLOOR);
+  const floor = opts.floor != null ? opts.floor : Number.isFinite(envFloor) && envFloor > 0 ? envFloor : PANEL_WEIGHT_FLOOR;
+  const cal = lensCalibration(dataDir, { lenses: opts.lenses });
+  const weights = {};
+  for (const l of cal.lenses) {
+    const smoothed = (l.agreed + 1) / (l.votes + 2);
+    weights[l.lens] = Math.round(Math.max(floor, smoothed * 2) * 100) / 100;
+  }
+  return { weights, floor, rulings: cal.rulings };
+}
+
 // ---------------------------------------------------------------------------
 // Rulings — what the human thinks should have led
 // ---------------------------------------------------------------------------
@@ -326,6 +484,10 @@ module.exports = {
   recordSlate,
   getSlate,
   getChosenRepo,
+  recordPanelVotes,
+  getPanelVotes,
+  lensCalibration,
+  lensWeights,
   recordPick,
   getPick,
   recentPicks,
@@ -335,4 +497,5 @@ module.exports = {
   buildDeskBlock,
   preferencePairs,
   PICKS_LOG,
+  PANEL_WEIGHT_FLOOR,
 };
@@ -0,0 +1,106 @@
+"use strict";
+
+/**
+ * Email preview — every template in src/email.js rendered with fixture data
+ * and written to disk, to eyeball in a browser before it reaches an inbox.
+ *
+ *   gittimes email preview                  # all templates -> mock/email/
+ *   gittimes email preview newsletter       # just one
+ *   gittimes email preview --out <dir>
+ *
+ * Per template: <name>.html, <name>.txt (the plain-text part) and <name>.json
+ * (subject and headers). The same fixtures back the snapshot tests
+ * (test/email.test.js).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { renderEmail, TEMPLATES } = require("./email");
+
+const DEFAULT_OUT = path.join(__dirname, "..", "mock", "email");
+const EDITION_URL = "https://gittimes.com/editions/2026-06-27/";
+const UNSUBSCRIBE_URL = "https://gittimes-worker.example.workers.dev/newsletter/unsubscribe?email=reader%40example.com&token=0123456789abcdef0123456789abcdef";
+
+// One fixture per template: the fields the worker passes, at their fullest, so
+// a preview shows every block the template can render.
+const FIXTURES = {
+  newsletter: {
+    kind: "daily",
+    headline: "Ledgers Land: Idempotent Sends Go Mainstream",
+    subheadline: "Three projects ship exactly-once delivery in the same week & nobody planned it.",
+    tagline: "Retries are a feature, not a bug.",
+    date: "2026-06-27",
+    url: `${EDITION_URL}ledgers-land-idempotent-sends-go-mainstream/`,
+    repos: [],
+    leads: [
+      { id: "ai", label: "AI", headline: "Models Get Smaller", url: `${EDITION_URL}models-get-smaller/` },
+      { id: "frontPage", label: "Front Page", headline: "The <Paper's> Lead", url: `${EDITION_URL}the-papers-lead/` },
+    ],
+    followed: [{ repo: "rust-lang/cargo", headline: "Cargo Speeds Up", url: EDITION_URL }],
+    unsubscribeUrl: UNSUBSCRIBE_URL,
+  },
+  alertDigest: {
+    date: "2026-06-27",
+    items: [
+      { source: "placement", detail: "Systems lead", title: "Cargo Speeds Up", url: `${EDITION_URL}cargo-speeds-up/` },
+      { source: "release", detail: "GitHub release", title: "rust-lang/cargo v1.90.0", url: "https://github.com/rust-lang/cargo/releases/tag/v1.90.0" },
+      { source: "price", detail: "Price Board", title: "Anthropic cut Claude Sonnet 20% to $12/Mtok out", url: "https://gittimes.com/prices/" },
+    ],
+    unsubscribeUrl: "https://gittimes-worker.example.workers.dev/alerts/unsubscribe?email=reader%40example.com&token=0123456789abcdef0123456789abcdef",
+  },
+  magicLink: { url: "https://gittimes-worker.example.workers.dev/auth/verify?token=abc123" },
+  paymentFailed: {},
+  upgrade: {},
+  winback: {},
+  conversionAlert: { email: "reader@example.com", customerId: "cus_123", subscriptionId: "sub_456", at: "2026-06-27T12:00:00.000Z" },
+};
+
+/**
+ * Render templates with their fixtures and write them under outDir.
+ * @param {string} outDir
+ * @param {string[]} [names] - defaults to every template
+ * @returns {string[]} the files written
+ */
+function writePreviews(outDir, names = Object.keys(TEMPLATES)) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const written = [];
+  for (const name of names) {
+    const { subject, html, text, headers } = renderEmail(name, FIXTURES[name] || {});
+    const base = path.join(outDir, name);
+    fs.writeFileSync(`${base}.html`, html);
+    fs.writeFileSync(`${base}.txt`, text);
+    fs.writeFileSync(`${base}.json`, JSON.stringify({ subject, headers }, null, 2) + "\n");
+    written.push(`${base}.html`, `${base}.txt`, `${base}.json`);
+  }
+  return written;
+}
+
+function parseArgs(argv) {
+  const opts = { out: DEFAULT_OUT, names: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--out") opts.out = path.resolve(argv[++i] || "");
+    else if (a.startsWith("-")) throw new Error(`unknown option ${a}`);
+    else if (!TEMPLATES[a]) throw new Error(`unknown template "${a}" (have: ${Object.keys(TEMPLATES).join(", ")})`);
+    else opts.names.push(a);
+  }
+  if (!opts.names.length) opts.names = Object.keys(TEMPLATES);
+  return opts;
+}
+
+function main() {
+  const { out, names } = parseArgs(process.argv.slice(2));
+  writePreviews(out, names);
+  console.log(`[email] ${names.length} template(s) written to ${path.relative(process.cwd(), out) || "."}: ${names.join(", ")}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(`[email] ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { writePreviews, parseArgs, FIXTURES };
@@ -0,0 +1,255 @@
+"use strict";
+
+/**
+ * Email templates — every email The Git Times sends.
+ *
+ * renderEmail(name, data) returns { subject, html, text, headers }: the HTML
+ * from the template, a plain-text part derived from that HTML (so the two never
+ * drift), and, for mail a reader can opt out of (anything rendered with an
+ * `unsubscribeUrl`), the List-Unsubscribe / List-Unsubscribe-Post pair that
+ * lets mail clients offer one-click unsubscribe (RFC 8058).
+ *
+ *   gittimes email preview [template]   # writes mock/email/<name>.{html,txt,json}
+ *
+ * CANONICAL COPY, like src/retrieve.js: the worker sends these emails from a
+ * bundle of this module generated by `npm run build:worker`. Run that after
+ * any change here, and keep the module free of Node built-ins.
+ */
+
+const SITE_URL = "https://gittimes.com";
+const ACCOUNT_URL = `${SITE_URL}/account/`;
+
+function escapeHtml(s) {
+  return String(s == null ? "" : s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+const LABEL_STYLE = "margin:0 0 8px;font-size:13px;font-weight:bold;color:#888;text-transform:uppercase;letter-spacing:1px;";
+const P_STYLE = "margin:0 0 16px;font-size:15px;color:#333;line-height:1.6;";
+
+function button(url, label) {
+  return `<tr><td style="padding:8px 32px 32px;text-align:center;">
+    <a href="${escapeHtml(url)}" style="display:inline-block;padding:12px 32px;background:#2c2c2c;color:#fff;text-decoration:none;font-size:15px;font-weight:bold;letter-spacing:0.5px;">${escapeHtml(label)}</a>
+  </td></tr>`;
+}
+
+function paragraphs(lines) {
+  return `<tr><td style="padding:32px 32px 8px;">
+    ${lines.map((l) => `<p style="${P_STYLE}">${l}</p>`).join("\n    ")}
+  </td></tr>`;
+}
+
+// The newspaper frame every email shares: masthead, the template's rows, and a
+// footer — with the unsubscribe link when the mail is one a reader can leave.
+function layout({ dateline, rows, footer, unsubscribeUrl }) {
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1.0"></head>
+<body style="margin:0;padding:0;background:#f4f1eb;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;">
+<table width="100%" cellpadding="0" cellspacing="0" style="background:#f4f1eb;"><tr><td align="center" style="padding:24px 16px;">
+<table width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#fff;border:1px solid #d5d0c4;">
+  <tr><td style="padding:24px 32px 16px;border-bottom:2px solid #2c2c2c;text-align:center;">
+    <h2 style="margin:0;font-family:Georgia,serif;font-size:24px;color:#2c2c2c;letter-spacing:1px;">The Git Times</h2>
+    ${dateline ? `<p style="margin:4px 0 0;font-size:13px;color:#888;">${escapeHtml(dateline)}</p>` : ""}
+  </td></tr>
+  ${rows.filter(Boolean).join("\n  ")}
+  <tr><td style="padding:16px 32px;border-top:1px solid #e8e4dc;text-align:center;">
+    <p style="margin:0;font-size:12px;color:#aaa;">${escapeHtml(footer)}</p>
+    ${unsubscribeUrl ? `<p style="margin:4px 0 0;font-size:12px;"><a href="${escapeHtml(unsubscribeUrl)}" style="color:#aaa;">Unsubscribe</a></p>` : ""}
+  </td></tr>
+</table>
+</td></tr></table>
+</body></html>`;
+}
+
+function listBlock(label, items, lineHeight = "1.5") {
+  if (!items.length) return "";
+  return `<tr><td style="padding:0 32px 20px;">
+    <p style="${LABEL_STYLE}">${escapeHtml(label)}</p>
+    <ul style="margin:0;padding:0 0 0 20px;font-size:14px;line-height:${lineHeight};">${items.join("")}</ul>
+  </td></tr>`;
+}
+
+const TEMPLATES = {
+  // The daily edition, cut per subscriber by the worker (leads/followed), and
+  // the Sunday digest (src/weekly.js), which rides it with its own labels.
+  newsletter: {
+    subject: ({ kind, headline }) =>
+      kind === "weekly" ? `The Week in Review: ${headline || "The Git Times"}` : headline || "Today's Git Times",
+    html({ kind, headline, subheadline, tagline, date, url, repos, leads, followed, unsubscribeUrl }) {
+      const weekly = kind === "weekly";
+      const link = (item) => `<a href="${escapeHtml(item.url)}" style="color:#2c2c2c;">${escapeHtml(item.headline)}</a>`;
+      return layout({
+        dateline: `${weekly ? "The Week in Review · " : ""}${date || ""}`,
+        rows: [
+          `<tr><td style="padding:32px 32px 16px;">
+    <h1 style="margin:0 0 12px;font-family:Georgia,serif;font-size:22px;color:#2c2c2c;line-height:1.3;">${escapeHtml(headline || "Today's Edition")}</h1>
+    ${subheadline ? `<p style="margin:0 0 16px;font-size:16px;color:#555;line-height:1.5;">${escapeHtml(subheadline)}</p>` : ""}
+    ${tagline ? `<blockquote style="margin:0 0 20px;padding:12px 16px;border-left:3px solid #c5a55a;background:#faf8f4;font-style:italic;color:#666;font-size:14px;">${escapeHtml(tagline)}</blockquote>` : ""}
+  </td></tr>`,
+          listBlock("Repos You Follow Appeared Today", (followed || []).map(
+            (st) => `<li style="margin:0 0 6px;color:#333;"><strong>${escapeHtml(st.repo)}</strong> &mdash; ${link(st)}</li>`
+          )),
+          listBlock("Across the Desks", (leads || []).map(
+            (l) => `<li style="margin:0 0 6px;color:#333;"><span style="font-size:12px;color:#888;text-transform:uppercase;letter-spacing:1px;">${escapeHtml(l.label)}</span><br>${link(l)}</li>`
+          )),
+          listBlock(weekly ? "This Week's Stories" : "Trending Today", (repos || []).map(
+            (r) => `<li style="margin:0 0 4px;color:#333;">${escapeHtml(r)}</li>`
+          ), "1.6"),
+          button(url || `${SITE_URL}/latest/`, weekly ? "Read the Week in Review" : "Read the Full Edition"),
+        ],
+        footer: "You're receiving this because you subscribed to The Git Times.",
+        unsubscribeUrl,
+      });
+    },
+  },
+
+  // A reader's watchlist matches from one edition (worker /alerts/publish).
+  alertDigest: {
+    subject: ({ items }) => {
+      const n = (items || []).length;
+      return `Your watchlist: ${n} new alert${n === 1 ? "" : "s"} — The Git Times`;
+    },
+    html: ({ date, items, unsubscribeUrl }) =>
+      layout({
+        dateline: date || "",
+        rows: [
+          paragraphs(["Things you follow showed up in today's edition."]),
+          listBlock("Your Alerts", (items || []).map(
+            (a) => `<li style="margin:0 0 6px;color:#333;"><span style="font-size:12px;color:#888;text-transform:uppercase;letter-spacing:1px;">${escapeHtml(a.detail || a.source)}</span><br><a href="${escapeHtml(a.url)}" style="color:#2c2c2c;">${escapeHtml(a.title)}</a></li>`
+          )),
+          button(ACCOUNT_URL, "Manage your watchlist"),
+        ],
+        footer: "You're receiving this because you follow these on your Git Times account.",
+        unsubscribeUrl,
+      }),
+  },
+
+  magicLink: {
+    subject: () => "Sign in to The Git Times",
+    html: ({ url }) =>
+      layout({
+        rows: [
+          paragraphs(["Click the button below to sign in to your Git Times account. This link expires in 15 minutes."]),
+          button(url, "Sign In"),
+          paragraphs([`Or paste this link into your browser: <a href="${escapeHtml(url)}" style="color:#2c2c2c;word-break:break-all;">${escapeHtml(url)}</a>`]),
+        ],
+        footer: "If you didn't request this, you can safely ignore this email.",
+      }),
+  },
+
+  paymentFailed: {
+    subject: () => "Action Required: Payment Failed — The Git Times",
+    html: () =>
+      layout({
+        rows: [
+          paragraphs([
+            "Your most recent payment for The Git Times Premium failed.",
+            "Please update your payment method within 3 days to keep your Premium access. If you don't, your account will revert to the Free plan.",
+          ]),
+          button(ACCOUNT_URL, "Manage your account"),
+        ],
+        footer: "You're receiving this because you have a Premium subscription to The Git Times.",
+      }),
+  },
+
+  upgrade: {
+    subject: () => "Welcome to Premium — The Git Times",
+    html: () =>
+      layout({
+        rows: [
+          paragraphs([
+            "You're now a Premium member of The Git Times!",
+            "You have unlimited access to AI-powered chat about trending repos and developer news.",
+          ]),
+          button(ACCOUNT_URL, "Visit your account"),
+        ],
+        footer: "Thank you for supporting The Git Times.",
+      }),
+  },
+
+  // Sent on cancellation — the leakiest hop in the funnel.
+  winback: {
+    subject: () => "Your Premium has ended — come back any time",
+    html: () =>
+      layout({
+        rows: [
+          paragraphs([
+            "Your Premium subscription to The Git Times has ended, and your account is back on the Free plan.",
+            "You can still read every edition and ask a few AI questions a day. If you'd like unlimited AI access to trending repos and developer news again, you can re-subscribe any time.",
+          ]),
+          button(ACCOUNT_URL, "Reactivate Premium"),
+          paragraphs(["We'd genuinely value knowing what made you cancel — just reply to this email."]),
+        ],
+        footer: "You're receiving this because you had a Premium subscription to The Git Times.",
+      }),
+  },
+
+  // Owner-facing, to env.ALERT_EMAIL.
+  conversionAlert: {
+    subject: () => "New Premium conversion — The Git Times",
+    html: ({ email, customerId, subscriptionId, at }) =>
+      layout({
+        rows: [
+          paragraphs(["A reader just converted free &rarr; premium."]),
+          listBlock("Conversion", [
+            `Email: ${escapeHtml(email || "(unknown)")}`,
+            `Stripe customer: ${escapeHtml(customerId || "(none)")}`,
+            `Stripe subscription: ${escapeHtml(subscriptionId || "(none)")}`,
+            `At: ${escapeHtml(at || "")}`,
+          ].map((x) => `<li style="margin:0 0 4px;color:#333;">${x}</li>`)),
+        ],
+        footer: "Owner alert — set by ALERT_EMAIL on the worker.",
+      }),
+  },
+};
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", mdash: "—", ndash: "–", rarr: "→", middot: "·", hellip: "…" };
+
+/**
+ * The plain-text part of an email, from its HTML: links keep their URL in
+ * parentheses (bare when the text is the URL), list items become "- " lines,
+ * block ends become line breaks, and tags and entities go.
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  return String(html)
+    .replace(/<head[\s\S]*?<\/head>/gi, "")
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, inner) => {
+      const label = inner.replace(/<[^>]+>/g, "").trim();
+      return label && label !== href ? `${label} (${href})` : href;
+    })
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "\n- ")
+    .replace(/<\/(p|h1|h2|h3|blockquote|ul|ol|tr)>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (m, e) => {
+      if (e[0] !== "#") return ENTITIES[e.toLowerCase()] ?? m;
+      const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    })
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim() + "\n";
+}
+
+/**
+ * Render one email.
+ * @param {string} name - a key of TEMPLATES
+ * @param {object} [data] - the template's fields; `unsubscribeUrl` also sets the List-Unsubscribe headers
+ * @returns {{ subject: string, html: string, text: string, headers: object }}
+ */
+function renderEmail(name, data = {}) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`unknown email template "${name}" (have: ${Object.keys(TEMPLATES).join(", ")})`);
+  const html = template.html(data);
+  const headers = {};
+  if (data.unsubscribeUrl) {
+    headers["List-Unsubscribe"] = `<${data.unsubscribeUrl}>`;
+    headers["List-Unsubscribe-Post"] = "List-Unsubscribe=One-Click";
+  }
+  return { subject: template.subject(data), html, text: htmlToText(html), headers };
+}
+
+module.exports = { renderEmail, htmlToText, escapeHtml, TEMPLATES };
@@ -0,0 +1,329 @@
+/**
+ * Fact-check — hold each generated article to the repo record it was written from.
+ *
+ * The model is handed real numbers (stars, growth, release tag, language, README)
+ * and sometimes hands back different ones: a rounded-up star count, a version that
+ * was never tagged, a Go project "written in Rust". This pass pulls the checkable
+ * claims out of every article's headline, subheadline and body and compares each
+ * against the repo fields the pipeline fetched:
+ *
+ *   stars      "12.4k stars"          repo.stars                  rewrite
+ *   starDelta  "gained 1,200 stars"   repo.starDelta              rewrite
+ *   language   "written in Rust"      repo.language (+ README)    rewrite
+ *   version    "v2.3.0"               release tag, notes, README  flag; block in a headline
+ *   year       "created in 2019"      repo.createdAt              flag
+ *
+ * A wrong number or language with a known right answer is rewritten in place. A
+ * claim nothing on record supports is flagged and left as written — a call for
+ * the editor, not the pipeline. A headline built on a release the repo never
+ * tagged is blocked: the article can't run. Claims with nothing to check against
+ * (no starDelta, no language) are skipped, not flagged.
+ *
+ * applyFactCheck() (src/publish.js) runs this ahead of validation and acts on
+ * blocks; the report is written next to the edition as factcheck.json, and the
+ * Editor's Desk lists its flags beside the corrections form (readFactFlags).
+ * GT_DISABLE_FACTCHECK=1 turns it off.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const FACTCHECK_FILE = "factcheck.json";
+const FACTCHECK_VERSION = 1;
+
+// Star counts drift between fetch and print, and writers round — 10% either way
+// is the same fact. Growth windows differ by a day or so, hence the looser bound.
+const STAR_TOLERANCE = 0.1;
+const DELTA_TOLERANCE = 0.15;
+
+const LANGUAGES = [
+  "Rust", "Go", "Golang", "Python", "TypeScript", "JavaScript", "C\\+\\+", "C#", "C", "Java",
+  "Kotlin", "Swift", "Ruby", "Zig", "Elixir", "Haskell", "Scala", "PHP", "Lua", "Dart",
+  "Julia", "OCaml", "Nim", "Mojo",
+];
+const LANGUAGE_ALIASES = { golang: "go" };
+
+const STAR_RE = /(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)\s*(k|K|thousand|m|M|million)?\+?\s+(?:new\s+)?(?:GitHub\s+)?stars?\b/gi;
+const GAIN_BEFORE_RE = /(?:\+|\b(?:gain(?:ed|ing)?|add(?:ed|ing)?|picked up|pulled in|racked up|earned|jump(?:ed)? by|grew by|up))\s*(?:over|more than|nearly|almost|about|around|roughly)?\s*$/i;
+const GAIN_AFTER_RE = /^\s*(?:this|last|in the (?:past|last)|over the (?:past|last)|in (?:just )?(?:a|one|\d+) (?:week|day|days))/i;
+const RATE_AFTER_RE = /^\s*(?:a|per|each)\s+(?:day|week|hour)/i;
+const QUALIFIER_RE = /\b(over|more than|upwards of|nearly|almost|under|fewer than|less than)\s*\+?$/i;
+const LANGUAGE_RE = new RegExp(`\\b(?:[Ww]ritten in|[Bb]uilt in|[Ii]mplemented in|[Aa] pure|[Pp]ure)\\s+(${LANGUAGES.join("|")})(?![\\w+#])`, "g");
+const VERSION_RE = /\b(?:v(\d+(?:\.\d+){1,3}(?:-[0-9A-Za-z.]+)?)|(?:version|release|released)\s+v?(\d+(?:\.\d+){1,3}(?:-[0-9A-Za-z.]+)?))\b/gi;
+const YEAR_RE = /\b(?:created|started|founded|open[- ]sourced|first published)\s+(?:in|back in)\s+((?:19|20)\d{2})\b/gi;
+
+function parseCount(num, unit) {
+  let n = parseFloat(num.replace(/,/g, ""));
+  if (/^(k|thousand)$/i.test(unit || "")) n *= 1_000;
+  if (/^(m|million)$/i.test(unit || "")) n *= 1_000_000;
+  return Math.round(n);
+}
+
+/** Print `n` the way the claim printed its number: "12.4k" for "12k", "12,400" for "12,000". */
+function formatLike(n, unit) {
+  if (/^(k|K)$/.test(unit || "")) return `${(n / 1000).toFixed(1).replace(/\.0$/, "")}${unit}`;
+  if (/^(m|M)$/.test(unit || "")) return `${(n / 1_000_000).toFixed(1).replace(/\.0$/, "")}${unit}`;
+  if (/^thousand$/i.test(unit || "")) return `${(n / 1000).toFixed(1).replace(/\.0$/, "")} thousand`;
+  if (/^million$/i.test(unit || "")) return `${(n / 1_000_000).toFixed(1).replace(/\.0$/, "")} million`;
+  return n.toLocaleString("en-US");
+}
+
+function normLanguage(lang) {
+  const l = String(lang || "").toLowerCase();
+  return LANGUAGE_ALIASES[l] || l;
+}
+
+function normVersion(v) {
+  return String(v || "").replace(/^v/i, "").toLowerCase();
+}
+
+/**
+ * Checkable claims in one piece of text, in order of appearance.
+ * @returns {Array<{ kind, text, index, claimed, unit?, qualifier? }>}
+ */
+function extractClaims(text) {
+  if (!text) return [];
+  const claims = [];
+
+  for (const m of text.matchAll(STAR_RE)) {
+    const before = text.slice(Math.max(0, m.index - 40), m.index);
+    const after = text.slice(m.index + m[0].length, m.index + m[0].length + 30);
+    if (RATE_AFTER_RE.test(after)) continue; // "300 stars a day" is a rate, not a total
+    const kind = GAIN_BEFORE_RE.test(before) || GAIN_AFTER_RE.test(after) ? "starDelta" : "stars";
+    const q = before.match(QUALIFIER_RE);
+    claims.push({
+      kind,
+      text: m[0],
+      index: m.index,
+      // The printed figure, unit included — what a rewrite replaces.
+      number: m[2] ? m[0].slice(0, m[0].indexOf(m[2], m[1].length) + m[2].length) : m[1],
+      claimed: parseCount(m[1], m[2]),
+      unit: m[2] || null,
+      qualifier: q ? q[1].toLowerCase() : null,
+    });
+  }
+  for (const m of text.matchAll(LANGUAGE_RE)) {
+    claims.push({ kind: "language", text: m[0], index: m.index, claimed: m[1] });
+  }
+  for (const m of text.matchAll(VERSION_RE)) {
+    // A version is the article's own subject when it is introduced as a release or
+    // follows a project name ("vllm v0.9.0"), not when it's a dependency ("CUDA v12.1").
+    claims.push({
+      kind: "version",
+      text: m[0],
+      index: m.index,
+      claimed: m[1] || m[2],
+      keyword: !!m[2],
+      before: text.slice(Math.max(0, m.index - 30), m.index).toLowerCase(),
+    });
+  }
+  for (const m of text.matchAll(YEAR_RE)) {
+    claims.push({ kind: "year", text: m[0], index: m.index, claimed: Number(m[1]) });
+  }
+  return claims.sort((a, b) => a.index - b.index);
+}
+
+function countHolds(claimed, actual, qualifier, tolerance) {
+  switch (qualifier) {
+    case "over":
+    case "more than":
+    case "upwards of":
+      return actual >= claimed * (1 - tolerance);
+    case "under":
+    case "fewer than":
+    case "less than":
+      return actual <= claimed * (1 + tolerance);
+    case "nearly":
+    case "almost":
+      return actual <= claimed * (1 + tolerance) && actual >= claimed * (1 - 2 * tolerance);
+    default:
+      return Math.abs(claimed - actual) <= actual * tolerance;
+  }
+}
+
+/**
+ * Verdict on one claim against one repo.
+ * @returns {{ status: "ok"|"contradicted"|"unsupported"|"unchecked", actual, fix? }}
+ */
+function checkClaim(claim, repo, field) {
+  const r = repo || {};
+  switch (claim.kind) {
+    case "stars": {
+      // Enriched repos carry `stars`; a raw GitHub object (an unenriched sleeper) the API's name.
+      const stars = typeof r.stars === "number" ? r.stars : r.stargazers_count;
+      if (typeof stars !== "number" || stars <= 0) return { status: "unchecked", actual: null };
+      if (countHolds(claim.claimed, stars, claim.qualifier, STAR_TOLERANCE)) return { status: "ok", actual: stars };
+      return { status: "contradicted", actual: stars, fix: formatLike(stars, claim.unit) };
+    }
+    case "starDelta": {
+      if (typeof r.starDelta !== "number" || r.starDelta <= 0) return { status: "unchecked", actual: null };
+      if (countHolds(claim.claimed, r.starDelta, claim.qualifier, DELTA_TOLERANCE)) return { status: "ok", actual: r.starDelta };
+      return { status: "contradicted", actual: r.starDelta, fix: formatLike(r.starDelta, claim.unit) };
+    }
+    case "language": {
+      if (!r.language || r.language === "Unknown") return { status: "unchecked", actual: null };
+      if (normLanguage(claim.claimed) === normLanguage(r.language)) return { status: "ok", actual: r.language };
+      // GitHub records one primary language; a Rust core under Python bindings is
+      // still "written in Rust" if the project says so itself.
+      const own = [r.description, r.readmeExcerpt, ...(r.topics || [])].join(" ").toLowerCase();
+      if (own.includes(claim.claimed.toLowerCase())) return { status: "ok", actual: r.language };
+      return { status: "contradicted", actual: r.language, fix: r.language };
+    }
+    case "version": {
+      const wanted = normVersion(claim.claimed);
+      const record = [r.releaseName, r.releaseNotes, r.readmeExcerpt, r.description, r.name].join(" ").toLowerCase();
+      if (record.includes(wanted)) return { status: "ok", actual: r.releaseName || null };
+      const ownRelease = claim.keyword || (!!r.shortName && claim.before.trimEnd().endsWith(String(r.shortName).toLowerCase()));
+      return { status: "unsupported", actual: r.releaseName || null, block: field === "headline" && !!r.releaseName && ownRelease };
+    }
+    case "year": {
+      const created = r.createdAt ? new Date(r.createdAt).getUTCFullYear() : NaN;
+      if (!Number.isFinite(created)) return { status: "unchecked", actual: null };
+      if (claim.claimed === created) return { status: "ok", actual: created };
+      return { status: "unsupported", actual: created };
+    }
+    default:
+      return { status: "unchecked", actual: null };
+  }
+}
+
+/**
+ * Check one article, rewriting contradicted numbers and languages in place.
+ * @returns {{ claims: object[], blocked: boolean }}
+ */
+function checkArticle(article) {
+  const repo = article.repo || {};
+  const results = [];
+  let blocked = false;
+
+  for (const field of ["headline", "subheadline", "body"]) {
+    const text = article[field];
+    if (typeof text !== "string" || !text) continue;
+    let rewritten = text;
+    // Right to left, so each rewrite leaves earlier indexes valid.
+    for (const claim of extractClaims(text).reverse()) {
+      const verdict = checkClaim(claim, repo, field);
+      if (verdict.status === "unchecked") continue;
+      let action = null;
+      if (verdict.status === "contradicted" && verdict.fix != null) {
+        action = "rewrite";
+        const from = claim.kind === "language" ? claim.claimed : claim.number;
+        const local = claim.text.replace(from, verdict.fix);
+        rewritten = rewritten.slice(0, claim.index) + local + rewritten.slice(claim.index + claim.text.length);
+      } else if (verdict.block) {
+        action = "block";
+        blocked = true;
+      } else if (verdict.status !== "ok") {
+        action = "flag";
+      }
+      results.unshift({
+        kind: claim.kind,
+        field,
+        text: claim.text,
+        claimed: claim.claimed,
+        actual: verdict.actual,
+        status: verdict.status,
+        action,
+      });
+    }
+    if (rewritten !== text) article[field] = rewritten;
+  }
+
+  return { claims: results, blocked };
+}
+
+/** Every (section, slot, article) the checker looks at. Trend pieces span many repos; skipped. */
+function* checkableArticles(content) {
+  for (const [section, s] of Object.entries(content?.sections || {})) {
+    if (!s || s.isEmpty) continue;
+    if (s.lead) yield { section, slot: "lead", article: s.lead };
+    for (const slot of ["secondary", "deepCuts"]) {
+      for (const article of s[slot] || []) yield { section, slot, article };
+    }
+  }
+}
+
+/**
+ * Fact-check a whole content tree. Rewrites and flags are applied in place;
+ * blocked articles are reported for the caller to pull.
+ * @param {object} content
+ * @returns {{ report: object, blocked: Array<{ section, slot, article }> }}
+ */
+function factCheckContent(content) {
+  const report = {
+    version: FACTCHECK_VERSION,
+    checkedAt: new Date().toISOString(),
+    totals: { articles: 0, claims: 0, ok: 0, rewritten: 0, flagged: 0, blocked: 0 },
+    articles: [],
+  };
+  const blocked = [];
+
+  for (const entry of checkableArticles(content)) {
+    const { article } = entry;
+    if (article._isTrend || article._isFallback) continue;
+    report.totals.articles++;
+    const { claims, blocked: isBlocked } = checkArticle(article);
+    if (claims.length === 0) continue;
+
+    report.totals.claims += claims.length;
+    for (const c of claims) {
+      if (c.action === null) report.totals.ok++;
+      else if (c.action === "rewrite") report.totals.rewritten++;
+      else if (c.action === "flag") report.totals.flagged++;
+    }
+    if (isBlocked) {
+      report.totals.blocked++;
+      blocked.push(entry);
+    }
+    report.articles.push({
+      section: entry.section,
+      slot: entry.slot,
+      repo: article.repo ? article.repo.name || article.repo.full_name || null : null,
+      headline: article.headline,
+      blocked: isBlocked,
+      claims,
+    });
+  }
+  return { report, blocked };
+}
+
+/** Write the report next to the edition's HTML. */
+function writeFactCheckReport(editionDir, report, date) {
+  fs.writeFileSync(path.join(editionDir, FACTCHECK_FILE), JSON.stringify({ ...report, date }, null, 2));
+}
+
+/**
+ * The claims an edition printed unverified, for the desk: one entry per flag on
+ * an article that ran, keyed by the article page's slug. An edition with no
+ * report (published before the checker, or with it off) has none.
+ * @param {string} editionDir - site/editions/<date>
+ * @returns {Array<{ slug, headline, kind, field, text }>}
+ */
+function readFactFlags(editionDir) {
+  let report;
+  try {
+    report = JSON.parse(fs.readFileSync(path.join(editionDir, FACTCHECK_FILE), "utf-8"));
+  } catch {
+    return [];
+  }
+  const { slugify } = require("./render");
+  const flags = [];
+  for (const a of report.articles || []) {
+    if (a.blocked || !a.headline) continue;
+    for (const c of a.claims || []) {
+      if (c.action !== "flag") continue;
+      flags.push({ slug: slugify(a.headline), headline: a.headline, kind: c.kind, field: c.field, text: c.text });
+    }
+  }
+  return flags;
+}
+
+module.exports = {
+  FACTCHECK_FILE,
+  extractClaims,
+  checkClaim,
+  checkArticle,
+  factCheckContent,
+  writeFactCheckReport,
+  readFactFlags,
+};
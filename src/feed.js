@@ -1,51 +1,127 @@
-const { escapeHtml } = require("./render");
+/**
+ * Feeds — RSS 2.0, Atom 1.0 and JSON Feed 1.1 over one item shape.
+ *
+ * Publish writes the site-wide edition feed (/feed.xml), the per-article feed
+ * (/articles/feed.xml) and one per section (/ai/feed.xml, …); the worker
+ * renders each reader's private feed (/feed/<token>.xml) with the same code,
+ * bundled by scripts/build-worker.js. So this module requires nothing.
+ */
 
 /**
  * Escape text for use inside XML (same as HTML escaping).
  */
 function escapeXml(str) {
-  return escapeHtml(String(str || ""));
+  return String(str || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/** Wrap text in CDATA; a "]]>" inside is split across two sections. */
+function cdata(str) {
+  return `<![CDATA[${String(str || "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+const TITLE_PREFIX = {
+  weekly: "Week in Review",
+  correction: "Correction",
+  retraction: "Retraction",
+};
+
+const SITE_FEED = {
+  title: "The Git Times",
+  description: "AI-generated newspaper for builders — daily coverage of trending GitHub projects",
+  path: "/feed",
+};
+
+/**
+ * Item title. A weekly digest or a correction says so, so it reads apart from
+ * that day's edition.
+ */
+function itemTitle(entry) {
+  const title = entry.headline || "The Git Times Edition";
+  const prefix = TITLE_PREFIX[entry.kind];
+  return prefix ? `${prefix}: ${title}` : title;
+}
+
+/**
+ * When the item ran. Editions are dated by day (noon UTC); a correction carries
+ * the moment it was filed in `publishedAt`.
+ */
+function itemTime(entry) {
+  const exact = entry.publishedAt ? new Date(entry.publishedAt) : null;
+  return exact && !isNaN(exact) ? exact : new Date(entry.date + "T12:00:00Z");
+}
+
+/** Absolute item link; site paths are resolved against siteUrl. */
+function itemUrl(entry, siteUrl) {
+  const url = entry.url || `/editions/${entry.date}/`;
+  return /^https?:\/\//.test(url) ? url : siteUrl + url;
+}
+
+function itemSummary(entry) {
+  return entry.summary || entry.tagline || entry.subheadline || "";
+}
+
+/**
+ * Where a feed lives and what it is called. `path` is site-relative and
+ * extensionless (the format adds .xml/.atom/.json); `self` is the absolute
+ * extensionless URL when the feed is served off-site (the worker).
+ */
+function feedMeta(siteUrl, feed = {}) {
+  const meta = { ...SITE_FEED, ...feed };
+  const base = meta.self || siteUrl + meta.path;
+  // The site feed's Atom id has always been the site itself; readers key
+  // subscriptions on it, so it stays.
+  const id = feed.self || feed.path ? base + ".atom" : `${siteUrl}/`;
+  return { ...meta, id, home: meta.home || siteUrl, url: (ext) => base + ext };
 }
 
 /**
- * Generate RSS 2.0 XML from manifest entries.
- * @param {Array} manifest - Array of { date, headline, subheadline, tagline, url }
+ * Generate RSS 2.0 XML from feed items.
+ * @param {Array} manifest - Array of { date, headline, subheadline, tagline, url, kind?, publishedAt?, summary?, content? };
+ *   kind "weekly" marks a digest, "correction"/"retraction" a notice (corrections.feedEntries).
+ *   `content` is the full story as HTML (article feeds), carried as content:encoded
  * @param {string} siteUrl - Base site URL (e.g. "https://gittimes.com")
  * @param {number} [limit=20] - Max items to include
+ * @param {object} [feed] - { title, description, path | self, home } — defaults to the site feed
  * @returns {string} RSS 2.0 XML string
  */
-function generateRss(manifest, siteUrl, limit = 20) {
+function generateRss(manifest, siteUrl, limit = 20, feed) {
+  const meta = feedMeta(siteUrl, feed);
   const items = manifest.slice(0, limit);
   const buildDate = new Date().toUTCString();
   const lastPubDate = items.length > 0
-    ? new Date(items[0].date + "T12:00:00Z").toUTCString()
+    ? itemTime(items[0]).toUTCString()
     : buildDate;
+  const hasContent = items.some((e) => e.content);
 
   let xml = `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom"${hasContent ? ' xmlns:content="http://purl.org/rss/1.0/modules/content/"' : ""}>
   <channel>
-    <title>The Git Times</title>
-    <link>${escapeXml(siteUrl)}</link>
-    <description>AI-generated newspaper for builders — daily coverage of trending GitHub projects</description>
+    <title>${escapeXml(meta.title)}</title>
+    <link>${escapeXml(meta.home)}</link>
+    <description>${escapeXml(meta.description)}</description>
     <language>en-us</language>
     <lastBuildDate>${escapeXml(buildDate)}</lastBuildDate>
     <pubDate>${escapeXml(lastPubDate)}</pubDate>
-    <atom:link href="${escapeXml(siteUrl)}/feed.xml" rel="self" type="application/rss+xml"/>
+    <atom:link href="${escapeXml(meta.url(".xml"))}" rel="self" type="application/rss+xml"/>
 `;
 
   for (const entry of items) {
-    const itemUrl = siteUrl + (entry.url || `/editions/${entry.date}/`);
-    const pubDate = new Date(entry.date + "T12:00:00Z").toUTCString();
-    const title = entry.headline || "The Git Times Edition";
-    const description = entry.tagline || entry.subheadline || "";
+    const link = itemUrl(entry, siteUrl);
+    const guid = entry.id || link;
+    const pubDate = itemTime(entry).toUTCString();
 
     xml += `    <item>
-      <title><![CDATA[${title}]]></title>
-      <link>${escapeXml(itemUrl)}</link>
-      <guid isPermaLink="true">${escapeXml(itemUrl)}</guid>
+      <title>${cdata(itemTitle(entry))}</title>
+      <link>${escapeXml(link)}</link>
+      <guid isPermaLink="${guid === link}">${escapeXml(guid)}</guid>
       <pubDate>${escapeXml(pubDate)}</pubDate>
-      <description><![CDATA[${description}]]></description>
-    </item>
+${entry.section ? `      <category>${escapeXml(entry.section)}</category>\n` : ""}      <description>${cdata(itemSummary(entry))}</description>
+${entry.content ? `      <content:encoded>${cdata(entry.content)}</content:encoded>\n` : ""}    </item>
 `;
   }
 
@@ -56,25 +132,27 @@ function generateRss(manifest, siteUrl, limit = 20) {
 }
 
 /**
- * Generate Atom 1.0 XML from manifest entries.
- * @param {Array} manifest - Array of { date, headline, subheadline, tagline, url }
+ * Generate Atom 1.0 XML from feed items.
+ * @param {Array} manifest - Feed items, as for generateRss
  * @param {string} siteUrl - Base site URL (e.g. "https://gittimes.com")
  * @param {number} [limit=20] - Max items to include
+ * @param {object} [feed] - as for generateRss
  * @returns {string} Atom 1.0 XML string
  */
-function generateAtom(manifest, siteUrl, limit = 20) {
+function generateAtom(manifest, siteUrl, limit = 20, feed) {
+  const meta = feedMeta(siteUrl, feed);
   const items = manifest.slice(0, limit);
   const updated = items.length > 0
-    ? new Date(items[0].date + "T12:00:00Z").toISOString()
+    ? itemTime(items[0]).toISOString()
     : new Date().toISOString();
 
   let xml = `<?xml version="1.0" encoding="UTF-8"?>
 <feed xmlns="http://www.w3.org/2005/Atom">
-  <title>The Git Times</title>
-  <subtitle>AI-generated newspaper for builders — daily coverage of trending GitHub projects</subtitle>
-  <link href="${escapeXml(siteUrl)}" rel="alternate"/>
-  <link href="${escapeXml(siteUrl)}/feed.atom" rel="self" type="application/atom+xml"/>
-  <id>${escapeXml(siteUrl)}/</id>
+  <title>${escapeXml(meta.title)}</title>
+  <subtitle>${escapeXml(meta.description)}</subtitle>
+  <link href="${escapeXml(meta.home)}" rel="alternate"/>
+  <link href="${escapeXml(meta.url(".atom"))}" rel="self" type="application/atom+xml"/>
+  <id>${escapeXml(meta.id)}</id>
   <updated>${escapeXml(updated)}</updated>
   <author>
     <name>The Git Times</name>
@@ -82,18 +160,15 @@ function generateAtom(manifest, siteUrl, limit = 20) {
 `;
 
   for (const entry of items) {
-    const itemUrl = siteUrl + (entry.url || `/editions/${entry.date}/`);
-    const entryUpdated = new Date(entry.date + "T12:00:00Z").toISOString();
-    const title = entry.headline || "The Git Times Edition";
-    const summary = entry.tagline || entry.subheadline || "";
+    const link = itemUrl(entry, siteUrl);
 
     xml += `  <entry>
-    <title><![CDATA[${title}]]></title>
-    <link href="${escapeXml(itemUrl)}" rel="alternate"/>
-    <id>${escapeXml(itemUrl)}</id>
-    <updated>${escapeXml(entryUpdated)}</updated>
-    <summary><![CDATA[${summary}]]></summary>
-  </entry>
+    <title>${cdata(itemTitle(entry))}</title>
+    <link href="${escapeXml(link)}" rel="alternate"/>
+    <id>${escapeXml(entry.id || link)}</id>
+    <updated>${escapeXml(itemTime(entry).toISOString())}</updated>
+${entry.section ? `    <category term="${escapeXml(entry.section)}"/>\n` : ""}    <summary>${cdata(itemSummary(entry))}</summary>
+${entry.content ? `    <content type="html">${cdata(entry.content)}</content>\n` : ""}  </entry>
 `;
   }
 
@@ -102,4 +177,45 @@ function generateAtom(manifest, siteUrl, limit = 20) {
   return xml;
 }
 
-module.exports = { generateRss, generateAtom };
+/**
+ * Generate a JSON Feed 1.1 document from feed items. Section and repo ride in
+ * a `_gittimes` extension object (the spec's form for custom fields), which is
+ * what the worker filters a reader's private feed on.
+ * @param {Array} manifest - Feed items, as for generateRss
+ * @param {string} siteUrl - Base site URL (e.g. "https://gittimes.com")
+ * @param {number} [limit=20] - Max items to include
+ * @param {object} [feed] - as for generateRss
+ * @returns {string} JSON Feed 1.1 string
+ */
+function generateJsonFeed(manifest, siteUrl, limit = 20, feed) {
+  const meta = feedMeta(siteUrl, feed);
+  const doc = {
+    version: "https://jsonfeed.org/version/1.1",
+    title: meta.title,
+    home_page_url: meta.home,
+    feed_url: meta.url(".json"),
+    description: meta.description,
+    language: "en-US",
+    authors: [{ name: "The Git Times" }],
+    items: manifest.slice(0, limit).map((entry) => {
+      const link = itemUrl(entry, siteUrl);
+      const item = {
+        id: entry.id || link,
+        url: link,
+        title: itemTitle(entry),
+        summary: itemSummary(entry),
+        date_published: itemTime(entry).toISOString(),
+      };
+      if (entry.content) item.content_html = entry.content;
+      else item.content_text = item.summary;
+      if (entry.section || entry.repo) {
+        item.tags = [entry.section, entry.repo].filter(Boolean);
+        item._gittimes = { section: entry.section || null, repo: entry.repo || null, date: entry.date };
+      }
+      return item;
+    }),
+  };
+  return JSON.stringify(doc, null, 2) + "\n";
+}
+
+module.exports = { generateRss, generateAtom, generateJsonFeed };
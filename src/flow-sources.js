@@ -0,0 +1,179 @@
+/**
+ * FLOW sources — the one contract every event band implements, and the registry
+ * the publisher, the company registry and the front page all read from.
+ *
+ * The funnel (GitHub trending) is a STOCK signal; the flow bands report what
+ * shipped today. Each used to carry its own fetch / killswitch / cooldown / render
+ * wiring, hand-threaded through publish-edition.js, render.js and registry.js — so
+ * adding crates.io releases meant touching four files and remembering the fifth.
+ * Now a source is one adapter object, exported from the module that fetches it:
+ *
+ *   id          band key — the publish() option, the edition.json bands entry
+ *               and the front-page render option all use it
+ *   label       name for logs
+ *   killswitch  env var that turns the source off when set to "1"
+ *   empty       () => what a disabled or failed source contributes (default [])
+ *   fetch(ctx)  → items. ctx: { token, outDir, dataDir, content, client, cooldown }
+ *   select?(items, ctx)   edition-time pass over the fetched items — rank, trim,
+ *                         dress (model-drop headlines). Runs after fetch.
+ *   cooldown?   { read(dataDir) → Set of refs to sit out this run,
+ *                 record(dataDir, date, items) — after publish, so tomorrow rotates }
+ *   evidence?(item, { nowMs, fetchedAt }) → a registry event draft
+ *               { ref, kind, type, title, url, occurredAt, ageDays, metrics, evidence }
+ *               `ref` is the owner/repo the company is resolved from, `kind` the
+ *               provisional-entity flavour ("hf" | "github"). null skips the item.
+ *   render?(items, { basePath }) → front-page band HTML, "" when empty. No render
+ *               means the source is tracked (registry, cooldown) but not printed.
+ *
+ * Adding a source: export an adapter from its module, add it to SOURCES below.
+ * Registration order is render order on the front page.
+ */
+
+const { flowSource: aiWire } = require("./ai-headlines");
+const { flowSource: modelDrops } = require("./model-drops");
+const { flowSource: ghReleases } = require("./github-releases");
+const { flowSource: pushups } = require("./pushups");
+
+/**
+ * Validate an adapter and fill its defaults. Throws on a malformed adapter — a
+ * source that can't be fetched or keyed is a programming error, not bad data.
+ */
+function defineSource(spec = {}) {
+  if (!spec.id || typeof spec.id !== "string") throw new Error("Flow source needs a string id");
+  if (typeof spec.fetch !== "function") throw new Error(`Flow source "${spec.id}" needs a fetch(ctx)`);
+  for (const hook of ["select", "evidence", "render"]) {
+    if (spec[hook] != null && typeof spec[hook] !== "function") {
+      throw new Error(`Flow source "${spec.id}": ${hook} must be a function`);
+    }
+  }
+  if (spec.cooldown != null && typeof spec.cooldown.read !== "function") {
+    throw new Error(`Flow source "${spec.id}": cooldown needs a read(dataDir)`);
+  }
+  return {
+    label: spec.id,
+    killswitch: null,
+    empty: () => [],
+    ...spec,
+  };
+}
+
+const SOURCES = [aiWire, modelDrops, ghReleases, pushups].map(defineSource);
+
+/** Registered sources, in render order. */
+function listSources() {
+  return SOURCES.slice();
+}
+
+/**
+ * Add a source at runtime (plugins, tests). Returns an unregister function.
+ * @param {object} spec - adapter, see the module header
+ */
+function registerSource(spec) {
+  const source = defineSource(spec);
+  if (SOURCES.some((s) => s.id === source.id)) throw new Error(`Flow source "${source.id}" is already registered`);
+  SOURCES.push(source);
+  return () => {
+    const i = SOURCES.indexOf(source);
+    if (i !== -1) SOURCES.splice(i, 1);
+  };
+}
+
+function isDisabled(source, env = process.env) {
+  return !!source.killswitch && env[source.killswitch] === "1";
+}
+
+/**
+ * Fetch every enabled source concurrently. Fully fail-soft per source: a killed,
+ * throwing or unreachable source contributes its empty value and the rest of the
+ * bands carry on. The cooldown ledger is read here so each fetch sees its own.
+ * @param {object} ctx - { token, outDir, dataDir, content, client }
+ * @param {object} [opts] - { env, sources }
+ * @returns {Promise<object>} { [source.id]: items }
+ */
+async function fetchFlowSources(ctx = {}, opts = {}) {
+  const { env = process.env, sources = SOURCES } = opts;
+  const entries = await Promise.all(
+    sources.map(async (source) => {
+      if (isDisabled(source, env)) return [source.id, source.empty()];
+      let cooldown = new Set();
+      if (source.cooldown && ctx.dataDir) {
+        try {
+          cooldown = source.cooldown.read(ctx.dataDir);
+        } catch (e) {
+          console.warn(`${source.label} cooldown unavailable (non-fatal): ${e.message}`);
+        }
+      }
+      try {
+        const runCtx = { ...ctx, cooldown };
+        let items = await source.fetch(runCtx);
+        if (source.select) items = await source.select(items, runCtx);
+        return [source.id, items == null ? source.empty() : items];
+      } catch (e) {
+        console.warn(`${source.label} skipped (non-fatal): ${e.message}`);
+        return [source.id, source.empty()];
+      }
+    })
+  );
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Write today's featured items to each source's cooldown ledger. Per-source
+ * try/catch: the edition is already on disk when this runs.
+ */
+function recordCooldowns(dataDir, editionDate, bands = {}, opts = {}) {
+  const { sources = SOURCES } = opts;
+  for (const source of sources) {
+    if (!source.cooldown || typeof source.cooldown.record !== "function") continue;
+    try {
+      source.cooldown.record(dataDir, editionDate, bands[source.id] || source.empty());
+    } catch (e) {
+      console.warn(`${source.label} cooldown record skipped (non-fatal): ${e.message}`);
+    }
+  }
+}
+
+/**
+ * The band values a caller handed over, keyed by source id, with each missing
+ * band at its empty value — the shape publish() stores and the front page reads.
+ * @param {object} options - publish()/assembleHtml options
+ * @param {object} [opts] - { sources, fallback } — fallback is consulted per band
+ *   when options lacks it (legacy content trees that carried bands inline)
+ */
+function pickFlowBands(options = {}, opts = {}) {
+  const { sources = SOURCES, fallback = {} } = opts;
+  const bands = {};
+  for (const source of sources) {
+    bands[source.id] = options[source.id] || fallback[source.id] || source.empty();
+  }
+  return bands;
+}
+
+/**
+ * Every renderable band, concatenated in registration order. A source whose
+ * renderer throws drops out of the page rather than taking the front page down.
+ */
+function renderFlowBands(bands = {}, renderOpts = {}, opts = {}) {
+  const { sources = SOURCES } = opts;
+  let html = "";
+  for (const source of sources) {
+    if (!source.render) continue;
+    try {
+      html += source.render(bands[source.id] || source.empty(), renderOpts) || "";
+    } catch (e) {
+      console.warn(`${source.label} band not rendered (non-fatal): ${e.message}`);
+    }
+  }
+  return html;
+}
+
+module.exports = {
+  defineSource,
+  listSources,
+  registerSource,
+  isDisabled,
+  fetchFlowSources,
+  recordCooldowns,
+  pickFlowBands,
+  renderFlowBands,
+};
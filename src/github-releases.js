@@ -17,6 +17,8 @@
  */
 
 const { ageDays } = require("./recency");
+const { EVENT_RELEASE, ownerOf, watchedRepos } = require("./registry");
+const { getRecentFeaturedReleaseRepos, recordFeaturedReleases } = require("./db");
 
 // Hard ceiling on per-run API calls — the watchlist IS the request budget.
 // Raised from 60 when the company registry started contributing its roster's
@@ -305,4 +307,45 @@ async function fetchGitHubReleases(options = {}) {
   return releases;
 }
 
-module.exports = { fetchGitHubReleases, selectReleases, isPatchNoise, WATCHED_REPOS };
+/**
+ * Just Shipped as a flow source. Tracked but not printed: the front-page band
+ * was retired (version bumps are changelog, not news), while the releases still
+ * feed the registry's shipping cadence and rotate through the cooldown ledger.
+ */
+const flowSource = {
+  id: "ghReleases",
+  label: "GitHub Releases",
+  killswitch: "GT_DISABLE_GH_RELEASES",
+  fetch: (ctx) =>
+    fetchGitHubReleases({
+      limit: 5,
+      token: ctx.token,
+      suppressRepos: ctx.cooldown,
+      // The registry's rostered companies ship in repos the AI-infra watchlist
+      // never looked at, which is why the Startups and Unicorns desks came up
+      // empty against live data while Vercel and Supabase were pushing daily.
+      // Deduped; the base list keeps priority.
+      repos: [...new Set([...WATCHED_REPOS, ...watchedRepos()])],
+    }),
+  // Repos featured in recent editions sit out this run so the band rotates.
+  cooldown: {
+    read: (dataDir) => getRecentFeaturedReleaseRepos(dataDir),
+    record: (dataDir, date, releases) => recordFeaturedReleases(dataDir, date, releases),
+  },
+  evidence(r, { nowMs, fetchedAt }) {
+    if (!r || !r.repo) return null;
+    return {
+      ref: r.repo,
+      kind: "github",
+      type: EVENT_RELEASE,
+      title: `${r.name || ownerOf(r.repo)} ${r.tag || ""}`.trim(),
+      url: r.url || `https://github.com/${r.repo}`,
+      occurredAt: r.publishedAt || null,
+      ageDays: Number.isFinite(r.ageDays) ? r.ageDays : ageDays(r.publishedAt, nowMs),
+      metrics: { reactions: r.reactions || 0, tag: r.tag || null, repo: r.repo },
+      evidence: { source: "github:/repos/:repo/releases", ref: r.repo, fetchedAt },
+    };
+  },
+};
+
+module.exports = { fetchGitHubReleases, selectReleases, isPatchNoise, WATCHED_REPOS, flowSource };
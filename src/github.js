@@ -8,6 +8,7 @@ const pLimitP = import("p-limit");
 const { fetchTrajectories } = require("./star-history");
 const { SECTIONS, SECTION_ORDER } = require("./sections");
 const { pickLeadIndex, passesPushedRecency } = require("./recency");
+const { tape } = require("./replay");
 
 function _graphqlRequest(query, variables, token) {
   return new Promise((resolve, reject) => {
@@ -54,7 +55,7 @@ function _graphqlRequest(query, variables, token) {
 
 async function graphqlRequest(query, variables, token) {
   const { default: pRetry, AbortError } = await pRetryP;
-  return pRetry(() => _graphqlRequest(query, variables, token), {
+  return pRetry(() => tape("github", { query, variables }, () => _graphqlRequest(query, variables, token)), {
     retries: 3,
     minTimeout: 1000,
     randomize: true,
@@ -108,7 +109,7 @@ function _request(url, token) {
 
 async function request(url, token) {
   const { default: pRetry, AbortError } = await pRetryP;
-  return pRetry(() => _request(url, token), {
+  return pRetry(() => tape("github", url, () => _request(url, token)), {
     retries: 3,
     minTimeout: 1000,
     randomize: true,
@@ -133,10 +134,8 @@ function daysAgo(n) {
 
 async function fetchOSSInsightTrending() {
   try {
-    const data = await _request(
-      "https://api.ossinsight.io/v1/trends/repos?period=past_week",
-      null
-    );
+    const url = "https://api.ossinsight.io/v1/trends/repos?period=past_week";
+    const data = await tape("github", url, () => _request(url, null));
     const rows = data?.data?.rows || [];
     return rows.map((row) => ({
       full_name: row.repo_name,
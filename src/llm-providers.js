@@ -0,0 +1,227 @@
+/**
+ * LLM providers and per-task model routing.
+ *
+ * Every generator call names its task (leadArticle, quickHits, xSentiment, …) and
+ * the router decides which OpenAI-compatible endpoint and model answer it. The
+ * whole map lives in one file, llm.config.json at the repo root (or the path in
+ * GT_LLM_CONFIG):
+ *
+ *   {
+ *     "providers": {
+ *       "local": { "baseURL": "http://127.0.0.1:8080/v1" },
+ *       "openrouter": { "baseURL": "https://openrouter.ai/api/v1", "apiKeyEnv": "OPENROUTER_API_KEY" }
+ *     },
+ *     "default": { "provider": "openrouter", "model": "nvidia/nemotron-3-super-120b-a12b:free" },
+ *     "tasks": {
+ *       "quickHits": { "provider": "local", "model": "qwen2.5-7b-instruct" },
+ *       "leadArticle": { "provider": "openrouter", "model": "anthropic/claude-sonnet-4.5" }
+ *     }
+ *   }
+ *
+ * A provider may carry its own "model", used by routes that name only the provider.
+ * "structuredOutput": true marks a provider that enforces a JSON schema passed as
+ * response_format (llama.cpp, vLLM, Ollama, OpenAI-style APIs); its calls get each
+ * prompt's output contract (src/contracts.js) that way. Every other provider is
+ * only asked for the JSON in the prompt. LLM_STRUCTURED_OUTPUT=true turns it on
+ * for the default provider.
+ * Any OpenAI-compatible server works as a provider — llama.cpp's server, Ollama
+ * (/v1), vLLM. A provider on a loopback or .local host (or marked "local": true)
+ * is free: its calls count tokens but never dollars toward the edition budget.
+ * Keys are named by env var (apiKeyEnv), never written into the file, and each
+ * provider gets only its own: OPENROUTER_API_KEY goes to the "openrouter"
+ * provider and is required only when some route uses it (usesProvider).
+ *
+ * No file means the pre-routing behaviour: one OpenRouter provider, every task on
+ * the default model. LLM_MODEL and LLM_BASE_URL still override the default route,
+ * so an existing .env keeps working. A task with no route uses the default.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG_PATH = path.join(__dirname, "..", "llm.config.json");
+const FALLBACK_MODEL = "nvidia/nemotron-3-super-120b-a12b:free";
+const OPENROUTER_URL = "https://openrouter.ai/api/v1";
+
+/** Task names a route may be keyed by — one per distinct kind of LLM call. */
+const TASKS = [
+  "leadArticle",
+  "secondaryArticle",
+  "quickHits",
+  "breakoutArticle",
+  "trendArticle",
+  "sleeperArticle",
+  "chooseLead",
+  "editorPanel",
+  "modelDropHeadlines",
+  "xSentiment",
+  "rubric",
+  "weeklyDigest",
+];
+
+const LOCAL_HOSTS = new Set(["localhost", "127.0.0.1", "0.0.0.0", "::1", "[::1]"]);
+
+function isLocalURL(baseURL) {
+  try {
+    const host = new URL(baseURL).hostname;
+    return LOCAL_HOSTS.has(host) || host.endsWith(".local");
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read the routing file. A missing file is the default setup; a file that is
+ * there but unreadable is an operator mistake and throws, naming the path.
+ * @returns {object} the raw config ({} when there is no file)
+ */
+function loadLlmConfig(file = process.env.GT_LLM_CONFIG || CONFIG_PATH) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    throw new Error(`LLM config ${file} is not valid JSON: ${e.message}`, { cause: e });
+  }
+}
+
+function normalizeProvider(id, spec = {}) {
+  if (!spec.baseURL || typeof spec.baseURL !== "string") {
+    throw new Error(`LLM provider "${id}" needs a baseURL`);
+  }
+  return {
+    id,
+    baseURL: spec.baseURL,
+    apiKeyEnv: spec.apiKeyEnv || null,
+    apiKey: spec.apiKey || null,
+    model: spec.model || null,
+    local: spec.local != null ? !!spec.local : isLocalURL(spec.baseURL),
+    openrouter: spec.baseURL.includes("openrouter.ai"),
+    structuredOutput: !!spec.structuredOutput,
+    timeoutMs: spec.timeoutMs || 120_000,
+  };
+}
+
+/**
+ * Validate a raw config into { providers, default, tasks }. Throws on a route
+ * to an undeclared provider or an unknown task name — a typo there would
+ * otherwise send that task to the default model without a word.
+ * @param {object} raw - loadLlmConfig() output
+ * @param {object} [env]
+ */
+function resolveLlmConfig(raw = {}, env = process.env) {
+  const providers = new Map();
+  for (const [id, spec] of Object.entries(raw.providers || {})) {
+    providers.set(id, normalizeProvider(id, spec));
+  }
+  if (!providers.has("openrouter")) {
+    providers.set("openrouter", normalizeProvider("openrouter", { baseURL: OPENROUTER_URL, apiKeyEnv: "OPENROUTER_API_KEY" }));
+  }
+
+  const def = raw.default || {};
+  let defaultProvider = providers.get(def.provider || "openrouter");
+  if (!defaultProvider) throw new Error(`LLM default route names unknown provider "${def.provider}"`);
+  if (env.LLM_BASE_URL) {
+    defaultProvider = normalizeProvider(defaultProvider.id, { ...defaultProvider, local: undefined, baseURL: env.LLM_BASE_URL });
+    providers.set(defaultProvider.id, defaultProvider);
+  }
+  if (env.LLM_STRUCTURED_OUTPUT === "true") {
+    defaultProvider = { ...defaultProvider, structuredOutput: true };
+    providers.set(defaultProvider.id, defaultProvider);
+  }
+  const defaultRoute = { provider: defaultProvider.id, model: env.LLM_MODEL || def.model || FALLBACK_MODEL };
+
+  const tasks = new Map();
+  for (const [task, route] of Object.entries(raw.tasks || {})) {
+    if (!TASKS.includes(task)) throw new Error(`LLM route for unknown task "${task}" — expected one of: ${TASKS.join(", ")}`);
+    const provider = route.provider || defaultRoute.provider;
+    if (!providers.has(provider)) throw new Error(`LLM route "${task}" names unknown provider "${provider}"`);
+    tasks.set(task, { provider, model: route.model || null });
+  }
+
+  return { providers, default: defaultRoute, tasks };
+}
+
+function defaultMakeClient(provider, apiKey) {
+  const OpenAI = require("openai");
+  return new OpenAI({
+    baseURL: provider.baseURL,
+    apiKey: apiKey || "not-needed",
+    timeout: provider.timeoutMs,
+    // OpenRouter attribution headers (ignored by other providers).
+    defaultHeaders: provider.openrouter
+      ? { "HTTP-Referer": "https://gittimes.com", "X-Title": "The Git Times" }
+      : undefined,
+  });
+}
+
+/**
+ * A client that routes by task. It is itself an OpenAI-compatible client (calls
+ * with no task go to the default provider), so anything that takes a client
+ * takes a router.
+ * @param {object} config - resolveLlmConfig() output
+ * @param {object} [opts] - { apiKey } is the OpenRouter key and goes to the
+ *   "openrouter" provider only — every other provider authenticates with its
+ *   own apiKeyEnv, so the key never reaches a host it wasn't issued for;
+ *   { env, makeClient(provider, apiKey) } for tests
+ * @returns {object} { chat.completions.create, forTask(task), provider }
+ */
+function createRouter(config, opts = {}) {
+  const env = opts.env || process.env;
+  const makeClient = opts.makeClient || defaultMakeClient;
+  const clients = new Map();
+
+  const clientFor = (provider) => {
+    if (!clients.has(provider.id)) {
+      const key =
+        (provider.id === "openrouter" && opts.apiKey) ||
+        (provider.apiKeyEnv && env[provider.apiKeyEnv]) ||
+        provider.apiKey;
+      clients.set(provider.id, makeClient(provider, key));
+    }
+    return clients.get(provider.id);
+  };
+  const defaultProvider = config.providers.get(config.default.provider);
+
+  return {
+    provider: defaultProvider,
+    chat: {
+      completions: {
+        create: (params) => clientFor(defaultProvider).chat.completions.create(params),
+      },
+    },
+
+    /**
+     * Where a task's calls go: { client, model, provider }. `model` is null when
+     * neither the route nor its provider names one — the caller keeps its own.
+     */
+    forTask(task) {
+      const route = config.tasks.get(task);
+      if (!route) return { client: clientFor(defaultProvider), model: null, provider: defaultProvider };
+      const provider = config.providers.get(route.provider);
+      return { client: clientFor(provider), model: route.model || provider.model, provider };
+    },
+  };
+}
+
+/**
+ * Whether the default route or any task route goes to provider `id` — what
+ * decides if that provider's key is needed at all.
+ * @param {object} config - resolveLlmConfig() output
+ * @param {string} id
+ * @returns {boolean}
+ */
+function usesProvider(config, id) {
+  if (config.default.provider === id) return true;
+  for (const route of config.tasks.values()) if (route.provider === id) return true;
+  return false;
+}
+
+module.exports = {
+  TASKS,
+  CONFIG_PATH,
+  loadLlmConfig,
+  resolveLlmConfig,
+  createRouter,
+  usesProvider,
+  isLocalURL,
+};
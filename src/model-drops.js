@@ -12,6 +12,7 @@
  */
 
 const { ageDays } = require("./recency");
+const { EVENT_MODEL_DROP } = require("./registry");
 
 // Labs whose releases are news the moment they land, before likes accumulate.
 const TRUSTED_ORGS = new Set([
@@ -216,4 +217,38 @@ async function fetchModelDrops(options = {}) {
   return drops;
 }
 
-module.exports = { fetchModelDrops, selectModelDrops, TRUSTED_ORGS };
+/**
+ * Model Drops as a flow source. The drops arrive as metadata — name, owner,
+ * task, likes — so select spends one LLM call giving each release a headline,
+ * which is what makes the band read as reporting rather than a product listing.
+ * Fail-soft by construction: without a client, or on any error, the drops
+ * render exactly as fetched.
+ */
+const flowSource = {
+  id: "modelDrops",
+  label: "Model Drops",
+  killswitch: "GT_DISABLE_MODEL_DROPS",
+  fetch: () => fetchModelDrops({ limit: 6 }),
+  async select(drops, ctx) {
+    if (drops.length === 0 || !ctx.client) return drops;
+    const { attachModelDropHeadlines } = require("./xai");
+    return attachModelDropHeadlines(ctx.client, drops);
+  },
+  evidence(d, { nowMs, fetchedAt }) {
+    if (!d || !d.id) return null;
+    return {
+      ref: d.author || d.id,
+      kind: "hf",
+      type: EVENT_MODEL_DROP,
+      title: d.name || d.id,
+      url: d.url || `https://huggingface.co/${d.id}`,
+      occurredAt: d.createdAt || null,
+      ageDays: Number.isFinite(d.ageDays) ? d.ageDays : ageDays(d.createdAt, nowMs),
+      metrics: { likes: d.likes || 0, downloads: d.downloads || 0, task: d.task || null },
+      evidence: { source: "huggingface:/api/models", ref: d.id, fetchedAt },
+    };
+  },
+  render: (drops) => require("./render").renderModelDrops(drops),
+};
+
+module.exports = { fetchModelDrops, selectModelDrops, TRUSTED_ORGS, flowSource };
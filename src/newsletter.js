@@ -1,9 +1,75 @@
 /**
  * Newsletter sender — calls the Worker's /newsletter/send endpoint
  * after a new edition is published.
+ *
+ * The worker keeps a delivery ledger per (kind, edition date): a repeat call
+ * for a date already sent sends nothing (`duplicate`), and a large list goes
+ * out a bounded number of batches per call, so we keep calling while the
+ * worker reports `done: false` and each call makes progress. A run that stops
+ * short is safe to repeat — the next call resumes from the ledger.
+ *
+ * The daily edition is sent as one structured payload (editionPayload); the
+ * worker personalizes it per subscriber from their /auth/settings.
  */
 
-async function sendNewsletter({ workerUrl, newsletterSecret, edition }) {
+const MAX_CALLS = 50;
+const MAX_STORIES = 120;
+
+/**
+ * The structured edition the worker assembles each subscriber's email from:
+ * the front-page fields every email carries, one lead per section (so a
+ * reader's own desks can go first), and every story's repo and placement (so
+ * "repos you follow appeared today" can be matched worker-side). Stories with
+ * an article page link to it; Quick Hits link to the edition.
+ * @param {object} content - the generated edition (sections shape)
+ * @param {object} entry - its manifest entry (date, url, headline, ...)
+ * @param {object} [opts] - { siteUrl }
+ */
+function editionPayload(content, entry, { siteUrl = "https://gittimes.com" } = {}) {
+  const { SECTIONS, SECTION_ORDER } = require("./sections");
+  const { slugify } = require("./render");
+  const { collectPlacements } = require("./publish");
+  const editionUrl = siteUrl + entry.url;
+  const pageUrl = (headline) => (headline ? `${editionUrl}${slugify(headline)}/` : editionUrl);
+
+  const sections = [];
+  if (content && content.sections) {
+    for (const id of SECTION_ORDER) {
+      const sec = content.sections[id];
+      if (!sec || sec.isEmpty || !sec.lead || !sec.lead.headline) continue;
+      sections.push({
+        id,
+        label: (SECTIONS[id] && SECTIONS[id].label) || id,
+        headline: sec.lead.headline,
+        subheadline: sec.lead.subheadline || "",
+        repo: (sec.lead.repo && sec.lead.repo.name) || null,
+        url: pageUrl(sec.lead.headline),
+      });
+    }
+  }
+  const stories = collectPlacements(content)
+    .slice(0, MAX_STORIES)
+    .map((p) => ({
+      repo: p.repo,
+      section: p.section,
+      slot: p.slot,
+      headline: p.headline,
+      url: p.slot === "quickHit" ? editionUrl : pageUrl(p.headline),
+    }));
+
+  return {
+    headline: entry.headline,
+    subheadline: entry.subheadline || "",
+    tagline: entry.tagline || "",
+    date: entry.date,
+    url: editionUrl,
+    repos: (entry.repos || []).slice(0, 8),
+    sections,
+    stories,
+  };
+}
+
+async function postSend(workerUrl, newsletterSecret, edition) {
   const res = await fetch(workerUrl + "/newsletter/send", {
     method: "POST",
     headers: {
@@ -16,7 +82,22 @@ async function sendNewsletter({ workerUrl, newsletterSecret, edition }) {
 
   const data = await res.json();
   if (!data.ok) throw new Error(data.error || "Newsletter send failed");
+  return data;
+}
+
+async function sendNewsletter({ workerUrl, newsletterSecret, edition }) {
+  let data = await postSend(workerUrl, newsletterSecret, edition);
+  if (data.duplicate) console.log(`[newsletter] ${data.key} already sent — not sending again`);
+  // `done` is absent from an older worker's reply: treat that as finished.
+  for (let calls = 1; data.done === false && calls < MAX_CALLS; calls++) {
+    const before = data.sent;
+    data = await postSend(workerUrl, newsletterSecret, edition);
+    if (data.done === false && data.sent <= before) break; // no progress: stop, the ledger keeps our place
+  }
+  if (data.done === false) {
+    throw new Error(`${data.remaining} of ${data.total} recipients still unsent for ${data.key} — rerun to resume`);
+  }
   return data.sent;
 }
 
-module.exports = { sendNewsletter };
+module.exports = { sendNewsletter, editionPayload };
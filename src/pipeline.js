@@ -1,14 +1,16 @@
 /**
  * Shared generation pipeline used by both generate.js and publish-edition.js.
- * Encapsulates: fetch → editorial → generate → dedup.
+ * Encapsulates: fetch → editorial → generate → dedup, each stage checkpointable.
  */
 const { fetchAllSections, enrichTrendRepos } = require("./github");
 const { generateAllContent, generateEditorialContent, deduplicateContent } = require("./xai");
 const { loadHistory, computeDeltas, computeWindowDeltas } = require("./history");
 const { makeEditorialPlan } = require("./editorial");
 const { fetchXSentimentForRepo } = require("./x-sentiment");
-const { buildDeskBlock } = require("./desk");
+const { buildDeskBlock, lensWeights } = require("./desk");
+const { EDITOR_LENSES } = require("./prompts");
 const { resolveDataDir } = require("./db");
+const { noCheckpoint } = require("./checkpoint");
 
 /**
  * Run the full content generation pipeline.
@@ -22,15 +24,22 @@ const { resolveDataDir } = require("./db");
  * @param {string[]} [options.recentEditionDates]
  * @param {string} [options.deskContext] - Human editor rulings block; built from
  *   the desk automatically when omitted
+ * @param {object} [options.lensWeights] - { lens: weight } for the editor panel;
+ *   learned from the desk's rulings when omitted
  * @param {Map} [options.coverage] - Same as recentRepoCoverage, passed to xai
  * @param {function} [options.filterEditorialCandidates] - (rawCandidates) => filtered candidates
  * @param {function} [options.enrichRepo] - Injected to break circular dep
  * @param {function} [options.fetchStarTrajectory] - Injected to break circular dep
+ * @param {object} [options.checkpoint] - openCheckpoint() handle; the fetch,
+ *   plan and generate stages are saved to it and resumed from it
+ * @param {object} [options.budget] - createBudget() handle; optional LLM passes
+ *   drop out as the edition nears it
  * @returns {Promise<{ content: object, rawCandidates: Array }>}
  */
 async function runPipeline(githubToken, xaiKey, options = {}) {
   const outDir = options.outDir || process.env.PUBLISH_DIR || "./site";
   const editorialEnabled = process.env.EDITORIAL !== "false";
+  const checkpoint = options.checkpoint || noCheckpoint();
 
   // Step 1: Fetch all sections
   const fetchOptions = {};
@@ -39,69 +48,104 @@ async function runPipeline(githubToken, xaiKey, options = {}) {
   if (options.recentRepoCoverage) fetchOptions.recentRepoCoverage = options.recentRepoCoverage;
   if (options.recentEditionDates) fetchOptions.recentEditionDates = options.recentEditionDates;
 
-  const sections = await fetchAllSections(githubToken, fetchOptions);
+  const sections = await checkpoint.run("fetch", () => fetchAllSections(githubToken, fetchOptions));
   const rawCandidates = sections._rawCandidates || [];
 
-  // Step 2: Editorial pipeline (with graceful fallback)
-  let content;
+  // Step 2: Editorial pipeline (with graceful fallback). The plan and the
+  // generated content are their own checkpoints — generation is where a run dies.
   const coverage = options.coverage || options.recentRepoCoverage || null;
+  const useEditorial = editorialEnabled && rawCandidates.length > 0;
+  const editorialPlan = useEditorial
+    ? await checkpoint.run("plan", () => planEdition(rawCandidates, githubToken, outDir, options))
+    : null;
+
+  const content = await checkpoint.run("generate", async () => {
+    const generated = useEditorial
+      ? await generateEditorial(sections, xaiKey, editorialPlan, githubToken, coverage, outDir, options)
+      : await generateAllContent(sections, xaiKey, { coverage, fetchXSentimentForRepo, budget: options.budget });
+
+    // Step 3: Dedup
+    deduplicateContent(generated);
+
+    // Step 4: Star velocity. A lifetime total says a repo is popular, which isn't
+    // news; growth over the last week is. Attached after generation so it decorates
+    // every article regardless of which branch above produced it.
+    attachStarVelocity(generated, rawCandidates, outDir);
+    return generated;
+  });
 
-  if (editorialEnabled && rawCandidates.length > 0) {
-    const history = loadHistory(outDir);
-    const deltas = computeDeltas(rawCandidates, history);
-
-    const candidates = options.filterEditorialCandidates
-      ? options.filterEditorialCandidates(rawCandidates)
-      : rawCandidates;
-    const editorialPlan = makeEditorialPlan(candidates, deltas);
-
-    const hasEditorial = editorialPlan.breakout || editorialPlan.trends.length > 0 || editorialPlan.sleepers.length > 0;
-    if (hasEditorial) {
-      console.log("Editorial intelligence active:");
-      if (editorialPlan.breakout) console.log(`  Breakout: ${editorialPlan.breakout.repo.full_name}`);
-      if (editorialPlan.trends.length > 0) console.log(`  Trends: ${editorialPlan.trends.map((t) => t.theme).join(", ")}`);
-      if (editorialPlan.sleepers.length > 0) console.log(`  Sleepers: ${editorialPlan.sleepers.map((s) => s.repo.full_name).join(", ")}`);
-    }
+  return { content, rawCandidates };
+}
 
-    if (editorialPlan.trends.length > 0) {
-      await enrichTrendRepos(editorialPlan.trends, githubToken).catch((err) =>
-        console.warn(`Trend pill README enrichment failed: ${err.message}`)
-      );
-    }
+/**
+ * The editorial plan: breakout shortlist, trend clusters and sleepers, with the
+ * trend pills' READMEs fetched. Everything generation needs decided before the
+ * first LLM call.
+ */
+async function planEdition(rawCandidates, githubToken, outDir, options) {
+  const history = loadHistory(outDir);
+  const deltas = computeDeltas(rawCandidates, history);
+
+  const candidates = options.filterEditorialCandidates
+    ? options.filterEditorialCandidates(rawCandidates)
+    : rawCandidates;
+  const editorialPlan = makeEditorialPlan(candidates, deltas);
+
+  const hasEditorial = editorialPlan.breakout || editorialPlan.trends.length > 0 || editorialPlan.sleepers.length > 0;
+  if (hasEditorial) {
+    console.log("Editorial intelligence active:");
+    if (editorialPlan.breakout) console.log(`  Breakout: ${editorialPlan.breakout.repo.full_name}`);
+    if (editorialPlan.trends.length > 0) console.log(`  Trends: ${editorialPlan.trends.map((t) => t.theme).join(", ")}`);
+    if (editorialPlan.sleepers.length > 0) console.log(`  Sleepers: ${editorialPlan.sleepers.map((s) => s.repo.full_name).join(", ")}`);
+  }
+
+  if (editorialPlan.trends.length > 0) {
+    await enrichTrendRepos(editorialPlan.trends, githubToken).catch((err) =>
+      console.warn(`Trend pill README enrichment failed: ${err.message}`)
+    );
+  }
+  return editorialPlan;
+}
 
-    // The editor's desk: the human editor's retrospective rulings on past front
-    // pages, injected as standing policy for today's lead decision. Fail-soft and
-    // opt-out-able — with no rulings on file the lead prompts are unchanged.
-    let deskContext = options.deskContext || null;
-    if (!deskContext && process.env.GT_DISABLE_DESK !== "1") {
-      try {
-        deskContext = buildDeskBlock(resolveDataDir(outDir));
-      } catch (err) {
-        console.warn(`Editor's desk context skipped (non-fatal): ${err.message}`);
+/** Editorial-mode generation: the desk's rulings, then every article. */
+async function generateEditorial(sections, xaiKey, editorialPlan, githubToken, coverage, outDir, options) {
+  // The editor's desk: the human editor's retrospective rulings on past front
+  // pages, injected as standing policy for today's lead decision. Fail-soft and
+  // opt-out-able — with no rulings on file the lead prompts are unchanged.
+  let deskContext = options.deskContext || null;
+  if (!deskContext && process.env.GT_DISABLE_DESK !== "1") {
+    try {
+      deskContext = buildDeskBlock(resolveDataDir(outDir));
+    } catch (err) {
+      console.warn(`Editor's desk context skipped (non-fatal): ${err.message}`);
+    }
+  }
+  if (deskContext) console.log("Editor's desk: human rulings in play for the lead decision");
+
+  // Panel weights from how each lens has agreed with those rulings.
+  let panelWeights = options.lensWeights || null;
+  if (!panelWeights && process.env.GT_DISABLE_DESK !== "1") {
+    try {
+      const learned = lensWeights(resolveDataDir(outDir), { lenses: EDITOR_LENSES.map((l) => l.key) });
+      if (learned.rulings > 0) {
+        panelWeights = learned.weights;
+        const shown = Object.entries(panelWeights).map(([lens, w]) => `${lens} ${w}`).join(", ");
+        console.log(`Editor's desk: panel weights from ${learned.rulings} ruling(s) — ${shown}`);
       }
+    } catch (err) {
+      console.warn(`Panel lens weights skipped (non-fatal): ${err.message}`);
     }
-    if (deskContext) console.log("Editor's desk: human rulings in play for the lead decision");
-
-    const editorialOpts = { githubToken, coverage, fetchXSentimentForRepo };
-    if (options.enrichRepo) editorialOpts.enrichRepo = options.enrichRepo;
-    if (options.fetchStarTrajectory) editorialOpts.fetchStarTrajectory = options.fetchStarTrajectory;
-    if (options.threadContext) editorialOpts.threadContext = options.threadContext;
-    if (deskContext) editorialOpts.deskContext = deskContext;
-
-    content = await generateEditorialContent(sections, xaiKey, editorialPlan, editorialOpts);
-  } else {
-    content = await generateAllContent(sections, xaiKey, { coverage, fetchXSentimentForRepo });
   }
 
-  // Step 3: Dedup
-  deduplicateContent(content);
+  const editorialOpts = { githubToken, coverage, fetchXSentimentForRepo };
+  if (options.enrichRepo) editorialOpts.enrichRepo = options.enrichRepo;
+  if (options.fetchStarTrajectory) editorialOpts.fetchStarTrajectory = options.fetchStarTrajectory;
+  if (options.threadContext) editorialOpts.threadContext = options.threadContext;
+  if (deskContext) editorialOpts.deskContext = deskContext;
+  if (panelWeights) editorialOpts.lensWeights = panelWeights;
+  if (options.budget) editorialOpts.budget = options.budget;
 
-  // Step 4: Star velocity. A lifetime total says a repo is popular, which isn't
-  // news; growth over the last week is. Attached after generation so it decorates
-  // every article regardless of which branch above produced it.
-  attachStarVelocity(content, rawCandidates, outDir);
-
-  return { content, rawCandidates };
+  return generateEditorialContent(sections, xaiKey, editorialPlan, editorialOpts);
 }
 
 /**
@@ -1,7 +1,7 @@
 /**
  * Sanitize repo-supplied fields to prevent prompt injection.
  * Strips output markers (HEADLINE:, BODY:, etc.) that could hijack
- * the structured output parser in xai.js.
+ * the legacy marker parser in xai.js, the fallback behind the JSON contracts.
  */
 function sanitizeRepoField(text) {
   if (!text) return text;
@@ -23,6 +23,25 @@ const STORY_STYLE_GUIDELINE = `- The headline must BE the story: a complete acti
 const HONEST_LIMITATION_GUIDELINE = `- A press release lists only strengths; an article is honest. You MUST surface one genuine limitation, trade-off, maturity gap, or open question — e.g. early version, narrow scope, missing platform, heavy dependency, unproven at scale, or a design choice that won't suit everyone. Base it on the data — the Signals line (open issues, last-commit age), a thin/aging release, or a narrow scope are good grounds; if the data is thin, raise the most important question a builder would ask before adopting. Do not invent flaws and do not let it become marketing ("the only catch is it's too powerful").
 `;
 
+// Every prompt's answer is a JSON object under a contract (src/contracts.js).
+const JSON_ONLY =
+  "Respond with ONLY a JSON object — no prose before or after it, no code fence. Inside string values, write paragraph breaks as \\n\\n.";
+
+/**
+ * The article contract (CONTRACTS.article) as the model sees it: the shape,
+ * with each field's brief where its value goes.
+ */
+function articleFormat({ headline, subheadline, body }) {
+  return `${JSON_ONLY} Exactly this shape:
+
+{
+  "headline": "[${headline}]",
+  "subheadline": "[${subheadline}]",
+  "body": "[${body}]",
+  "useCases": ["[8-12 word use case — who + what, no narrative]", "[8-12 word use case]", "[8-12 word use case]"]
+}`;
+}
+
 function timestampLine(repo) {
   const parts = [];
   if (repo.createdAt) parts.push(`Created: ${repo.createdAt}`);
@@ -141,15 +160,11 @@ ${STORY_STYLE_GUIDELINE}${HONEST_LIMITATION_GUIDELINE}Write in authoritative new
 Do not include a word count anywhere in the output.
 Write entirely in English. Do not reference multilingual documentation, language badges, or translations — focus on what the project does technically.
 
-Output EXACTLY in this format (include the markers):
-
-HEADLINE: [A compelling newspaper headline about what this project does or why it matters, 8-12 words]
-SUBHEADLINE: [A subheadline carrying the second-most-important fact, 12-20 words]
-BODY: [180-250 word article body. Write in short, punchy paragraphs. Include concrete details from the readme and release notes. Use markdown formatting: **bold** for emphasis, \`backticks\` for code/tool names, and bullet lists where appropriate. End the body with a separate short paragraph beginning **The catch:** that states one honest limitation, trade-off, missing capability, or open question a builder should weigh.]
-USE_CASES:
-1. [8-12 word use case — who + what, no narrative]
-2. [8-12 word use case]
-3. [8-12 word use case]`;
+${articleFormat({
+  headline: "A compelling newspaper headline about what this project does or why it matters, 8-12 words",
+  subheadline: "A subheadline carrying the second-most-important fact, 12-20 words",
+  body: "180-250 word article body. Write in short, punchy paragraphs. Include concrete details from the readme and release notes. Use markdown formatting: **bold** for emphasis, `backticks` for code/tool names, and bullet lists where appropriate. End the body with a separate short paragraph beginning **The catch:** that states one honest limitation, trade-off, missing capability, or open question a builder should weigh.",
+})}`;
 }
 
 function secondaryArticlePrompt(repo, coverage) {
@@ -178,18 +193,18 @@ ${STORY_STYLE_GUIDELINE}${HONEST_LIMITATION_GUIDELINE}Write in crisp newspaper s
 Do not include a word count anywhere in the output.
 Write entirely in English. Do not reference multilingual documentation, language badges, or translations — focus on what the project does technically.
 
-Output EXACTLY in this format (include the markers):
-
-HEADLINE: [Newspaper headline about what this project does, 6-10 words]
-SUBHEADLINE: [Subheadline carrying the second-most-important fact, 10-16 words]
-BODY: [90-130 word article. Short paragraphs, concrete details. Use markdown formatting: **bold** for emphasis, \`backticks\` for code/tool names, and bullet lists where appropriate. End with one sentence beginning **The catch:** naming an honest limitation or open question.]
-USE_CASES:
-1. [8-12 word use case — who + what, no narrative]
-2. [8-12 word use case]
-3. [8-12 word use case]`;
+${articleFormat({
+  headline: "Newspaper headline about what this project does, 6-10 words",
+  subheadline: "Subheadline carrying the second-most-important fact, 10-16 words",
+  body: "90-130 word article. Short paragraphs, concrete details. Use markdown formatting: **bold** for emphasis, `backticks` for code/tool names, and bullet lists where appropriate. End with one sentence beginning **The catch:** naming an honest limitation or open question.",
+})}`;
 }
 
-function quickHitPrompt(repos) {
+/**
+ * Quick Hits one-liners. `opts.brief` asks for short fragments instead of full
+ * sentences — what a run near its token budget gets.
+ */
+function quickHitPrompt(repos, opts = {}) {
   const list = repos
     .map(
       (r, i) =>
@@ -197,16 +212,19 @@ function quickHitPrompt(repos) {
     )
     .join("\n");
 
-  return `You are writing one-line summaries for a newspaper's "Quick Hits" section. Each summary must be a single punchy sentence, max 30 words, that tells a builder what the project does and why it's worth a look. Focus on capabilities, not popularity metrics.
+  const length = opts.brief
+    ? "Each summary must be a terse fragment, max 12 words, that says what the project does."
+    : "Each summary must be a single punchy sentence, max 30 words, that tells a builder what the project does and why it's worth a look.";
+  return `You are writing one-line summaries for a newspaper's "Quick Hits" section. ${length} Focus on capabilities, not popularity metrics.
 
 NEVER begin a summary with the repo's name or owner (no "owner/repo:", no "ProjectName —"). The name is already printed beside your sentence; repeating it turns the section into a directory listing. Start with what the project DOES.
 
 REPOS:
 ${list}
 
-Output EXACTLY in this format — one line per repo, numbered to match:
+${JSON_ONLY} Exactly this shape — one summary per repo, in the order listed:
 
-${repos.map((_, i) => `${i + 1}. [single sentence summary]`).join("\n")}`;
+{"summaries": [${repos.map((_, i) => `"[summary for #${i + 1}]"`).join(", ")}]}`;
 }
 
 function breakoutArticlePrompt(repo, delta, coverage) {
@@ -238,15 +256,11 @@ ${priorCoverageBlock(repo, coverage)}${editorialFramingDirective(repo)}EDITORIAL
 ${STORY_STYLE_GUIDELINE}${HONEST_LIMITATION_GUIDELINE}Do not include a word count anywhere in the output.
 Write entirely in English. Do not reference multilingual documentation, language badges, or translations.
 
-Output EXACTLY in this format (include the markers):
-
-HEADLINE: [A compelling newspaper headline about what this project does or changes, 8-12 words]
-SUBHEADLINE: [A subheadline carrying the second-most-important fact about its capabilities or significance, 12-20 words]
-BODY: [220-300 word article body. Lead with what the project does. Use markdown formatting: **bold** for emphasis, \`backticks\` for code/tool names, and bullet lists where appropriate. End the body with a separate short paragraph beginning **The catch:** that states one honest limitation, trade-off, or open question.]
-USE_CASES:
-1. [8-12 word use case — who + what, no narrative]
-2. [8-12 word use case]
-3. [8-12 word use case]`;
+${articleFormat({
+  headline: "A compelling newspaper headline about what this project does or changes, 8-12 words",
+  subheadline: "A subheadline carrying the second-most-important fact about its capabilities or significance, 12-20 words",
+  body: "220-300 word article body. Lead with what the project does. Use markdown formatting: **bold** for emphasis, `backticks` for code/tool names, and bullet lists where appropriate. End the body with a separate short paragraph beginning **The catch:** that states one honest limitation, trade-off, or open question.",
+})}`;
 }
 
 function trendArticlePrompt(trend) {
@@ -271,15 +285,11 @@ ${EVERGREEN_BAN}
 Do not include a word count anywhere in the output.
 Write entirely in English.
 
-Output EXACTLY in this format (include the markers):
-
-HEADLINE: [A compelling headline about the trend pattern, 8-12 words]
-SUBHEADLINE: [A subheadline carrying the second-most-important fact, 12-20 words]
-BODY: [150-220 word article. Focus on the pattern. Reference repos as evidence. Use markdown formatting: **bold** for emphasis, \`backticks\` for code/tool names, and bullet lists where appropriate. End with a **The catch:** paragraph as instructed above.]
-USE_CASES:
-1. [8-12 word use case — who + what, no narrative]
-2. [8-12 word use case]
-3. [8-12 word use case]`;
+${articleFormat({
+  headline: "A compelling headline about the trend pattern, 8-12 words",
+  subheadline: "A subheadline carrying the second-most-important fact, 12-20 words",
+  body: "150-220 word article. Focus on the pattern. Reference repos as evidence. Use markdown formatting: **bold** for emphasis, `backticks` for code/tool names, and bullet lists where appropriate. End with a **The catch:** paragraph as instructed above.",
+})}`;
 }
 
 function sleeperArticlePrompt(sleeper) {
@@ -304,15 +314,11 @@ Frame this as a discovery — what does this project do and why should builders
 ${STORY_STYLE_GUIDELINE}Do not include a word count anywhere in the output.
 Write entirely in English.
 
-Output EXACTLY in this format (include the markers):
-
-HEADLINE: [An intriguing headline about what this project does, 6-10 words]
-SUBHEADLINE: [A subheadline carrying the second-most-important fact, 10-16 words]
-BODY: [90-130 word feature. Short paragraphs. Use markdown formatting: **bold** for emphasis, \`backticks\` for code/tool names. End with a **The catch:** sentence as instructed above.]
-USE_CASES:
-1. [8-12 word use case — who + what, no narrative]
-2. [8-12 word use case]
-3. [8-12 word use case]`;
+${articleFormat({
+  headline: "An intriguing headline about what this project does, 6-10 words",
+  subheadline: "A subheadline carrying the second-most-important fact, 10-16 words",
+  body: "90-130 word feature. Short paragraphs. Use markdown formatting: **bold** for emphasis, `backticks` for code/tool names. End with a **The catch:** sentence as instructed above.",
+})}`;
 }
 
 function editorInChiefPrompt(candidateSummary) {
@@ -361,9 +367,8 @@ ${desk}${continuity}
 CANDIDATES:
 ${candidateSummaryLines(candidates)}
 
-Respond EXACTLY in this format, nothing else:
-LEAD: [the single number of the story that should lead]
-WHY: [one sentence on why it is the most significant — not the most popular]`;
+${JSON_ONLY} Exactly this shape, where "lead" is the bare number of the story that should lead (not a list) and "why" is one sentence on why it is the most significant — not the most popular:
+{"lead": <number>, "why": "<one sentence>"}`;
 }
 
 /**
@@ -392,9 +397,8 @@ ${desk}${continuity}
 CANDIDATES:
 ${candidateSummaryLines(candidates)}
 
-Respond EXACTLY in this format, nothing else:
-LEAD: [the single number of the story that should lead by your lens]
-WHY: [one sentence, by your lens only]`;
+${JSON_ONLY} Exactly this shape, where "lead" is the bare number of the story that should lead by your lens (not a list) and "why" is one sentence, by your lens only:
+{"lead": <number>, "why": "<one sentence>"}`;
 }
 
 /**
@@ -411,7 +415,10 @@ ${winnerLine}
 Panel notes:
 ${notes}
 
-Write ONE sentence (max 35 words) for the byline "Why this leads today" — why this story leads, grounded in the notes, in plain newspaper voice. No hype, no adjectives-for-their-own-sake, no restating the headline. Output ONLY that sentence, nothing else.`;
+Write ONE sentence (max 35 words) for the byline "Why this leads today" — why this story leads, grounded in the notes, in plain newspaper voice. No hype, no adjectives-for-their-own-sake, no restating the headline.
+
+${JSON_ONLY} Exactly this shape:
+{"rationale": "[the sentence]"}`;
 }
 
 /* Model Drops carried a name, an owner, and a like count — a catalog listing,
@@ -438,9 +445,57 @@ Write ONE headline per release. Rules:
 RELEASES:
 ${list}
 
-Output EXACTLY one numbered line per release, numbered to match:
+${JSON_ONLY} Exactly this shape — one headline per release, in the order listed:
+
+{"headlines": [${drops.map((_, i) => `"[headline for #${i + 1}]"`).join(", ")}]}`;
+}
+
+/**
+ * The weekly digest's single pass. Everything in it has already run in the
+ * dailies, so the model is asked to connect and rank, never to report anew.
+ * @param {{ stories: Array, modelDrops: Array, priceMoves: Array, from: string, to: string }} week
+ */
+function weeklyDigestPrompt(week) {
+  const stories = week.stories
+    .map((s, i) => {
+      const growth = s.starDelta ? `, +${s.starDelta} stars in ${s.deltaDays}d` : "";
+      const ran = `${s.appearances} day${s.appearances === 1 ? "" : "s"} in the paper, best slot ${s.bestSlot} in ${s.section}`;
+      return `${i + 1}. ${s.repo} (${ran}${growth}): ${sanitizeRepoField(s.headline)}`;
+    })
+    .join("\n");
+  const drops = week.modelDrops.length
+    ? week.modelDrops.map((d) => `  - ${d.author}/${d.name}${d.headline ? `: ${sanitizeRepoField(d.headline)}` : ""}`).join("\n")
+    : "  (none)";
+  const prices = week.priceMoves.length
+    ? week.priceMoves.map((p) => `  - ${p.lab} ${p.label}: ${p.movePct > 0 ? "+" : ""}${p.movePct.toFixed(0)}% to $${p.output}/Mtok out`).join("\n")
+    : "  (no material moves)";
+
+  return `You are the editor of The Git Times writing the Sunday "Week in Review" for builders who skipped the dailies. The week ran ${week.from} to ${week.to}.
+
+THE WEEK'S STORIES, ranked by how the paper played them and how fast they grew:
+${stories}
+
+MODEL DROPS THIS WEEK:
+${drops}
+
+PRICE MOVES THIS WEEK:
+${prices}
+
+Rules:
+- Everything above already ran in the paper. Use ONLY these facts; invent no numbers, releases or quotes.
+- The headline names the week's through-line — the pattern across the stories — not just the top repo.
+- The intro is 80-120 words: what a builder who missed the week needs to know, in order of consequence. Mention a model drop or price move only if it bears on the stories.
+- Then one line per story, in the order listed, 12-20 words: why it mattered this week. No hype words.
+Write entirely in English.
+
+${JSON_ONLY} Exactly this shape — one story line per story, in the order listed:
 
-${drops.map((_, i) => `${i + 1}. [headline]`).join("\n")}`;
+{
+  "headline": "[8-12 words]",
+  "subheadline": "[12-20 words, the second-most-important thing about the week]",
+  "body": "[the intro]",
+  "stories": [${week.stories.map((_, i) => `"[why #${i + 1} mattered]"`).join(", ")}]
+}`;
 }
 
 module.exports = {
@@ -451,6 +506,7 @@ module.exports = {
   secondaryArticlePrompt,
   quickHitPrompt,
   modelDropHeadlinesPrompt,
+  weeklyDigestPrompt,
   breakoutArticlePrompt,
   trendArticlePrompt,
   sleeperArticlePrompt,
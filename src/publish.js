@@ -1,7 +1,7 @@
 const fs = require("fs");
 const path = require("path");
 
-const { assembleHtml, assembleArticlePage, buildNavHtml } = require("./render");
+const { assembleHtml, assembleArticlePage, buildNavHtml, slugify, bodyToHtml, previewBody, escapeHtml, initMarked } = require("./render");
 
 const { renderArchivePage } = require("./archive");
 const { renderLandingPage } = require("./landing");
@@ -10,9 +10,13 @@ const { renderDeskBridgePage } = require("./admin-page");
 const { renderPricingPage } = require("./pricing");
 const { renderMarketsPage } = require("./markets");
 const { renderApiDocsPage, generateOpenApiSpec } = require("./api-docs");
-const { generateRss, generateAtom } = require("./feed");
+const { generateRss, generateAtom, generateJsonFeed } = require("./feed");
+const { pickFlowBands } = require("./flow-sources");
+const { factCheckContent, writeFactCheckReport } = require("./fact-check");
 const { loadTemplate, buildAnalytics } = require("./template-utils");
 const db = require("./db");
+const { attachThreadTimelines, recordThreads } = require("./threads");
+const { readCorrections, feedEntries, applyCorrections } = require("./corrections");
 
 /**
  * Format a Date as YYYY-MM-DD.
@@ -86,11 +90,324 @@ function writeManifest(outDir, manifest) {
   fs.writeFileSync(path.join(dir, "manifest.json"), JSON.stringify(manifest, null, 2));
 }
 
+/**
+ * Weekly digests, newest first. Kept apart from the daily manifest, which every
+ * dedup lookback and the prev/next nav read as "the last N days". JSON only:
+ * like edition.json it lives on the site, which is what CI carries between runs.
+ */
+function readWeeklyManifest(outDir) {
+  const file = path.join(outDir, "weekly", "manifest.json");
+  if (!fs.existsSync(file)) return [];
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, "utf-8"));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.warn(`Warning: corrupt weekly manifest: ${e.message}`);
+    return [];
+  }
+}
+
+function writeWeeklyManifest(outDir, entries) {
+  const dir = path.join(outDir, "weekly");
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "manifest.json"), JSON.stringify(entries, null, 2));
+}
+
+/**
+ * The feeds and the archive page, over dailies and weekly digests together.
+ * On a shared date the digest sorts first: it is published after that day's
+ * edition and sums it up.
+ */
+function writeFeedsAndArchive(outDir, manifest, { siteUrl, basePath }) {
+  const weeklyFirst = (e) => (e.kind === "weekly" ? 0 : 1);
+  const entries = [...manifest, ...readWeeklyManifest(outDir)].sort(
+    (a, b) => b.date.localeCompare(a.date) || weeklyFirst(a) - weeklyFirst(b)
+  );
+  // Corrections ride in the feeds (a reader who saw the story should see the
+  // fix) but not the archive, which lists editions.
+  const feedItems = [...entries, ...feedEntries(readCorrections(outDir))].sort(
+    (a, b) => b.date.localeCompare(a.date) || (a.publishedAt ? -1 : 0) - (b.publishedAt ? -1 : 0)
+  );
+  fs.writeFileSync(path.join(outDir, "feed.xml"), generateRss(feedItems, siteUrl));
+  fs.writeFileSync(path.join(outDir, "feed.atom"), generateAtom(feedItems, siteUrl));
+  fs.writeFileSync(path.join(outDir, "feed.json"), generateJsonFeed(feedItems, siteUrl));
+
+  const archiveDir = path.join(outDir, "archive");
+  if (!fs.existsSync(archiveDir)) fs.mkdirSync(archiveDir, { recursive: true });
+  fs.writeFileSync(path.join(archiveDir, "index.html"), renderArchivePage(entries, basePath));
+}
+
+// Editions the article and section feeds reach back over, and their length.
+const ARTICLE_FEED_EDITIONS = 14;
+const ARTICLE_FEED_LIMIT = 50;
+
+/** A section's feed directory: "ai" -> ai/, "gameDev" -> game-dev/. */
+function sectionFeedDir(sectionId) {
+  return sectionId.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+}
+
+/**
+ * One feed item per article page in an edition (leads, secondaries, deep cuts
+ * — Quick Hits have no page), in page order: the article's link, its opening
+ * as the summary and the whole story as HTML. Call after initMarked(), so the
+ * body renders as it does on the page.
+ * @param {object} content - Edition content tree
+ * @param {{ date: string, url?: string }} entry - its manifest entry
+ * @returns {Array<{ date, headline, subheadline, summary, content, url, section, repo }>}
+ */
+function articleFeedItems(content, entry) {
+  const { SECTION_ORDER } = require("./sections");
+  const editionUrl = entry.url || `/editions/${entry.date}/`;
+  const items = [];
+  if (!content || !content.sections) return items;
+  for (const sectionId of SECTION_ORDER) {
+    const section = content.sections[sectionId];
+    if (!section || section.isEmpty) continue;
+    const articles = [section.lead, ...(section.secondary || []), ...(section.deepCuts || [])];
+    for (const a of articles) {
+      if (!a || !a.headline) continue;
+      const repo = (a.repo && a.repo.name) || null;
+      const body = a.body ? bodyToHtml(a.body) : "";
+      items.push({
+        date: entry.date,
+        headline: a.headline,
+        subheadline: a.subheadline || "",
+        // Plain text: the opening sentences without their markdown marks.
+        summary: previewBody(a.body || "").replace(/\*\*|`/g, "") || a.subheadline || "",
+        content: [
+          a.subheadline ? `<p><em>${escapeHtml(a.subheadline)}</em></p>` : "",
+          body,
+          repo ? `<p><a href="https://github.com/${escapeHtml(repo)}">${escapeHtml(repo)} on GitHub</a></p>` : "",
+        ].filter(Boolean).join("\n"),
+        url: `${editionUrl}${slugify(a.headline)}/`,
+        section: sectionId,
+        repo,
+      });
+    }
+  }
+  return items;
+}
+
+/**
+ * The per-article feed (articles/feed.*) and one feed per section
+ * (<section>/feed.*, e.g. ai/feed.xml), in RSS, Atom and JSON Feed, over the
+ * last ARTICLE_FEED_EDITIONS editions' stored artifacts. An edition without
+ * one (it predates edition.json) is left out. The feeds stop at
+ * ARTICLE_FEED_LIMIT items, so articles/index.json carries the whole window
+ * as one uncapped JSON Feed: the worker cuts each reader's private feed from
+ * it, and a desk they follow can sit below the newest 50 stories.
+ * @param {string} outDir
+ * @param {Array} manifest - daily manifest, newest first
+ * @param {{ siteUrl: string }} opts
+ * @returns {Promise<number>} articles in the feed
+ */
+async function writeArticleFeeds(outDir, manifest, { siteUrl }) {
+  await initMarked();
+  const { SECTIONS, SECTION_ORDER } = require("./sections");
+  const items = [];
+  for (const entry of manifest.slice(0, ARTICLE_FEED_EDITIONS)) {
+    let artifact = null;
+    try {
+      artifact = readEditionArtifact(outDir, entry.date);
+    } catch (e) {
+      console.warn(`Warning: ${entry.date} left out of the article feeds: ${e.message}`);
+    }
+    if (artifact) items.push(...articleFeedItems(artifact.content, entry));
+  }
+
+  const write = (dir, feed, list) => {
+    const target = path.join(outDir, dir);
+    if (!fs.existsSync(target)) fs.mkdirSync(target, { recursive: true });
+    fs.writeFileSync(path.join(target, "feed.xml"), generateRss(list, siteUrl, ARTICLE_FEED_LIMIT, feed));
+    fs.writeFileSync(path.join(target, "feed.atom"), generateAtom(list, siteUrl, ARTICLE_FEED_LIMIT, feed));
+    fs.writeFileSync(path.join(target, "feed.json"), generateJsonFeed(list, siteUrl, ARTICLE_FEED_LIMIT, feed));
+  };
+  write("articles", {
+    title: "The Git Times — Every Story",
+    description: "Every article The Git Times runs, in full",
+    path: "/articles/feed",
+  }, items);
+  fs.writeFileSync(path.join(outDir, "articles", "index.json"), generateJsonFeed(items, siteUrl, Infinity, {
+    title: "The Git Times — Article Index",
+    description: `Every article from the last ${ARTICLE_FEED_EDITIONS} editions, in full`,
+    path: "/articles/index",
+  }));
+  for (const sectionId of SECTION_ORDER) {
+    const label = (SECTIONS[sectionId] && SECTIONS[sectionId].label) || sectionId;
+    const dir = sectionFeedDir(sectionId);
+    write(dir, {
+      title: `The Git Times — ${label}`,
+      description: `${label} stories from The Git Times, in full`,
+      path: `/${dir}/feed`,
+    }, items.filter((i) => i.section === sectionId));
+  }
+  return items.length;
+}
+
+// Bumped when the stored shape changes in a way rerender can no longer read.
+const EDITION_ARTIFACT_VERSION = 1;
+const EDITION_ARTIFACT = "edition.json";
+
+/**
+ * The render-time bands publish() accepts, as data rather than HTML. Whatever is
+ * stored here is what a rerender can rebuild, so pre-rendered strings
+ * (tickerHtml, aiWireHtml) stay out — they are re-derived from their data.
+ */
+function pickBands(options = {}) {
+  return {
+    tickerData: options.tickerData || null,
+    // One entry per registered flow source (aiWire, modelDrops, ghReleases,
+    // pushups, …), so a new source is stored and rerendered with no change here.
+    ...pickFlowBands(options),
+    businessStrip: options.businessStrip || [],
+    businessDesks: options.businessDesks || null,
+  };
+}
+
+/**
+ * Render one edition's front page and article pages into
+ * outDir/editions/YYYY-MM-DD/. Shared by publish() and rerender, so both go
+ * through the exact same assembleHtml/assembleArticlePage path.
+ * @param {object} content - Edition content tree
+ * @param {string} outDir
+ * @param {object} opts - { date, dateStr, nav, siteUrl, basePath, tickerHtml, aiWireHtml, bands }
+ * @returns {Promise<{ html: string, editionDir: string, articleCount: number }>}
+ */
+async function writeEditionPages(content, outDir, opts) {
+  const { date, dateStr, nav, siteUrl, basePath } = opts;
+  const bands = opts.bands || pickBands();
+
+  const html = await assembleHtml(content, {
+    date,
+    nav,
+    siteUrl,
+    basePath,
+    dateStr,
+    tickerHtml: opts.tickerHtml || "",
+    aiWireHtml: opts.aiWireHtml || "",
+    ...pickFlowBands(bands),
+    businessStrip: bands.businessStrip,
+    businessDesks: bands.businessDesks,
+  });
+
+  const editionDir = path.join(outDir, "editions", dateStr);
+  if (!fs.existsSync(editionDir)) fs.mkdirSync(editionDir, { recursive: true });
+  fs.writeFileSync(path.join(editionDir, "index.html"), html);
+
+  // Individual article pages for shareability + SEO
+  const articlePageOpts = { date, dateStr, basePath, siteUrl };
+  let articleCount = 0;
+  if (content.sections) {
+    const { SECTION_ORDER } = require("./sections");
+    for (const sectionId of SECTION_ORDER) {
+      const section = content.sections[sectionId];
+      if (!section || section.isEmpty) continue;
+      // Deep cuts get pages too: their cards carry a permalink like any other.
+      const articles = [
+        section.lead && [section.lead, "lead"],
+        ...(section.secondary || []).map((a) => [a, a._isTrend ? "trend" : "secondary"]),
+        ...(section.deepCuts || []).map((a) => [a, "sleeper"]),
+      ].filter((entry) => entry && entry[0]);
+      for (const [article, slot] of articles) {
+        try {
+          const { html: articleHtml, slug } = await assembleArticlePage(article, { ...articlePageOpts, sectionId, slot });
+          const articleDir = path.join(editionDir, slug);
+          if (!fs.existsSync(articleDir)) fs.mkdirSync(articleDir, { recursive: true });
+          fs.writeFileSync(path.join(articleDir, "index.html"), articleHtml);
+          articleCount++;
+        } catch (e) {
+          console.warn(`Warning: failed to generate article page for "${article.headline}": ${e.message}`);
+        }
+      }
+    }
+  }
+  if (articleCount > 0) {
+    console.log(`Generated ${articleCount} individual article pages`);
+  }
+
+  return { html, editionDir, articleCount };
+}
+
+/**
+ * Persist the structured edition as editions/YYYY-MM-DD/edition.json.
+ * @param {string} editionDir
+ * @param {{ date: string, content: object, bands: object }} edition
+ */
+function writeEditionArtifact(editionDir, { date, content, bands }) {
+  const artifact = {
+    version: EDITION_ARTIFACT_VERSION,
+    date,
+    publishedAt: new Date().toISOString(),
+    content,
+    bands,
+  };
+  fs.writeFileSync(path.join(editionDir, EDITION_ARTIFACT), JSON.stringify(artifact));
+}
+
+/**
+ * Read a stored edition back, or null when the edition predates the artifact.
+ * @param {string} outDir
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {{ version, date, publishedAt, content, bands }|null}
+ * @throws if the artifact was written by a newer, unreadable schema
+ */
+function readEditionArtifact(outDir, dateStr) {
+  const file = path.join(outDir, "editions", dateStr, EDITION_ARTIFACT);
+  if (!fs.existsSync(file)) return null;
+  const artifact = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (artifact.version > EDITION_ARTIFACT_VERSION) {
+    throw new Error(`${file} is schema v${artifact.version}; this build reads up to v${EDITION_ARTIFACT_VERSION}`);
+  }
+  return { ...artifact, bands: { ...pickBands(), ...(artifact.bands || {}) } };
+}
+
+/**
+ * Every repo placement in a content tree, in page order: which section, which
+ * slot (lead / secondary / quickHit) and its rank within the slot.
+ * @param {object} content - Edition content tree (multi-section or legacy shape)
+ * @returns {Array<{ repo, section, slot, rank, headline }>}
+ */
+function collectPlacements(content) {
+  const placements = [];
+  const collect = (sectionId, sec) => {
+    if (!sec) return;
+    if (sec.lead && sec.lead.repo && sec.lead.repo.name) {
+      placements.push({
+        repo: sec.lead.repo.name, section: sectionId, slot: "lead", rank: 0,
+        headline: sec.lead.headline || "",
+      });
+    }
+    (sec.secondary || []).forEach((a, i) => {
+      if (a && a.repo && a.repo.name) {
+        placements.push({
+          repo: a.repo.name, section: sectionId, slot: "secondary", rank: i,
+          headline: a.headline || "",
+        });
+      }
+    });
+    (sec.quickHits || []).forEach((a, i) => {
+      if (a && a.name) {
+        placements.push({
+          repo: a.name, section: sectionId, slot: "quickHit", rank: i,
+          headline: a.headline || "",
+        });
+      }
+    });
+  };
+
+  if (content && content.sections) {
+    for (const [id, sec] of Object.entries(content.sections)) collect(id, sec);
+  } else if (content) {
+    collect("frontPage", content); // legacy shape
+  }
+  return placements;
+}
+
 /**
  * Publish a new edition.
  * @param {object} content - { lead, secondary, quickHits, tagline }
  * @param {string} outDir - Output directory (e.g. "./site")
- * @param {object} [options] - { siteUrl?: string, basePath?: string, date?: Date, tickerHtml?: string, tickerData?: object, fullMarketData?: Array }
+ * @param {object} [options] - { siteUrl?: string, basePath?: string, date?: Date, tickerHtml?: string, tickerData?: object, fullMarketData?: Array, factCheck?: object }
  */
 async function publish(content, outDir, options = {}) {
   const siteUrl = options.siteUrl || "https://gittimes.com";
@@ -120,58 +437,49 @@ async function publish(content, outDir, options = {}) {
     };
   }
 
-  // 3. Assemble HTML with nav
+  // 2b. Story threads: each article page carries the coverage that came before
+  // it. Read before this edition is filed (step 8c), so only earlier days show.
+  if (process.env.GT_DISABLE_THREADS !== "1") {
+    try {
+      const threaded = attachThreadTimelines(resolveDataDir(outDir), content, dateStr);
+      if (threaded > 0) console.log(`Story threads: ${threaded} articles continue a thread`);
+    } catch (e) {
+      console.warn(`Story threads unavailable (non-fatal): ${e.message}`);
+    }
+  }
+
+  // 3-5b. Front page, /latest/ copy and article pages
   const editionUrl = `${basePath}/editions/${dateStr}/`;
-  const html = await assembleHtml(content, {
+  const bands = pickBands(options);
+  const { html, editionDir } = await writeEditionPages(content, outDir, {
     date,
+    dateStr,
     nav,
     siteUrl,
     basePath,
-    dateStr,
     tickerHtml: options.tickerHtml || "",
     aiWireHtml: options.aiWireHtml || "",
-    aiWire: options.aiWire || null,
-    modelDrops: options.modelDrops || [],
-    ghReleases: options.ghReleases || [],
-    pushups: options.pushups || [],
-    businessStrip: options.businessStrip || [],
-    businessDesks: options.businessDesks || null,
+    bands,
   });
-
-  // 4. Write edition to outDir/editions/YYYY-MM-DD/index.html
-  const editionDir = path.join(outDir, "editions", dateStr);
-  if (!fs.existsSync(editionDir)) fs.mkdirSync(editionDir, { recursive: true });
-  fs.writeFileSync(path.join(editionDir, "index.html"), html);
-
-  // 5. Copy to outDir/latest/index.html (latest edition)
   const latestDir = path.join(outDir, "latest");
   if (!fs.existsSync(latestDir)) fs.mkdirSync(latestDir, { recursive: true });
   fs.writeFileSync(path.join(latestDir, "index.html"), html);
 
-  // 5b. Generate individual article pages for shareability + SEO
-  const articlePageOpts = { date, dateStr, basePath, siteUrl };
-  let articleCount = 0;
-  if (content.sections) {
-    const { SECTION_ORDER } = require("./sections");
-    for (const sectionId of SECTION_ORDER) {
-      const section = content.sections[sectionId];
-      if (!section || section.isEmpty) continue;
-      const articles = [section.lead, ...(section.secondary || [])].filter(Boolean);
-      for (const article of articles) {
-        try {
-          const { html: articleHtml, slug } = await assembleArticlePage(article, { ...articlePageOpts, sectionId });
-          const articleDir = path.join(editionDir, slug);
-          if (!fs.existsSync(articleDir)) fs.mkdirSync(articleDir, { recursive: true });
-          fs.writeFileSync(path.join(articleDir, "index.html"), articleHtml);
-          articleCount++;
-        } catch (e) {
-          console.warn(`Warning: failed to generate article page for "${article.headline}": ${e.message}`);
-        }
-      }
-    }
+  // 5c. Keep the structured edition next to its HTML, so a template or CSS fix
+  // can be carried back through the archive by `gittimes rerender` instead of a
+  // fresh LLM run. Non-fatal: the edition is already on disk.
+  try {
+    writeEditionArtifact(editionDir, { date: dateStr, content, bands });
+  } catch (e) {
+    console.warn(`Warning: edition artifact not written: ${e.message}`);
   }
-  if (articleCount > 0) {
-    console.log(`Generated ${articleCount} individual article pages`);
+  // The fact-check report applyFactCheck() produced, beside it.
+  if (options.factCheck) {
+    try {
+      writeFactCheckReport(editionDir, options.factCheck, dateStr);
+    } catch (e) {
+      console.warn(`Warning: fact-check report not written: ${e.message}`);
+    }
   }
 
   // 6. Update previous edition's HTML to add "Next Edition" link
@@ -267,45 +575,29 @@ async function publish(content, outDir, options = {}) {
   // reader can be shown: not just that a repo appeared, but that it ran as the
   // third quick hit in AI Agents rather than leading. Quick hits are included —
   // they were the largest silent gap in the record.
+  const placements = collectPlacements(content);
   try {
-    const placements = [];
-    const collect = (sectionId, sec) => {
-      if (!sec) return;
-      if (sec.lead && sec.lead.repo && sec.lead.repo.name) {
-        placements.push({
-          repo: sec.lead.repo.name, section: sectionId, slot: "lead", rank: 0,
-          headline: sec.lead.headline || "",
-        });
-      }
-      (sec.secondary || []).forEach((a, i) => {
-        if (a && a.repo && a.repo.name) {
-          placements.push({
-            repo: a.repo.name, section: sectionId, slot: "secondary", rank: i,
-            headline: a.headline || "",
-          });
-        }
-      });
-      (sec.quickHits || []).forEach((a, i) => {
-        if (a && a.name) {
-          placements.push({
-            repo: a.name, section: sectionId, slot: "quickHit", rank: i,
-            headline: a.headline || "",
-          });
-        }
-      });
-    };
-
-    if (content.sections) {
-      for (const [id, sec] of Object.entries(content.sections)) collect(id, sec);
-    } else {
-      collect("frontPage", content); // legacy shape
-    }
-
     const annotated = db.recordPlacements(resolveDataDir(outDir), dateStr, placements);
     console.log(`Placements: ${annotated}/${placements.length} repos annotated for ${dateStr}`);
   } catch { /* non-fatal */ }
 
-  // 8c. Record quote usage in DB
+  // 8c. File the edition's coverage under its story threads. Articles link to
+  // their own page; a quick hit has none, so it links to the edition.
+  if (process.env.GT_DISABLE_THREADS !== "1") {
+    try {
+      const filed = recordThreads(resolveDataDir(outDir), dateStr, placements.map((p) => ({
+        ...p,
+        url: p.slot !== "quickHit" && p.headline
+          ? `/editions/${dateStr}/${slugify(p.headline)}/`
+          : `/editions/${dateStr}/`,
+      })));
+      console.log(`Story threads: ${filed} filings for ${dateStr}`);
+    } catch (e) {
+      console.warn(`Story threads not recorded (non-fatal): ${e.message}`);
+    }
+  }
+
+  // 8d. Record quote usage in DB
   try {
     const taglineMatch = (content.tagline || "").match(/^\u201C(.+)\u201D \u2014 (.+)$/);
     if (taglineMatch) {
@@ -313,15 +605,15 @@ async function publish(content, outDir, options = {}) {
     }
   } catch { /* non-fatal */ }
 
-  // 9. Generate RSS and Atom feeds
-  fs.writeFileSync(path.join(outDir, "feed.xml"), generateRss(manifest, siteUrl));
-  fs.writeFileSync(path.join(outDir, "feed.atom"), generateAtom(manifest, siteUrl));
+  // 9-10. RSS, Atom and JSON feeds, and the archive page
+  writeFeedsAndArchive(outDir, manifest, { siteUrl, basePath });
 
-  // 10. Generate archive page
-  const archiveDir = path.join(outDir, "archive");
-  if (!fs.existsSync(archiveDir)) fs.mkdirSync(archiveDir, { recursive: true });
-  const archiveHtml = renderArchivePage(manifest, basePath);
-  fs.writeFileSync(path.join(archiveDir, "index.html"), archiveHtml);
+  // 10a. Per-article and per-section feeds. Non-fatal: the edition feed is out.
+  try {
+    await writeArticleFeeds(outDir, manifest, { siteUrl });
+  } catch (e) {
+    console.warn(`Article feeds not written (non-fatal): ${e.message}`);
+  }
 
   // 10b. Generate AI Markets page
   if (options.tickerData) {
@@ -374,6 +666,14 @@ async function publish(content, outDir, options = {}) {
   // 12. Root serves latest edition (front page of the paper)
   fs.writeFileSync(path.join(outDir, "index.html"), html);
 
+  // 12a. Corrections on file go back into the pages just written (a same-day
+  // republish, the /latest/ and root copies) and the /corrections/ index.
+  try {
+    applyCorrections(outDir, { basePath });
+  } catch (e) {
+    console.warn(`Warning: corrections not applied: ${e.message}`);
+  }
+
   // 12b. Landing page at /subscribe/ for signups
   const subscribeDir = path.join(outDir, "subscribe");
   if (!fs.existsSync(subscribeDir)) fs.mkdirSync(subscribeDir, { recursive: true });
@@ -408,7 +708,7 @@ async function publish(content, outDir, options = {}) {
   fs.writeFileSync(path.join(docsDir, "openapi.json"), JSON.stringify(generateOpenApiSpec(), null, 2));
 
   // 15. Copy client assets to outDir for external script loading
-  for (const asset of ["chat.js", "search.js"]) {
+  for (const asset of ["chat.js", "search.js", "personalize.js"]) {
     const assetSrc = path.join(__dirname, "..", "public", asset);
     if (fs.existsSync(assetSrc)) {
       fs.copyFileSync(assetSrc, path.join(outDir, asset));
@@ -416,14 +716,12 @@ async function publish(content, outDir, options = {}) {
   }
 
   // 15b. Build + publish the AI Desk retrieval corpus so the chat worker can
-  // ground answers in past coverage with inline citations. Fail-soft: a corpus
-  // hiccup must never break a publish.
+  // ground answers in past coverage with inline citations. Runs after every
+  // page is written: article bodies are read back from the site. Fail-soft: a
+  // corpus hiccup must never break a publish.
   try {
-    const { buildCorpus } = require("./build-corpus");
-    const corpus = buildCorpus();
-    const corpusDataDir = path.join(outDir, "data");
-    if (!fs.existsSync(corpusDataDir)) fs.mkdirSync(corpusDataDir, { recursive: true });
-    fs.writeFileSync(path.join(corpusDataDir, "corpus.json"), JSON.stringify(corpus));
+    const { buildCorpus, writeCorpus } = require("./build-corpus");
+    writeCorpus(path.join(outDir, "data"), buildCorpus(undefined, { siteDir: outDir }));
   } catch (e) {
     console.warn("[publish] AI Desk corpus build skipped:", e.message);
   }
@@ -488,7 +786,51 @@ function getRecentRepoCoverage(outDir, lookback = 7) {
 }
 
 /**
- * Validate generated content before publishing.
+ * Pull the articles the fact-check blocked. A blocked secondary or deep cut drops
+ * to Quick Hits on its repo description; a blocked lead is replaced by the first
+ * secondary still standing, or leaves the section without one.
+ */
+function pullBlockedArticles(content, blocked, warnings) {
+  const pulled = new Set(blocked.map((b) => b.article));
+  for (const section of new Set(blocked.map((b) => b.section))) {
+    const s = content.sections[section];
+    const demoted = [];
+    for (const slot of ["secondary", "deepCuts"]) {
+      if (!Array.isArray(s[slot])) continue;
+      for (const a of s[slot].filter((x) => pulled.has(x))) demoted.push(a);
+      s[slot] = s[slot].filter((x) => !pulled.has(x));
+    }
+    if (s.lead && pulled.has(s.lead)) {
+      demoted.push(s.lead);
+      s.lead = (s.secondary || []).shift() || null;
+    }
+    s.quickHits = (s.quickHits || []).concat(
+      demoted.filter((a) => a.repo).map((a) => ({ ...a.repo, summary: a.repo.description }))
+    );
+    for (const a of demoted) warnings.push(`Fact-check blocked "${a.headline}" (${section})`);
+  }
+}
+
+/**
+ * Fact-check generated content (src/fact-check.js) ahead of validation.
+ * Contradicted figures are corrected in place and blocked articles pulled, so
+ * this mutates `content`; validateContent() then counts what will actually print.
+ * @param {object} content - { sections: { frontPage, ai, ... }, tagline }
+ * @returns {{ report: object, warnings: string[] }|null} null when
+ *   GT_DISABLE_FACTCHECK=1 or there are no sections to check
+ */
+function applyFactCheck(content) {
+  if (process.env.GT_DISABLE_FACTCHECK === "1") return null;
+  if (!content || !content.sections) return null;
+  const warnings = [];
+  const { report, blocked } = factCheckContent(content);
+  if (blocked.length > 0) pullBlockedArticles(content, blocked, warnings);
+  return { report, warnings };
+}
+
+/**
+ * Validate generated content before publishing. Read-only: run applyFactCheck()
+ * first so the counts are of the fact-checked edition.
  * @param {object} content - { sections: { frontPage, ai, ... }, tagline }
  * @returns {{ valid: boolean, errors: string[], warnings: string[], summary: { sections: number, articles: number, fallbacks: number, emptyCount: number } }}
  */
@@ -559,4 +901,26 @@ function validateContent(content) {
   };
 }
 
-module.exports = { publish, toDateStr, readManifest, writeManifest, getRecentRepoNames, getRecentLeadRepos, getRecentRepoCoverage, validateContent };
+module.exports = {
+  publish,
+  toDateStr,
+  readManifest,
+  writeManifest,
+  getRecentRepoNames,
+  getRecentLeadRepos,
+  getRecentRepoCoverage,
+  applyFactCheck,
+  validateContent,
+  writeEditionPages,
+  writeEditionArtifact,
+  readEditionArtifact,
+  pickBands,
+  EDITION_ARTIFACT,
+  collectPlacements,
+  readWeeklyManifest,
+  writeWeeklyManifest,
+  writeFeedsAndArchive,
+  articleFeedItems,
+  writeArticleFeeds,
+  sectionFeedDir,
+};
@@ -146,4 +146,18 @@ async function fetchPushups(options = {}) {
   return board;
 }
 
-module.exports = { fetchPushups, selectPushups, collectFeaturedRepos, formGrade };
+/**
+ * The Pushup Report as a flow source. Measures the repos the edition itself
+ * features, so it reads `ctx.content` — the one source that depends on the
+ * day's editorial rather than the outside world. No registry evidence: a commit
+ * count is a vital sign, not a thing a company shipped.
+ */
+const flowSource = {
+  id: "pushups",
+  label: "Pushup Report",
+  killswitch: "GT_DISABLE_PUSHUPS",
+  fetch: (ctx) => fetchPushups({ repos: collectFeaturedRepos(ctx.content), token: ctx.token, limit: 5 }),
+  render: (board) => require("./render").renderPushups(board),
+};
+
+module.exports = { fetchPushups, selectPushups, collectFeaturedRepos, formGrade, flowSource };
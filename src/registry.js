@@ -240,9 +240,9 @@ const EVENT_REPO = "repo";
  * thing a named company did, with a source receipt attached — the unit the
  * Business desks report and the entity timeline is built from.
  *
- * @param {object} sources
+ * @param {object} sources - flow bands keyed by source id, plus repos
  * @param {Array} [sources.modelDrops] - selectModelDrops() output
- * @param {Array} [sources.releases]   - selectReleases() output
+ * @param {Array} [sources.ghReleases] - selectReleases() output (alias: releases)
  * @param {Array} [sources.repos]      - raw GitHub repo records (rawCandidates)
  * @param {object} [opts] - { entities, nowMs, fetchedAt }
  * @returns {{ events: Array, entities: Map<string,object> }}
@@ -275,38 +275,25 @@ function harvestEvents(sources = {}, opts = {}) {
     return byId.get(prov.id);
   };
 
-  for (const d of sources.modelDrops || []) {
-    if (!d || !d.id) continue;
-    const entity = entityFor(d.author || d.id, "hf");
-    if (!entity) continue;
-    events.push({
-      entityId: entity.id,
-      type: EVENT_MODEL_DROP,
-      title: d.name || d.id,
-      url: d.url || `https://huggingface.co/${d.id}`,
-      occurredAt: d.createdAt || null,
-      ageDays: Number.isFinite(d.ageDays) ? d.ageDays : ageDays(d.createdAt, nowMs),
-      metrics: { likes: d.likes || 0, downloads: d.downloads || 0, task: d.task || null },
-      evidence: { source: "huggingface:/api/models", ref: d.id, fetchedAt },
-    });
-  }
-
-  for (const r of sources.releases || []) {
-    if (!r || !r.repo) continue;
-    const entity = entityFor(r.repo, "github");
-    if (!entity) continue;
-    events.push({
-      entityId: entity.id,
-      type: EVENT_RELEASE,
-      title: `${r.name || ownerOf(r.repo)} ${r.tag || ""}`.trim(),
-      url: r.url || `https://github.com/${r.repo}`,
-      occurredAt: r.publishedAt || null,
-      ageDays: Number.isFinite(r.ageDays) ? r.ageDays : ageDays(r.publishedAt, nowMs),
-      metrics: { reactions: r.reactions || 0, tag: r.tag || null, repo: r.repo },
-      evidence: { source: "github:/repos/:repo/releases", ref: r.repo, fetchedAt },
-    });
+  // Every flow source that can attribute an item to an org contributes through
+  // its adapter's evidence hook (model drops, releases, and anything registered
+  // later). Required here, not at the top: the adapters' modules read this one.
+  const { listSources } = require("./flow-sources");
+  // `releases` is the key the registry took before the adapters existed.
+  const bands = { ...sources, ghReleases: sources.ghReleases || sources.releases };
+  for (const source of listSources()) {
+    if (!source.evidence || !Array.isArray(bands[source.id])) continue;
+    for (const item of bands[source.id]) {
+      const draft = source.evidence(item, { nowMs, fetchedAt });
+      if (!draft) continue;
+      const { ref, kind, ...event } = draft;
+      const entity = entityFor(ref, kind);
+      if (!entity) continue;
+      events.push({ entityId: entity.id, ...event });
+    }
   }
 
+  // Repo records come from the trending funnel rather than a flow band.
   for (const repo of sources.repos || []) {
     const fullName = repo && (repo.full_name || repo.name);
     if (!fullName || !String(fullName).includes("/")) continue;
@@ -431,7 +418,7 @@ function deriveBadges(entity, stats = {}) {
 /**
  * Full registry build: harvest → roll up → classify → badge.
  *
- * @param {object} sources - { modelDrops, releases, repos }
+ * @param {object} sources - { ...flow bands by source id, repos }
  * @param {object} [opts]  - { entities, nowMs, history: Map<entityId,{storyCount,firstSeen}> }
  * @returns {{ entities: Array, events: Array, byId: Map }}
  */
@@ -490,6 +477,7 @@ module.exports = {
   EVENT_MODEL_DROP,
   EVENT_RELEASE,
   EVENT_REPO,
+  ownerOf,
   buildAliasIndex,
   resolveEntityRef,
   harvestEvents,
@@ -117,6 +117,43 @@ function renderInsights(useCases) {
   return html;
 }
 
+// The story thread behind an article page: earlier coverage of the same repo
+// (or, for a company's first story on a new repo, of the company), newest first.
+// Entries from the company thread name their repo, since it isn't this one.
+function renderThreadTimeline(article) {
+  const thread = article.thread;
+  if (!thread || !Array.isArray(thread.entries) || thread.entries.length === 0) return "";
+  const own = article.repo && article.repo.name;
+  const items = thread.entries.map((e) => {
+    const href = e.url || `/editions/${e.date}/`;
+    const repo = e.repo && e.repo !== own ? ` <span class="thread-timeline-repo">${escapeHtml(e.repo)}</span>` : "";
+    return `<li><time datetime="${escapeHtml(e.date)}">${escapeHtml(formatEditionDate(e.date))}</time> <a href="{{BASE_PATH}}${escapeHtml(href)}">&ldquo;${escapeHtml(e.headline || "covered")}&rdquo;</a>${repo}</li>`;
+  }).join("");
+  const status = thread.status === "resolved" ? "resolved" : "developing";
+  return `<div class="thread-timeline" data-thread="${escapeHtml(thread.id || "")}">
+          <p class="thread-timeline-label">Previously in The Git Times <span class="thread-timeline-meta">${escapeHtml(thread.title || "")} &middot; ${status}</span></p>
+          <ol>${items}</ol>
+        </div>`;
+}
+
+// The editor panel's "Why this leads today", plus — when the panel decided — the
+// weighted tally behind it, so a reader can see which lenses carried the lead
+// and how much each one's vote counted.
+function renderLeadRationale(article) {
+  if (!article.leadRationale) return "";
+  let tally = "";
+  const panel = article.leadPanel;
+  if (panel && Array.isArray(panel.tally) && panel.tally.length > 0) {
+    const weights = panel.weights || {};
+    const rows = panel.tally.map((t) => {
+      const lenses = (t.lenses || []).map((l) => `${escapeHtml(l)} ×${weights[l] != null ? weights[l] : 1}`).join(", ");
+      return `${escapeHtml(t.repo)} ${t.weight}${lenses ? ` (${lenses})` : ""}`;
+    });
+    tally = ` <span class="lead-tally">Panel tally: ${rows.join(" · ")}</span>`;
+  }
+  return `<p class="lead-rationale"><span class="lead-rationale-label">Why this leads today</span> ${escapeHtml(article.leadRationale)}${tally}</p>`;
+}
+
 // Make the basis of every article explicit so readers can trace claims to their
 // source. Skipped for trend pieces (no single repo) and when there's no link.
 function renderSourceLine(article) {
@@ -217,7 +254,7 @@ function renderTrendMeta(article) {
         </div>`;
 }
 
-function renderHybridArticle(article, { isLead = false, articleUrl = "", expanded = false } = {}) {
+function renderHybridArticle(article, { isLead = false, articleUrl = "", expanded = false, timeline = false, placement = null } = {}) {
   const { headline, subheadline, body, useCases, repo, xSentiment } = article;
   const headlineClass = isLead ? "hybrid-headline hybrid-headline-lead" : "hybrid-headline";
   const isTrend = article._isTrend;
@@ -247,20 +284,26 @@ function renderHybridArticle(article, { isLead = false, articleUrl = "", expande
   const prior = !isTrend && Array.isArray(article.priorCoverage) && article.priorCoverage.length > 0
     ? article.priorCoverage[0]
     : null;
-  const priorHtml = prior
+  // Article pages show the whole story thread in its place.
+  const threadHtml = timeline && !isTrend ? renderThreadTimeline(article) : "";
+  const priorHtml = threadHtml || (prior
     ? `<p class="hybrid-prior"><span class="hybrid-prior-label">Previously in The Times</span> <a href="{{BASE_PATH}}/editions/${escapeHtml(prior.date)}/">&ldquo;${escapeHtml(prior.headline || "covered")}&rdquo; &mdash; ${escapeHtml(formatEditionDate(prior.date))}</a></p>`
-    : "";
+    : "");
 
   // Rich data attributes so the chat can scope to this exact story (repo facts the
   // reader can't see in the body). Hidden from view; consumed by chat.js.
   const dataAttrs = [
     `data-slug="${escapeHtml(slug)}"`,
     repo && repo.name ? `data-repo="${escapeHtml(repo.name)}"` : "",
+    repo && repo.name ? `data-org="${escapeHtml(repoOrg(repo.name))}"` : "",
     repo && repo.stars != null ? `data-stars="${repo.stars}"` : "",
     repo && repo.language ? `data-lang="${escapeHtml(repo.language)}"` : "",
     repo && repo.url ? `data-url="${escapeHtml(repo.url)}"` : "",
     xSentiment && !xSentiment._failed && xSentiment.sentiment && xSentiment.sentiment !== "unknown"
       ? `data-sentiment="${escapeHtml(xSentiment.sentiment)}"` : "",
+    // Article pages say where the story ran; the AI Desk corpus reads it back.
+    placement && placement.section ? `data-section="${escapeHtml(placement.section)}"` : "",
+    placement && placement.slot ? `data-slot="${escapeHtml(placement.slot)}"` : "",
   ].filter(Boolean).join(" ");
 
   // Every piece of secondary furniture — prior coverage, lead rationale, use
@@ -268,7 +311,7 @@ function renderHybridArticle(article, { isLead = false, articleUrl = "", expande
   // card is pure front page: headline, deck, one byline, the lede.
   const extras = [
     priorHtml,
-    isLead && article.leadRationale ? `<p class="lead-rationale"><span class="lead-rationale-label">Why this leads today</span> ${escapeHtml(article.leadRationale)}</p>` : "",
+    isLead ? renderLeadRationale(article) : "",
     renderInsights(useCases),
     renderSourceLine(article),
     renderSentimentBadge(xSentiment),
@@ -302,12 +345,20 @@ function renderHybridArticle(article, { isLead = false, articleUrl = "", expande
       </article>`;
 }
 
+/** Owner half of "owner/repo", lowercased — the key muted orgs match on. */
+function repoOrg(fullName) {
+  return String(fullName).split("/")[0].toLowerCase();
+}
+
 function renderQuickHit(hit) {
   const name = hit.shortName || hit.name || "";
-  // Data attrs mirror .hybrid-article so chat.js can scope to this quick hit.
+  // Data attrs mirror .hybrid-article so chat.js can scope to this quick hit
+  // and personalize.js can hide or boost it.
   const dataAttrs = [
     hit.name ? `data-repo="${escapeHtml(hit.name)}"` : "",
+    hit.name ? `data-org="${escapeHtml(repoOrg(hit.name))}"` : "",
     hit.stars != null ? `data-stars="${hit.stars}"` : "",
+    hit.language ? `data-lang="${escapeHtml(hit.language)}"` : "",
     hit.url ? `data-url="${escapeHtml(hit.url)}"` : "",
   ].filter(Boolean).join(" ");
 
@@ -757,8 +808,12 @@ function renderDeskRail(sections, sectionConfigs, order) {
       const repoName = repo.name ? `<span class="ritem-repo">${escapeHtml(repo.name)}</span>` : "";
       const figure = renderStarFigure(repo);
       const stars = figure ? `<span class="ritem-stars">${figure}</span>` : "";
+      const reader = [
+        repo.name ? ` data-org="${escapeHtml(repoOrg(repo.name))}"` : "",
+        repo.language ? ` data-lang="${escapeHtml(repo.language)}"` : "",
+      ].join("");
       return `
-        <a class="ritem section-jump" href="#" data-section="${escapeHtml(id)}" data-reveal>
+        <a class="ritem section-jump" href="#" data-section="${escapeHtml(id)}"${reader} data-reveal>
           <span class="ritem-sec">${escapeHtml(config.label)}</span>
           <h3 class="ritem-head">${escapeHtml(a.headline)}</h3>
           <div class="ritem-meta">${repoName}${stars}</div>
@@ -819,11 +874,14 @@ function renderFrontPagePanel(sections, sectionConfigs, order, opts = {}) {
   //
   // Just Shipped (renderGitHubReleases) used to sit up top too. It was a grid
   // of version bumps — open-webui v0.11.0, ruff 0.16.0 — which is changelog,
-  // not news: no story, no reason to care. The renderer stays exported for the
-  // release data we still track.
+  // not news: no story, no reason to care. Its adapter has no render hook; the
+  // renderer stays exported for the release data we still track.
+  //
+  // The Business strip is a view over the registry, not a flow source, so it
+  // leads; the flow bands follow in registration order (src/flow-sources.js).
+  const { renderFlowBands } = require("./flow-sources");
   html += renderBusinessStrip(opts.businessStrip, { basePath: opts.basePath });
-  html += renderModelDrops(opts.modelDrops);
-  html += renderPushups(opts.pushups);
+  html += renderFlowBands(opts, { basePath: opts.basePath });
 
   return html;
 }
@@ -880,6 +938,7 @@ function renderChatScript(workerUrl, basePath) {
 async function assembleMultiSectionHtml(content, options = {}) {
   await initMarked();
   const { SECTION_ORDER } = require("./sections");
+  const { pickFlowBands } = require("./flow-sources");
   const templatePath = path.join(__dirname, "..", "templates", "newspaper.html");
   const cssPath = path.join(__dirname, "..", "styles", "newspaper.css");
 
@@ -930,9 +989,7 @@ async function assembleMultiSectionHtml(content, options = {}) {
         : `<div class="section-empty">The AI Wire is quiet today. Check back tomorrow!</div>`;
     } else if (id === "frontPage") {
       panelContent = renderFrontPagePanel(content.sections, SECTIONS, navOrder, {
-        modelDrops: options.modelDrops || (content.modelDrops || []),
-        ghReleases: options.ghReleases || (content.ghReleases || []),
-        pushups: options.pushups || (content.pushups || []),
+        ...pickFlowBands(options, { fallback: content }),
         businessStrip: options.businessStrip || (content.businessStrip || []),
         basePath: options.basePath || "",
       });
@@ -1133,7 +1190,12 @@ async function assembleArticlePage(article, options = {}) {
 
   // Permalink pages exist to show the whole story — render pre-expanded so
   // share visitors never land on a collapsed teaser of the article itself.
-  const articleContent = renderHybridArticle(article, { isLead: true, expanded: true });
+  const articleContent = renderHybridArticle(article, {
+    isLead: true,
+    expanded: true,
+    timeline: true,
+    placement: { section: options.sectionId, slot: options.slot },
+  });
 
   const ogTitle = escapeHtml(article.headline + " \u2014 The Git Times");
   const ogDescription = escapeHtml(article.subheadline || "");
@@ -1166,4 +1228,4 @@ async function assembleArticlePage(article, options = {}) {
   return { html, slug };
 }
 
-module.exports = { render, assembleHtml, assembleMultiSectionHtml, assembleArticlePage, buildNavHtml, escapeHtml, formatStars, slugify, bodyToHtml, sanitizeArticleHtml, initMarked, renderLeadStory, renderFeaturedArticle, renderCompactArticle, renderHybridArticle, renderQuickHit, renderStarFigure, previewBody, remainderBody, renderSectionNav, renderSectionContent, renderDeepCuts, renderSentimentBadge, renderAgeBadge, renderAIWire, renderModelDrops, renderGitHubReleases, renderBusinessStrip, renderLensNav, renderPushups, renderDeskRail, renderFrontPagePanel, renderSourceLine };
+module.exports = { render, assembleHtml, assembleMultiSectionHtml, assembleArticlePage, buildNavHtml, escapeHtml, formatStars, slugify, bodyToHtml, sanitizeArticleHtml, initMarked, renderLeadStory, renderFeaturedArticle, renderCompactArticle, renderHybridArticle, renderQuickHit, renderStarFigure, previewBody, remainderBody, renderSectionNav, renderSectionContent, renderDeepCuts, renderSentimentBadge, renderAgeBadge, renderAIWire, renderModelDrops, renderGitHubReleases, renderBusinessStrip, renderLensNav, renderPushups, renderDeskRail, renderFrontPagePanel, renderSourceLine, renderThreadTimeline };
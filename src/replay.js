@@ -0,0 +1,262 @@
+/**
+ * Record / replay — deterministic, network-free reruns of the generation pipeline.
+ *
+ * Every byte the pipeline pulls from outside the process goes through one of
+ * three doors: the GitHub client (`github.js request` / `graphqlRequest`), the
+ * global `fetch` (Hugging Face, arXiv, HN, npm/PyPI signals) and the LLM call
+ * (`xai.js _chat`). In RECORD mode each door writes what came back — response or
+ * error — to a capture directory; in REPLAY mode the same doors answer from that
+ * capture and never touch the network. On replay the clock is pinned to the
+ * capture's start time, so recency windows, search-date cutoffs and "N days ago"
+ * copy come out identical on a rerun weeks later; a recording runs on the real
+ * clock, so its timeouts and elapsed times stay live.
+ *
+ * Capture layout (append-only JSONL, one line per call, git-friendly):
+ *   <dir>/capture.json   { version, recordedAt }
+ *   <dir>/github.jsonl   REST + GraphQL responses
+ *   <dir>/fetch.jsonl    global fetch responses (status, content-type, body)
+ *   <dir>/llm.jsonl      chat completion responses
+ *
+ * Calls are matched by a digest of what was asked (URL, query, prompt), never by
+ * call order — the pipeline fans out concurrently, so order is not stable. A key
+ * asked twice (a retry) is answered from its recorded responses in sequence.
+ *
+ * Local state — the history snapshots and coverage in data/gittimes.db — is read
+ * as-is, not captured; replay against the same data dir to reproduce an edition.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const CAPTURE_VERSION = 1;
+const CAPTURE_FILE = "capture.json";
+const KINDS = ["github", "fetch", "llm"];
+
+const RealDate = Date;
+const realFetch = globalThis.fetch;
+
+const _state = {
+  mode: "off",
+  dir: null,
+  liveMisses: false,
+  tapes: null, // replay: Map<kind, Map<digest, {entries, next}>>
+};
+
+/** Thrown when replay is asked for a call the capture never saw. */
+class ReplayMissError extends Error {
+  constructor(kind, key) {
+    super(`Replay miss (${kind}): ${describeKey(key)}`);
+    this.name = "ReplayMissError";
+    this.kind = kind;
+  }
+}
+
+function describeKey(key) {
+  const s = typeof key === "string" ? key : JSON.stringify(key);
+  return s.length > 160 ? `${s.slice(0, 157)}...` : s;
+}
+
+function digest(kind, key) {
+  const s = typeof key === "string" ? key : JSON.stringify(key);
+  return crypto.createHash("sha256").update(`${kind}\n${s}`).digest("hex").slice(0, 24);
+}
+
+/**
+ * Freeze `Date.now()` and argument-less `new Date()` at `ms`. Dates built from an
+ * explicit value are untouched, so parsing a repo's `pushed_at` still works.
+ */
+function pinClock(ms) {
+  class PinnedDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) super(ms);
+      else super(...args);
+    }
+    static now() {
+      return ms;
+    }
+  }
+  globalThis.Date = PinnedDate;
+}
+
+function _loadTapes(dir) {
+  const tapes = new Map();
+  for (const kind of KINDS) {
+    const byKey = new Map();
+    const file = path.join(dir, `${kind}.jsonl`);
+    if (fs.existsSync(file)) {
+      for (const line of fs.readFileSync(file, "utf-8").split("\n")) {
+        if (!line.trim()) continue;
+        const entry = JSON.parse(line);
+        if (!byKey.has(entry.id)) byKey.set(entry.id, { entries: [], next: 0 });
+        byKey.get(entry.id).entries.push(entry);
+      }
+    }
+    tapes.set(kind, byKey);
+  }
+  return tapes;
+}
+
+function _append(kind, entry) {
+  fs.appendFileSync(path.join(_state.dir, `${kind}.jsonl`), `${JSON.stringify(entry)}\n`);
+}
+
+/** Rebuild a recorded failure with the fields the retry logic branches on. */
+function _reviveError(recorded) {
+  const err = new Error(recorded.message || "recorded failure");
+  if (recorded.statusCode != null) err.statusCode = recorded.statusCode;
+  if (recorded.status != null) err.status = recorded.status;
+  return err;
+}
+
+/**
+ * Route one outbound call through the tape. Off: call `live` unchanged. Record:
+ * call it and write the result (or the error) down. Replay: answer from the
+ * capture; a key asked more times than it was recorded gets its last answer.
+ * @param {string} kind - "github" | "fetch" | "llm"
+ * @param {string|object} key - what identifies the call (URL, params)
+ * @param {function} live - () => Promise of a JSON-serialisable value
+ */
+async function tape(kind, key, live) {
+  if (_state.mode === "off") return live();
+  const id = digest(kind, key);
+
+  if (_state.mode === "replay") {
+    const slot = _state.tapes.get(kind).get(id);
+    if (!slot) {
+      if (_state.liveMisses) return live();
+      throw new ReplayMissError(kind, key);
+    }
+    const entry = slot.entries[Math.min(slot.next, slot.entries.length - 1)];
+    slot.next++;
+    if (entry.error) throw _reviveError(entry.error);
+    return entry.value;
+  }
+
+  try {
+    const value = await live();
+    _append(kind, { id, key, value });
+    return value;
+  } catch (err) {
+    _append(kind, {
+      id,
+      key,
+      error: { message: err.message, statusCode: err.statusCode ?? null, status: err.status ?? null },
+    });
+    throw err;
+  }
+}
+
+/**
+ * The global fetch, taped. Bodies are read as text once and handed back as a
+ * fresh Response, so callers using `.json()` or `.text()` see no difference.
+ */
+async function tapedFetch(input, init = {}) {
+  const url = typeof input === "string" ? input : input.url || String(input);
+  const method = (init.method || "GET").toUpperCase();
+  const key = { method, url };
+  if (typeof init.body === "string") key.body = init.body;
+
+  const recorded = await tape("fetch", key, async () => {
+    const res = await realFetch(input, init);
+    return {
+      status: res.status,
+      contentType: res.headers.get("content-type") || "",
+      body: await res.text(),
+    };
+  });
+  // 204/304 may not carry a body — the Response constructor throws if given one.
+  const nullBody = recorded.status === 204 || recorded.status === 304;
+  return new Response(nullBody ? null : recorded.body, {
+    status: recorded.status,
+    headers: recorded.contentType ? { "content-type": recorded.contentType } : {},
+  });
+}
+
+/**
+ * Switch the process into record or replay mode. Call once, before the pipeline
+ * runs — the clock is pinned here and the global fetch swapped.
+ * @param {{ mode: "record"|"replay", dir: string, liveMisses?: boolean }} opts
+ *   `liveMisses` (replay only) lets a call the capture never saw go to the
+ *   network instead of failing — how a prompt change is bisected against a
+ *   frozen day: the fetches replay, only the changed prompts hit the model.
+ * @returns {{ mode: string, dir: string, recordedAt: string }}
+ */
+function configureReplay(opts = {}) {
+  const { mode, dir } = opts;
+  if (mode !== "record" && mode !== "replay") throw new Error(`Unknown replay mode: ${mode}`);
+  if (!dir) throw new Error(`--${mode} needs a capture directory`);
+  const absDir = path.resolve(dir);
+  const manifestPath = path.join(absDir, CAPTURE_FILE);
+
+  let recordedAt;
+  if (mode === "record") {
+    if (fs.existsSync(manifestPath)) {
+      throw new Error(`${absDir} already holds a capture — record into an empty directory`);
+    }
+    fs.mkdirSync(absDir, { recursive: true });
+    recordedAt = RealDate.now();
+    fs.writeFileSync(
+      manifestPath,
+      JSON.stringify({ version: CAPTURE_VERSION, recordedAt: new RealDate(recordedAt).toISOString() }, null, 2)
+    );
+  } else {
+    if (!fs.existsSync(manifestPath)) throw new Error(`No capture found at ${absDir}`);
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+    if (manifest.version !== CAPTURE_VERSION) {
+      throw new Error(`Capture version ${manifest.version} is not supported (expected ${CAPTURE_VERSION})`);
+    }
+    recordedAt = RealDate.parse(manifest.recordedAt);
+    _state.tapes = _loadTapes(absDir);
+  }
+
+  _state.mode = mode;
+  _state.dir = absDir;
+  _state.liveMisses = mode === "replay" && !!opts.liveMisses;
+  if (mode === "replay") pinClock(recordedAt);
+  globalThis.fetch = tapedFetch;
+  return { mode, dir: absDir, recordedAt: new RealDate(recordedAt).toISOString() };
+}
+
+/** Back to live: real clock, real fetch, no tape. For tests and clean shutdown. */
+function resetReplay() {
+  _state.mode = "off";
+  _state.dir = null;
+  _state.liveMisses = false;
+  _state.tapes = null;
+  globalThis.Date = RealDate;
+  globalThis.fetch = realFetch;
+}
+
+function replayMode() {
+  return _state.mode;
+}
+
+/**
+ * Pull `--record <dir>` / `--replay <dir>` (and `--live-misses`) out of argv.
+ * @param {string[]} argv
+ * @returns {{ mode: string, dir: string, liveMisses: boolean }|null}
+ */
+function parseReplayArgs(argv) {
+  const recordIdx = argv.indexOf("--record");
+  const replayIdx = argv.indexOf("--replay");
+  if (recordIdx !== -1 && replayIdx !== -1) throw new Error("--record and --replay are mutually exclusive");
+  const idx = recordIdx !== -1 ? recordIdx : replayIdx;
+  if (idx === -1) return null;
+  const dir = argv[idx + 1];
+  const mode = recordIdx !== -1 ? "record" : "replay";
+  if (!dir || dir.startsWith("--")) throw new Error(`--${mode} needs a capture directory`);
+  return { mode, dir, liveMisses: argv.includes("--live-misses") };
+}
+
+module.exports = {
+  configureReplay,
+  resetReplay,
+  replayMode,
+  parseReplayArgs,
+  tape,
+  tapedFetch,
+  pinClock,
+  ReplayMissError,
+  CAPTURE_FILE,
+};
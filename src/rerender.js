@@ -0,0 +1,143 @@
+/**
+ * Rerender — rebuild published editions from their stored structured content.
+ *
+ * publish() keeps each edition's full content tree and bands next to its HTML
+ * (editions/YYYY-MM-DD/edition.json). This reads that back and runs it through
+ * the same writeEditionPages path publish uses: front page, article pages and
+ * OG tags, with today's templates and CSS, and not a single LLM call. It is how a
+ * UI fix reaches the archive without a full publish — which would regenerate the
+ * editorial content and re-send the newsletter.
+ *
+ *   gittimes rerender 2026-07-02     # one edition
+ *   gittimes rerender --all          # every edition that has a stored artifact
+ *
+ * Editions published before the artifact existed have nothing to rebuild from
+ * and are reported as skipped, never guessed at.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { readManifest, readEditionArtifact, writeEditionPages } = require("./publish");
+const { renderTickerBanner } = require("./ai-ticker");
+const { closeDb } = require("./db");
+const { applyCorrections } = require("./corrections");
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * The nav an edition carries, from its neighbours in the manifest (newest first).
+ */
+function navFor(manifest, dateStr, basePath) {
+  const idx = manifest.findIndex((e) => e.date === dateStr);
+  const nav = { archive: basePath + "/archive/", promos: basePath + "/promos/" };
+  const older = idx === -1 ? null : manifest[idx + 1];
+  const newer = idx > 0 ? manifest[idx - 1] : null;
+  if (older) nav.prev = { url: older.url || `${basePath}/editions/${older.date}/`, label: "Previous Edition" };
+  if (newer) nav.next = { url: newer.url || `${basePath}/editions/${newer.date}/`, label: "Next Edition" };
+  return nav;
+}
+
+/**
+ * Rebuild one edition's HTML from its stored artifact. The newest edition also
+ * refreshes /latest/ and the site root, which are copies of it.
+ * @param {string} outDir
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {object} [options] - { siteUrl, basePath, manifest }
+ * @returns {Promise<{ date: string, articleCount: number, latest: boolean }|null>}
+ *   null when the edition has no stored artifact
+ */
+async function rerenderEdition(outDir, dateStr, options = {}) {
+  if (!DATE_RE.test(dateStr || "")) throw new Error(`Expected a YYYY-MM-DD date, got "${dateStr}"`);
+  const siteUrl = options.siteUrl || "https://gittimes.com";
+  const basePath = options.basePath || "";
+
+  const artifact = readEditionArtifact(outDir, dateStr);
+  if (!artifact) return null;
+
+  const manifest = options.manifest || readManifest(outDir);
+  const [y, m, d] = dateStr.split("-").map(Number);
+  // Local noon, so toDateStr and the masthead date agree in any timezone.
+  const date = new Date(y, m - 1, d, 12);
+  const { bands } = artifact;
+
+  const { html, articleCount } = await writeEditionPages(artifact.content, outDir, {
+    date,
+    dateStr,
+    nav: navFor(manifest, dateStr, basePath),
+    siteUrl,
+    basePath,
+    tickerHtml: bands.tickerData ? renderTickerBanner(bands.tickerData, { basePath }) : "",
+    bands,
+  });
+
+  const latest = manifest.length > 0 && manifest[0].date === dateStr;
+  if (latest) {
+    const latestDir = path.join(outDir, "latest");
+    if (!fs.existsSync(latestDir)) fs.mkdirSync(latestDir, { recursive: true });
+    fs.writeFileSync(path.join(latestDir, "index.html"), html);
+    fs.writeFileSync(path.join(outDir, "index.html"), html);
+  }
+  // The stored content predates any correction; put the notices back.
+  applyCorrections(outDir, { basePath, dates: [dateStr] });
+
+  return { date: dateStr, articleCount, latest };
+}
+
+/**
+ * Rebuild every listed edition. Failures are per-edition: one bad artifact
+ * doesn't stop the rest of the archive from picking up the fix.
+ * @returns {Promise<{ rendered: string[], skipped: string[], failed: Array<{date, error}> }>}
+ */
+async function rerenderEditions(outDir, dates, options = {}) {
+  const manifest = options.manifest || readManifest(outDir);
+  const result = { rendered: [], skipped: [], failed: [] };
+  for (const date of dates) {
+    try {
+      const r = await rerenderEdition(outDir, date, { ...options, manifest });
+      if (r) result.rendered.push(date);
+      else result.skipped.push(date);
+    } catch (e) {
+      result.failed.push({ date, error: e.message });
+    }
+  }
+  return result;
+}
+
+async function main() {
+  require("dotenv").config();
+  const args = process.argv.slice(2);
+  const outDir = process.env.PUBLISH_DIR || "./site";
+  const siteUrl = process.env.SITE_BASE_URL || "https://gittimes.com";
+  const basePath = process.env.BASE_PATH || "";
+
+  const manifest = readManifest(outDir);
+  const all = args.includes("--all");
+  const dates = all ? manifest.map((e) => e.date) : args.filter((a) => !a.startsWith("--"));
+  if (dates.length === 0) {
+    console.error("Usage: gittimes rerender <YYYY-MM-DD>... | --all");
+    process.exitCode = 1;
+    return;
+  }
+
+  const { rendered, skipped, failed } = await rerenderEditions(outDir, dates, { siteUrl, basePath, manifest });
+  console.log(`[rerender] ${rendered.length} edition(s) rebuilt in ${outDir}`);
+  if (skipped.length > 0) {
+    console.log(`[rerender] ${skipped.length} skipped — no stored edition.json: ${skipped.join(", ")}`);
+  }
+  for (const f of failed) console.error(`[rerender] ${f.date} failed: ${f.error}`);
+  // Asking for one edition by name that can't be rebuilt is an error; --all
+  // walking past pre-artifact editions is not.
+  if (failed.length > 0 || (!all && skipped.length > 0)) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main()
+    .catch((err) => {
+      console.error(`[rerender] ${err.message}`);
+      process.exitCode = 1;
+    })
+    .finally(closeDb);
+}
+
+module.exports = { rerenderEdition, rerenderEditions, navFor };
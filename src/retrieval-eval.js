@@ -0,0 +1,224 @@
+"use strict";
+
+/**
+ * Offline retrieval evaluation for the AI Desk: reader questions paired with
+ * the coverage a good answer has to cite, scored against the built corpus.
+ * Changes to STOPWORDS, K1/B, the recency half-life or the corpus builder get
+ * judged here instead of by feel.
+ *
+ * Cases live in data/retrieval-golden.json:
+ *   [{ "question": "...", "expect": ["owner/repo", "/editions/2026-03-16/"] }]
+ * An expectation is a repo (any chunk about it counts) or a URL prefix (an
+ * edition page, which covers its article pages too).
+ *
+ * Per lane it reports recall@k (the share of a case's expectations found in the
+ * top k, averaged over cases), MRR (1 / rank of the first relevant result) and
+ * citation precision (the share of the sources the worker would cite —
+ * formatGrounding, one per page — that are relevant, over cases that cite
+ * anything). Results are kept per lane — BM25 is the only one today — so a
+ * candidate ranker has to beat it here, in the committed baseline, before it ships.
+ *
+ * data/retrieval-baseline.json holds the last accepted numbers. A run diffs
+ * against it and exits 1 when any metric of a lane drops below it (past
+ * --tolerance), naming the questions that slipped. Accept a deliberate change
+ * with --update-baseline and commit the file alongside it.
+ *
+ *   gittimes eval retrieval [--cases <file>] [--corpus <file>] [--rebuild]
+ *                           [--tolerance 0.01] [--update-baseline]
+ *
+ * --rebuild evaluates a corpus built fresh from data/gittimes.db (and the site
+ * in PUBLISH_DIR) instead of the checked-in data/corpus.json — the way to test a
+ * change to src/build-corpus.js.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { scoreChunks, formatGrounding, RAG_MIN_SCORE } = require("./retrieve");
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+const CASES_PATH = path.join(DATA_DIR, "retrieval-golden.json");
+const BASELINE_PATH = path.join(DATA_DIR, "retrieval-baseline.json");
+const METRICS = ["recall", "mrr", "precision"];
+const K = 6;
+
+function loadCases(file = CASES_PATH) {
+  const cases = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (!Array.isArray(cases)) throw new Error(`${file} should hold an array of { question, expect }`);
+  for (const c of cases) {
+    if (!c || typeof c.question !== "string" || !Array.isArray(c.expect) || !c.expect.length) {
+      throw new Error(`${file}: every case needs a question and a non-empty expect list`);
+    }
+  }
+  return cases;
+}
+
+/** Does a retrieved chunk satisfy one expectation (repo name or URL prefix)? */
+function isRelevant(chunk, expectation) {
+  if (expectation.startsWith("/")) return String(chunk.url || "").startsWith(expectation);
+  return chunk.repo === expectation;
+}
+
+/**
+ * Score one lane over every case.
+ * @param {Array} cases - loadCases() output
+ * @param {Function} retrieve - (case, index) -> scoreChunks-style results
+ * @param {object} [opts] - { k }
+ * @returns {{ k, recall, mrr, precision, results: Array<{ question, rank, found, of, cited, citedRelevant }> }}
+ */
+function evaluate(cases, retrieve, { k = K } = {}) {
+  const results = cases.map((c, n) => {
+    const top = retrieve(c, n).slice(0, k);
+    const idx = top.findIndex((r) => c.expect.some((e) => isRelevant(r.chunk, e)));
+    const found = c.expect.filter((e) => top.some((r) => isRelevant(r.chunk, e))).length;
+    const { sources } = formatGrounding(top);
+    const citedRelevant = sources.filter((src) => c.expect.some((e) => isRelevant(src, e))).length;
+    return {
+      question: c.question,
+      rank: idx >= 0 ? idx + 1 : null,
+      found,
+      of: c.expect.length,
+      cited: sources.length,
+      citedRelevant,
+    };
+  });
+  const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0);
+  return {
+    k,
+    recall: mean(results.map((r) => r.found / r.of)),
+    mrr: mean(results.map((r) => (r.rank ? 1 / r.rank : 0))),
+    precision: mean(results.filter((r) => r.cited).map((r) => r.citedRelevant / r.cited)),
+    results,
+  };
+}
+
+/**
+ * Every lane over the same corpus and cases. `now` defaults to the corpus build
+ * time so recency — and the numbers — don't drift day to day.
+ * @param {object} corpus - corpus.json contents
+ * @param {Array} cases
+ * @param {object} [opts] - { k, now }
+ * @returns {{ bm25 }}
+ */
+function compareLanes(corpus, cases, { k = K, now } = {}) {
+  const at = now || Date.parse(corpus.builtAt) || Date.now();
+  const bm25 = evaluate(cases, (c) => scoreChunks(c.question, corpus.chunks, { k, now: at, minScore: RAG_MIN_SCORE }), { k });
+  return { bm25 };
+}
+
+function formatReport({ bm25 }) {
+  const row = (lane, r) =>
+    `  ${lane.padEnd(8)} ${r.recall.toFixed(3).padStart(9)} ${r.mrr.toFixed(3).padStart(7)} ${r.precision.toFixed(3).padStart(10)}`;
+  const lines = [
+    `  ${"lane".padEnd(8)} ${`recall@${bm25.k}`.padStart(9)} ${"MRR".padStart(7)} ${"precision".padStart(10)}`,
+    row("bm25", bm25),
+  ];
+  const misses = bm25.results.filter((r) => !r.rank);
+  if (misses.length) {
+    lines.push("", "  missed by bm25:");
+    for (const m of misses) lines.push(`    - ${m.question}`);
+  }
+  return lines.join("\n");
+}
+
+/** The baseline file's shape: per lane, the metrics and each question's rank. */
+function toBaseline(lanes, corpus) {
+  const out = { updatedAt: new Date().toISOString(), corpusBuiltAt: corpus.builtAt || null, lanes: {} };
+  for (const [lane, r] of Object.entries(lanes)) {
+    if (!r) continue;
+    out.lanes[lane] = {
+      k: r.k,
+      recall: r.recall,
+      mrr: r.mrr,
+      precision: r.precision,
+      ranks: Object.fromEntries(r.results.map((x) => [x.question, x.rank])),
+    };
+  }
+  return out;
+}
+
+/**
+ * Compare a run against the baseline. A metric below its baseline by more than
+ * `tolerance` is a regression; questions whose first relevant hit fell (or
+ * vanished) are listed so the diff says what broke, not just that it did.
+ * Lanes only one side has are skipped; a new golden question has no baseline.
+ * @returns {{ regressions: string[], lines: string[] }}
+ */
+function diffBaseline(lanes, baseline, { tolerance = 0 } = {}) {
+  const regressions = [];
+  const lines = [];
+  for (const [lane, r] of Object.entries(lanes)) {
+    const was = r && baseline && baseline.lanes && baseline.lanes[lane];
+    if (!was) continue;
+    for (const m of METRICS) {
+      const delta = r[m] - (was[m] || 0);
+      const flag = delta < -tolerance - 1e-9 ? "  REGRESSED" : "";
+      lines.push(`  ${lane.padEnd(8)} ${m.padEnd(10)} ${(was[m] || 0).toFixed(3)} -> ${r[m].toFixed(3)} (${delta >= 0 ? "+" : ""}${delta.toFixed(3)})${flag}`);
+      if (flag) regressions.push(`${lane} ${m} ${(was[m] || 0).toFixed(3)} -> ${r[m].toFixed(3)}`);
+    }
+    for (const x of r.results) {
+      if (!(x.question in (was.ranks || {}))) continue;
+      const before = was.ranks[x.question];
+      const worse = before && (!x.rank || x.rank > before);
+      const better = x.rank && (!before || x.rank < before);
+      if (worse || better) {
+        lines.push(`    ${worse ? "-" : "+"} [${lane}] rank ${before || "miss"} -> ${x.rank || "miss"}: ${x.question}`);
+      }
+    }
+  }
+  return { regressions, lines };
+}
+
+function parseArgs(argv) {
+  const opts = { cases: CASES_PATH, corpus: path.join(DATA_DIR, "corpus.json"), baseline: BASELINE_PATH, tolerance: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--cases") opts.cases = argv[++i];
+    else if (a === "--corpus") opts.corpus = argv[++i];
+    else if (a === "--baseline") opts.baseline = argv[++i];
+    else if (a === "--tolerance") opts.tolerance = Number(argv[++i]);
+    else if (a === "--rebuild") opts.rebuild = true;
+    else if (a === "--update-baseline") opts.update = true;
+    else throw new Error(`unknown option ${a}`);
+  }
+  if (!Number.isFinite(opts.tolerance) || opts.tolerance < 0) throw new Error("--tolerance takes a number >= 0");
+  return opts;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const cases = loadCases(opts.cases);
+  const corpus = opts.rebuild
+    ? require("./build-corpus").buildCorpus(undefined, { siteDir: process.env.PUBLISH_DIR || "./site" })
+    : JSON.parse(fs.readFileSync(opts.corpus, "utf-8"));
+
+  console.log(`[eval] ${cases.length} questions against ${corpus.chunks.length} chunks (built ${corpus.builtAt})\n`);
+  const lanes = compareLanes(corpus, cases);
+  console.log(formatReport(lanes));
+
+  if (opts.update) {
+    fs.writeFileSync(opts.baseline, JSON.stringify(toBaseline(lanes, corpus), null, 2) + "\n");
+    console.log(`\n[eval] baseline written to ${path.relative(process.cwd(), opts.baseline)}`);
+    return;
+  }
+  if (!fs.existsSync(opts.baseline)) {
+    console.log("\n[eval] no baseline yet — run with --update-baseline to record one");
+    return;
+  }
+  const { regressions, lines } = diffBaseline(lanes, JSON.parse(fs.readFileSync(opts.baseline, "utf-8")), opts);
+  console.log(`\n[eval] against baseline:\n${lines.join("\n")}`);
+  if (regressions.length) {
+    console.error(`\n[eval] retrieval regressed: ${regressions.join("; ")}`);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    console.error(`[eval] ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { loadCases, isRelevant, evaluate, compareLanes, formatReport, toBaseline, diffBaseline, parseArgs, CASES_PATH, BASELINE_PATH };
@@ -4,13 +4,17 @@
  * Keyword retrieval over the AI Desk corpus (data/corpus.json).
  *
  * BM25 ranking with a gentle recency boost so a fresh edition outranks a stale
- * one when relevance ties. No embeddings: the corpus is small enough (~700
- * chunks) to score in memory on the edge, and keyword match keeps citations
- * honestly tied to literal coverage (a vector index is the future upgrade).
+ * one when relevance ties. No embeddings: the corpus is small enough (a few
+ * thousand chunks, article bodies included) to score in memory on the edge, and
+ * keyword match keeps citations honestly tied to literal coverage. A vector
+ * lane comes back only with a `gittimes eval retrieval` baseline showing it
+ * beats BM25 alone.
  *
- * CANONICAL COPY. The Cloudflare worker (worker/index.js) inlines an identical
- * `tokenize` + `scoreChunks` because it must stay import-free (its test harness
- * compiles it as a standalone string). Keep the two in sync.
+ * CANONICAL COPY. The Cloudflare worker (worker/index.js) must stay import-free
+ * (its test harness compiles it as a standalone string), so it carries a bundle
+ * of this module generated by `npm run build:worker`. Run that after any change
+ * here; test/build-worker.test.js fails until you do. Keep this module free of
+ * Node built-ins — the bundle runs on the edge.
  */
 
 const STOPWORDS = new Set(
@@ -30,6 +34,9 @@ function tokenize(s) {
 const K1 = 1.2;
 const B = 0.75;
 const DAY_MS = 86400000;
+// The score a chunk has to beat before the worker grounds an answer on it.
+// src/retrieval-eval.js grades at the same bar, so its numbers are what readers get.
+const RAG_MIN_SCORE = 2.5;
 
 /**
  * Score chunks against a query. Pure + deterministic given `now`.
@@ -108,22 +115,153 @@ function scoreChunks(query, chunks, opts) {
   return results.slice(0, k);
 }
 
+/**
+ * Month shards a first pass points into. Repo and edition chunks span the whole
+ * archive but old article bodies may live in data/corpus/YYYY-MM.json; when the
+ * results land in such a month, the caller fetches those shards and re-scores.
+ * @param {Array} results - scoreChunks output
+ * @param {Array} shards - corpus.shards ({ month, url, count })
+ * @returns {Array} the shard entries to load
+ */
+function shardsFor(results, shards) {
+  if (!results || !results.length || !Array.isArray(shards) || !shards.length) return [];
+  const months = new Set(results.map((r) => String(r.chunk.date || "").slice(0, 7)));
+  return shards.filter((s) => months.has(s.month));
+}
+
+// The client stuffs context as "<label>:\n<context>\n\nQuestion: <text>". Pull
+// just the question for retrieval so we match on intent, not the dumped context.
+function questionOf(content) {
+  const s = String(content || "");
+  const idx = s.lastIndexOf("\nQuestion: ");
+  return (idx >= 0 ? s.slice(idx + "\nQuestion: ".length) : s).slice(0, 400);
+}
+
+// Words that lean on an earlier turn for their subject, and openers that only
+// make sense as a continuation ("what about rustdesk?", "and the license?").
+const ANAPHORA = new Set(
+  "it its it's itself they them their theirs this that these those he him his she her one ones same former latter".split(" ")
+);
+const CONTINUATION_RE = /^\s*(?:and|also|so|but|what about|how about|same for|compared to|versus|vs\.?)\b/i;
+const REPO_REF_RE = /(?:^|[\s(`"'[])([A-Za-z0-9][\w.-]*\/[A-Za-z0-9][\w.-]*[A-Za-z0-9])(?=$|[\s)`"',.?!:;\]])/g;
+const HISTORY_TURNS = 6;
+
+function needsContext(question) {
+  if (CONTINUATION_RE.test(question)) return true;
+  return String(question).toLowerCase().split(/[^a-z']+/).some((w) => ANAPHORA.has(w));
+}
+
+function repoRefs(text) {
+  return Array.from(String(text || "").matchAll(REPO_REF_RE), (m) => m[1]);
+}
+
+/** Alias groups (one array of names per entity) that the text mentions, as whole words. */
+function mentionedAliases(text, aliases) {
+  if (!Array.isArray(aliases) || !aliases.length) return [];
+  const words = (x) => String(x || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+  const hay = ` ${words(text)} `;
+  const out = [];
+  for (const group of aliases) {
+    const hit = group.find((a) => words(a) && hay.includes(` ${words(a)} `));
+    if (hit) out.push({ hit, group });
+  }
+  return out;
+}
+
+/** Repos a turn names, else the registry entities it names. */
+function namedIn(text, aliases) {
+  const refs = repoRefs(text);
+  return refs.length ? refs.slice(0, 3) : mentionedAliases(text, aliases).map((m) => m.hit);
+}
+
+/**
+ * What one exchange is about. The reader's question wins when it names
+ * something or asks something real; a bare "ok" or "scrcpy?" defers to what
+ * the desk's reply named, and only then falls back to its few words. The
+ * reply's prose never counts — too broad to stand in for a subject.
+ */
+function subjectOf(asked, answer, aliases) {
+  const q = questionOf(asked.content);
+  const named = namedIn(q, aliases);
+  if (named.length) return named;
+  const words = needsContext(q) ? [] : tokenize(q);
+  if (words.length >= 2) return words;
+  const replied = answer ? namedIn(answer.content, aliases) : [];
+  return replied.length ? replied : words;
+}
+
+/**
+ * Turn a follow-up into a standalone retrieval query. "What about its
+ * license?" carries no subject of its own, so BM25 on it alone matches
+ * nothing useful; here the subject is resolved against the recent transcript —
+ * the nearest earlier exchange that has one (see subjectOf) — and appended. A
+ * question that already stands alone is left as it is.
+ *
+ * Then, optionally, alias expansion: a mention of any name an entity goes by
+ * (corpus.aliases, from the registry's buildAliasIndex — "Meta AI",
+ * "facebookresearch", "meta-llama", ...) pulls in the others, so the query
+ * matches coverage filed under whichever one the repo lives at.
+ *
+ * @param {string} question - the latest question (questionOf applied)
+ * @param {Array} history   - earlier { role, content } turns, oldest first
+ * @param {object} [opts]   - { aliases: Array<string[]> }
+ * @returns {{ query: string, subject: string[], expanded: string[] }}
+ */
+function rewriteQuery(question, history, { aliases } = {}) {
+  const q = String(question || "").trim();
+  let subject = [];
+  if (q && needsContext(q) && !repoRefs(q).length) {
+    const turns = (Array.isArray(history) ? history : [])
+      .filter((m) => m && (m.role === "user" || m.role === "assistant") && typeof m.content === "string")
+      .slice(-HISTORY_TURNS);
+    // Walk back exchange by exchange until one has a subject.
+    for (let i = turns.length - 1; i >= 0 && !subject.length; i--) {
+      if (turns[i].role !== "user") continue;
+      const answer = turns[i + 1] && turns[i + 1].role === "assistant" ? turns[i + 1] : null;
+      subject = subjectOf(turns[i], answer, aliases);
+    }
+  }
+  const have = new Set(tokenize(q));
+  subject = Array.from(new Set(subject)).filter((s) => tokenize(s).some((t) => !have.has(t)));
+  let query = subject.length ? `${q} ${subject.join(" ")}` : q;
+
+  const expanded = [];
+  for (const { group } of mentionedAliases(query, aliases)) {
+    const seen = new Set(tokenize(query));
+    for (const a of group) {
+      if (tokenize(a).some((t) => !seen.has(t))) {
+        expanded.push(a);
+        tokenize(a).forEach((t) => seen.add(t));
+      }
+    }
+  }
+  if (expanded.length) query = `${query} ${expanded.join(" ")}`;
+  return { query, subject, expanded };
+}
+
 /**
  * Format retrieval results into a grounding block + a sources array for the UI.
  * The block is injected into the system prompt; sources are streamed to the
- * client so it can render inline [n] citations as links.
+ * client so it can render inline [n] citations as links. Chunks that cite the
+ * same page (several passages of one article) share one [n].
  */
 function formatGrounding(results) {
   if (!results || !results.length) return { block: "", sources: [] };
+  const cited = new Map();
+  for (const r of results) {
+    const key = r.chunk.url || `#${r.chunk.i}`;
+    if (cited.has(key)) cited.get(key).texts.push(r.chunk.text);
+    else cited.set(key, { chunk: r.chunk, texts: [r.chunk.text] });
+  }
   const lines = [];
   const sources = [];
-  results.forEach((r, idx) => {
+  Array.from(cited.values()).forEach(({ chunk: c, texts }, idx) => {
     const n = idx + 1;
-    const c = r.chunk;
-    const tag = c.repo ? c.repo : "edition";
+    const tag = c.repo ? c.repo : c.type === "article" ? "article" : "edition";
+    const where = c.section ? `, ${c.section}${c.slot ? ` ${c.slot}` : ""}` : "";
     const stars = c.stars != null ? `, ${c.stars.toLocaleString()}★` : "";
-    lines.push(`[${n}] ${c.title} (${tag}, ${c.date}${stars})\n    ${c.text}`);
-    sources.push({ n, title: c.title, url: c.url, repo: c.repo || null, date: c.date });
+    lines.push(`[${n}] ${c.title} (${tag}${where}, ${c.date}${stars})\n    ${texts.join(" … ")}`);
+    sources.push({ n, title: c.title, url: c.url, repo: c.repo || null, date: c.date, section: c.section || null, slot: c.slot || null });
   });
   const block =
     "\n\nGROUNDING — relevant Git Times coverage retrieved for this question. " +
@@ -132,4 +270,4 @@ function formatGrounding(results) {
   return { block, sources };
 }
 
-module.exports = { tokenize, scoreChunks, formatGrounding, STOPWORDS };
+module.exports = { tokenize, scoreChunks, shardsFor, questionOf, rewriteQuery, formatGrounding, STOPWORDS, RAG_MIN_SCORE };
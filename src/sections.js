@@ -1,4 +1,39 @@
-const SECTIONS = {
+/**
+ * The paper's sections — the TOPIC axis every edition is cut along (what the
+ * code does: AI, Robotics, Cyber…). Each topic section is a GitHub search: up to
+ * three topics plus every listed language, cut to its budget of secondaries and
+ * Quick Hits.
+ *
+ * The seven built-ins below are the default paper. A sections.config.json at the
+ * repo root (or the path in GT_SECTIONS_CONFIG) adds desks, retunes or drops
+ * built-ins, and reorders the nav, without touching this file:
+ *
+ *   {
+ *     "sections": {
+ *       "databases": { "label": "Databases", "topics": ["database", "sql"], "languages": [] },
+ *       "diy": { "enabled": false },
+ *       "ai": { "budget": { "secondary": 4, "quickHits": 6 } }
+ *     },
+ *     "order": ["frontPage", "ai", "databases", "systems"]
+ *   }
+ *
+ * A new section needs a label and at least one topic or language; budget
+ * defaults to 3 secondaries / 5 Quick Hits. "order" may be partial — unlisted
+ * sections follow in default order, and the Front Page always leads. Fetching,
+ * generation, nav, article pages, /api/sections and the MCP get_sections tool
+ * all read SECTIONS / SECTION_ORDER, so a configured desk shows up everywhere.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG_PATH = path.join(__dirname, "..", "sections.config.json");
+const DEFAULT_BUDGET = { secondary: 3, quickHits: 5 };
+const ID_RE = /^[a-z][A-Za-z0-9]{0,31}$/;
+// Ids the render layer weaves into the nav itself (see assembleMultiSectionHtml).
+const RESERVED_IDS = new Set(["aiWire"]);
+
+const BUILTIN_SECTIONS = {
   frontPage: {
     id: "frontPage",
     label: "Front Page",
@@ -78,6 +113,145 @@ const SECTIONS = {
   },
 };
 
-const SECTION_ORDER = ["frontPage", "ai", "robotics", "cyber", "systems", "diy", "gameDev"];
+const BUILTIN_ORDER = ["frontPage", "ai", "robotics", "cyber", "systems", "diy", "gameDev"];
+
+/**
+ * Read the sections file. No file is the built-in paper; a file that is there
+ * but unreadable throws, naming the path.
+ * @returns {object} the raw config ({} when there is no file)
+ */
+function loadSectionsConfig(file = process.env.GT_SECTIONS_CONFIG || CONFIG_PATH) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    throw new Error(`Sections config ${file} is not valid JSON: ${e.message}`, { cause: e });
+  }
+}
+
+function stringList(id, field, value) {
+  if (value == null) return [];
+  if (!Array.isArray(value) || !value.every((v) => typeof v === "string" && v.trim())) {
+    throw new Error(`Section "${id}": ${field} must be a list of strings`);
+  }
+  return value.map((v) => v.trim());
+}
+
+function normalizeBudget(id, budget, base) {
+  const out = { ...base, ...(budget || {}) };
+  for (const key of ["secondary", "quickHits"]) {
+    if (!Number.isInteger(out[key]) || out[key] < 0) {
+      throw new Error(`Section "${id}": budget.${key} must be a whole number`);
+    }
+  }
+  return out;
+}
+
+/**
+ * Merge a raw config over the built-ins into { sections, order }. Throws on
+ * anything that would otherwise quietly drop or mangle a desk: a bad id, a
+ * section with nothing to search for, an order naming an unknown section.
+ * @param {object} raw - loadSectionsConfig() output
+ * @returns {{ sections: object, order: string[] }}
+ */
+function resolveSections(raw = {}) {
+  const sections = {};
+  for (const id of BUILTIN_ORDER) {
+    const b = BUILTIN_SECTIONS[id];
+    sections[id] = { ...b, budget: { ...b.budget }, query: b.query && { topics: [...b.query.topics], languages: [...b.query.languages] } };
+  }
+  const added = [];
 
-module.exports = { SECTIONS, SECTION_ORDER };
+  for (const [id, spec] of Object.entries(raw.sections || {})) {
+    if (!ID_RE.test(id) || RESERVED_IDS.has(id)) {
+      throw new Error(`Section id "${id}" must be camelCase letters/digits and not a reserved id`);
+    }
+    if (!spec || typeof spec !== "object") throw new Error(`Section "${id}" must be an object`);
+    const existing = sections[id];
+    if (spec.enabled === false) {
+      if (id === "frontPage") throw new Error("The frontPage section cannot be disabled");
+      delete sections[id];
+      continue;
+    }
+    if (id === "frontPage") {
+      if (spec.topics || spec.languages) throw new Error("The frontPage section takes no topics or languages");
+      sections.frontPage.label = spec.label || sections.frontPage.label;
+      sections.frontPage.budget = normalizeBudget(id, spec.budget, sections.frontPage.budget);
+      continue;
+    }
+    const topics = spec.topics !== undefined ? stringList(id, "topics", spec.topics) : existing ? existing.query.topics : [];
+    const languages = spec.languages !== undefined ? stringList(id, "languages", spec.languages) : existing ? existing.query.languages : [];
+    if (topics.length === 0 && languages.length === 0) {
+      throw new Error(`Section "${id}" needs at least one topic or language to search`);
+    }
+    const label = spec.label || (existing && existing.label);
+    if (!label || typeof label !== "string") throw new Error(`Section "${id}" needs a label`);
+    sections[id] = {
+      id,
+      label,
+      budget: normalizeBudget(id, spec.budget, existing ? existing.budget : DEFAULT_BUDGET),
+      query: { topics, languages },
+    };
+    if (!existing) added.push(id);
+  }
+
+  const defaultOrder = [...BUILTIN_ORDER, ...added].filter((id) => sections[id]);
+  let order = defaultOrder;
+  if (raw.order != null) {
+    if (!Array.isArray(raw.order)) throw new Error("Sections config: order must be a list of section ids");
+    for (const id of raw.order) {
+      if (!sections[id]) throw new Error(`Sections config: order names unknown or disabled section "${id}"`);
+    }
+    const listed = [...new Set(raw.order)];
+    order = [...listed, ...defaultOrder.filter((id) => !listed.includes(id))];
+  }
+  order = ["frontPage", ...order.filter((id) => id !== "frontPage")];
+  return { sections, order };
+}
+
+// Shared, mutated in place by reloadSections() so every module that destructured
+// them at require time sees the same desks.
+const SECTIONS = {};
+const SECTION_ORDER = [];
+
+/**
+ * (Re)load the section config into SECTIONS / SECTION_ORDER.
+ * @param {string} [file] - config path (default GT_SECTIONS_CONFIG or sections.config.json)
+ * @returns {{ SECTIONS: object, SECTION_ORDER: string[] }}
+ */
+function reloadSections(file) {
+  const { sections, order } = resolveSections(loadSectionsConfig(file));
+  for (const id of Object.keys(SECTIONS)) delete SECTIONS[id];
+  Object.assign(SECTIONS, sections);
+  SECTION_ORDER.splice(0, SECTION_ORDER.length, ...order);
+  return { SECTIONS, SECTION_ORDER };
+}
+
+/**
+ * The public shape of the section list — what /api/sections, the MCP
+ * get_sections tool and the API docs page all serve.
+ * @returns {Array<{ id: string, label: string, topics: string[], languages: string[], budget: object }>}
+ */
+function describeSections() {
+  return SECTION_ORDER.map((id) => ({
+    id,
+    label: SECTIONS[id].label,
+    topics: SECTIONS[id].query?.topics || [],
+    languages: SECTIONS[id].query?.languages || [],
+    budget: SECTIONS[id].budget,
+  }));
+}
+
+reloadSections();
+
+module.exports = {
+  SECTIONS,
+  SECTION_ORDER,
+  BUILTIN_SECTIONS,
+  BUILTIN_ORDER,
+  CONFIG_PATH,
+  loadSectionsConfig,
+  resolveSections,
+  reloadSections,
+  describeSections,
+};
@@ -16,6 +16,10 @@
  * -> package-name guess is best-effort (the repo's short name); a miss is silent.
  * Set GT_DISABLE_SOURCES=1 to turn the whole layer off (used by the
  * everything-fails-still-builds check).
+ *
+ * Not a FLOW source (src/flow-sources.js): it has no band of its own and no
+ * registry evidence, and it runs mid-generation on the candidates, before the
+ * editor votes — so it stays wired in xai.js.
  */
 
 const DEFAULT_TIMEOUT_MS = 4000;
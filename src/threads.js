@@ -1,6 +1,7 @@
 /**
  * Editorial memory / continuity — turn the persisted edition manifest into
- * running-story context for the editor-in-chief.
+ * running-story context for the editor-in-chief, and keep the story-thread
+ * ledger the article pages read from.
  *
  * The manifest (site/editions/manifest.json, read via publish.readManifest) is
  * already the paper's thread ledger: each entry carries the edition date, the
@@ -9,15 +10,33 @@
  * the last few front pages so the editor can pick genuine follow-ups, avoid
  * rehashing the same repo without new development, and sustain narrative arcs.
  *
- * Everything here is pure + fail-soft: a missing/garbage manifest yields empty
+ * Story threads go further than three front pages. Every article the paper
+ * runs is filed under a thread for its repo, and — when the repo's org is a
+ * company on the registry roster — under that company's thread too, so an
+ * OpenAI story on Monday and another OpenAI repo on Thursday read as one
+ * developing story. A thread is `developing` while it keeps getting coverage
+ * and `resolved` once it goes quiet for THREAD_RESOLVE_DAYS; new coverage
+ * reopens it. The tables are in db.js's schema; a fresh database is backfilled
+ * from edition_repos.
+ *
+ * Everything here is fail-soft: a missing/garbage manifest yields empty
  * context and the lead prompt is left exactly as it was (continuity off).
  */
 
+const { getDb } = require("./db");
+const { SEED_ENTITIES, buildAliasIndex, resolveEntityRef } = require("./registry");
+
+// Days without new coverage before a developing thread is marked resolved
+// (GT_THREAD_RESOLVE_DAYS overrides).
+const THREAD_RESOLVE_DAYS = 14;
+
 /**
  * Build continuity context from recent manifest entries.
  * @param {Array<{date?:string, headline?:string, repos?:string[]}>} manifest
  *   Newest-first manifest entries (publish.readManifest order).
- * @param {{ lookback?: number }} [opts]
+ * @param {{ lookback?: number, openThreads?: Array }} [opts]
+ *   `openThreads` is getOpenThreads() output; each is listed with the date of
+ *   its last development.
  * @returns {{ block: string, recentLeadRepos: Set<string> }}
  *   `block` is a prompt fragment (empty string when there is no usable history);
  *   `recentLeadRepos` is the set of repos that led the front page in the window.
@@ -25,8 +44,9 @@
 function buildLeadThreadContext(manifest, opts = {}) {
   const lookback = opts.lookback || 3;
   const recentLeadRepos = new Set();
+  const threadsBlock = openThreadsBlock(opts.openThreads);
   if (!Array.isArray(manifest) || manifest.length === 0) {
-    return { block: "", recentLeadRepos };
+    return { block: threadsBlock ? threadsBlock + CONTINUITY_GUIDANCE : "", recentLeadRepos };
   }
 
   const lines = [];
@@ -40,20 +60,45 @@ function buildLeadThreadContext(manifest, opts = {}) {
     lines.push(`- ${date}: ${repo} — "${headline}"`);
   }
 
-  if (lines.length === 0) return { block: "", recentLeadRepos };
+  if (lines.length === 0) {
+    return { block: threadsBlock ? threadsBlock + CONTINUITY_GUIDANCE : "", recentLeadRepos };
+  }
 
   const block =
     `RECENT FRONT PAGES (the running story — for continuity):\n` +
     lines.join("\n") +
-    `\n\nCONTINUITY GUIDANCE: You are editing a daily paper, not resetting it each morning. ` +
-    `If a candidate is a genuine new development in one of the stories above (a release shipped, ` +
-    `a milestone hit, a reversal), favor it and frame it as a follow-up. Do NOT re-lead a repo from ` +
-    `the list again unless there is real new news — a repeat without development reads as filler. ` +
-    `Otherwise prefer the most significant fresh story.`;
+    (threadsBlock ? `\n\n${threadsBlock}` : "") +
+    CONTINUITY_GUIDANCE;
 
   return { block, recentLeadRepos };
 }
 
+const CONTINUITY_GUIDANCE =
+  `\n\nCONTINUITY GUIDANCE: You are editing a daily paper, not resetting it each morning. ` +
+  `If a candidate is a genuine new development in one of the stories above (a release shipped, ` +
+  `a milestone hit, a reversal), favor it and frame it as a follow-up. Do NOT re-lead a repo from ` +
+  `the list again unless there is real new news — a repeat without development reads as filler. ` +
+  `Otherwise prefer the most significant fresh story.`;
+
+/**
+ * The open-threads prompt fragment: each developing story with the date it last
+ * moved and how often the paper has covered it.
+ * @param {Array<{title:string, lastDate:string, count:number, latestHeadline?:string}>} threads
+ * @returns {string} empty when there are no open threads
+ */
+function openThreadsBlock(threads) {
+  if (!Array.isArray(threads) || threads.length === 0) return "";
+  const lines = threads
+    .filter((t) => t && t.title && t.lastDate)
+    .map((t) => {
+      const latest = t.latestHeadline ? ` — latest: "${t.latestHeadline}"` : "";
+      const count = t.count > 1 ? `, ${t.count} stories` : "";
+      return `- ${t.title} (last development ${t.lastDate}${count})${latest}`;
+    });
+  if (lines.length === 0) return "";
+  return `OPEN STORY THREADS (developing stories the paper is following):\n${lines.join("\n")}`;
+}
+
 /**
  * Extract the chosen front-page lead from generated content, fail-soft.
  * @param {object} content - generated edition content
@@ -70,4 +115,263 @@ function extractLead(content) {
   return { repo, headline: (lead.headline || "").trim() };
 }
 
-module.exports = { buildLeadThreadContext, extractLead };
+// ---------------------------------------------------------------------------
+// Story threads — the persisted ledger
+// ---------------------------------------------------------------------------
+
+function resolveAfterDays() {
+  const env = Number(process.env.GT_THREAD_RESOLVE_DAYS);
+  return Number.isFinite(env) && env > 0 ? env : THREAD_RESOLVE_DAYS;
+}
+
+function threadId(kind, subject) {
+  const slug = String(subject).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  return `${kind}-${slug}`;
+}
+
+// Roster lookups, built once: org alias → entity id, and entity id → name.
+let _roster = null;
+function roster() {
+  if (!_roster) {
+    _roster = { index: buildAliasIndex(), names: new Map(SEED_ENTITIES.map((e) => [e.id, e.name])) };
+  }
+  return _roster;
+}
+
+/**
+ * The threads a repo's coverage belongs to: always its own, plus its company's
+ * when the org is on the roster. Unknown orgs get no entity thread — one repo
+ * from a small team is that repo's story, not a company's.
+ * @param {string} repoName - owner/repo
+ * @returns {Array<{id, kind, subject, title}>}
+ */
+function threadsForRepo(repoName) {
+  if (!repoName) return [];
+  const out = [{ id: threadId("repo", repoName), kind: "repo", subject: repoName, title: repoName }];
+  const { index, names } = roster();
+  const entityId = resolveEntityRef(repoName, index);
+  if (entityId) {
+    out.push({ id: threadId("entity", entityId), kind: "entity", subject: entityId, title: names.get(entityId) || entityId });
+  }
+  return out;
+}
+
+/**
+ * File one edition's coverage under its threads. Idempotent per edition — a
+ * republish replaces the day's filings rather than doubling them. Status is then
+ * re-derived as of the newest edition on record, not the one being filed, so
+ * republishing an old date can't reopen threads that have since gone quiet or
+ * resolve ones that are still moving.
+ * @param {string} dataDir
+ * @param {string} editionDate - YYYY-MM-DD
+ * @param {Array<{repo: string, headline?: string, section?: string, slot?: string, url?: string}>} articles
+ *   Placements (publish.collectPlacements) with the article's url added.
+ * @returns {number} filings written
+ */
+function recordThreads(dataDir, editionDate, articles) {
+  if (!editionDate || !Array.isArray(articles)) return 0;
+  const db = getDb(dataDir);
+  let n = 0;
+  db.transaction(() => {
+    n = _fileEdition(db, editionDate, articles);
+    _refreshThreads(db);
+  })();
+  return n;
+}
+
+function _fileEdition(db, editionDate, articles) {
+  db.prepare("DELETE FROM thread_articles WHERE edition_date = ?").run(editionDate);
+  const upsertThread = db.prepare(`
+    INSERT INTO story_threads (id, kind, subject, title, status, first_date, last_date)
+    VALUES (@id, @kind, @subject, @title, 'developing', @date, @date)
+    ON CONFLICT(id) DO NOTHING
+  `);
+  const file = db.prepare(`
+    INSERT OR REPLACE INTO thread_articles (thread_id, edition_date, repo_name, headline, section, slot, url)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  let n = 0;
+  for (const a of articles) {
+    if (!a || !a.repo) continue;
+    for (const t of threadsForRepo(a.repo)) {
+      upsertThread.run({ ...t, date: editionDate });
+      file.run(t.id, editionDate, a.repo, a.headline || "", a.section || "", a.slot || "", a.url || "");
+      n++;
+    }
+  }
+  return n;
+}
+
+// Re-derive first/last dates from the filings, reopen threads with coverage on
+// or after the cutoff and resolve the rest. The cutoff counts back from the
+// newest edition the paper has printed (or filed, before its editions row
+// lands). Threads left with no filings at all (a republish dropped their only
+// story) are removed.
+function _refreshThreads(db) {
+  db.prepare("DELETE FROM story_threads WHERE id NOT IN (SELECT DISTINCT thread_id FROM thread_articles)").run();
+  db.prepare(`
+    UPDATE story_threads SET
+      first_date = (SELECT MIN(edition_date) FROM thread_articles WHERE thread_id = story_threads.id),
+      last_date  = (SELECT MAX(edition_date) FROM thread_articles WHERE thread_id = story_threads.id)
+  `).run();
+  const asOf = db.prepare(`
+    SELECT MAX(d) AS d FROM (SELECT MAX(date) AS d FROM editions UNION ALL SELECT MAX(edition_date) FROM thread_articles)
+  `).get().d;
+  if (!asOf) return;
+  const cutoff = new Date(Date.parse(asOf) - resolveAfterDays() * 86_400_000).toISOString().slice(0, 10);
+  db.prepare("UPDATE story_threads SET status = CASE WHEN last_date >= ? THEN 'developing' ELSE 'resolved' END")
+    .run(cutoff);
+}
+
+/**
+ * Rebuild the ledger from edition_repos when it is empty — the database is
+ * rebuilt from manifest.json on a fresh checkout, which carries the repos of
+ * every edition but not the threads. Headlines come from placements where they
+ * were recorded, and from the edition headline for its front-page lead.
+ * @param {string} dataDir
+ * @returns {number} editions replayed (0 when the ledger already had threads)
+ */
+function backfillThreads(dataDir) {
+  const db = getDb(dataDir);
+  if (db.prepare("SELECT COUNT(*) AS n FROM story_threads").get().n > 0) return 0;
+  const rows = db.prepare(`
+    SELECT er.edition_date, er.repo_name, er.headline, er.section, er.slot, e.headline AS edition_headline
+      FROM edition_repos er JOIN editions e ON e.date = er.edition_date
+     ORDER BY er.edition_date, er.rowid
+  `).all();
+  if (rows.length === 0) return 0;
+
+  const { slugify } = require("./render");
+  const byDate = new Map();
+  for (const r of rows) {
+    if (!byDate.has(r.edition_date)) byDate.set(r.edition_date, []);
+    const day = byDate.get(r.edition_date);
+    // repos[0] is the front-page lead; its headline is the edition's.
+    const isLead = day.length === 0;
+    const headline = r.headline || (isLead ? r.edition_headline : "");
+    const hasPage = headline && (r.slot ? r.slot !== "quickHit" : isLead);
+    day.push({
+      repo: r.repo_name,
+      headline,
+      section: r.section || "",
+      slot: r.slot || "",
+      url: hasPage ? `/editions/${r.edition_date}/${slugify(headline)}/` : `/editions/${r.edition_date}/`,
+    });
+  }
+  const dates = [...byDate.keys()];
+  db.transaction(() => {
+    for (const date of dates) _fileEdition(db, date, byDate.get(date));
+    _refreshThreads(db);
+  })();
+  return dates.length;
+}
+
+/**
+ * Developing threads, most recently moved first — what the editor-in-chief is
+ * shown. Only threads with at least `minStories` pieces of coverage count: a
+ * single story is a thread in waiting, and every quick hit starts one.
+ * @param {string} dataDir
+ * @param {{ limit?: number, minStories?: number }} [opts] - defaults 8 and 2
+ * @returns {Array<{id, kind, title, status, firstDate, lastDate, count, latestHeadline}>}
+ */
+function getOpenThreads(dataDir, opts = {}) {
+  const limit = opts.limit || 8;
+  const minStories = opts.minStories || 2;
+  const db = getDb(dataDir);
+  return db.prepare(`
+    SELECT t.id, t.kind, t.title, t.status, t.first_date, t.last_date,
+           COUNT(DISTINCT a.edition_date || '|' || a.repo_name) AS count,
+           (SELECT headline FROM thread_articles l
+             WHERE l.thread_id = t.id AND l.headline != ''
+             ORDER BY l.edition_date DESC LIMIT 1) AS latest_headline
+      FROM story_threads t JOIN thread_articles a ON a.thread_id = t.id
+     WHERE t.status = 'developing'
+     GROUP BY t.id
+    HAVING count >= ?
+     ORDER BY t.last_date DESC, count DESC, t.id
+     LIMIT ?
+  `).all(minStories, limit).map((r) => ({
+    id: r.id,
+    kind: r.kind,
+    title: r.title,
+    status: r.status,
+    firstDate: r.first_date,
+    lastDate: r.last_date,
+    count: r.count,
+    latestHeadline: r.latest_headline || "",
+  }));
+}
+
+/**
+ * A repo's thread as it stood before an edition: the coverage an article page
+ * shows under "Previously in The Git Times". The repo's own thread wins when it
+ * has history; otherwise its company's, so a first story about a new OpenAI
+ * repo still links to what the paper said about OpenAI.
+ * @param {string} dataDir
+ * @param {string} repoName
+ * @param {{ before: string, limit?: number }} opts - only coverage dated before `before`
+ * @returns {{ id, title, status, entries: Array<{date, repo, headline, url}> } | null}
+ */
+function getThreadTimeline(dataDir, repoName, opts = {}) {
+  const limit = opts.limit || 5;
+  const db = getDb(dataDir);
+  const thread = db.prepare("SELECT id, kind, title, status FROM story_threads WHERE id = ?");
+  const entries = db.prepare(`
+    SELECT edition_date, repo_name, headline, url FROM thread_articles
+     WHERE thread_id = ? AND edition_date < ?
+     ORDER BY edition_date DESC, repo_name LIMIT ?
+  `);
+  for (const t of threadsForRepo(repoName)) {
+    const row = thread.get(t.id);
+    if (!row) continue;
+    const prior = entries.all(t.id, opts.before || "9999-99-99", limit);
+    if (prior.length === 0) continue;
+    return {
+      id: row.id,
+      kind: row.kind,
+      title: row.title,
+      status: row.status,
+      entries: prior.map((e) => ({ date: e.edition_date, repo: e.repo_name, headline: e.headline, url: e.url })),
+    };
+  }
+  return null;
+}
+
+/**
+ * Hang each article's thread timeline on it (`article.thread`) before the pages
+ * render. Runs ahead of recordThreads, and only reads coverage dated before the
+ * edition, so a republish never lists the article as its own predecessor.
+ * @param {string} dataDir
+ * @param {object} content - generated edition content (multi-section shape)
+ * @param {string} editionDate
+ * @returns {number} articles given a timeline
+ */
+function attachThreadTimelines(dataDir, content, editionDate) {
+  if (!content || !content.sections) return 0;
+  let n = 0;
+  for (const section of Object.values(content.sections)) {
+    if (!section) continue;
+    for (const article of [section.lead, ...(section.secondary || [])]) {
+      if (!article || article._isTrend || !article.repo || !article.repo.name) continue;
+      const thread = getThreadTimeline(dataDir, article.repo.name, { before: editionDate });
+      if (thread) {
+        article.thread = thread;
+        n++;
+      }
+    }
+  }
+  return n;
+}
+
+module.exports = {
+  THREAD_RESOLVE_DAYS,
+  buildLeadThreadContext,
+  openThreadsBlock,
+  extractLead,
+  threadsForRepo,
+  recordThreads,
+  backfillThreads,
+  getOpenThreads,
+  getThreadTimeline,
+  attachThreadTimelines,
+};
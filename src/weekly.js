@@ -0,0 +1,472 @@
+/**
+ * The Week in Review — a Sunday digest built from the week's dailies.
+ *
+ * Builders who don't read daily get one issue a week. Nothing in it is fetched
+ * fresh: the last seven manifest entries, where each repo ran (edition_repos
+ * placements, or the stored edition.json when the DB is a fresh CI checkout),
+ * star velocity over the week (computeWindowDeltas on the history snapshots),
+ * the model drops the dailies carried and the Price Board's weekly movers. That
+ * is ranked into a package, and one LLM pass writes the headline, the intro and
+ * a line per story over it.
+ *
+ *   gittimes weekly                 # the week ending today
+ *   gittimes weekly 2026-07-05      # the week ending on a given date
+ *   gittimes weekly --dry-run       # print the ranking; write and send nothing
+ *
+ * Output lands at weekly/YYYY-MM-DD/ (plus weekly.json beside it), weekly/ holds
+ * the newest issue, and the digest joins the archive and feeds as a "weekly"
+ * entry. The newsletter goes out under the same SKIP_NEWSLETTER gate as a daily.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const {
+  readManifest,
+  readEditionArtifact,
+  collectPlacements,
+  readWeeklyManifest,
+  writeWeeklyManifest,
+  writeFeedsAndArchive,
+  toDateStr,
+} = require("./publish");
+const { loadHistory, computeWindowDeltas } = require("./history");
+const { buildPriceBoard } = require("./price-board");
+const { escapeHtml, slugify } = require("./render");
+const { applyTemplate } = require("./template-utils");
+const { weeklyDigestPrompt } = require("./prompts");
+const { CONTRACTS } = require("./contracts");
+const db = require("./db");
+
+const WEEK_EDITIONS = 7;
+const MAX_STORIES = 8;
+const MAX_DROPS = 6;
+const MAX_PRICE_MOVES = 5;
+const WEEKLY_ARTIFACT = "weekly.json";
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// A lead is worth five quick hits; the front page is the paper's own ranking,
+// so a placement there counts half again.
+const SLOT_WEIGHT = { lead: 5, secondary: 3, quickHit: 1 };
+const FRONT_PAGE_BOOST = 1.5;
+
+/**
+ * Where one edition's repos ran. The DB is the record; a fresh CI checkout has
+ * none, so fall back to the stored edition, then to the manifest's repo list
+ * (first repo and section leads as leads, the rest as quick hits).
+ */
+function placementsFor(outDir, entry, artifact) {
+  try {
+    const recorded = db.getEditionPlacements(db.resolveDataDir(outDir), entry.date);
+    if (recorded.length > 0) return recorded;
+  } catch { /* DB unavailable */ }
+
+  if (artifact) return collectPlacements(artifact.content);
+
+  const leads = new Set([...(entry.repos || []).slice(0, 1), ...(entry.sectionLeads || [])]);
+  return (entry.repos || []).map((repo, rank) => ({
+    repo,
+    section: "",
+    slot: leads.has(repo) ? "lead" : "quickHit",
+    rank,
+    headline: "",
+  }));
+}
+
+function readStoredEdition(outDir, dateStr) {
+  try {
+    return readEditionArtifact(outDir, dateStr);
+  } catch (e) {
+    console.warn(`[weekly] ${dateStr} edition.json unreadable: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Rank the week's repos. Pure: every input is already loaded.
+ * @param {Array<{ date, url, placements }>} days - newest first
+ * @param {object} [opts] - { velocity: Map<repo, { delta, days }>, basePath, limit }
+ * @returns {Array<{ repo, score, appearances, bestSlot, section, headline, url, starDelta, deltaDays }>}
+ */
+function rankWeek(days, opts = {}) {
+  const { velocity = new Map(), basePath = "", limit = MAX_STORIES } = opts;
+  const byRepo = new Map();
+
+  for (const day of days) {
+    for (const p of day.placements) {
+      const weight = (SLOT_WEIGHT[p.slot] || 1) * (p.section === "frontPage" ? FRONT_PAGE_BOOST : 1);
+      let story = byRepo.get(p.repo);
+      if (!story) {
+        story = { repo: p.repo, score: 0, dates: new Set(), best: null, bestWeight: 0 };
+        byRepo.set(p.repo, story);
+      }
+      story.score += weight;
+      story.dates.add(day.date);
+      // Days arrive newest first, so on a tie the latest telling wins.
+      if (weight > story.bestWeight) {
+        story.best = { ...p, date: day.date, editionUrl: day.url };
+        story.bestWeight = weight;
+      }
+    }
+  }
+
+  return [...byRepo.values()]
+    .map((s) => {
+      const v = velocity.get(s.repo);
+      // Growth breaks ties and lifts a repo the paper underplayed, but on a log
+      // scale: a 20k-star week must not outrank three days of leads.
+      const growth = v ? 2 * Math.log10(1 + v.delta) : 0;
+      const { best } = s;
+      const hasPage = (best.slot === "lead" || best.slot === "secondary") && best.headline;
+      return {
+        repo: s.repo,
+        score: Math.round((s.score + growth) * 100) / 100,
+        appearances: s.dates.size,
+        bestSlot: best.slot,
+        section: best.section || "frontPage",
+        headline: best.headline || s.repo,
+        url: hasPage
+          ? `${basePath}/editions/${best.date}/${slugify(best.headline)}/`
+          : best.editionUrl || `${basePath}/editions/${best.date}/`,
+        starDelta: v ? v.delta : null,
+        deltaDays: v ? v.days : null,
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.appearances - a.appearances || a.repo.localeCompare(b.repo))
+    .slice(0, limit);
+}
+
+/**
+ * Everything the digest is built from, read off what the dailies published.
+ * @param {string} outDir
+ * @param {string} endDate - YYYY-MM-DD; the week is the last seven dailies up to it
+ * @param {object} [opts] - { basePath }
+ * @returns {{ date, from, to, editions: Array, stories: Array, modelDrops: Array, priceMoves: Array }}
+ */
+function collectWeek(outDir, endDate, opts = {}) {
+  const basePath = opts.basePath || "";
+  const editions = readManifest(outDir)
+    .filter((e) => e.date <= endDate)
+    .slice(0, WEEK_EDITIONS);
+  const artifacts = new Map(editions.map((e) => [e.date, readStoredEdition(outDir, e.date)]));
+
+  const days = editions.map((e) => ({
+    date: e.date,
+    url: e.url || `${basePath}/editions/${e.date}/`,
+    placements: placementsFor(outDir, e, artifacts.get(e.date)),
+  }));
+
+  // Star velocity over the week, from the newest snapshot back to the oldest
+  // one inside seven days.
+  let velocity = new Map();
+  try {
+    const history = loadHistory(outDir);
+    const latest = (history.snapshots || [])[0];
+    if (latest) {
+      const current = latest.repos.map((r) => ({ full_name: r.full_name, stargazers_count: r.stars }));
+      velocity = computeWindowDeltas(current, history, 7);
+    }
+  } catch (e) {
+    console.warn(`[weekly] star velocity unavailable (non-fatal): ${e.message}`);
+  }
+
+  // The model drops the dailies carried, each once, biggest first.
+  const drops = new Map();
+  for (const artifact of artifacts.values()) {
+    for (const d of (artifact && artifact.bands.modelDrops) || []) {
+      if (d && d.id && !drops.has(d.id)) drops.set(d.id, d);
+    }
+  }
+  const modelDrops = [...drops.values()].sort((a, b) => (b.likes || 0) - (a.likes || 0)).slice(0, MAX_DROPS);
+
+  return {
+    date: endDate,
+    from: editions.length ? editions[editions.length - 1].date : endDate,
+    to: editions.length ? editions[0].date : endDate,
+    editions: editions.map((e) => ({
+      date: e.date,
+      headline: e.headline || "",
+      tagline: e.tagline || "",
+      url: e.url || `${basePath}/editions/${e.date}/`,
+    })),
+    stories: rankWeek(days, { velocity, basePath }),
+    modelDrops,
+    priceMoves: weeklyPriceMoves(outDir, artifacts.get(editions.length ? editions[0].date : null)),
+  };
+}
+
+/**
+ * The Price Board over a seven-day window, priced off the newest daily's
+ * tracked models. Same tape-then-ticker fallback as the daily board.
+ */
+function weeklyPriceMoves(outDir, latestArtifact) {
+  const models = (latestArtifact && latestArtifact.bands.tickerData && latestArtifact.bands.tickerData.models) || [];
+  if (models.length === 0) return [];
+  try {
+    let history = [];
+    try {
+      history = db.loadPriceTape(db.resolveDataDir(outDir));
+    } catch { /* DB unavailable */ }
+    if (history.length === 0) history = require("./ai-ticker").loadHistory(outDir);
+    const board = buildPriceBoard({ models, history, opts: { windowDays: 7 } });
+    return board.movers.slice(0, MAX_PRICE_MOVES).map((r) => ({
+      lab: r.lab,
+      label: r.label,
+      direction: r.direction,
+      movePct: r.movePct,
+      output: r.output,
+    }));
+  } catch (e) {
+    console.warn(`[weekly] price moves unavailable (non-fatal): ${e.message}`);
+    return [];
+  }
+}
+
+/**
+ * The one LLM pass: headline, subheadline, intro and a line per story. On any
+ * failure the digest still ships, on the dailies' own headlines.
+ * @param {object} client - OpenAI-compatible client (or router)
+ * @param {object} week - collectWeek() output
+ * @param {object} [opts] - { model }
+ * @returns {Promise<{ headline, subheadline, intro, blurbs: string[], _isFallback: boolean }>}
+ */
+async function writeDigest(client, week, opts = {}) {
+  const { chatWithContract, lastMatch, parseNumberedList, isGibberish, MODEL } = require("./xai");
+  const top = week.stories[0];
+  const fallback = {
+    headline: top ? top.headline : "The Week in Review",
+    subheadline: `${week.editions.length} editions, ${week.stories.length} stories that defined the week`,
+    intro: "",
+    blurbs: week.stories.map(() => ""),
+    _isFallback: true,
+  };
+  if (!client || week.stories.length === 0) return fallback;
+
+  // The marker format the digest used before its JSON contract.
+  const legacy = (text) => {
+    const headline = (lastMatch(text, /(?:^|\n)\bHEADLINE:\s*(.+)/) || [])[1];
+    if (!headline) return null;
+    const bodyAt = text.lastIndexOf("BODY:");
+    const storiesAt = text.lastIndexOf("STORIES:");
+    return {
+      headline,
+      subheadline: (lastMatch(text, /SUBHEADLINE:\s*(.+)/) || [])[1] || "",
+      body: bodyAt !== -1 ? text.slice(bodyAt + 5, storiesAt > bodyAt ? storiesAt : undefined).trim() : "",
+      stories: storiesAt !== -1 ? parseNumberedList(text.slice(storiesAt + 8)) : [],
+    };
+  };
+
+  let value;
+  try {
+    ({ value } = await chatWithContract(client, opts.model || MODEL, weeklyDigestPrompt(week), CONTRACTS.weeklyDigest, 900, {
+      task: "weeklyDigest",
+      legacy,
+    }));
+  } catch (e) {
+    console.warn(`[weekly] digest pass failed, using the dailies' headlines: ${e.message}`);
+    return fallback;
+  }
+
+  const headline = value ? value.headline.trim() : "";
+  const subheadline = value ? value.subheadline : "";
+  const intro = value ? value.body.trim() : "";
+  const lines = value ? value.stories.map((l) => String(l).trim()) : [];
+
+  if (!headline || isGibberish(headline) || isGibberish(intro)) {
+    console.warn("[weekly] digest output unusable, using the dailies' headlines");
+    return fallback;
+  }
+  return {
+    headline,
+    subheadline: (subheadline || "").trim() || fallback.subheadline,
+    intro,
+    blurbs: week.stories.map((_, i) => (lines[i] && !isGibberish(lines[i]) ? lines[i] : "")),
+    _isFallback: false,
+  };
+}
+
+function displayDate(dateStr, opts = { month: "long", day: "numeric" }) {
+  return new Date(`${dateStr}T12:00:00Z`).toLocaleDateString("en-US", { ...opts, timeZone: "UTC" });
+}
+
+/**
+ * Render the digest page.
+ * @param {object} digest - writeDigest() output
+ * @param {object} week - collectWeek() output
+ * @param {object} [opts] - { basePath, siteUrl }
+ * @returns {string} Complete HTML string
+ */
+function renderWeeklyPage(digest, week, opts = {}) {
+  const basePath = opts.basePath || "";
+  const siteUrl = opts.siteUrl || "https://gittimes.com";
+  const range = `${displayDate(week.from)} – ${displayDate(week.to, { month: "long", day: "numeric", year: "numeric" })}`;
+
+  const intro = digest.intro
+    ? `<div class="weekly-intro">${digest.intro
+        .split(/\n\n+/)
+        .filter((p) => p.trim())
+        .map((p) => `<p>${escapeHtml(p.trim())}</p>`)
+        .join("\n")}</div>`
+    : "";
+
+  const stories = week.stories
+    .map((s, i) => {
+      const ran = `${s.appearances} day${s.appearances === 1 ? "" : "s"} in the paper`;
+      const growth = s.starDelta ? ` · +${s.starDelta.toLocaleString("en-US")} stars in ${s.deltaDays}d` : "";
+      const blurb = digest.blurbs[i];
+      return `<li class="weekly-story">
+          <a href="${escapeHtml(s.url)}" class="weekly-story-headline">${escapeHtml(s.headline)}</a>
+          ${blurb ? `<p class="weekly-story-blurb">${escapeHtml(blurb)}</p>` : ""}
+          <span class="weekly-story-meta">${escapeHtml(s.repo)} · ${ran}${growth}</span>
+        </li>`;
+    })
+    .join("\n        ");
+
+  const band = (title, items) =>
+    items.length
+      ? `<section class="weekly-band">
+      <h2 class="section-header">${title}</h2>
+      <ul>${items.join("")}</ul>
+    </section>`
+      : "";
+  const drops = band(
+    "Model Drops",
+    week.modelDrops.map(
+      (d) =>
+        `<li><a href="${escapeHtml(d.url || `https://huggingface.co/${d.id}`)}">${escapeHtml(d.headline || d.name)}</a> — ${escapeHtml(d.author)}</li>`
+    )
+  );
+  const prices = band(
+    "Price Moves",
+    week.priceMoves.map(
+      (p) =>
+        `<li>${escapeHtml(`${p.lab} ${p.direction === "cut" ? "cut" : "raised"} ${p.label} ${Math.abs(p.movePct).toFixed(0)}% to $${p.output}/Mtok out`)}</li>`
+    )
+  );
+
+  const editions = week.editions
+    .map(
+      (e) => `
+    <div class="archive-entry">
+      <span class="archive-date">${escapeHtml(displayDate(e.date, { weekday: "long", month: "long", day: "numeric" }))}</span>
+      <a href="${escapeHtml(e.url)}" class="archive-headline">${escapeHtml(e.headline || "Edition")}</a>
+    </div>`
+    )
+    .join("\n");
+
+  // Function replacements: model prose and prices carry "$", which a string
+  // replacement would read as a pattern.
+  return applyTemplate("weekly", basePath)
+    .replace(/\{\{TITLE\}\}/g, () => escapeHtml(digest.headline))
+    .replace("{{DESCRIPTION}}", () => escapeHtml(digest.subheadline))
+    .replace(/\{\{CANONICAL_URL\}\}/g, () => escapeHtml(`${siteUrl}${basePath}/weekly/${week.date}/`))
+    .replace("{{DATE_RANGE}}", () => escapeHtml(range))
+    .replace("{{SUBHEADLINE}}", () => (digest.subheadline ? `<p class="weekly-subheadline">${escapeHtml(digest.subheadline)}</p>` : ""))
+    .replace("{{INTRO}}", () => intro)
+    .replace("{{STORIES}}", () => stories)
+    .replace("{{MODEL_DROPS}}", () => drops)
+    .replace("{{PRICE_MOVES}}", () => prices)
+    .replace("{{EDITION_LIST}}", () => editions);
+}
+
+/**
+ * Write the digest to weekly/YYYY-MM-DD/, make it the newest at weekly/, and
+ * list it in the weekly manifest, the archive and the feeds. A rerun for the
+ * same date replaces that issue.
+ * @returns {object} the weekly manifest entry
+ */
+function publishWeekly(digest, week, outDir, opts = {}) {
+  const siteUrl = opts.siteUrl || "https://gittimes.com";
+  const basePath = opts.basePath || "";
+  const html = renderWeeklyPage(digest, week, { basePath, siteUrl });
+
+  const issueDir = path.join(outDir, "weekly", week.date);
+  fs.mkdirSync(issueDir, { recursive: true });
+  fs.writeFileSync(path.join(issueDir, "index.html"), html);
+  fs.writeFileSync(
+    path.join(issueDir, WEEKLY_ARTIFACT),
+    JSON.stringify({ version: 1, date: week.date, publishedAt: new Date().toISOString(), digest, week })
+  );
+
+  const entry = {
+    kind: "weekly",
+    date: week.date,
+    headline: digest.headline,
+    subheadline: digest.subheadline,
+    tagline: `The week of ${displayDate(week.from)}`,
+    url: `${basePath}/weekly/${week.date}/`,
+    repos: week.stories.map((s) => s.repo),
+  };
+  const weeklies = readWeeklyManifest(outDir).filter((e) => e.date !== week.date);
+  weeklies.unshift(entry);
+  weeklies.sort((a, b) => b.date.localeCompare(a.date));
+  writeWeeklyManifest(outDir, weeklies);
+  if (weeklies[0].date === week.date) fs.writeFileSync(path.join(outDir, "weekly", "index.html"), html);
+
+  writeFeedsAndArchive(outDir, readManifest(outDir), { siteUrl, basePath });
+  return entry;
+}
+
+async function main() {
+  require("dotenv").config();
+  const args = process.argv.slice(2);
+  const outDir = process.env.PUBLISH_DIR || "./site";
+  const siteUrl = process.env.SITE_BASE_URL || "https://gittimes.com";
+  const basePath = process.env.BASE_PATH || "";
+  const dryRun = args.includes("--dry-run");
+  const date = args.find((a) => !a.startsWith("--")) || toDateStr(new Date());
+  if (!DATE_RE.test(date)) throw new Error(`Expected a YYYY-MM-DD date, got "${date}"`);
+
+  const week = collectWeek(outDir, date, { basePath });
+  if (week.editions.length === 0) throw new Error(`no daily editions on or before ${date}`);
+  if (week.stories.length === 0) throw new Error(`no placements recorded for ${week.from} – ${week.to}`);
+
+  console.log(`[weekly] ${week.editions.length} editions, ${week.from} – ${week.to}`);
+  week.stories.forEach((s, i) => console.log(`  ${i + 1}. ${s.repo} (${s.score}, ${s.appearances}d, ${s.bestSlot})`));
+  console.log(`[weekly] ${week.modelDrops.length} model drops, ${week.priceMoves.length} price moves`);
+  if (dryRun) {
+    console.log("[weekly] --dry-run: nothing written.");
+    return;
+  }
+
+  const { createClient } = require("./xai");
+  const digest = await writeDigest(process.env.OPENROUTER_API_KEY ? createClient() : null, week);
+  const entry = publishWeekly(digest, week, outDir, { siteUrl, basePath });
+  console.log(`[weekly] "${entry.headline}" published to ${outDir}${entry.url}`);
+
+  // Same gate as the daily: an explicit skip flag, never a withheld secret.
+  if (process.env.SKIP_NEWSLETTER === "true") {
+    console.log("[weekly] newsletter skipped (SKIP_NEWSLETTER=true)");
+  } else if (process.env.NEWSLETTER_SECRET && process.env.CHAT_WORKER_URL) {
+    try {
+      const { sendNewsletter } = require("./newsletter");
+      const sent = await sendNewsletter({
+        workerUrl: process.env.CHAT_WORKER_URL,
+        newsletterSecret: process.env.NEWSLETTER_SECRET,
+        edition: {
+          kind: "weekly",
+          headline: entry.headline,
+          subheadline: entry.subheadline,
+          tagline: entry.tagline,
+          date: entry.date,
+          url: siteUrl + entry.url,
+          repos: entry.repos.slice(0, 8),
+        },
+      });
+      console.log(`[weekly] newsletter sent to ${sent} subscribers`);
+    } catch (e) {
+      console.warn(`[weekly] newsletter send failed (non-fatal): ${e.message}`);
+    }
+  }
+}
+
+if (require.main === module) {
+  main()
+    .catch((err) => {
+      console.error(`[weekly] ${err.message}`);
+      process.exitCode = 1;
+    })
+    .finally(db.closeDb);
+}
+
+module.exports = { collectWeek, rankWeek, writeDigest, renderWeeklyPage, publishWeekly, SLOT_WEIGHT, WEEKLY_ARTIFACT };
@@ -65,7 +65,7 @@ BLURB: <one sentence summary of what people are saying>
 TOP_POST: <the most notable post text, or "none" if nothing found>`;
 
     const raw = await llmLimit(() =>
-      chat(client, MODEL, prompt, 300, { tools: [X_SEARCH_TOOL] })
+      chat(client, MODEL, prompt, 300, { tools: [X_SEARCH_TOOL], task: "xSentiment" })
     );
     return parseXSentiment(raw, repo);
   } catch (err) {
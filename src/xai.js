@@ -1,5 +1,3 @@
-const OpenAI = require("openai");
-
 const pRetryP = import("p-retry");
 const pLimitP = import("p-limit");
 
@@ -21,22 +19,38 @@ const { enrichCandidatesWithSignals } = require("./signals");
 const { SECTIONS, SECTION_ORDER } = require("./sections");
 const { mastheadQuote } = require("./quotes");
 const { isVersionChurn } = require("./editorial");
-
-// Provider is env-driven. Defaults to a free OpenRouter model so the daily
-// edition can generate at $0; override with LLM_MODEL / LLM_BASE_URL.
-const MODEL = process.env.LLM_MODEL || "nvidia/nemotron-3-super-120b-a12b:free";
-const BASE_URL = process.env.LLM_BASE_URL || "https://openrouter.ai/api/v1";
+const { tape } = require("./replay");
+const { journaled } = require("./checkpoint");
+const { costOf, noBudget, BudgetExceededError } = require("./budget");
+const { loadLlmConfig, resolveLlmConfig, createRouter, usesProvider } = require("./llm-providers");
+const { CONTRACTS, checkReply, extractJson, responseFormat, repairPrompt } = require("./contracts");
+
+// Providers and per-task models come from llm.config.json (src/llm-providers.js).
+// Without one, every call goes to a free OpenRouter model so the daily edition
+// can generate at $0; LLM_MODEL / LLM_BASE_URL still override the default route.
+const LLM_CONFIG = resolveLlmConfig(loadLlmConfig());
+const MODEL = LLM_CONFIG.default.model;
 
 // --- Generation telemetry -------------------------------------------------
 // A fail-silent observer that accumulates token usage across LLM calls for a
 // single generation run. It never affects request params or return values; the
 // publish step reads it once at the end and writes it to the edition_meta table.
-const _metrics = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+// The per-edition budget (src/budget.js) meters spend off the same counters.
+// parseRepairs / parseFallbacks count replies that broke their output contract:
+// how many needed a repair call, and how many only the legacy parser could read.
+const _metrics = {
+  calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, unpricedCalls: 0,
+  parseRepairs: 0, parseFallbacks: 0,
+};
 function resetMetrics() {
   _metrics.calls = 0;
   _metrics.promptTokens = 0;
   _metrics.completionTokens = 0;
   _metrics.totalTokens = 0;
+  _metrics.costUsd = 0;
+  _metrics.unpricedCalls = 0;
+  _metrics.parseRepairs = 0;
+  _metrics.parseFallbacks = 0;
 }
 function getMetrics() {
   return {
@@ -45,20 +59,33 @@ function getMetrics() {
     promptTokens: _metrics.promptTokens,
     completionTokens: _metrics.completionTokens,
     totalTokens: _metrics.totalTokens,
+    costUsd: _metrics.costUsd,
+    unpricedCalls: _metrics.unpricedCalls,
+    parseRepairs: _metrics.parseRepairs,
+    parseFallbacks: _metrics.parseFallbacks,
   };
 }
 
+// The run's budget (src/budget.js), checked before every completion: once it's
+// spent, _chat refuses the call rather than overshooting the cap. Set by the
+// publish step next to resetMetrics(); null (the default) never refuses.
+let _budget = null;
+function setBudget(budget) {
+  _budget = budget || null;
+}
+
+/**
+ * The generator's LLM client: a router over the configured providers. `apiKey`
+ * is the OpenRouter key (callers pass OPENROUTER_API_KEY); only the
+ * "openrouter" provider is given it.
+ */
 function createClient(apiKey) {
-  return new OpenAI({
-    baseURL: BASE_URL,
-    apiKey: apiKey || process.env.OPENROUTER_API_KEY,
-    timeout: 120_000,
-    // OpenRouter attribution headers (ignored by other providers).
-    defaultHeaders: {
-      "HTTP-Referer": "https://gittimes.com",
-      "X-Title": "The Git Times",
-    },
-  });
+  return createRouter(LLM_CONFIG, { apiKey });
+}
+
+/** Whether any route in llm.config.json goes to OpenRouter, and so needs its key. */
+function needsOpenRouterKey() {
+  return usesProvider(LLM_CONFIG, "openrouter");
 }
 
 function sanitizePrompt(text) {
@@ -73,21 +100,40 @@ function _repoId(repoOrArticle) {
   return r.full_name || r.name || null;
 }
 
-const ARTICLE_MARKERS = /\bHEADLINE:|BODY:/;
+// A contract's JSON object, or the legacy article markers.
+const STRUCTURED_MARKERS = /^\s*(?:```(?:json)?\s*)?\{|\bHEADLINE:|BODY:/;
 
 function pickStructuredOutput(msg) {
   const content = (msg.content || "").trim();
   const reasoning = (msg.reasoning || "").trim();
 
-  // Prefer whichever field contains the structured article markers
-  if (ARTICLE_MARKERS.test(content)) return content;
-  if (ARTICLE_MARKERS.test(reasoning)) return reasoning;
+  // Prefer whichever field carries the structured answer
+  if (STRUCTURED_MARKERS.test(content)) return content;
+  if (STRUCTURED_MARKERS.test(reasoning)) return reasoning;
 
   // Neither has markers — prefer content if non-empty, else reasoning
   return content || reasoning;
 }
 
 async function _chat(client, model, prompt, maxTokens = 1024, options = {}) {
+  // Per-task routing: a router client (createClient) may send this task to
+  // another provider and model. Plain clients — tests, callers' own — are used as is.
+  // options.pinModel keeps the caller's model over the route's (an explicit
+  // operator override such as EDITOR_MODEL). A pinned model names a model on
+  // the default provider, so the call stays there (the router's own client)
+  // rather than going to a routed provider that can't serve it.
+  let provider = null;
+  if (options.task && typeof client.forTask === "function") {
+    if (options.pinModel) {
+      provider = client.provider;
+    } else {
+      const route = client.forTask(options.task);
+      client = route.client;
+      model = route.model || model;
+      provider = route.provider;
+    }
+  }
+  if (_budget && !_budget.allows("llmCalls")) throw new BudgetExceededError(_budget.spent());
   try {
     const clean = sanitizePrompt(prompt);
     const params = {
@@ -98,12 +144,24 @@ async function _chat(client, model, prompt, maxTokens = 1024, options = {}) {
     };
     // OpenRouter: disable model "thinking" so the structured HEADLINE:/BODY:
     // output isn't eaten by a free reasoning model's token budget. Set
-    // LLM_REASONING=true to re-enable. Non-OpenRouter providers ignore this.
-    if (process.env.LLM_REASONING !== "true") {
+    // LLM_REASONING=true to re-enable. Not sent to a routed provider that isn't
+    // OpenRouter — strict local servers reject unknown fields.
+    if (process.env.LLM_REASONING !== "true" && (!provider || provider.openrouter)) {
       params.reasoning = { enabled: false };
     }
     if (options.tools) params.tools = options.tools;
-    const response = await client.chat.completions.create(params);
+    // Providers that enforce structured output get the contract's schema; every
+    // other route relies on the prompt asking for it and the check afterwards.
+    if (options.contract && provider && provider.structuredOutput) {
+      params.response_format = responseFormat(options.contract);
+    }
+    // Keyed on the request params, never the client — the API key stays off disk.
+    // The checkpoint journal sits inside the tape: a resumed publish answers the
+    // prompts its failed attempt already paid for. Journal hits still count
+    // toward usage below — those tokens were spent on this edition.
+    const response = await tape("llm", params, () =>
+      journaled(params, () => client.chat.completions.create(params))
+    );
     // Telemetry: accumulate usage from the response we already have. Wrapped so
     // a malformed usage object can never interrupt generation.
     try {
@@ -113,6 +171,9 @@ async function _chat(client, model, prompt, maxTokens = 1024, options = {}) {
         _metrics.promptTokens += u.prompt_tokens || 0;
         _metrics.completionTokens += u.completion_tokens || 0;
         _metrics.totalTokens += u.total_tokens || 0;
+        const cost = provider && provider.local ? 0 : costOf(model, u);
+        if (cost == null) _metrics.unpricedCalls++;
+        else _metrics.costUsd += cost;
       }
     } catch { /* telemetry must never break generation */ }
     if (!response.choices?.length) {
@@ -138,6 +199,7 @@ async function chat(client, model, prompt, maxTokens = 1024, options = {}) {
     randomize: true,
     onFailedAttempt(info) {
       const err = info.error || {};
+      if (err instanceof BudgetExceededError) return; // shouldRetry ends it
       console.warn(
         `LLM attempt ${info.attemptNumber} failed (${info.retriesLeft} left): ${err.message || String(err)}`
       );
@@ -145,9 +207,52 @@ async function chat(client, model, prompt, maxTokens = 1024, options = {}) {
         throw new AbortError(err.message);
       }
     },
+    // A spent budget stays spent: retrying would only be refused again.
+    shouldRetry: ({ error }) => !(error instanceof BudgetExceededError),
   });
 }
 
+/**
+ * One generation call under an output contract (src/contracts.js). The reply is
+ * validated against the contract's schema plus `opts.check(value) => string[]`;
+ * a reply that breaks it gets ONE repair call, and if that fails too the legacy
+ * parser (`opts.legacy(text) => value|null`) reads whichever reply it can, newest
+ * first. Both detours are counted in the generation metrics. A failed first call
+ * throws like chat(); a failed repair call only costs the repair.
+ * @param {object} contract - a CONTRACTS entry
+ * @param {object} [opts] - { task, llmLimit, check, legacy }
+ * @returns {Promise<{ value: object|null, raw: string, via: string|null }>} value
+ *   is null when no reply could be read; via is "json", "repair" or "legacy"
+ */
+async function chatWithContract(client, model, prompt, contract, maxTokens, opts = {}) {
+  const limit = opts.llmLimit || ((fn) => fn());
+  const call = (text) => limit(() => chat(client, model, text, maxTokens, { task: opts.task, pinModel: opts.pinModel, contract }));
+
+  const replies = [await call(prompt)];
+  let verdict = checkReply(contract, replies[0], opts.check);
+  if (verdict.ok) return { value: verdict.value, raw: replies[0], via: "json" };
+
+  _metrics.parseRepairs++;
+  try {
+    replies.unshift(await call(repairPrompt(prompt, contract, replies[0], verdict.errors)));
+    verdict = checkReply(contract, replies[0], opts.check);
+    if (verdict.ok) return { value: verdict.value, raw: replies[0], via: "repair" };
+  } catch (err) {
+    console.warn(`Repair call for ${contract.name} failed (non-fatal): ${err.message}`);
+  }
+
+  if (opts.legacy) {
+    for (const text of replies) {
+      const value = opts.legacy(text);
+      if (value && !(opts.check && opts.check(value).length > 0)) {
+        _metrics.parseFallbacks++;
+        return { value, raw: text, via: "legacy" };
+      }
+    }
+  }
+  return { value: null, raw: replies[0], via: null };
+}
+
 function lastMatch(text, pattern) {
   const matches = [...text.matchAll(new RegExp(pattern, "g"))];
   return matches.length ? matches[matches.length - 1] : null;
@@ -212,7 +317,9 @@ function isGibberish(text) {
   return false;
 }
 
-function parseArticle(text, repo) {
+// The legacy marker parse (HEADLINE:/SUBHEADLINE:/BODY:/USE_CASES:/
+// SIMILAR_PROJECTS:), for models that ignore the JSON contract.
+function markerArticleFields(text) {
   // Use LAST occurrence of each marker — reasoning models echo the format
   // instructions early in their thinking, then produce the real output later.
   const headlineMatch = lastMatch(text, /(?:^|\n)\bHEADLINE:\s*(.+)/);
@@ -249,11 +356,28 @@ function parseArticle(text, repo) {
     similarProjects = parseNumberedList(text.slice(lastSpEnd));
   }
 
-  const headline = headlineMatch?.[1]?.trim() || null;
-  const subheadline = subheadlineMatch?.[1]?.trim() || "";
+  return {
+    headline: headlineMatch?.[1]?.trim() || null,
+    subheadline: subheadlineMatch?.[1]?.trim() || "",
+    body,
+    useCases,
+    similarProjects,
+  };
+}
+
+/**
+ * Turn article fields — from the JSON contract or the marker parse — into the
+ * article the renderer takes, falling back to the repo description when the
+ * headline or body is missing or degenerate.
+ */
+function articleFromFields(fields, repo, text = "") {
+  const headline = typeof fields.headline === "string" ? fields.headline.trim() || null : null;
+  const subheadline = typeof fields.subheadline === "string" ? fields.subheadline.trim() : "";
+  const body = typeof fields.body === "string" ? fields.body.trim() || null : null;
+  const list = (v) => (Array.isArray(v) ? v.filter((x) => typeof x === "string" && x.trim()).map((x) => x.trim()) : []);
 
   // Gibberish is a generation failure, not a parse failure, but it takes the
-  // same exit: retry once, then fall back to the repo description.
+  // same exit: fall back to the repo description.
   const garbled = isGibberish(headline) || isGibberish(body);
   const failed = !headline || !body || garbled;
   if (failed && repo) {
@@ -265,12 +389,48 @@ function parseArticle(text, repo) {
     headline: (garbled ? null : headline) || (repo ? `${repo.shortName}: ${repo.description}`.slice(0, 80) : "Untitled"),
     subheadline: (garbled || isGibberish(subheadline) ? "" : subheadline) || (repo ? repo.description : ""),
     body: (garbled ? null : body) || (repo ? repo.description : text),
-    useCases: garbled ? [] : useCases,
-    similarProjects: garbled ? [] : similarProjects,
+    useCases: garbled ? [] : list(fields.useCases),
+    similarProjects: garbled ? [] : list(fields.similarProjects),
     _isFallback: failed,
   };
 }
 
+/** Parse a marker-format article reply (the pre-contract format). */
+function parseArticle(text, repo) {
+  return articleFromFields(markerArticleFields(text), repo, text);
+}
+
+// Contract check shared by every article: a schema-valid reply can still be
+// token salad, and that earns the repair call too.
+function articleCheck(value) {
+  return isGibberish(value.headline) || isGibberish(value.body) ? ["headline or body is degenerate output"] : [];
+}
+
+// Legacy read of an article reply: a JSON object that only half keeps the
+// contract still has a usable headline and body; otherwise the markers.
+function legacyArticle(text) {
+  const loose = extractJson(text);
+  const fields = loose && typeof loose.headline === "string" && typeof loose.body === "string"
+    ? loose
+    : markerArticleFields(text);
+  return fields.headline && fields.body ? fields : null;
+}
+
+/**
+ * Write one article under the article contract — JSON, one repair call, then
+ * the marker parser. A reply nothing can read comes back as the repo-description
+ * fallback (`_isFallback`), never a throw from parsing.
+ */
+async function generateArticle(client, model, prompt, repo, maxTokens, llmLimit, task) {
+  const { value, raw } = await chatWithContract(client, model, prompt, CONTRACTS.article, maxTokens, {
+    task,
+    llmLimit,
+    check: articleCheck,
+    legacy: legacyArticle,
+  });
+  return articleFromFields(value || {}, repo, value ? "" : raw);
+}
+
 /**
  * Strip a leading repo label off a quick-hit summary.
  *
@@ -297,19 +457,30 @@ function stripRepoLabel(summary, repo) {
   return matches && rest.trim().length >= 20 ? rest.trim() : text;
 }
 
-function parseQuickHits(text, repos) {
+// The legacy Quick Hits read: "N. summary" lines, "" where a number is missing.
+function numberedSummaries(text, count) {
   const lines = text.split("\n").filter((l) => l.trim());
-  return repos.map((repo, i) => {
+  return Array.from({ length: count }, (_, i) => {
     const line = lines.find((l) => l.startsWith(`${i + 1}.`));
-    const summary = line
-      ? stripRepoLabel(line.replace(/^\d+\.\s*/, "").trim(), repo)
-      : repo.description;
+    return line ? line.replace(/^\d+\.\s*/, "").trim() : "";
+  });
+}
+
+function quickHitsFromSummaries(summaries, repos) {
+  return repos.map((repo, i) => {
+    const raw = typeof summaries[i] === "string" ? summaries[i].trim() : "";
+    const summary = raw ? stripRepoLabel(raw, repo) : repo.description;
     // One-liners are too short for the frequency heuristics, but a junk-token
     // run still shows up here — fall back to the description when it does.
     return { ...repo, summary: isGibberish(summary) ? repo.description : summary };
   });
 }
 
+/** Parse a numbered-lines Quick Hits reply (the pre-contract format). */
+function parseQuickHits(text, repos) {
+  return quickHitsFromSummaries(numberedSummaries(text, repos.length), repos);
+}
+
 /**
  * Attach the repo's prior-coverage entries (date + headline, newest first) to
  * the article so the renderer can show readers a "Previously in The Times"
@@ -322,20 +493,13 @@ function attachPriorCoverage(article, repo, coverage) {
 }
 
 /**
- * Generate an article with one parse-level retry.
- * If the first LLM response fails to parse, re-prompt once before giving up.
+ * Generate a section article. The contract's repair call is its one retry: a
+ * reply that can't be used is sent back once with what was wrong with it.
  */
-async function generateArticleWithRetry(client, model, promptFn, repo, maxTokens, llmLimit, coverage) {
+async function generateArticleWithRetry(client, model, promptFn, repo, maxTokens, llmLimit, coverage, task) {
   try {
-    const raw = await llmLimit(() => chat(client, model, promptFn(repo, coverage), maxTokens));
-    const article = { ...parseArticle(raw, repo), repo };
-    if (!article._isFallback) return attachPriorCoverage(article, repo, coverage);
-
-    // Retry once with a nudge to use the required format
-    console.warn(`Retrying article generation for ${repo.name} after parse failure`);
-    const retryRaw = await llmLimit(() => chat(client, model, promptFn(repo, coverage), maxTokens));
-    const retryArticle = { ...parseArticle(retryRaw, repo), repo };
-    return attachPriorCoverage(retryArticle, repo, coverage);
+    const article = { ...(await generateArticle(client, model, promptFn(repo, coverage), repo, maxTokens, llmLimit, task)), repo };
+    return attachPriorCoverage(article, repo, coverage);
   } catch (err) {
     console.warn(`Article generation failed for ${repo.name}: ${err.message}, using fallback`);
     return attachPriorCoverage({ ...parseArticle("", repo), repo }, repo, coverage);
@@ -348,9 +512,11 @@ async function generateArticleWithRetry(client, model, promptFn, repo, maxTokens
  * @param {object} sectionConfig - Section config from sections.js
  * @param {object} client - OpenAI client
  * @param {function} llmLimit - p-limit limiter shared across sections
+ * @param {object} [coverage]
+ * @param {object} [budget] - createBudget() handle; near the limit Quick Hits are written short
  * @returns {Promise<object>} { lead, secondary, quickHits, isEmpty }
  */
-async function generateSectionContent(sectionData, sectionConfig, client, llmLimit, coverage) {
+async function generateSectionContent(sectionData, sectionConfig, client, llmLimit, coverage, budget = noBudget()) {
   if (!sectionData.lead) {
     return { lead: null, secondary: [], quickHits: sectionData.quickHits || [], isEmpty: true };
   }
@@ -375,9 +541,9 @@ async function generateSectionContent(sectionData, sectionConfig, client, llmLim
 
   // Lead + material secondary articles in parallel (with parse-level retry)
   const [leadArticle, ...allSecondary] = await Promise.all([
-    generateArticleWithRetry(client, MODEL, leadArticlePrompt, sectionData.lead, leadTokens, llmLimit, coverage),
+    generateArticleWithRetry(client, MODEL, leadArticlePrompt, sectionData.lead, leadTokens, llmLimit, coverage, "leadArticle"),
     ...materialSecondary.map((r) =>
-      generateArticleWithRetry(client, MODEL, secondaryArticlePrompt, r, 800, llmLimit, coverage)
+      generateArticleWithRetry(client, MODEL, secondaryArticlePrompt, r, 800, llmLimit, coverage, "secondaryArticle")
     ),
   ]);
 
@@ -385,8 +551,25 @@ async function generateSectionContent(sectionData, sectionConfig, client, llmLim
   let quickHits = sectionData.quickHits || [];
   quickHits = quickHits.concat(churnToQuickHits);
   if (quickHits.length > 0) {
-    const quickHitsRaw = await llmLimit(() => chat(client, MODEL, quickHitPrompt(quickHits), 600));
-    quickHits = parseQuickHits(quickHitsRaw, quickHits);
+    const brief = !budget.allows("quickHitProse");
+    const count = quickHits.length;
+    let summaries = [];
+    try {
+      const { value } = await chatWithContract(client, MODEL, quickHitPrompt(quickHits, { brief }), CONTRACTS.quickHits, brief ? 250 : 600, {
+        task: "quickHits",
+        llmLimit,
+        check: (v) => (v.summaries.length === count ? [] : [`expected ${count} summaries, got ${v.summaries.length}`]),
+        legacy: (text) => {
+          const numbered = numberedSummaries(text, count);
+          return numbered.some(Boolean) ? { summaries: numbered } : null;
+        },
+      });
+      if (value) summaries = value.summaries;
+    } catch (err) {
+      // A failed or budget-refused call leaves each hit on its repo description.
+      console.warn(`Quick Hits prose unavailable for ${sectionConfig.label} (non-fatal): ${err.message}`);
+    }
+    quickHits = quickHitsFromSummaries(summaries, quickHits);
   }
 
   // Demote fallback articles from secondary to quick hits
@@ -491,7 +674,7 @@ async function _attachSentiment(sections, client, llmLimit, { fetchXSentimentFor
  * @param {function} llmLimit - p-limit limiter
  * @returns {Promise<{ sections: object, tagline: string }>}
  */
-async function _generateBaseSections(sections, client, llmLimit, coverage) {
+async function _generateBaseSections(sections, client, llmLimit, coverage, budget) {
 
   const result = {};
   for (const id of SECTION_ORDER) {
@@ -502,7 +685,7 @@ async function _generateBaseSections(sections, client, llmLimit, coverage) {
     }
     const config = SECTIONS[id];
     console.log(`  Generating ${config.label}...`);
-    result[id] = await generateSectionContent(sectionData, config, client, llmLimit, coverage);
+    result[id] = await generateSectionContent(sectionData, config, client, llmLimit, coverage, budget);
   }
 
   // Pick a daily pioneer quote for the masthead
@@ -529,14 +712,15 @@ async function generateAllContent(sections, apiKey, options = {}) {
   const { default: pLimit } = await pLimitP;
   const llmLimit = pLimit(3);
   const coverage = options.coverage || null;
+  const budget = options.budget || noBudget();
 
   console.log("Generating articles for all sections...");
 
-  const base = await _generateBaseSections(sections, client, llmLimit, coverage);
+  const base = await _generateBaseSections(sections, client, llmLimit, coverage, budget);
 
   // X sentiment is opt-in (X_SENTIMENT=true): it needs a provider with the x_search tool
   // (Grok), which OpenRouter does not offer. Off by default since dropping xAI.
-  if (process.env.X_SENTIMENT === "true" && options.fetchXSentimentForRepo) {
+  if (process.env.X_SENTIMENT === "true" && options.fetchXSentimentForRepo && budget.allows("sentiment")) {
     await _attachSentiment(base.sections, client, llmLimit, { fetchXSentimentForRepo: options.fetchXSentimentForRepo });
   }
 
@@ -557,29 +741,12 @@ async function chooseEditorialLead(client, candidates, llmLimit, opts = {}) {
   const threadBlock = opts.threadBlock || null;
   const deskBlock = opts.deskBlock || null;
   try {
-    const raw = await llmLimit(() => chat(client, MODEL, chooseLeadPrompt(candidates, threadBlock, deskBlock), 300));
-    const whyMatch = lastMatch(raw, /WHY:\s*(.+)/);
-    const why = whyMatch?.[1]?.trim() || null;
-
-    // Prefer an explicit number, but a weak model often answers with the repo
-    // name instead — match that against the candidate list as a fallback.
-    let idx = -1;
-    const leadMatch = lastMatch(raw, /LEAD:\s*#?(\d+)/);
-    if (leadMatch) idx = parseInt(leadMatch[1], 10) - 1;
-    if (!(idx >= 0 && idx < candidates.length)) {
-      const leadLine = (lastMatch(raw, /LEAD:\s*(.+)/)?.[1] || raw).toLowerCase();
-      idx = candidates.findIndex((c) => {
-        const name = (c.repo.full_name || c.repo.name || "").toLowerCase();
-        const short = name.split("/").pop();
-        return name && (leadLine.includes(name) || (short && leadLine.includes(short)));
-      });
-    }
-
-    if (!(idx >= 0 && idx < candidates.length)) {
+    const vote = await castLeadVote(client, MODEL, chooseLeadPrompt(candidates, threadBlock, deskBlock), candidates, 300, llmLimit, "chooseLead");
+    if (vote.idx < 0) {
       console.warn("Editor-in-chief returned an unparseable choice; using top momentum candidate");
       return fallback;
     }
-    return { chosen: candidates[idx], why, viaEditor: true };
+    return { chosen: candidates[vote.idx], why: vote.why, viaEditor: true };
   } catch (err) {
     console.warn(`Editor-in-chief lead selection failed, using top momentum candidate: ${err.message}`);
     return fallback;
@@ -609,28 +776,57 @@ function parseLeadVote(raw, candidates) {
   return { idx, why };
 }
 
+/**
+ * One lead vote under the leadVote contract, as {idx, why} (idx -1 when no
+ * reply could be read). The legacy read takes a half-kept JSON answer — a
+ * quoted number — before falling back to parseLeadVote's name matching.
+ */
+async function castLeadVote(client, model, prompt, candidates, maxTokens, llmLimit, task, pinModel = false) {
+  const inRange = (n) => Number.isInteger(n) && n >= 1 && n <= candidates.length;
+  const { value } = await chatWithContract(client, model, prompt, CONTRACTS.leadVote, maxTokens, {
+    task,
+    pinModel,
+    llmLimit,
+    check: (v) => (inRange(v.lead) ? [] : [`lead must be a number from 1 to ${candidates.length}`]),
+    legacy: (text) => {
+      const loose = extractJson(text);
+      const n = loose ? parseInt(loose.lead, 10) : NaN;
+      if (inRange(n)) return { lead: n, why: typeof loose.why === "string" ? loose.why : "" };
+      const { idx, why } = parseLeadVote(text, candidates);
+      return idx >= 0 ? { lead: idx + 1, why: why || "" } : null;
+    },
+  });
+  if (!value) return { idx: -1, why: null };
+  return { idx: value.lead - 1, why: value.why.trim() || null };
+}
+
 /**
  * Editorial panel: N lens-differentiated editors vote on the lead, votes are
  * tallied, and a synthesis call writes the "Why this leads today" rationale.
- * Returns {chosen, why, viaEditor, viaPanel, lensVotes} or NULL to signal the
+ * Each vote counts its lens's weight (opts.lensWeights, learned from the desk's
+ * rulings — src/desk.js lensWeights); a lens without one counts 1.
+ * Returns {chosen, why, viaEditor, viaPanel, lensVotes, lensWeights, tally} or NULL to signal the
  * caller to fall back to the single-call chooseEditorialLead. Fully fail-soft:
  * any thrown error, or no usable votes, yields null. Disabled by
- * GT_DISABLE_PANEL=1 or when there is <2 candidates. EDITOR_MODEL (env) overrides
- * the model for this decision only.
+ * GT_DISABLE_PANEL=1, when there is <2 candidates, or when opts.budget is too
+ * close to its limit for the panel's extra calls. EDITOR_MODEL (env) overrides
+ * the model for this decision only — over a routed "editorPanel" model too.
  */
 async function runEditorPanel(client, candidates, llmLimit, opts = {}) {
   if (process.env.GT_DISABLE_PANEL === "1") return null;
   if (!candidates || candidates.length <= 1) return null;
+  if (opts.budget && !opts.budget.allows("editorPanel")) return null;
   const threadBlock = opts.threadBlock || null;
   const deskBlock = opts.deskBlock || null;
+  const pinModel = !!process.env.EDITOR_MODEL;
   const model = process.env.EDITOR_MODEL || MODEL;
 
   try {
     // Run the lenses concurrently; each panelist is independently fail-soft.
     const votes = await Promise.all(
       EDITOR_LENSES.map((lens) =>
-        llmLimit(() => chat(client, model, lensLeadPrompt(candidates, lens.directive, threadBlock, deskBlock), 200))
-          .then((raw) => ({ lens: lens.key, ...parseLeadVote(raw, candidates) }))
+        castLeadVote(client, model, lensLeadPrompt(candidates, lens.directive, threadBlock, deskBlock), candidates, 200, llmLimit, "editorPanel", pinModel)
+          .then((vote) => ({ lens: lens.key, ...vote }))
           .catch(() => ({ lens: lens.key, idx: -1, why: null }))
       )
     );
@@ -638,9 +834,14 @@ async function runEditorPanel(client, candidates, llmLimit, opts = {}) {
     const valid = votes.filter((v) => v.idx >= 0);
     if (valid.length === 0) return null; // nothing usable → caller falls back
 
-    // Tally; ties broken by candidate order (momentum rank).
+    // Weighted tally; ties broken by candidate order (momentum rank).
+    const weights = {};
+    for (const lens of EDITOR_LENSES) {
+      const w = opts.lensWeights && opts.lensWeights[lens.key];
+      weights[lens.key] = typeof w === "number" && w > 0 ? w : 1;
+    }
     const tally = new Map();
-    for (const v of valid) tally.set(v.idx, (tally.get(v.idx) || 0) + 1);
+    for (const v of valid) tally.set(v.idx, (tally.get(v.idx) || 0) + weights[v.lens]);
     let winnerIdx = valid[0].idx;
     let best = -1;
     for (let i = 0; i < candidates.length; i++) {
@@ -658,14 +859,30 @@ async function runEditorPanel(client, candidates, llmLimit, opts = {}) {
     let why = notes.find(Boolean) || null;
     try {
       const winnerLine = `${winnerName} — ${winner.repo.description || "no description"}`;
-      const raw = await llmLimit(() => chat(client, model, leadRationalePrompt(winnerLine, notes), 120));
-      const text = (raw || "").trim().replace(/^["“]|["”]$/g, "").trim();
+      const { value } = await chatWithContract(client, model, leadRationalePrompt(winnerLine, notes), CONTRACTS.leadRationale, 120, {
+        task: "editorPanel",
+        pinModel,
+        llmLimit,
+        // A model that answers with the bare sentence has still answered.
+        legacy: (text) => {
+          const plain = text.trim();
+          return plain && !plain.startsWith("{") ? { rationale: plain } : null;
+        },
+      });
+      const text = value ? value.rationale.trim().replace(/^["“]|["”]$/g, "").trim() : "";
       if (text) why = text;
     } catch {
       /* keep the lens-note fallback */
     }
 
-    return { chosen: winner, why, viaEditor: true, viaPanel: true, lensVotes: votes };
+    const weightedTally = [...tally.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+      .map(([idx, weight]) => ({
+        repo: candidates[idx].repo.full_name || candidates[idx].repo.name,
+        weight: Math.round(weight * 100) / 100,
+        lenses: valid.filter((v) => v.idx === idx).map((v) => v.lens),
+      }));
+    return { chosen: winner, why, viaEditor: true, viaPanel: true, lensVotes: votes, lensWeights: weights, tally: weightedTally };
   } catch (err) {
     console.warn(`Editor panel failed, falling back to single-call editor: ${err.message}`);
     return null;
@@ -684,13 +901,14 @@ async function generateEditorialContent(sections, apiKey, editorialPlan, options
   const client = options.client || createClient(apiKey);
   const githubToken = options.githubToken || process.env.GITHUB_TOKEN;
   const coverage = options.coverage || null;
+  const budget = options.budget || noBudget();
   const { default: pLimit } = await pLimitP;
   const llmLimit = pLimit(3);
 
   console.log("Generating articles for all sections (editorial mode)...");
 
   // Step 1: Generate standard content for all sections
-  const base = await _generateBaseSections(sections, client, llmLimit, coverage);
+  const base = await _generateBaseSections(sections, client, llmLimit, coverage, budget);
   const result = base.sections;
 
   const editorialMeta = { breakout: null, trends: [], sleepers: [], leadEditor: null };
@@ -713,6 +931,8 @@ async function generateEditorialContent(sections, apiKey, editorialPlan, options
       threadBlock: options.threadContext || null,
       // The human editor's standing rulings on past front pages (src/desk.js).
       deskBlock: options.deskContext || null,
+      budget,
+      lensWeights: options.lensWeights || null,
     };
     // Panel of lens-differentiated editors first; fail-soft to the single call.
     let decision = await runEditorPanel(client, candidates, llmLimit, leadOpts);
@@ -727,6 +947,10 @@ async function generateEditorialContent(sections, apiKey, editorialPlan, options
       viaPanel: !!decision.viaPanel,
       consideredCount: candidates.length,
     };
+    if (decision.viaPanel) {
+      editorialMeta.leadEditor.lensWeights = decision.lensWeights;
+      editorialMeta.leadEditor.tally = decision.tally;
+    }
     // The slate as it stood, for the editor's desk. Persisted at publish time so
     // a human ruling weeks later still has the alternatives to rule between.
     const chosenName = editorialMeta.leadEditor.chosen;
@@ -739,6 +963,20 @@ async function generateEditorialContent(sections, apiKey, editorialPlan, options
         chosen: name === chosenName,
       };
     });
+    // And how each lens voted on it, so the desk can score lenses against the
+    // human's later rulings. idx is the slate rank (leadSlate is in candidate order).
+    if (decision.viaPanel && Array.isArray(decision.lensVotes)) {
+      editorialMeta.panelVotes = {
+        winner: chosenName,
+        synthesis: decision.why || "",
+        votes: decision.lensVotes.map((v) => ({
+          lens: v.lens,
+          idx: v.idx,
+          repo: v.idx >= 0 ? editorialMeta.leadSlate[v.idx].repo : "",
+          why: v.why || "",
+        })),
+      };
+    }
     if (decision.viaEditor) {
       console.log(`  Editor-in-chief lead${decision.viaPanel ? " (panel)" : ""}: ${editorialMeta.leadEditor.chosen}${decision.why ? ` — ${decision.why}` : ""}`);
     }
@@ -789,9 +1027,9 @@ async function generateEditorialContent(sections, apiKey, editorialPlan, options
       }
 
       const breakoutPrompt = breakoutArticlePrompt(breakoutRepo, editorialPlan.breakout.delta, coverage);
-      const raw = await llmLimit(() => chat(client, MODEL, breakoutPrompt, 2500));
+      const written = await generateArticle(client, MODEL, breakoutPrompt, breakoutRepo, 2500, llmLimit, "breakoutArticle");
       const breakoutArticle = attachPriorCoverage(
-        { ...parseArticle(raw, breakoutRepo), repo: breakoutRepo },
+        { ...written, repo: breakoutRepo },
         breakoutRepo,
         coverage
       );
@@ -827,6 +1065,12 @@ async function generateEditorialContent(sections, apiKey, editorialPlan, options
         // today" byline. Only when the chosen lead is the editor's pick.
         if (editorialMeta.leadEditor && editorialMeta.leadEditor.why) {
           breakoutArticle.leadRationale = editorialMeta.leadEditor.why;
+          if (editorialMeta.leadEditor.tally) {
+            breakoutArticle.leadPanel = {
+              weights: editorialMeta.leadEditor.lensWeights,
+              tally: editorialMeta.leadEditor.tally,
+            };
+          }
         }
         result.frontPage.lead = breakoutArticle;
         editorialMeta.breakout = {
@@ -841,12 +1085,12 @@ async function generateEditorialContent(sections, apiKey, editorialPlan, options
 
   // Step 3: Generate trend articles and append to front page secondary
   for (const trend of editorialPlan.trends || []) {
+    if (!budget.allows("extras")) break;
     try {
       console.log(`  Generating trend article: ${trend.theme}...`);
       const prompt = trendArticlePrompt(trend);
-      const raw = await llmLimit(() => chat(client, MODEL, prompt, 1500));
       const trendArticle = {
-        ...parseArticle(raw, null),
+        ...(await generateArticle(client, MODEL, prompt, null, 1500, llmLimit, "trendArticle")),
         repo: {
           name: `trend/${trend.theme}`,
           shortName: trend.theme,
@@ -883,6 +1127,7 @@ async function generateEditorialContent(sections, apiKey, editorialPlan, options
   if (editorialPlan.sleepers && editorialPlan.sleepers.length > 0) {
     const deepCuts = [];
     for (const sleeper of editorialPlan.sleepers.slice(0, 2)) {
+      if (!budget.allows("extras")) break;
       try {
         const repoName = sleeper.repo.full_name || sleeper.repo.name;
         if (editorialSeen.has(repoName)) {
@@ -903,9 +1148,8 @@ async function generateEditorialContent(sections, apiKey, editorialPlan, options
         }
 
         const prompt = sleeperArticlePrompt({ ...sleeper, repo: sleeperRepo });
-        const raw = await llmLimit(() => chat(client, MODEL, prompt, 1000));
         const sleeperArticle = {
-          ...parseArticle(raw, sleeperRepo),
+          ...(await generateArticle(client, MODEL, prompt, sleeperRepo, 1000, llmLimit, "sleeperArticle")),
           repo: {
             name: sleeperRepo.full_name || sleeperRepo.name,
             shortName: sleeperRepo.name ? sleeperRepo.name.split("/").pop() : repoName,
@@ -938,7 +1182,7 @@ async function generateEditorialContent(sections, apiKey, editorialPlan, options
 
   // X sentiment is opt-in (X_SENTIMENT=true): it needs a provider with the x_search tool
   // (Grok), which OpenRouter does not offer. Off by default since dropping xAI.
-  if (process.env.X_SENTIMENT === "true" && options.fetchXSentimentForRepo) {
+  if (process.env.X_SENTIMENT === "true" && options.fetchXSentimentForRepo && budget.allows("sentiment")) {
     await _attachSentiment(result, client, llmLimit, { fetchXSentimentForRepo: options.fetchXSentimentForRepo });
   }
 
@@ -1031,8 +1275,14 @@ async function attachModelDropHeadlines(client, drops, opts = {}) {
 
   let lines = [];
   try {
-    const text = await chat(client, model, modelDropHeadlinesPrompt(drops), 400);
-    lines = parseNumberedList(text);
+    const { value } = await chatWithContract(client, model, modelDropHeadlinesPrompt(drops), CONTRACTS.modelDropHeadlines, 400, {
+      task: "modelDropHeadlines",
+      legacy: (text) => {
+        const numbered = parseNumberedList(text);
+        return numbered.length ? { headlines: numbered } : null;
+      },
+    });
+    lines = value ? value.headlines : [];
   } catch (e) {
     console.warn(`Model Drops headlines unavailable (non-fatal): ${e.message}`);
     return drops;
@@ -1048,4 +1298,4 @@ async function attachModelDropHeadlines(client, drops, opts = {}) {
   });
 }
 
-module.exports = { createClient, generateAllContent, generateEditorialContent, generateSectionContent, parseArticle, parseQuickHits, isGibberish, sanitizePrompt, lastMatch, chat, MODEL, getMetrics, resetMetrics, _attachSentiment, deduplicateContent, chooseEditorialLead, runEditorPanel, parseLeadVote, attachModelDropHeadlines };
+module.exports = { createClient, needsOpenRouterKey, generateAllContent, generateEditorialContent, generateSectionContent, parseArticle, parseQuickHits, parseNumberedList, isGibberish, sanitizePrompt, lastMatch, chat, chatWithContract, MODEL, getMetrics, resetMetrics, setBudget, _attachSentiment, deduplicateContent, chooseEditorialLead, runEditorPanel, parseLeadVote, attachModelDropHeadlines };
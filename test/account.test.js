@@ -36,6 +36,29 @@ describe("renderAccountPage", () => {
     assert.ok(html.includes('href="/gittimes/archive/"'));
   });
 
+  it("offers a newsletter desk checkbox per section and a follow list", () => {
+    const { SECTION_ORDER } = require("../src/sections");
+    const html = renderAccountPage({ basePath: "" });
+    assert.ok(html.includes('id="account-newsletter-form"'));
+    for (const id of SECTION_ORDER) assert.ok(html.includes(`data-newsletter-section="${id}"`), id);
+    assert.ok(html.includes('id="newsletter-follow"'));
+    assert.ok(!html.includes("{{NEWSLETTER_SECTIONS}}"));
+  });
+
+  it("has a watchlist form and an alerts list", () => {
+    const html = renderAccountPage({ basePath: "" });
+    assert.ok(html.includes('id="account-watchlist-form"'));
+    for (const id of ["watch-repos", "watch-entities", "watch-models", "watch-email"]) assert.ok(html.includes(`id="${id}"`), id);
+    assert.ok(html.includes('id="account-alerts-list"'));
+    assert.ok(html.includes("'/alerts?limit=30'"));
+  });
+
+  it("has a private feed block driven by /auth/feed-token", () => {
+    const html = renderAccountPage({ basePath: "" });
+    for (const id of ["account-feed", "feed-url-rss", "feed-url-atom", "feed-url-json", "feed-rotate", "feed-revoke"]) assert.ok(html.includes(`id="${id}"`), id);
+    assert.ok(html.includes("'/auth/feed-token'"));
+  });
+
   it("has body.account class", () => {
     const html = renderAccountPage({ basePath: "" });
     assert.ok(html.includes('class="account"'));
@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { alertEvents, sendAlerts } = require("../src/alerts");
+
+const entry = { date: "2026-06-27", url: "/editions/2026-06-27/", headline: "Front Lead" };
+const content = {
+  sections: {
+    frontPage: {
+      lead: { headline: "Front Lead", repo: { name: "Vercel/next.js" } },
+      quickHits: [{ name: "rust-lang/cargo", headline: "Cargo Speeds Up" }],
+    },
+  },
+};
+
+describe("alertEvents", () => {
+  const events = alertEvents({
+    date: "2026-06-27",
+    content,
+    entry,
+    siteUrl: "https://gittimes.com",
+    entityEvents: [
+      { entityId: "org:Supabase", name: "Supabase", eventKey: "release:https://github.com/supabase/cli/v2", type: "release", title: "CLI v2", url: "" },
+    ],
+    releases: [{ repo: "QwenLM/Qwen-Agent", tag: "v1.2.0", title: "v1.2.0", url: "https://github.com/QwenLM/Qwen-Agent/releases/tag/v1.2.0" }],
+    priceBoard: {
+      movers: [{ id: "anthropic/claude-sonnet", key: "claude-sonnet", label: "Claude Sonnet", lab: "Anthropic", entityId: "anthropic", direction: "cut", movePct: -20, output: 12 }],
+      promoEndings: [],
+    },
+  });
+  const bySource = (s) => events.filter((e) => e.source === s);
+
+  it("turns every placement into a repo event linking its page", () => {
+    const [lead, hit] = bySource("placement");
+    assert.deepEqual([lead.id, lead.repo, lead.detail], ["placement:2026-06-27:vercel/next.js", "vercel/next.js", "Front Page lead"]);
+    assert.equal(lead.url, "https://gittimes.com/editions/2026-06-27/front-lead/");
+    assert.equal(hit.url, "https://gittimes.com/editions/2026-06-27/", "a quick hit links the edition");
+  });
+
+  it("keys entity events and releases by what they are, not the day", () => {
+    const [ev] = bySource("entity");
+    assert.equal(ev.entity, "supabase");
+    assert.equal(ev.id, "entity:supabase:release:https://github.com/supabase/cli/v2");
+    assert.equal(ev.url, "https://gittimes.com/companies/supabase/", "no source URL: the company page");
+    const [rel] = bySource("release");
+    assert.deepEqual([rel.id, rel.repo, rel.title], ["release:qwenlm/qwen-agent@v1.2.0", "qwenlm/qwen-agent", "QwenLM/Qwen-Agent v1.2.0"]);
+  });
+
+  it("names a price move by both model identities and its lab", () => {
+    const [move] = bySource("price");
+    assert.deepEqual(move.models, ["anthropic/claude-sonnet", "claude-sonnet"]);
+    assert.equal(move.entity, "anthropic");
+    assert.equal(move.title, "Anthropic cut Claude Sonnet 20% to $12/Mtok out");
+    assert.equal(move.url, "https://gittimes.com/prices/");
+  });
+
+  it("copes with a day that has no registry, releases or board", () => {
+    const only = alertEvents({ date: "2026-06-27", content, entry });
+    assert.deepEqual(only.map((e) => e.source), ["placement", "placement"]);
+  });
+});
+
+describe("sendAlerts", () => {
+  let originalFetch;
+  beforeEach(() => {
+    originalFetch = globalThis.fetch;
+  });
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it("posts the day's events with the newsletter secret", async () => {
+    let captured;
+    globalThis.fetch = async (url, opts) => {
+      captured = { url, opts };
+      return { json: async () => ({ ok: true, watchers: 3, alerted: 1, emailed: 1 }) };
+    };
+    const r = await sendAlerts({ workerUrl: "https://w", newsletterSecret: "s", date: "2026-06-27", events: [{ id: "x" }] });
+    assert.equal(captured.url, "https://w/alerts/publish");
+    assert.equal(captured.opts.headers.Authorization, "Bearer s");
+    assert.deepEqual(JSON.parse(captured.opts.body), { date: "2026-06-27", events: [{ id: "x" }] });
+    assert.equal(r.alerted, 1);
+  });
+
+  it("keeps calling while the worker has accounts left to scan", async () => {
+    const replies = [
+      { ok: true, key: "alerts:run:2026-06-27", done: false, scanned: 200, alerted: 3 },
+      { ok: true, key: "alerts:run:2026-06-27", done: false, scanned: 400, alerted: 5 },
+      { ok: true, key: "alerts:run:2026-06-27", done: true, scanned: 450, alerted: 6 },
+    ];
+    let calls = 0;
+    globalThis.fetch = async () => ({ json: async () => replies[calls++] });
+    const r = await sendAlerts({ workerUrl: "https://w", newsletterSecret: "s", date: "2026-06-27", events: [] });
+    assert.equal(calls, 3);
+    assert.equal(r.alerted, 6);
+  });
+
+  it("stops when a call scans nothing new and says the run can be resumed", async () => {
+    let calls = 0;
+    globalThis.fetch = async () => {
+      calls++;
+      return { json: async () => ({ ok: true, key: "alerts:run:2026-06-27", done: false, scanned: 200 }) };
+    };
+    await assert.rejects(
+      sendAlerts({ workerUrl: "https://w", newsletterSecret: "s", date: "2026-06-27", events: [] }),
+      /alerts run alerts:run:2026-06-27 stopped after 200 accounts — rerun to resume/,
+    );
+    assert.equal(calls, 2);
+  });
+
+  it("throws the worker's error", async () => {
+    globalThis.fetch = async () => ({ json: async () => ({ ok: false, error: "Unauthorized" }) });
+    await assert.rejects(sendAlerts({ workerUrl: "https://w", newsletterSecret: "bad", date: "d", events: [] }), /Unauthorized/);
+  });
+});
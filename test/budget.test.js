@@ -0,0 +1,220 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { priceOf, costOf, readBudgetConfig, createBudget, BudgetExceededError } = require("../src/budget");
+const { chat, getMetrics, resetMetrics, setBudget, generateEditorialContent } = require("../src/xai");
+const { recordEditionMeta, getEditionMeta, closeDb } = require("../src/db");
+
+const PRICES = new Map([["acme/writer", { input: 2, output: 10 }]]);
+
+describe("pricing", () => {
+  it("prices a catalog model per million tokens", () => {
+    assert.deepEqual(priceOf("acme/writer", PRICES), { input: 2, output: 10 });
+    // 1000 in × $2/M + 500 out × $10/M
+    assert.equal(costOf("acme/writer", { prompt_tokens: 1000, completion_tokens: 500 }, PRICES), 0.007);
+  });
+
+  it("a free variant costs nothing; an unknown model can't be priced", () => {
+    assert.equal(costOf("acme/writer:free", { prompt_tokens: 1000, completion_tokens: 500 }, PRICES), 0);
+    assert.equal(costOf("acme/unlisted", { prompt_tokens: 1000 }, PRICES), null);
+  });
+});
+
+describe("readBudgetConfig", () => {
+  it("reads both limits and ignores junk", () => {
+    assert.deepEqual(readBudgetConfig({ GT_BUDGET_TOKENS: "200000", GT_BUDGET_USD: "0.5" }), { tokens: 200000, usd: 0.5 });
+    assert.deepEqual(readBudgetConfig({}), { tokens: null, usd: null });
+    assert.deepEqual(readBudgetConfig({ GT_BUDGET_TOKENS: "lots", GT_BUDGET_USD: "-1" }), { tokens: null, usd: null });
+  });
+});
+
+describe("createBudget", () => {
+  it("allows everything with no limits", () => {
+    const budget = createBudget({}, { meter: () => ({ totalTokens: 1e9, costUsd: 1e6 }) });
+    for (const step of ["sentiment", "quickHitProse", "editorPanel", "extras"]) assert.equal(budget.allows(step), true);
+    assert.deepEqual(budget.degradations(), []);
+  });
+
+  it("drops steps in ladder order as spend climbs, against the tighter limit", () => {
+    let spend = { totalTokens: 0, costUsd: 0 };
+    const budget = createBudget({ tokens: 1000, usd: 1 }, { meter: () => spend });
+
+    spend = { totalTokens: 100, costUsd: 0.6 }; // 60% of the dollars
+    assert.equal(budget.allows("sentiment"), false);
+    assert.equal(budget.allows("quickHitProse"), true);
+
+    spend = { totalTokens: 900, costUsd: 0.6 }; // 90% of the tokens
+    assert.equal(budget.allows("quickHitProse"), false);
+    assert.equal(budget.allows("editorPanel"), false);
+    assert.equal(budget.allows("extras"), true);
+
+    assert.deepEqual(budget.degradations(), ["sentiment", "quickHitProse", "editorPanel"]);
+    assert.deepEqual(budget.report(), {
+      budgetTokens: 1000,
+      budgetUsd: 1,
+      degradations: ["sentiment", "quickHitProse", "editorPanel"],
+    });
+  });
+
+  it("a refused step stays refused and is recorded once", () => {
+    let spend = { totalTokens: 900 };
+    const budget = createBudget({ tokens: 1000 }, { meter: () => spend });
+    assert.equal(budget.allows("sentiment"), false);
+    spend = { totalTokens: 0 };
+    assert.equal(budget.allows("sentiment"), false);
+    assert.deepEqual(budget.degradations(), ["sentiment"]);
+  });
+
+  it("rejects a step it doesn't know", () => {
+    assert.throws(() => createBudget({ tokens: 1 }).allows("images"), /Unknown budget step/);
+  });
+});
+
+describe("usage meter", () => {
+  afterEach(() => resetMetrics());
+
+  function client(usage) {
+    return { chat: { completions: { create: async () => ({ choices: [{ message: { content: "ok" } }], usage }) } } };
+  }
+
+  it("adds catalog-priced cost and counts calls it can't price", async () => {
+    resetMetrics();
+    await chat(client({ prompt_tokens: 400, completion_tokens: 100, total_tokens: 500 }), "some/model:free", "hi", 50);
+    await chat(client({ prompt_tokens: 400, completion_tokens: 100, total_tokens: 500 }), "nobody/never-listed", "hi", 50);
+    const m = getMetrics();
+    assert.equal(m.totalTokens, 1000);
+    assert.equal(m.costUsd, 0);
+    assert.equal(m.unpricedCalls, 1);
+  });
+});
+
+describe("hard stop at the cap", () => {
+  afterEach(() => {
+    setBudget(null);
+    resetMetrics();
+  });
+
+  it("lets calls through under the cap and refuses the first one past it, without retrying", async () => {
+    let calls = 0;
+    const client = { chat: { completions: { create: async () => {
+      calls++;
+      return { choices: [{ message: { content: "ok" } }], usage: { prompt_tokens: 400, completion_tokens: 200, total_tokens: 600 } };
+    } } } };
+    resetMetrics();
+    const budget = createBudget({ tokens: 1000 }, { meter: getMetrics });
+    setBudget(budget);
+
+    assert.equal(await chat(client, "some/model:free", "hi", 50), "ok");
+    assert.equal(await chat(client, "some/model:free", "hi", 50), "ok"); // 60% in, so it runs
+    await assert.rejects(chat(client, "some/model:free", "hi", 50), BudgetExceededError);
+    assert.equal(calls, 2);
+    assert.deepEqual(budget.degradations(), ["llmCalls"]);
+  });
+});
+
+describe("generation under an exhausted budget", () => {
+  function repo(name) {
+    return { full_name: `org/${name}`, name: `org/${name}`, description: `${name} desc`, stargazers_count: 100, language: "Go", topics: [], url: `https://github.com/org/${name}` };
+  }
+  const ARTICLE = "HEADLINE: A Story\nSUBHEADLINE: sub\nBODY: First paragraph here.\n\nSecond paragraph here.\nUSE_CASES:\n1. one\n2. two";
+
+  it("skips the panel, shortens Quick Hits and drops the extras but still builds the front page", async () => {
+    const prompts = [];
+    const client = {
+      chat: { completions: { create: async (params) => {
+        const p = params.messages[0].content;
+        prompts.push({ p, maxTokens: params.max_tokens });
+        if (/Quick Hits/.test(p)) return { choices: [{ message: { content: "1. Does a thing" } }] };
+        if (/"lead":/.test(p)) return { choices: [{ message: { content: '{"lead": 1, "why": "biggest"}' } }] };
+        return { choices: [{ message: { content: ARTICLE } }] };
+      } } },
+    };
+    const budget = createBudget({ tokens: 1000 }, { meter: () => ({ totalTokens: 5000 }) });
+    const sections = { frontPage: { lead: repo("lead"), secondary: [], quickHits: [repo("hit")], isEmpty: false } };
+    const plan = {
+      breakout: { repo: repo("cand1"), delta: {}, reason: "+200 stars" },
+      breakoutCandidates: [
+        { repo: repo("cand1"), delta: {}, reason: "+200 stars" },
+        { repo: repo("cand2"), delta: {}, reason: "+100 stars" },
+      ],
+      trends: [{ theme: "agents", repos: [repo("t1"), repo("t2")] }],
+      sleepers: [{ repo: repo("sleepy"), reason: "quiet" }],
+    };
+
+    const prev = process.env.GT_DISABLE_SOURCES;
+    process.env.GT_DISABLE_SOURCES = "1";
+    try {
+      const result = await generateEditorialContent(sections, "fake-key", plan, { client, budget });
+      assert.ok(result.sections.frontPage.lead);
+      assert.equal(result.editorialMeta.leadEditor.viaPanel, false);
+      assert.deepEqual(result.editorialMeta.trends, []);
+      assert.equal(result.sections.frontPage.deepCuts, undefined);
+    } finally {
+      if (prev === undefined) delete process.env.GT_DISABLE_SOURCES; else process.env.GT_DISABLE_SOURCES = prev;
+    }
+
+    assert.ok(!prompts.some(({ p }) => /front-page panel/.test(p)), "no panel lens calls");
+    const quick = prompts.find(({ p }) => /Quick Hits/.test(p));
+    assert.match(quick.p, /max 12 words/);
+    assert.equal(quick.maxTokens, 250);
+    assert.deepEqual(budget.degradations(), ["quickHitProse", "editorPanel", "extras"]);
+  });
+
+  it("a run already at the cap makes no further LLM calls and still builds the front page", async () => {
+    let calls = 0;
+    const client = { chat: { completions: { create: async () => {
+      calls++;
+      return { choices: [{ message: { content: ARTICLE } }] };
+    } } } };
+    const budget = createBudget({ tokens: 1000 }, { meter: () => ({ totalTokens: 1000 }) });
+    const sections = {
+      frontPage: { lead: repo("lead"), secondary: [repo("second")], quickHits: [repo("hit")], isEmpty: false },
+    };
+    const plan = { trends: [{ theme: "agents", repos: [repo("t1"), repo("t2")] }], sleepers: [{ repo: repo("sleepy"), reason: "quiet" }] };
+
+    const prev = process.env.GT_DISABLE_SOURCES;
+    process.env.GT_DISABLE_SOURCES = "1";
+    setBudget(budget);
+    try {
+      const result = await generateEditorialContent(sections, "fake-key", plan, { client, budget });
+      const front = result.sections.frontPage;
+      assert.equal(front.lead.body, "lead desc");
+      assert.equal(front.quickHits.find((h) => h.name === "org/hit").summary, "hit desc");
+    } finally {
+      setBudget(null);
+      if (prev === undefined) delete process.env.GT_DISABLE_SOURCES; else process.env.GT_DISABLE_SOURCES = prev;
+    }
+
+    assert.equal(calls, 0);
+    assert.ok(budget.degradations().includes("llmCalls"));
+  });
+});
+
+describe("edition_meta budget columns", () => {
+  let tmpDir;
+  afterEach(() => {
+    closeDb();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("round-trips cost, limits and degradations", () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gittimes-budget-"));
+    recordEditionMeta(tmpDir, {
+      date: "2026-07-29",
+      model: "acme/writer",
+      totalTokens: 900,
+      costUsd: 0.42,
+      budgetTokens: 1000,
+      budgetUsd: null,
+      degradations: ["sentiment", "editorPanel"],
+    });
+    const row = getEditionMeta(tmpDir, "2026-07-29");
+    assert.equal(row.cost_usd, 0.42);
+    assert.equal(row.budget_tokens, 1000);
+    assert.equal(row.budget_usd, null);
+    assert.deepEqual(row.degradations, ["sentiment", "editorPanel"]);
+  });
+});
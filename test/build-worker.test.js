@@ -0,0 +1,75 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { generateBlock, extractBlock, spliceBlock, beginMarker, MODULES, END } = require("../scripts/build-worker");
+const retrieve = require("../src/retrieve");
+const email = require("../src/email");
+
+const WORKER_SRC = fs.readFileSync(path.join(__dirname, "..", "worker", "index.js"), "utf8");
+
+const RETRIEVE = MODULES.find((m) => m.entry === "src/retrieve.js");
+const EMAIL = MODULES.find((m) => m.entry === "src/email.js");
+
+for (const mod of MODULES) {
+  test(`worker/index.js carries the block generated from ${mod.entry}`, () => {
+    const shipped = extractBlock(WORKER_SRC, mod);
+    assert.ok(shipped, "generated block markers are missing from worker/index.js");
+    assert.ok(
+      shipped === generateBlock(mod),
+      `worker/index.js is stale against ${mod.entry} — run \`npm run build:worker\` and commit the result`
+    );
+  });
+}
+
+test("the shipped block ranks and cites exactly like src/retrieve.js", () => {
+  // Evaluate the block as the worker would see it, apart from the rest of the file.
+  const block = extractBlock(WORKER_SRC, RETRIEVE);
+  const sandbox = { atob, Date };
+  vm.runInNewContext(`${block}\nthis.shipped = { scoreChunks, shardsFor, rewriteQuery, formatGrounding, RAG_MIN_SCORE };`, sandbox);
+  const { shipped } = sandbox;
+
+  const now = Date.parse("2026-06-27T00:00:00Z");
+  const chunks = [
+    { i: 0, type: "repo", repo: "gitleaks/gitleaks", title: "Gitleaks", text: "gitleaks secret detection for git history", date: "2026-06-24", url: "/editions/2026-06-24/", stars: 18000 },
+    { i: 1, type: "article", title: "Keys in the open", text: "Leaked secret keys are found by scanning git history.", date: "2026-05-02", url: "/editions/2026-05-02/keys/", section: "security", slot: "lead" },
+    { i: 2, type: "edition", title: "Edition of 2026-06-24", text: "A quiet day for databases.", date: "2026-06-24", url: "/editions/2026-06-24/" },
+  ];
+  const q = "secret keys in git history";
+  const ours = retrieve.scoreChunks(q, chunks, { now, minScore: 0 });
+  const theirs = shipped.scoreChunks(q, chunks, { now, minScore: 0 });
+  assert.ok(ours.length > 1);
+  assert.deepEqual(JSON.parse(JSON.stringify(theirs)), JSON.parse(JSON.stringify(ours)));
+  assert.deepEqual(JSON.parse(JSON.stringify(shipped.formatGrounding(theirs))), JSON.parse(JSON.stringify(retrieve.formatGrounding(ours))));
+  const shards = [{ month: "2026-05", url: "/data/corpus/2026-05.json" }];
+  assert.deepEqual(JSON.parse(JSON.stringify(shipped.shardsFor(theirs, shards))), retrieve.shardsFor(ours, shards));
+  const history = [{ role: "user", content: "Tell me about gitleaks/gitleaks" }];
+  assert.deepEqual(
+    JSON.parse(JSON.stringify(shipped.rewriteQuery("is it still maintained?", history))),
+    retrieve.rewriteQuery("is it still maintained?", history)
+  );
+  assert.equal(shipped.RAG_MIN_SCORE, retrieve.RAG_MIN_SCORE, "the worker grounds at the bar the eval grades at");
+});
+
+test("the shipped email block renders exactly like src/email.js", () => {
+  const sandbox = {};
+  vm.runInNewContext(`${extractBlock(WORKER_SRC, EMAIL)}\nthis.shipped = { renderEmail };`, sandbox);
+  const data = { headline: "Ledgers Land", date: "2026-06-27", url: "https://gittimes.com/editions/2026-06-27/", unsubscribeUrl: "https://w/u?e=1" };
+  assert.deepEqual(
+    JSON.parse(JSON.stringify(sandbox.shipped.renderEmail("newsletter", data))),
+    email.renderEmail("newsletter", data)
+  );
+});
+
+test("spliceBlock — replaces only its module's block, and refuses a worker without one", () => {
+  const [a, b] = [beginMarker(RETRIEVE), beginMarker(EMAIL)];
+  const src = `before\n${a}\nold\n${END}\nmiddle\n${b}\nmail\n${END}\nafter $& $1\n`;
+  assert.equal(
+    spliceBlock(src, EMAIL, `${b}\nnew\n${END}`),
+    `before\n${a}\nold\n${END}\nmiddle\n${b}\nnew\n${END}\nafter $& $1\n`
+  );
+  assert.throws(() => spliceBlock("no markers here", RETRIEVE, "x"), /GENERATED/);
+});
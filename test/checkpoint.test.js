@@ -0,0 +1,216 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  STAGES,
+  openCheckpoint,
+  closeCheckpoint,
+  noCheckpoint,
+  parseFromStage,
+  checkpointRoot,
+} = require("../src/checkpoint");
+const { chat } = require("../src/xai");
+
+const DATE = "2026-07-29";
+
+function fakeClient(calls) {
+  return {
+    chat: {
+      completions: {
+        create: async (params) => {
+          calls.push(params);
+          return {
+            choices: [{ message: { content: `HEADLINE: Take ${calls.length}` } }],
+            usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+          };
+        },
+      },
+    },
+  };
+}
+
+describe("checkpoint", () => {
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "gittimes-checkpoint-"));
+  });
+
+  afterEach(() => {
+    closeCheckpoint();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("saves each stage and resumes completed ones on the next run", async () => {
+    const first = openCheckpoint(dataDir, DATE);
+    await first.run("fetch", async () => ({ sections: ["a"] }));
+    await first.run("plan", async () => ({ breakout: "org/repo" }));
+    // The run dies here, before generate.
+
+    let ran = [];
+    const second = openCheckpoint(dataDir, DATE);
+    const fetched = await second.run("fetch", async () => ran.push("fetch"));
+    const plan = await second.run("plan", async () => ran.push("plan"));
+    const content = await second.run("generate", async () => {
+      ran.push("generate");
+      return { tagline: "fresh" };
+    });
+    assert.deepEqual(fetched, { sections: ["a"] });
+    assert.deepEqual(plan, { breakout: "org/repo" });
+    assert.deepEqual(content, { tagline: "fresh" });
+    assert.deepEqual(ran, ["generate"]);
+    assert.deepEqual(second.completed(), ["fetch", "plan"]);
+
+    ran = [];
+    const third = openCheckpoint(dataDir, DATE);
+    await third.run("fetch", async () => ran.push("fetch"));
+    await third.run("plan", async () => ran.push("plan"));
+    assert.deepEqual(await third.run("generate", async () => ran.push("generate")), { tagline: "fresh" });
+    assert.deepEqual(ran, []);
+  });
+
+  it("never loads a stage that follows one that ran live", async () => {
+    const first = openCheckpoint(dataDir, DATE);
+    await first.run("fetch", async () => "old fetch");
+    await first.run("plan", async () => "old plan");
+    fs.rmSync(path.join(first.dir, "fetch.json"));
+
+    const second = openCheckpoint(dataDir, DATE);
+    assert.equal(await second.run("fetch", async () => "new fetch"), "new fetch");
+    assert.equal(await second.run("plan", async () => "new plan"), "new plan");
+  });
+
+  it("--from-stage reruns that stage and everything after it", async () => {
+    const first = openCheckpoint(dataDir, DATE);
+    for (const stage of STAGES) await first.run(stage, async () => `old ${stage}`);
+
+    const ran = [];
+    const second = openCheckpoint(dataDir, DATE, { fromStage: "bands" });
+    for (const stage of STAGES) {
+      await second.run(stage, async () => {
+        ran.push(stage);
+        return `new ${stage}`;
+      });
+    }
+    assert.deepEqual(ran, ["bands", "registry"]);
+    assert.deepEqual(second.completed(), ["fetch", "plan", "generate"]);
+  });
+
+  it("--from-stage refuses to start without the stages before it", async () => {
+    const first = openCheckpoint(dataDir, DATE);
+    await first.run("fetch", async () => "f");
+    assert.throws(() => openCheckpoint(dataDir, DATE, { fromStage: "generate" }), /needs the plan checkpoint/);
+    assert.throws(() => openCheckpoint(dataDir, DATE, { fromStage: "render" }), /Unknown stage "render"/);
+  });
+
+  it("clear() removes the edition's checkpoint; other dates are pruned on open", async () => {
+    const old = openCheckpoint(dataDir, "2026-07-28");
+    await old.run("fetch", async () => "yesterday");
+
+    const today = openCheckpoint(dataDir, DATE);
+    assert.deepEqual(fs.readdirSync(checkpointRoot(dataDir)), [DATE]);
+    await today.run("fetch", async () => "today");
+    today.clear();
+    assert.equal(fs.existsSync(today.dir), false);
+  });
+
+  it("treats a corrupt stage file as missing", async () => {
+    const first = openCheckpoint(dataDir, DATE);
+    await first.run("fetch", async () => "f");
+    fs.writeFileSync(path.join(first.dir, "fetch.json"), "{ torn");
+
+    const second = openCheckpoint(dataDir, DATE);
+    assert.equal(await second.run("fetch", async () => "refetched"), "refetched");
+  });
+
+  it("noCheckpoint always runs live", async () => {
+    const cp = noCheckpoint();
+    let n = 0;
+    await cp.run("fetch", async () => n++);
+    await cp.run("fetch", async () => n++);
+    assert.equal(n, 2);
+  });
+});
+
+describe("LLM journal", () => {
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "gittimes-checkpoint-"));
+  });
+
+  afterEach(() => {
+    closeCheckpoint();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("answers prompts the failed attempt already paid for", async () => {
+    const calls = [];
+    openCheckpoint(dataDir, DATE);
+    const a = await chat(fakeClient(calls), "m", "write the lead", 100);
+    const b = await chat(fakeClient(calls), "m", "write a secondary", 100);
+    closeCheckpoint();
+
+    const resumedCalls = [];
+    openCheckpoint(dataDir, DATE);
+    assert.equal(await chat(fakeClient(resumedCalls), "m", "write the lead", 100), a);
+    assert.equal(await chat(fakeClient(resumedCalls), "m", "write a secondary", 100), b);
+    await chat(fakeClient(resumedCalls), "m", "write the third", 100);
+    assert.equal(resumedCalls.length, 1, "only the unanswered prompt goes live");
+  });
+
+  it("replays a repeated prompt in order, then goes live", async () => {
+    const calls = [];
+    openCheckpoint(dataDir, DATE);
+    const first = await chat(fakeClient(calls), "m", "same prompt", 100);
+    const second = await chat(fakeClient(calls), "m", "same prompt", 100);
+    assert.notEqual(first, second);
+    closeCheckpoint();
+
+    const again = [];
+    openCheckpoint(dataDir, DATE);
+    assert.equal(await chat(fakeClient(again), "m", "same prompt", 100), first);
+    assert.equal(await chat(fakeClient(again), "m", "same prompt", 100), second);
+    await chat(fakeClient(again), "m", "same prompt", 100);
+    assert.equal(again.length, 1);
+  });
+
+  it("is dropped when generation is rerun or discarded", async () => {
+    const calls = [];
+    const cp = openCheckpoint(dataDir, DATE);
+    await cp.run("fetch", async () => "f");
+    await cp.run("plan", async () => "p");
+    await chat(fakeClient(calls), "m", "write the lead", 100);
+    cp.discardFrom("generate");
+    await chat(fakeClient(calls), "m", "write the lead", 100);
+    assert.equal(calls.length, 2, "discarded journal must not answer");
+    closeCheckpoint();
+
+    openCheckpoint(dataDir, DATE, { fromStage: "generate" });
+    await chat(fakeClient(calls), "m", "write the lead", 100);
+    assert.equal(calls.length, 3);
+  });
+
+  it("a torn last line loses only that call", async () => {
+    const calls = [];
+    const cp = openCheckpoint(dataDir, DATE);
+    const lead = await chat(fakeClient(calls), "m", "write the lead", 100);
+    fs.appendFileSync(path.join(cp.dir, "llm.jsonl"), '{"id":"abc","resp');
+    closeCheckpoint();
+
+    openCheckpoint(dataDir, DATE);
+    assert.equal(await chat(fakeClient([]), "m", "write the lead", 100), lead);
+  });
+});
+
+describe("parseFromStage", () => {
+  it("reads a known stage and rejects anything else", () => {
+    assert.equal(parseFromStage(["--dry-run"]), null);
+    assert.equal(parseFromStage(["--from-stage", "generate"]), "generate");
+    assert.throws(() => parseFromStage(["--from-stage"]), /needs a stage/);
+    assert.throws(() => parseFromStage(["--from-stage", "write"]), /Unknown stage/);
+  });
+});
@@ -0,0 +1,267 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { CONTRACTS, validate, extractJson, checkReply, repairPrompt } = require("../src/contracts");
+const { chatWithContract, generateSectionContent, getMetrics, resetMetrics } = require("../src/xai");
+const { resolveLlmConfig, createRouter } = require("../src/llm-providers");
+const { recordEditionMeta, getEditionMeta, closeDb } = require("../src/db");
+const prompts = require("../src/prompts");
+
+const llmLimit = (fn) => fn();
+
+/** A client that answers each call with the next scripted reply and keeps the params. */
+function scripted(replies) {
+  const calls = [];
+  return {
+    calls,
+    chat: { completions: { create: async (params) => {
+      calls.push(params);
+      const reply = replies[Math.min(calls.length - 1, replies.length - 1)];
+      return { choices: [{ message: { content: reply } }] };
+    } } },
+  };
+}
+
+const ARTICLE_JSON = JSON.stringify({
+  headline: "Tiny Runtime Puts Agents on the Edge",
+  subheadline: "It ships a 2 MB binary.",
+  body: "First paragraph.\n\n**The catch:** it is early.",
+  useCases: ["Edge teams running agents near users"],
+});
+
+// --------------- the contracts themselves ---------------
+
+describe("output contract schemas", () => {
+  it("are strict-mode shaped: every property required, nothing extra", () => {
+    for (const { schema } of Object.values(CONTRACTS)) {
+      assert.equal(schema.type, "object");
+      assert.equal(schema.additionalProperties, false);
+      assert.deepEqual(schema.required, Object.keys(schema.properties));
+    }
+  });
+
+  it("reports each violation with its path", () => {
+    assert.deepEqual(validate(CONTRACTS.article.schema, JSON.parse(ARTICLE_JSON)), []);
+    assert.deepEqual(validate(CONTRACTS.article.schema, { headline: " ", subheadline: "", body: "b", useCases: [3] }), [
+      "$.headline is empty",
+      "$.useCases[0] should be string, got integer",
+    ]);
+    assert.deepEqual(validate(CONTRACTS.leadVote.schema, { lead: 0, why: "x" }), ["$.lead should be at least 1"]);
+    assert.deepEqual(validate(CONTRACTS.leadVote.schema, { lead: "2" }), [
+      "$.why is missing",
+      "$.lead should be integer, got string",
+    ]);
+  });
+
+  it("every prompt asks for its contract's fields", () => {
+    const repo = { name: "a/b", description: "d", language: "Go", topics: [] };
+    const candidates = [{ repo: { full_name: "a/b", description: "d" }, reason: "+1" }];
+    const asks = [
+      [prompts.leadArticlePrompt(repo), CONTRACTS.article],
+      [prompts.secondaryArticlePrompt(repo), CONTRACTS.article],
+      [prompts.breakoutArticlePrompt(repo, null), CONTRACTS.article],
+      [prompts.trendArticlePrompt({ theme: "t", repos: [repo] }), CONTRACTS.article],
+      [prompts.sleeperArticlePrompt({ repo, reason: "quiet" }), CONTRACTS.article],
+      [prompts.quickHitPrompt([repo]), CONTRACTS.quickHits],
+      [prompts.chooseLeadPrompt(candidates), CONTRACTS.leadVote],
+      [prompts.lensLeadPrompt(candidates, "judge by impact."), CONTRACTS.leadVote],
+      [prompts.leadRationalePrompt("a/b — d", ["note"]), CONTRACTS.leadRationale],
+      [prompts.modelDropHeadlinesPrompt([{ name: "m", author: "o" }]), CONTRACTS.modelDropHeadlines],
+      [prompts.weeklyDigestPrompt({ stories: [], modelDrops: [], priceMoves: [], from: "x", to: "y" }), CONTRACTS.weeklyDigest],
+    ];
+    for (const [prompt, contract] of asks) {
+      assert.match(prompt, /Respond with ONLY a JSON object/);
+      for (const key of Object.keys(contract.schema.properties)) {
+        assert.ok(prompt.includes(`"${key}":`), `${contract.name} prompt asks for ${key}`);
+      }
+    }
+  });
+
+  it("the lead-vote shape asks for a bare number, not something that reads as a list", () => {
+    const candidates = [{ repo: { full_name: "a/b", description: "d" }, reason: "+1" }];
+    for (const prompt of [prompts.chooseLeadPrompt(candidates), prompts.lensLeadPrompt(candidates, "judge by impact.")]) {
+      assert.ok(prompt.includes('{"lead": <number>, "why": "<one sentence>"}'));
+      assert.ok(!/"lead": \[/.test(prompt));
+    }
+  });
+});
+
+describe("extractJson", () => {
+  it("reads bare, fenced and prefaced replies", () => {
+    assert.deepEqual(extractJson('{"lead": 2, "why": "x"}'), { lead: 2, why: "x" });
+    assert.deepEqual(extractJson('```json\n{"lead": 2, "why": "x"}\n```'), { lead: 2, why: "x" });
+    assert.deepEqual(extractJson('Thinking it over.\n{"lead": 3, "why": "y"}'), { lead: 3, why: "y" });
+  });
+
+  it("takes the last object, and braces inside strings don't cut it short", () => {
+    const text = 'The shape is {"lead": [n]}. Answer: {"lead": 1, "why": "it adds {curly} config"}';
+    assert.deepEqual(extractJson(text), { lead: 1, why: "it adds {curly} config" });
+  });
+
+  it("tolerates literal newlines inside string values", () => {
+    assert.equal(extractJson('{"body": "One.\n\nTwo.", "x": "a\tb"}').body, "One.\n\nTwo.");
+  });
+
+  it("returns undefined when there is no object", () => {
+    assert.equal(extractJson("HEADLINE: Old format"), undefined);
+    assert.equal(extractJson('["a"]'), undefined);
+    assert.equal(extractJson(""), undefined);
+  });
+});
+
+describe("checkReply and repairPrompt", () => {
+  it("applies call-specific rules after the schema", () => {
+    const check = (v) => (v.lead <= 2 ? [] : ["lead must be a number from 1 to 2"]);
+    assert.equal(checkReply(CONTRACTS.leadVote, '{"lead": 2, "why": "x"}', check).ok, true);
+    assert.deepEqual(checkReply(CONTRACTS.leadVote, '{"lead": 5, "why": "x"}', check).errors, ["lead must be a number from 1 to 2"]);
+    assert.deepEqual(checkReply(CONTRACTS.leadVote, "LEAD: #1").errors, ["no JSON object in the reply"]);
+  });
+
+  it("repeats the task with what was wrong and the schema", () => {
+    const p = repairPrompt("ORIGINAL TASK", CONTRACTS.leadVote, "LEAD: #1", ["no JSON object in the reply"]);
+    assert.ok(p.startsWith("ORIGINAL TASK"));
+    assert.match(p, /could not be used: no JSON object in the reply/);
+    assert.match(p, /YOUR PREVIOUS REPLY:\nLEAD: #1/);
+    assert.ok(p.includes(JSON.stringify(CONTRACTS.leadVote.schema)));
+  });
+});
+
+// --------------- chatWithContract ---------------
+
+describe("chatWithContract", () => {
+  afterEach(() => resetMetrics());
+
+  it("takes a reply that keeps the contract without a repair", async () => {
+    resetMetrics();
+    const client = scripted(['{"lead": 2, "why": "x"}']);
+    const out = await chatWithContract(client, "m", "pick", CONTRACTS.leadVote, 100);
+    assert.deepEqual(out, { value: { lead: 2, why: "x" }, raw: '{"lead": 2, "why": "x"}', via: "json" });
+    assert.equal(client.calls.length, 1);
+    assert.equal(client.calls[0].response_format, undefined, "plain clients are only asked in the prompt");
+    assert.equal(getMetrics().parseRepairs, 0);
+  });
+
+  it("makes one repair call, then falls back to the legacy parser", async () => {
+    resetMetrics();
+    const repaired = scripted(["LEAD: #1", '{"lead": 1, "why": "fixed"}']);
+    const out = await chatWithContract(repaired, "m", "pick", CONTRACTS.leadVote, 100);
+    assert.equal(out.via, "repair");
+    assert.match(repaired.calls[1].messages[0].content, /^pick\n\n---\nYour previous reply could not be used/);
+
+    const legacy = (text) => {
+      const m = /LEAD: #(\d)/.exec(text);
+      return m ? { lead: Number(m[1]), why: "" } : null;
+    };
+    const stubborn = scripted(["LEAD: #2", "still not JSON"]);
+    const read = await chatWithContract(stubborn, "m", "pick", CONTRACTS.leadVote, 100, { legacy });
+    assert.deepEqual([read.via, read.value.lead, stubborn.calls.length], ["legacy", 2, 2]);
+
+    const lost = await chatWithContract(scripted(["no", "no"]), "m", "pick", CONTRACTS.leadVote, 100, { legacy });
+    assert.deepEqual([lost.value, lost.via], [null, null]);
+
+    const m = getMetrics();
+    assert.equal(m.parseRepairs, 3);
+    assert.equal(m.parseFallbacks, 1);
+  });
+
+  it("sends the schema as response_format to a provider that enforces it", async () => {
+    const calls = [];
+    const makeClient = (provider) => ({
+      chat: { completions: { create: async (params) => {
+        calls.push({ provider: provider.id, params });
+        return { choices: [{ message: { content: '{"summaries": ["Does a thing"]}' } }] };
+      } } },
+    });
+    const config = resolveLlmConfig({
+      providers: {
+        strict: { baseURL: "http://127.0.0.1:8080/v1", structuredOutput: true },
+        loose: { baseURL: "http://127.0.0.1:9090/v1" },
+      },
+      default: { provider: "loose", model: "m" },
+      tasks: { quickHits: { provider: "strict" } },
+    }, {});
+    const router = createRouter(config, { makeClient });
+
+    await chatWithContract(router, "m", "hits", CONTRACTS.quickHits, 100, { task: "quickHits" });
+    await chatWithContract(router, "m", "hits", CONTRACTS.quickHits, 100, { task: "leadArticle" });
+    assert.deepEqual(calls[0].params.response_format, {
+      type: "json_schema",
+      json_schema: { name: "quick_hits", strict: true, schema: CONTRACTS.quickHits.schema },
+    });
+    assert.equal(calls[1].provider, "loose");
+    assert.equal(calls[1].params.response_format, undefined);
+    assert.equal(resolveLlmConfig({}, { LLM_STRUCTURED_OUTPUT: "true" }).providers.get("openrouter").structuredOutput, true);
+  });
+});
+
+// --------------- generation under contracts ---------------
+
+describe("section generation under contracts", () => {
+  const repo = (name) => ({ name: `org/${name}`, shortName: name, description: `${name} desc`, url: "#", stars: 1, language: "Go", topics: [] });
+
+  it("prints JSON articles and Quick Hits without touching the legacy parsers", async () => {
+    resetMetrics();
+    const client = scripted([]);
+    client.chat.completions.create = async (params) => {
+      client.calls.push(params);
+      const p = params.messages[0].content;
+      const content = /Quick Hits/.test(p)
+        ? '{"summaries": ["org/one: Runs agents on a Raspberry Pi in under a second", "Lints SQL"]}'
+        : ARTICLE_JSON;
+      return { choices: [{ message: { content } }] };
+    };
+    const out = await generateSectionContent(
+      { lead: repo("lead"), secondary: [], quickHits: [repo("one"), repo("two")] },
+      { id: "ai", label: "AI" },
+      client,
+      llmLimit
+    );
+    assert.equal(out.lead.headline, "Tiny Runtime Puts Agents on the Edge");
+    assert.equal(out.lead.body, "First paragraph.\n\n**The catch:** it is early.");
+    assert.deepEqual(out.lead.useCases, ["Edge teams running agents near users"]);
+    assert.equal(out.lead._isFallback, false);
+    assert.deepEqual(out.quickHits.map((h) => h.summary), ["Runs agents on a Raspberry Pi in under a second", "Lints SQL"]);
+    assert.equal(client.calls.length, 2);
+    assert.deepEqual([getMetrics().parseRepairs, getMetrics().parseFallbacks], [0, 0]);
+  });
+
+  it("repairs a Quick Hits reply that drops a repo", async () => {
+    const withLead = scripted([]);
+    withLead.chat.completions.create = async (params) => {
+      withLead.calls.push(params);
+      const p = params.messages[0].content;
+      const hits = withLead.calls.filter((c) => /Quick Hits/.test(c.messages[0].content)).length;
+      const content = !/Quick Hits/.test(p) ? ARTICLE_JSON : hits === 1 ? '{"summaries": ["Only one"]}' : '{"summaries": ["First one here", "Second one here"]}';
+      return { choices: [{ message: { content } }] };
+    };
+    const repaired = await generateSectionContent(
+      { lead: repo("lead"), secondary: [], quickHits: [repo("one"), repo("two")] },
+      { id: "ai", label: "AI" },
+      withLead,
+      llmLimit
+    );
+    assert.deepEqual(repaired.quickHits.map((h) => h.summary), ["First one here", "Second one here"]);
+    assert.match(withLead.calls[2].messages[0].content, /expected 2 summaries, got 1/);
+  });
+});
+
+describe("edition_meta parse counters", () => {
+  let tmpDir;
+  afterEach(() => {
+    closeDb();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("round-trips the repair and legacy-read counts", () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gittimes-contracts-"));
+    recordEditionMeta(tmpDir, { date: "2026-08-04", parseRepairs: 4, parseFallbacks: 1 });
+    const row = getEditionMeta(tmpDir, "2026-08-04");
+    assert.equal(row.parse_repairs, 4);
+    assert.equal(row.parse_fallbacks, 1);
+    recordEditionMeta(tmpDir, { date: "2026-08-05" });
+    assert.equal(getEditionMeta(tmpDir, "2026-08-05").parse_repairs, 0);
+  });
+});
@@ -6,8 +6,9 @@ const os = require("os");
 const path = require("path");
 const fs = require("fs");
 const Database = require("better-sqlite3");
-const { buildCorpus } = require("../src/build-corpus");
-const { tokenize, scoreChunks, formatGrounding } = require("../src/retrieve");
+const { buildCorpus, aliasGroups, writeCorpus, readArticlePage, chunkParagraphs, shardCorpus } = require("../src/build-corpus");
+const { tokenize, scoreChunks, shardsFor, rewriteQuery, formatGrounding } = require("../src/retrieve");
+const { assembleArticlePage } = require("../src/render");
 
 // --- build-corpus ---
 
@@ -46,6 +47,7 @@ test("buildCorpus — emits repo + edition chunks with citable fields", () => {
     assert.ok(c.chunks.some((x) => x.type === "edition"));
     const repoChunk = c.chunks.find((x) => x.type === "repo" && x.repo === "acme/rag-eval");
     assert.equal(repoChunk.stars, 1500, "repo chunk uses the most-recent snapshot's star count");
+    assert.ok(c.aliases.some((g) => g.includes("meta-llama")), "registry aliases ride along for query expansion");
     // newest-first ordering
     for (let i = 1; i < c.chunks.length; i++) {
       if (c.chunks[i - 1].date && c.chunks[i].date) {
@@ -57,6 +59,112 @@ test("buildCorpus — emits repo + edition chunks with citable fields", () => {
   }
 });
 
+// A published article page, written the way publish writes it.
+async function writeArticlePage(siteDir, dateStr, article, placement) {
+  const { html, slug } = await assembleArticlePage(article, {
+    date: new Date(dateStr), dateStr, basePath: "", siteUrl: "https://gittimes.com", ...placement,
+  });
+  const dir = path.join(siteDir, "editions", dateStr, slug);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "index.html"), html);
+  return slug;
+}
+
+const RAG_STORY = {
+  headline: "Acme RAG eval ships v2",
+  subheadline: "Retrieval benchmarks get a harness.",
+  body:
+    "Acme's evaluation harness scores retrieval pipelines against a fixed question set.\n\n" +
+    "The second version adds **citation precision**, so a grounded answer that cites the wrong page loses points.\n\n" +
+    "Teams running hybrid search can compare rankers without writing their own scorer.",
+  repo: { url: "https://github.com/acme/rag-eval", name: "acme/rag-eval", language: "Python", stars: 1500 },
+};
+
+test("readArticlePage — body paragraphs, repo and placement, no card furniture", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gittimes-corpus-site-"));
+  try {
+    const slug = await writeArticlePage(dir, "2026-06-20", RAG_STORY, { sectionId: "ai", slot: "secondary" });
+    const story = readArticlePage(fs.readFileSync(path.join(dir, "editions", "2026-06-20", slug, "index.html"), "utf-8"));
+    assert.equal(story.headline, "Acme RAG eval ships v2");
+    assert.equal(story.repo, "acme/rag-eval");
+    assert.equal(story.section, "ai");
+    assert.equal(story.slot, "secondary");
+    assert.equal(story.paragraphs.length, 3);
+    assert.match(story.paragraphs[0], /^Acme's evaluation harness/, "entities decoded");
+    assert.match(story.paragraphs[1], /adds citation precision,/, "inline markup stripped");
+    assert.ok(story.paragraphs.every((p) => !/^Source:/.test(p)), "source line is furniture, not body");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("buildCorpus — article pages become cited body chunks", async () => {
+  const { dir, dbPath } = seedCorpusDb();
+  const siteDir = path.join(dir, "site");
+  try {
+    const slug = await writeArticlePage(siteDir, "2026-06-20", RAG_STORY, { sectionId: "ai", slot: "secondary" });
+    const c = buildCorpus(dbPath, { siteDir });
+    const bodies = c.chunks.filter((x) => x.type === "article");
+    assert.equal(c.articleCount, bodies.length);
+    assert.ok(bodies.length >= 1);
+    for (const b of bodies) {
+      assert.equal(b.url, `/editions/2026-06-20/${slug}/`, "cites the article, not the edition");
+      assert.equal(b.section, "ai");
+      assert.equal(b.slot, "secondary");
+      assert.equal(b.repo, "acme/rag-eval");
+      assert.equal(b.stars, 1500);
+      assert.equal(b.parts, bodies.length);
+    }
+    assert.match(bodies.map((b) => b.text).join(" "), /citation precision/);
+    const repoChunk = c.chunks.find((x) => x.type === "repo" && x.repo === "acme/rag-eval");
+    assert.equal(repoChunk.url, `/editions/2026-06-20/${slug}/`, "a repo whose latest story has a page cites it");
+    assert.deepEqual(c.shards, []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("chunkParagraphs — breaks between paragraphs, and between sentences only when it must", () => {
+  const para = (n) => `${"word ".repeat(n).trim()}.`;
+  const chunks = chunkParagraphs([para(20), para(20), para(20)], 220);
+  assert.equal(chunks.length, 2);
+  assert.ok(chunks.every((c) => c.endsWith(".")));
+  const long = Array.from({ length: 10 }, () => "This sentence runs on a while.").join(" ");
+  const split = chunkParagraphs([long], 100);
+  assert.ok(split.length > 1);
+  assert.ok(split.every((c) => c.length <= 100 && c.endsWith(".")));
+});
+
+test("shardCorpus + writeCorpus — oldest months move out whole; stale shards are removed", () => {
+  const art = (date, i) => ({ type: "article", date, text: "x".repeat(200), url: `/editions/${date}/s${i}/`, i });
+  const chunks = [
+    { type: "repo", date: "2026-06-20", text: "repo", url: "/editions/2026-06-20/" },
+    art("2026-06-20", 1), art("2026-06-02", 2), art("2026-05-20", 3), art("2026-04-10", 4), art("2026-04-01", 5),
+  ];
+  const { main, shards } = shardCorpus(chunks, 800);
+  assert.deepEqual(shards.map((s) => s.month), ["2026-05", "2026-04"]);
+  assert.ok(main.some((c) => c.type === "repo"), "index chunks never leave");
+  assert.equal(main.filter((c) => c.type === "article").length, 2);
+  assert.equal(shardCorpus(chunks, 1e6).shards.length, 0);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gittimes-corpus-out-"));
+  try {
+    fs.mkdirSync(path.join(dir, "corpus"));
+    fs.writeFileSync(path.join(dir, "corpus", "2025-12.json"), "{}");
+    const corpus = { count: chunks.length, chunks: main, shards: shards.map((s) => ({ month: s.month, url: `/data/corpus/${s.month}.json`, count: s.chunks.length, chunks: s.chunks })) };
+    writeCorpus(dir, corpus);
+    const written = JSON.parse(fs.readFileSync(path.join(dir, "corpus.json"), "utf-8"));
+    assert.deepEqual(written.shards, [
+      { month: "2026-05", url: "/data/corpus/2026-05.json", count: 1 },
+      { month: "2026-04", url: "/data/corpus/2026-04.json", count: 2 },
+    ]);
+    assert.deepEqual(fs.readdirSync(path.join(dir, "corpus")).sort(), ["2026-04.json", "2026-05.json"]);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, "corpus", "2026-04.json"), "utf-8")).chunks.length, 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
 // --- tokenize ---
 
 test("tokenize — lowercases, splits, drops stopwords + shorts", () => {
@@ -114,6 +222,94 @@ test("formatGrounding — builds a [n] block + parallel sources array", () => {
   assert.ok(sources[0].url && sources[0].title);
 });
 
+test("formatGrounding — passages of one article share a citation that links to it", () => {
+  const page = "/editions/2026-06-20/acme-rag-eval-ships-v2/";
+  const r = [
+    { chunk: { type: "article", repo: "acme/rag-eval", title: "Acme RAG eval ships v2", text: "first passage", url: page, section: "ai", slot: "secondary", date: "2026-06-20" } },
+    { chunk: { type: "edition", repo: null, title: "Today in builders", text: "lead", url: "/editions/2026-06-20/", date: "2026-06-20" } },
+    { chunk: { type: "article", repo: "acme/rag-eval", title: "Acme RAG eval ships v2", text: "second passage", url: page, section: "ai", slot: "secondary", date: "2026-06-20" } },
+  ];
+  const { block, sources } = formatGrounding(r);
+  assert.equal(sources.length, 2);
+  assert.deepEqual(sources[0], { n: 1, title: "Acme RAG eval ships v2", url: page, repo: "acme/rag-eval", date: "2026-06-20", section: "ai", slot: "secondary" });
+  assert.match(block, /\[1\] Acme RAG eval ships v2 \(acme\/rag-eval, ai secondary, 2026-06-20\)\n {4}first passage … second passage/);
+  assert.doesNotMatch(block, /\[3\]/);
+});
+
+test("shardsFor — only the months a first pass landed in", () => {
+  const shards = [{ month: "2026-04", url: "/data/corpus/2026-04.json" }, { month: "2026-03", url: "/data/corpus/2026-03.json" }];
+  assert.deepEqual(shardsFor([{ chunk: { date: "2026-04-11" } }, { chunk: { date: "2026-06-01" } }], shards), [shards[0]]);
+  assert.deepEqual(shardsFor([], shards), []);
+  assert.deepEqual(shardsFor([{ chunk: { date: "2026-04-11" } }], undefined), []);
+});
+
+// --- query rewriting over multi-turn transcripts ---
+
+const ALIASES = [["meta-ai", "meta ai", "facebookresearch", "meta-llama", "pytorch"]];
+
+test("rewriteQuery — a follow-up takes its subject from the repo named a turn earlier", () => {
+  const history = [
+    { role: "user", content: "Story in focus:\nscrcpy v4 ...\n\nQuestion: what does Genymobile/scrcpy do?" },
+    { role: "assistant", content: "It mirrors an Android device. Compare `rustdesk/rustdesk` for full remote desktop." },
+  ];
+  const r = rewriteQuery("what about its license?", history);
+  assert.deepEqual(r.subject, ["Genymobile/scrcpy"], "the reader's question wins over repos the reply mentions");
+  assert.equal(r.query, "what about its license? Genymobile/scrcpy");
+});
+
+test("rewriteQuery — walks back past exchanges with no subject of their own", () => {
+  const history = [
+    { role: "user", content: "How does gitleaks find leaked secrets?" },
+    { role: "assistant", content: "It scans every commit with regex rules and entropy checks." },
+    { role: "user", content: "is it fast?" },
+    { role: "assistant", content: "Fast enough for pre-commit hooks." },
+  ];
+  const r = rewriteQuery("and does it run in CI?", history);
+  assert.deepEqual(r.subject, ["gitleaks", "leaked", "secrets"]);
+  assert.match(r.query, /^and does it run in CI\? gitleaks/);
+});
+
+test("rewriteQuery — a bare acknowledgement defers to what the reply named", () => {
+  const history = [
+    { role: "user", content: "ok" },
+    { role: "assistant", content: "Then try `pikvm/pikvm` — KVM over IP on a Raspberry Pi." },
+  ];
+  assert.deepEqual(rewriteQuery("how much does that cost to build?", history).subject, ["pikvm/pikvm"]);
+});
+
+test("rewriteQuery — a standalone question is left alone, history or not", () => {
+  const history = [{ role: "user", content: "Tell me about Genymobile/scrcpy" }];
+  assert.deepEqual(rewriteQuery("rust web frameworks", history), { query: "rust web frameworks", subject: [], expanded: [] });
+  assert.equal(rewriteQuery("is rustdesk/rustdesk self-hostable?", history).query, "is rustdesk/rustdesk self-hostable?");
+  assert.equal(rewriteQuery("what about its license?", []).query, "what about its license?", "nothing to resolve against");
+});
+
+test("rewriteQuery — alias expansion, for the question and for a resolved subject", () => {
+  const direct = rewriteQuery("what has meta-llama shipped lately?", [], { aliases: ALIASES });
+  assert.deepEqual(direct.expanded, ["meta-ai", "facebookresearch", "pytorch"]);
+  assert.match(direct.query, /facebookresearch pytorch$/);
+
+  const history = [{ role: "user", content: "What did Meta AI release this week?" }];
+  const follow = rewriteQuery("and their newest model?", history, { aliases: ALIASES });
+  assert.deepEqual(follow.subject, ["meta-ai"]);
+  assert.ok(follow.expanded.includes("meta-llama"));
+  const top = scoreChunks(follow.query, [
+    { i: 0, repo: "meta-llama/llama-models", text: "meta llama models release", date: "2026-06-20" },
+    { i: 1, repo: "acme/other", text: "an unrelated release", date: "2026-06-20" },
+  ], { now: NOW });
+  assert.equal(top[0].chunk.repo, "meta-llama/llama-models");
+
+  assert.deepEqual(rewriteQuery("metadata formats", [], { aliases: ALIASES }).expanded, [], "whole words only");
+});
+
+test("aliasGroups — one group per rostered entity, domains left out", () => {
+  const groups = aliasGroups([
+    { id: "meta-ai", name: "Meta AI", github: ["facebookresearch", "meta-llama"], hf: ["meta-llama"], domains: ["ai.meta.com"] },
+    { id: "solo", name: "solo" },
+  ]);
+  assert.deepEqual(groups, [["meta-ai", "meta ai", "facebookresearch", "meta-llama"]]);
+});
+
 test("formatGrounding — empty results yields empty block", () => {
   assert.deepEqual(formatGrounding([]), { block: "", sources: [] });
 });
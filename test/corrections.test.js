@@ -0,0 +1,217 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { publish } = require("../src/publish");
+const { rerenderEdition } = require("../src/rerender");
+const corrections = require("../src/corrections");
+const { closeDb } = require("../src/db");
+
+function article(name, headline) {
+  return {
+    headline,
+    subheadline: `${headline} — the subhead`,
+    body: "The full story, in more than one sentence. It goes on from there.",
+    useCases: ["Builders shipping agents"],
+    similarProjects: [],
+    repo: { name, shortName: name.split("/")[1], url: `https://github.com/${name}`, stars: 4200, language: "Rust" },
+  };
+}
+
+const CONTENT = {
+  tagline: "“A quote” — Someone",
+  sections: {
+    frontPage: {
+      lead: article("org/lead", "Big News Today"),
+      secondary: [article("org/second", "Second Story Lands")],
+      quickHits: [],
+    },
+  },
+};
+
+const read = (...parts) => fs.readFileSync(path.join(...parts), "utf-8");
+const count = (s, re) => (s.match(re) || []).length;
+
+describe("corrections", () => {
+  let site;
+
+  before(async () => {
+    site = fs.mkdtempSync(path.join(os.tmpdir(), "gittimes-corrections-"));
+    await publish(CONTENT, site, { date: new Date(2026, 1, 23) });
+  });
+
+  after(() => {
+    closeDb();
+    fs.rmSync(site, { recursive: true, force: true });
+  });
+
+  it("refuses a correction to a story that isn't on the site", () => {
+    assert.throws(() => corrections.addCorrection(site, { date: "2026-02-22", text: "x" }), /No published edition/);
+    assert.throws(
+      () => corrections.addCorrection(site, { date: "2026-02-23", slug: "no-such-story", text: "x" }),
+      /No article "no-such-story"/
+    );
+    assert.throws(() => corrections.addCorrection(site, { date: "2026-02-23", text: "  " }), /text is required/);
+    assert.throws(() => corrections.addCorrection(site, { date: "2026-02-23", text: "x", kind: "erratum" }), /kind must be/);
+    assert.deepEqual(corrections.readCorrections(site), []);
+  });
+
+  it("files a correction with the headline as printed", () => {
+    const c = corrections.addCorrection(site, {
+      date: "2026-02-23",
+      slug: "second-story-lands",
+      text: "An earlier version gave the wrong star count.",
+      editor: "ed@example.com",
+      at: "2026-02-24T09:30:00.000Z",
+    });
+    assert.equal(c.id, "2026-02-23-second-story-lands-1");
+    assert.equal(c.headline, "Second Story Lands");
+    assert.equal(c.kind, "correction");
+    assert.equal(c.editor, "ed@example.com");
+    assert.equal(corrections.readCorrections(site)[0].id, c.id);
+  });
+
+  it("injects the notice into the article page, its front-page card and /latest/", () => {
+    const { pages } = corrections.publishCorrections(site);
+    assert.ok(pages >= 3);
+
+    const page = read(site, "editions", "2026-02-23", "second-story-lands", "index.html");
+    assert.match(page, /id="correction-2026-02-23-second-story-lands-1"/);
+    assert.match(page, /<time datetime="2026-02-24T09:30:00.000Z">February 24, 2026<\/time>: An earlier version/);
+
+    const front = read(site, "editions", "2026-02-23", "index.html");
+    const card = front.indexOf('data-slug="second-story-lands"');
+    const notice = front.indexOf('<aside class="correction-notice');
+    assert.ok(card !== -1 && notice > card, "notice sits inside the corrected card");
+    assert.equal(count(read(site, "editions", "2026-02-23", "big-news-today", "index.html"), /<aside class="correction-notice/g), 0);
+    assert.match(read(site, "latest", "index.html"), /<aside class="correction-notice/);
+    assert.match(read(site, "index.html"), /<aside class="correction-notice/);
+  });
+
+  it("is idempotent — applying again changes nothing", () => {
+    const before = read(site, "editions", "2026-02-23", "index.html");
+    assert.equal(corrections.applyCorrections(site).pages, 0);
+    assert.equal(read(site, "editions", "2026-02-23", "index.html"), before);
+    assert.equal(count(before, /<!-- gt-corrections -->/g), 1);
+  });
+
+  it("lists notices on /corrections/ and in the feeds", () => {
+    const index = read(site, "corrections", "index.html");
+    assert.match(index, /Second Story Lands/);
+    assert.match(index, /href="\/editions\/2026-02-23\/second-story-lands\/#correction-2026-02-23-second-story-lands-1"/);
+
+    const rss = read(site, "feed.xml");
+    assert.match(rss, /<title><!\[CDATA\[Correction: Second Story Lands\]\]><\/title>/);
+    assert.match(rss, /second-story-lands\/#correction-2026-02-23-second-story-lands-1/);
+    assert.match(read(site, "feed.atom"), /<updated>2026-02-24T09:30:00.000Z<\/updated>/);
+    // editions only in the archive
+    assert.doesNotMatch(read(site, "archive", "index.html"), /Correction/);
+  });
+
+  it("puts edition-wide notices under the masthead, oldest first", () => {
+    corrections.addCorrection(site, {
+      date: "2026-02-23", kind: "retraction", text: "The lead was retracted.", at: "2026-02-25T10:00:00.000Z",
+    });
+    corrections.applyCorrections(site);
+    const front = read(site, "editions", "2026-02-23", "index.html");
+    assert.ok(front.indexOf("</header>") < front.indexOf('<aside class="correction-notice correction-retraction'));
+    assert.match(front, /<span class="correction-label">Retraction<\/span>/);
+    assert.equal(count(front, /<aside class="correction-notice/g), 2);
+  });
+
+  it("survives a rerender of the edition", async () => {
+    await rerenderEdition(site, "2026-02-23");
+    const page = read(site, "editions", "2026-02-23", "second-story-lands", "index.html");
+    assert.equal(count(page, /<aside class="correction-notice/g), 1);
+    assert.equal(count(read(site, "editions", "2026-02-23", "index.html"), /<aside class="correction-notice/g), 2);
+  });
+});
+
+describe("corrections filed at the desk", () => {
+  let desk, ci, origFetch, ledger, calls;
+  const opts = { workerUrl: "https://worker.test", newsletterSecret: "s3cret" };
+
+  before(async () => {
+    // The API host and the CI checkout of gh-pages: two copies of the same site.
+    desk = fs.mkdtempSync(path.join(os.tmpdir(), "gittimes-desk-"));
+    ci = fs.mkdtempSync(path.join(os.tmpdir(), "gittimes-ci-"));
+    await publish(CONTENT, desk, { date: new Date(2026, 1, 23) });
+    await publish(CONTENT, ci, { date: new Date(2026, 1, 23) });
+    ledger = [];
+    calls = [];
+    origFetch = globalThis.fetch;
+    // The Worker's /corrections, as worker/index.js serves it.
+    globalThis.fetch = async (url, init = {}) => {
+      calls.push([init.method || "GET", url, init.headers.Authorization]);
+      if (init.method === "POST") {
+        const record = JSON.parse(init.body);
+        const filed = !ledger.some((c) => c.id === record.id);
+        if (filed) ledger.unshift(record);
+        return new Response(JSON.stringify({ ok: true, filed, count: ledger.length }), { status: filed ? 201 : 200 });
+      }
+      return new Response(JSON.stringify({ ok: true, items: ledger }), { status: 200 });
+    };
+  });
+
+  after(() => {
+    globalThis.fetch = origFetch;
+    closeDb();
+    fs.rmSync(desk, { recursive: true, force: true });
+    fs.rmSync(ci, { recursive: true, force: true });
+  });
+
+  it("reaches the next publish() of the site CI deploys", async () => {
+    const c = await corrections.fileCorrection(desk, {
+      date: "2026-02-23",
+      slug: "second-story-lands",
+      text: "An earlier version gave the wrong star count.",
+      editor: "ed@example.com",
+      at: "2026-02-24T09:30:00.000Z",
+    }, opts);
+    assert.deepEqual(ledger.map((r) => r.id), [c.id]);
+    assert.deepEqual(calls.map(([method]) => method), ["GET", "POST"]);
+    assert.ok(calls.every(([, url, auth]) => url === "https://worker.test/corrections" && auth === "Bearer s3cret"));
+    assert.deepEqual(corrections.readCorrections(ci), [], "nothing lands on the deployed copy until publish");
+
+    assert.equal(await corrections.pullCorrections(ci, opts), 1);
+    await publish(CONTENT, ci, { date: new Date(2026, 1, 24) });
+
+    const page = read(ci, "editions", "2026-02-23", "second-story-lands", "index.html");
+    assert.match(page, /id="correction-2026-02-23-second-story-lands-1"/);
+    assert.match(read(ci, "corrections", "index.html"), /Second Story Lands/);
+    assert.match(read(ci, "feed.xml"), /<title><!\[CDATA\[Correction: Second Story Lands\]\]><\/title>/);
+  });
+
+  it("numbers against the Worker's ledger and merges by id", async () => {
+    // Filed from another desk: this one has never seen it.
+    ledger.unshift({ ...ledger[0], id: "2026-02-23-second-story-lands-2", text: "Second fix.", at: "2026-02-25T09:00:00.000Z" });
+    const fresh = fs.mkdtempSync(path.join(os.tmpdir(), "gittimes-desk2-"));
+    try {
+      await publish(CONTENT, fresh, { date: new Date(2026, 1, 23) });
+      const c = await corrections.fileCorrection(fresh, { date: "2026-02-23", slug: "second-story-lands", text: "Third." }, opts);
+      assert.equal(c.id, "2026-02-23-second-story-lands-3");
+    } finally {
+      fs.rmSync(fresh, { recursive: true, force: true });
+    }
+    assert.equal(await corrections.pullCorrections(ci, opts), 2);
+    assert.equal(await corrections.pullCorrections(ci, opts), 0, "a second pull adds nothing");
+    assert.deepEqual(corrections.readCorrections(ci).map((r) => r.id.slice(-1)), ["3", "2", "1"]);
+  });
+});
+
+describe("injectCorrections", () => {
+  const html = `<header class="masthead"></header>
+<article class="hybrid-article hybrid-lead" data-slug="a-story" data-repo="o/r">body</article>`;
+  const c = { id: "2026-01-01-a-story-1", slug: "a-story", kind: "correction", text: "Fixed <b>it</b>.", at: "2026-01-02T00:00:00Z" };
+
+  it("escapes the notice text", () => {
+    const out = corrections.injectCorrections(html, [c]);
+    assert.match(out, /Fixed &lt;b&gt;it&lt;\/b&gt;\./);
+  });
+
+  it("leaves a page without a matching story untouched", () => {
+    assert.equal(corrections.injectCorrections(html, [{ ...c, slug: "other" }]), html);
+  });
+});
@@ -42,7 +42,7 @@ describe("deck guidance", () => {
     // No try/catch and no conditional skips: a fixture that stops matching a
     // prompt's signature must fail loudly, not quietly assert nothing.
     test(`${name} asks for a subheadline at all`, () => {
-      assert.match(build(), /SUBHEADLINE/);
+      assert.match(build(), /"subheadline":/);
     });
 
     test(`${name} forbids a deck that subtracts news`, () => {
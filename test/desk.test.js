@@ -27,7 +27,7 @@ after(() => {
 
 beforeEach(() => {
   const db = desk.ensureSchema(getDb(dataDir));
-  db.exec("DELETE FROM lead_slate; DELETE FROM editor_picks; DELETE FROM editor_rubric;");
+  db.exec("DELETE FROM lead_slate; DELETE FROM editor_picks; DELETE FROM editor_rubric; DELETE FROM panel_votes;");
   const log = path.join(dataDir, desk.PICKS_LOG);
   if (fs.existsSync(log)) fs.rmSync(log);
 });
@@ -173,6 +173,86 @@ describe("preferencePairs", () => {
   });
 });
 
+describe("panel vote ledger", () => {
+  function ballot(impact, novelty, consequence) {
+    const vote = (lens, idx) => ({ lens, idx, repo: idx >= 0 ? SLATE[idx].repo : "", why: `${lens} note` });
+    return {
+      winner: "acme/quiet",
+      synthesis: "It changes the build.",
+      votes: [vote("impact", impact), vote("novelty", novelty), vote("consequence", consequence)],
+    };
+  }
+
+  it("round-trips a ballot and replaces it on republish", () => {
+    desk.recordPanelVotes(dataDir, "2026-08-01", ballot(1, 0, 1));
+    desk.recordPanelVotes(dataDir, "2026-08-01", ballot(1, 1, -1));
+    const got = desk.getPanelVotes(dataDir, "2026-08-01");
+    assert.equal(got.winner, "acme/quiet");
+    assert.equal(got.synthesis, "It changes the build.");
+    assert.deepEqual(got.votes.map((v) => [v.lens, v.idx, v.repo]), [
+      ["impact", 1, "acme/quiet"],
+      ["novelty", 1, "acme/quiet"],
+      ["consequence", -1, ""],
+    ]);
+    assert.equal(desk.getPanelVotes(dataDir, "2026-08-02"), null);
+  });
+
+  it("scores each lens against the human rulings, by month", () => {
+    for (const [date, votes] of [
+      ["2026-07-30", [1, 0, 1]],
+      ["2026-08-01", [0, 0, -1]],
+      ["2026-08-02", [1, 2, 1]],
+      ["2026-08-03", [1, 1, 1]], // never ruled on — doesn't count
+    ]) {
+      desk.recordSlate(dataDir, date, SLATE);
+      desk.recordPanelVotes(dataDir, date, ballot(...votes));
+    }
+    desk.recordPick(dataDir, { editionDate: "2026-07-30", preferredRepo: "acme/quiet" });
+    desk.recordPick(dataDir, { editionDate: "2026-08-01", preferredRepo: "acme/rocket" });
+    desk.recordPick(dataDir, { editionDate: "2026-08-02", preferredRepo: "acme/rocket" });
+
+    const cal = desk.lensCalibration(dataDir, { lenses: ["impact", "novelty", "consequence", "craft"] });
+    assert.equal(cal.rulings, 3);
+    assert.deepEqual(cal.panel, { votes: 3, agreed: 1, rate: 1 / 3 });
+    const byLens = Object.fromEntries(cal.lenses.map((l) => [l.lens, l]));
+    assert.deepEqual([byLens.impact.votes, byLens.impact.agreed], [3, 2]);
+    assert.deepEqual(byLens.impact.byMonth, [
+      { month: "2026-07", votes: 1, agreed: 1, rate: 1 },
+      { month: "2026-08", votes: 2, agreed: 1, rate: 0.5 },
+    ]);
+    assert.deepEqual([byLens.novelty.votes, byLens.novelty.agreed], [3, 1]);
+    assert.deepEqual([byLens.consequence.votes, byLens.consequence.abstained, byLens.consequence.rate], [2, 1, 0.5]);
+    // A current lens with no ballot yet is listed, with no rate to mislead
+    assert.deepEqual([byLens.craft.votes, byLens.craft.rate, byLens.craft.current], [0, null, true]);
+  });
+
+  it("flags lenses that only exist in the ledger as retired", () => {
+    desk.recordSlate(dataDir, "2026-08-01", SLATE);
+    desk.recordPanelVotes(dataDir, "2026-08-01", ballot(0, 0, 0));
+    desk.recordPick(dataDir, { editionDate: "2026-08-01", preferredRepo: "acme/rocket" });
+    const cal = desk.lensCalibration(dataDir, { lenses: ["impact"] });
+    assert.deepEqual(cal.lenses.map((l) => [l.lens, l.current]), [
+      ["impact", true],
+      ["novelty", false],
+      ["consequence", false],
+    ]);
+  });
+
+  it("turns agreement into tally weights, never below the floor", () => {
+    for (const date of ["2026-08-01", "2026-08-02", "2026-08-03"]) {
+      desk.recordSlate(dataDir, date, SLATE);
+      desk.recordPanelVotes(dataDir, date, ballot(0, 2, -1));
+      desk.recordPick(dataDir, { editionDate: date, preferredRepo: "acme/rocket" });
+    }
+    const lenses = ["impact", "novelty", "consequence"];
+    const { weights, rulings } = desk.lensWeights(dataDir, { lenses });
+    assert.equal(rulings, 3);
+    // 3/3 agreed → (3+1)/(3+2)·2; 0/3 → (0+1)/(3+2)·2; abstained only → no evidence, weight 1
+    assert.deepEqual(weights, { impact: 1.6, novelty: 0.4, consequence: 1 });
+    assert.equal(desk.lensWeights(dataDir, { lenses, floor: 0.5 }).weights.novelty, 0.5);
+  });
+});
+
 describe("lead prompts carry the desk block", () => {
   const candidates = [{ repo: { full_name: "acme/rocket", description: "A rocket" }, reason: "+1200" }];
 
@@ -0,0 +1,83 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { renderEmail, htmlToText, TEMPLATES } = require("../src/email");
+const { writePreviews, parseArgs, FIXTURES } = require("../src/email-preview");
+
+// Rendered templates are compared against test/snapshots/email/. After a
+// deliberate template change, rewrite them and review the diff:
+//   UPDATE_SNAPSHOTS=1 node --test test/email.test.js
+const SNAPSHOTS = path.join(__dirname, "snapshots", "email");
+const UPDATE = process.env.UPDATE_SNAPSHOTS === "1";
+
+function matchSnapshot(file, actual) {
+  const p = path.join(SNAPSHOTS, file);
+  if (UPDATE) {
+    fs.mkdirSync(SNAPSHOTS, { recursive: true });
+    fs.writeFileSync(p, actual);
+    return;
+  }
+  assert.ok(fs.existsSync(p), `no snapshot ${file} — run with UPDATE_SNAPSHOTS=1 to record it`);
+  assert.equal(actual, fs.readFileSync(p, "utf8"), `${file} changed — if intended, rerun with UPDATE_SNAPSHOTS=1`);
+}
+
+for (const name of Object.keys(TEMPLATES)) {
+  test(`${name} — matches its snapshot`, () => {
+    const { subject, html, text, headers } = renderEmail(name, FIXTURES[name]);
+    matchSnapshot(`${name}.html`, html);
+    matchSnapshot(`${name}.txt`, `Subject: ${subject}\n${JSON.stringify(headers)}\n\n${text}`);
+  });
+}
+
+test("every template has a preview fixture", () => {
+  assert.deepEqual(Object.keys(FIXTURES).sort(), Object.keys(TEMPLATES).sort());
+});
+
+test("List-Unsubscribe headers only on mail rendered with an unsubscribe URL", () => {
+  const news = renderEmail("newsletter", { headline: "H", unsubscribeUrl: "https://w/u?email=a%40b.c&token=t" });
+  assert.deepEqual(news.headers, {
+    "List-Unsubscribe": "<https://w/u?email=a%40b.c&token=t>",
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  });
+  assert.deepEqual(renderEmail("magicLink", { url: "https://w/v" }).headers, {});
+});
+
+test("edition fields are escaped in the HTML and read back plainly in the text", () => {
+  const { html, text } = renderEmail("newsletter", { headline: "Tom & Jerry <script>", repos: ["a/b"] });
+  assert.ok(html.includes("Tom &amp; Jerry &lt;script&gt;"));
+  assert.ok(!html.includes("<script>"));
+  assert.match(text, /^Tom & Jerry <script>$/m);
+});
+
+test("htmlToText — links keep their URL, lists become lines, entities decode", () => {
+  const text = htmlToText(
+    '<html><head><title>x</title></head><body><p>Read <a href="https://g.com/a?x=1&amp;y=2">the story</a> &mdash; now&nbsp;&#8594;</p>' +
+      '<ul><li>one</li><li>two</li></ul><p><a href="https://g.com">https://g.com</a></p></body></html>'
+  );
+  assert.equal(text, "Read the story (https://g.com/a?x=1&y=2) — now →\n\n- one\n- two\n\nhttps://g.com\n");
+});
+
+test("renderEmail — an unknown template names the ones there are", () => {
+  assert.throws(() => renderEmail("nope"), /unknown email template "nope".*newsletter/);
+});
+
+test("email preview — writes html, text and subject/headers per template", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gt-email-"));
+  try {
+    const written = writePreviews(dir, ["newsletter", "upgrade"]);
+    assert.equal(written.length, 6);
+    const meta = JSON.parse(fs.readFileSync(path.join(dir, "newsletter.json"), "utf8"));
+    assert.equal(meta.subject, FIXTURES.newsletter.headline);
+    assert.ok(meta.headers["List-Unsubscribe"]);
+    assert.match(fs.readFileSync(path.join(dir, "upgrade.txt"), "utf8"), /Premium member/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  assert.deepEqual(parseArgs(["winback"]).names, ["winback"]);
+  assert.equal(parseArgs([]).names.length, Object.keys(TEMPLATES).length);
+  assert.throws(() => parseArgs(["nope"]), /unknown template/);
+});
@@ -0,0 +1,255 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+const { extractClaims, checkArticle, factCheckContent, readFactFlags } = require("../src/fact-check");
+const { publish, applyFactCheck, validateContent } = require("../src/publish");
+
+const REPO = {
+  name: "vllm-project/vllm",
+  shortName: "vllm",
+  url: "https://github.com/vllm-project/vllm",
+  stars: 48200,
+  starDelta: 1900,
+  language: "Python",
+  description: "A high-throughput inference engine for LLMs",
+  readmeExcerpt: "vLLM is fast: CUDA graphs, a C++ and CUDA kernel core.",
+  releaseName: "v0.9.1",
+  releaseNotes: "Fixes for the scheduler.",
+  createdAt: "2023-02-09T11:23:20Z",
+};
+
+function article(fields) {
+  return { headline: "Inference gets faster", subheadline: "", body: "", repo: { ...REPO }, ...fields };
+}
+
+function flagged({ claims }) {
+  return claims.filter((c) => c.action === "flag").map(({ kind, field, text }) => ({ kind, field, text }));
+}
+
+// --------------- extractClaims ---------------
+
+describe("extractClaims", () => {
+  it("finds star totals, gains, languages, versions and years in order", () => {
+    const claims = extractClaims(
+      "Written in Rust, it has 12.4k stars after gaining 1,200 stars this week. v2.3.0 landed; it was created in 2019."
+    );
+    assert.deepEqual(
+      claims.map((c) => [c.kind, c.claimed]),
+      [
+        ["language", "Rust"],
+        ["stars", 12400],
+        ["starDelta", 1200],
+        ["version", "2.3.0"],
+        ["year", 2019],
+      ]
+    );
+  });
+
+  it("reads units and qualifiers, and skips star rates", () => {
+    const [claim] = extractClaims("now over 50K Stars on GitHub");
+    assert.equal(claim.claimed, 50000);
+    assert.equal(claim.number, "50K");
+    assert.equal(claim.qualifier, "over");
+    assert.deepEqual(extractClaims("picking up 300 stars a day"), []);
+  });
+});
+
+// --------------- checkArticle ---------------
+
+describe("checkArticle", () => {
+  it("rewrites wrong star counts and growth in the claim's own style", () => {
+    const a = article({ headline: "vLLM hits 60k stars", body: "It gained 5,000 stars this week." });
+    const { claims, blocked } = checkArticle(a);
+    assert.equal(blocked, false);
+    assert.equal(a.headline, "vLLM hits 48.2k stars");
+    assert.equal(a.body, "It gained 1,900 stars this week.");
+    assert.deepEqual(claims.map((c) => c.action), ["rewrite", "rewrite"]);
+  });
+
+  it("leaves figures inside tolerance or under a qualifier that holds", () => {
+    const a = article({ body: "With nearly 50k stars and about 2,000 stars this week, it leads." });
+    const before = a.body;
+    const { claims } = checkArticle(a);
+    assert.equal(a.body, before);
+    assert.ok(claims.every((c) => c.status === "ok"));
+  });
+
+  it("rewrites a wrong language unless the project claims it itself", () => {
+    const wrong = article({ body: "The engine is written in Go." });
+    checkArticle(wrong);
+    assert.equal(wrong.body, "The engine is written in Python.");
+
+    const own = article({ body: "Its kernels are written in C++." });
+    checkArticle(own);
+    assert.equal(own.body, "Its kernels are written in C++.");
+  });
+
+  it("flags an untagged version in the body but blocks it in a headline", () => {
+    const body = checkArticle(article({ body: "The v2.0.0 release reworks scheduling." }));
+    assert.equal(body.blocked, false);
+    assert.deepEqual(flagged(body), [{ kind: "version", field: "body", text: "v2.0.0" }]);
+
+    const headline = article({ headline: "vllm v2.0.0 rewrites the scheduler" });
+    assert.equal(checkArticle(headline).blocked, true);
+
+    const tagged = article({ headline: "vllm v0.9.1 fixes the scheduler" });
+    assert.equal(checkArticle(tagged).blocked, false);
+  });
+
+  it("does not block on a dependency's version in a headline", () => {
+    const result = checkArticle(article({ headline: "vLLM adds CUDA v12.8 support" }));
+    assert.equal(result.blocked, false);
+    assert.equal(flagged(result).length, 1);
+  });
+
+  it("flags a founding year the record contradicts", () => {
+    const result = checkArticle(article({ body: "The project was created in 2019 at Berkeley." }));
+    assert.deepEqual(flagged(result), [{ kind: "year", field: "body", text: "created in 2019" }]);
+  });
+
+  it("skips claims with nothing on record to check against", () => {
+    const a = article({ body: "Written in Go, it gained 5,000 stars this week.", repo: { name: "x/y" } });
+    const { claims } = checkArticle(a);
+    assert.deepEqual(claims, []);
+  });
+});
+
+// --------------- factCheckContent ---------------
+
+describe("factCheckContent", () => {
+  it("totals every verdict and skips trend and fallback pieces", () => {
+    const content = {
+      sections: {
+        ai: {
+          lead: article({ headline: "vllm v2.0.0 is here", body: "It has 60k stars." }),
+          secondary: [{ _isTrend: true, headline: "Written in Go", body: "100 stars" }],
+          deepCuts: [{ _isFallback: true, headline: "x", body: "1 star" }],
+          quickHits: [],
+        },
+      },
+    };
+    const { report, blocked } = factCheckContent(content);
+    assert.equal(report.totals.articles, 1);
+    assert.deepEqual(
+      { ...report.totals, articles: undefined },
+      { articles: undefined, claims: 2, ok: 0, rewritten: 1, flagged: 0, blocked: 1 }
+    );
+    assert.equal(blocked.length, 1);
+    assert.equal(report.articles[0].repo, "vllm-project/vllm");
+  });
+});
+
+// --------------- applyFactCheck ---------------
+
+describe("applyFactCheck", () => {
+  const section = () => ({
+    lead: article({ headline: "vllm v2.0.0 rewrites the scheduler" }),
+    secondary: [
+      { headline: "Also news", body: "Plain.", repo: { name: "org/other", description: "Other thing" } },
+    ],
+    quickHits: [],
+  });
+
+  afterEach(() => delete process.env.GT_DISABLE_FACTCHECK);
+
+  it("replaces a blocked lead with a secondary and demotes it to Quick Hits", () => {
+    const content = { sections: { ai: section() } };
+    const { report, warnings } = applyFactCheck(content);
+    assert.equal(content.sections.ai.lead.headline, "Also news");
+    assert.deepEqual(content.sections.ai.secondary, []);
+    assert.equal(content.sections.ai.quickHits[0].name, "vllm-project/vllm");
+    assert.equal(content.sections.ai.quickHits[0].summary, REPO.description);
+    assert.ok(warnings.some((w) => w.includes("Fact-check blocked")));
+    assert.equal(report.totals.blocked, 1);
+  });
+
+  it("pulls a blocked secondary and keeps the lead", () => {
+    const s = section();
+    s.lead = s.secondary[0];
+    s.secondary = [article({ headline: "vllm v2.0.0 rewrites the scheduler" })];
+    const content = { sections: { ai: s } };
+    applyFactCheck(content);
+    assert.equal(content.sections.ai.lead.headline, "Also news");
+    assert.deepEqual(content.sections.ai.secondary, []);
+    assert.equal(content.sections.ai.quickHits.length, 1);
+  });
+
+  it("is skipped with GT_DISABLE_FACTCHECK=1", () => {
+    process.env.GT_DISABLE_FACTCHECK = "1";
+    const content = { sections: { ai: section() } };
+    assert.equal(applyFactCheck(content), null);
+    assert.equal(content.sections.ai.lead.headline, "vllm v2.0.0 rewrites the scheduler");
+  });
+
+  it("leaves validateContent read-only", () => {
+    const content = { sections: { ai: section() } };
+    const before = JSON.stringify(content);
+    validateContent(content);
+    assert.equal(JSON.stringify(content), before);
+  });
+});
+
+// --------------- report on disk ---------------
+
+describe("publish fact-check report", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gittimes-factcheck-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("writes factcheck.json beside the edition", async () => {
+    const content = {
+      lead: article({ body: "It has 60k stars." }),
+      secondary: [],
+      quickHits: [],
+      tagline: "Checked",
+    };
+    const checked = applyFactCheck({ sections: { frontPage: content } });
+    await publish(content, tmpDir, { date: new Date(2026, 1, 23), factCheck: checked.report });
+
+    const file = path.join(tmpDir, "editions", "2026-02-23", "factcheck.json");
+    const report = JSON.parse(fs.readFileSync(file, "utf-8"));
+    assert.equal(report.date, "2026-02-23");
+    assert.equal(report.totals.rewritten, 1);
+    assert.equal(report.articles[0].claims[0].actual, 48200);
+  });
+
+  it("hands the desk each flag keyed by the article page it printed on", async () => {
+    const frontPage = {
+      lead: article({ body: "The project was created in 2019 and has 60k stars." }),
+      secondary: [],
+      quickHits: [],
+      tagline: "Checked",
+    };
+    const content = { ...frontPage, sections: { frontPage } };
+    const checked = applyFactCheck(content);
+    await publish(content, tmpDir, { date: new Date(2026, 1, 23), factCheck: checked.report });
+
+    const editionDir = path.join(tmpDir, "editions", "2026-02-23");
+    const flags = readFactFlags(editionDir);
+    assert.deepEqual(flags.map(({ kind, text }) => ({ kind, text })), [{ kind: "year", text: "created in 2019" }]);
+    assert.ok(fs.existsSync(path.join(editionDir, flags[0].slug, "index.html")), "the slug names the article page");
+    assert.deepEqual(readFactFlags(path.join(tmpDir, "editions", "2026-02-22")), [], "no report, no flags");
+  });
+
+  it("leaves out the flags of an article the check blocked — it never ran", () => {
+    const editionDir = path.join(tmpDir, "editions", "2026-02-23");
+    fs.mkdirSync(editionDir, { recursive: true });
+    const claim = { kind: "year", field: "body", text: "created in 2019", action: "flag" };
+    fs.writeFileSync(path.join(editionDir, "factcheck.json"), JSON.stringify({
+      articles: [
+        { headline: "Pulled story", blocked: true, claims: [claim] },
+        { headline: "Ran story", blocked: false, claims: [claim, { ...claim, action: "rewrite" }] },
+      ],
+    }));
+    assert.deepEqual(readFactFlags(editionDir).map((f) => f.slug), ["ran-story"]);
+  });
+});
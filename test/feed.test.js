@@ -1,7 +1,7 @@
 const { describe, it } = require("node:test");
 const assert = require("node:assert/strict");
 
-const { generateRss, generateAtom } = require("../src/feed");
+const { generateRss, generateAtom, generateJsonFeed } = require("../src/feed");
 
 const mockManifest = [
   {
@@ -146,3 +146,108 @@ describe("generateAtom", () => {
     assert.ok(!xml.includes("<entry>"));
   });
 });
+
+// --------------- correction items ---------------
+
+describe("correction items", () => {
+  const correction = {
+    kind: "correction",
+    date: "2026-03-05",
+    publishedAt: "2026-03-05T08:15:00.000Z",
+    headline: "Rust Momentum Continues",
+    url: "/editions/2026-03-03/rust-momentum/#correction-2026-03-03-rust-momentum-1",
+    tagline: "The star count was wrong.",
+  };
+
+  it("titles a correction as one and dates it to the minute", () => {
+    const rss = generateRss([correction, ...mockManifest], "https://gittimes.com");
+    assert.ok(rss.includes("<![CDATA[Correction: Rust Momentum Continues]]>"));
+    assert.ok(rss.includes("<pubDate>Thu, 05 Mar 2026 08:15:00 GMT</pubDate>"));
+    assert.ok(rss.includes("#correction-2026-03-03-rust-momentum-1</guid>"));
+
+    const atom = generateAtom([{ ...correction, kind: "retraction" }], "https://gittimes.com");
+    assert.ok(atom.includes("<![CDATA[Retraction: Rust Momentum Continues]]>"));
+    assert.ok(atom.includes("<updated>2026-03-05T08:15:00.000Z</updated>"));
+  });
+});
+
+// --------------- article items and named feeds ---------------
+
+describe("article items", () => {
+  const article = {
+    date: "2026-03-04",
+    headline: "Tiny Models ]]> Big Ones",
+    subheadline: "Sub",
+    summary: "It ships today.",
+    content: "<p>It <strong>ships</strong> today.</p>",
+    url: "/editions/2026-03-04/tiny-models/",
+    section: "ai",
+    repo: "org/tiny",
+  };
+  const feed = { title: "The Git Times — AI", description: "AI stories", path: "/ai/feed" };
+
+  it("carries the full story and the section in RSS", () => {
+    const xml = generateRss([article], "https://gittimes.com", 20, feed);
+    assert.ok(xml.includes('xmlns:content="http://purl.org/rss/1.0/modules/content/"'));
+    assert.ok(xml.includes("<content:encoded><![CDATA[<p>It <strong>ships</strong> today.</p>]]></content:encoded>"));
+    assert.ok(xml.includes("<description><![CDATA[It ships today.]]></description>"));
+    assert.ok(xml.includes("<category>ai</category>"));
+    assert.ok(xml.includes("<title>The Git Times — AI</title>"));
+    assert.ok(xml.includes('href="https://gittimes.com/ai/feed.xml" rel="self"'));
+  });
+
+  it("keeps a stray ]]> from closing the CDATA section", () => {
+    const xml = generateRss([article], "https://gittimes.com");
+    assert.ok(xml.includes("<title><![CDATA[Tiny Models ]]]]><![CDATA[> Big Ones]]></title>"));
+  });
+
+  it("gives a named Atom feed its own id, the site feed keeps the site's", () => {
+    const atom = generateAtom([article], "https://gittimes.com", 20, feed);
+    assert.ok(atom.includes("<id>https://gittimes.com/ai/feed.atom</id>"));
+    assert.ok(atom.includes('<content type="html">'));
+    assert.ok(generateAtom(mockManifest, "https://gittimes.com").includes("<id>https://gittimes.com/</id>"));
+  });
+
+  it("serves an off-site feed at its own URL, linking items on the site", () => {
+    const alert = { id: "urn:gittimes:alert:x", date: "2026-03-04", headline: "Alert", url: "https://github.com/org/tiny/releases" };
+    const xml = generateRss([article, alert], "https://gittimes.com", 20, { self: "https://w.example/feed/abc", home: "https://gittimes.com/account/" });
+    assert.ok(xml.includes('href="https://w.example/feed/abc.xml" rel="self"'));
+    assert.ok(xml.includes("<link>https://gittimes.com/account/</link>"));
+    assert.ok(xml.includes("<link>https://github.com/org/tiny/releases</link>"));
+    assert.ok(xml.includes('<guid isPermaLink="false">urn:gittimes:alert:x</guid>'));
+  });
+});
+
+// --------------- generateJsonFeed ---------------
+
+describe("generateJsonFeed", () => {
+  it("produces a JSON Feed 1.1 document", () => {
+    const doc = JSON.parse(generateJsonFeed(mockManifest, "https://gittimes.com"));
+    assert.equal(doc.version, "https://jsonfeed.org/version/1.1");
+    assert.equal(doc.feed_url, "https://gittimes.com/feed.json");
+    assert.equal(doc.home_page_url, "https://gittimes.com");
+    assert.equal(doc.items.length, 3);
+    const [first] = doc.items;
+    assert.equal(first.id, "https://gittimes.com/editions/2026-03-04/");
+    assert.equal(first.title, "AI Takes Over GitHub Trending");
+    assert.equal(first.content_text, "The age of AI builders");
+    assert.equal(first.date_published, "2026-03-04T12:00:00.000Z");
+    assert.equal(first._gittimes, undefined, "editions carry no section");
+  });
+
+  it("tags article items with section and repo", () => {
+    const doc = JSON.parse(generateJsonFeed([
+      { date: "2026-03-04", headline: "H", url: "/editions/2026-03-04/h/", content: "<p>x</p>", section: "ai", repo: "org/r" },
+    ], "https://gittimes.com", 5, { path: "/articles/feed" }));
+    assert.equal(doc.feed_url, "https://gittimes.com/articles/feed.json");
+    assert.equal(doc.items[0].content_html, "<p>x</p>");
+    assert.deepEqual(doc.items[0].tags, ["ai", "org/r"]);
+    assert.deepEqual(doc.items[0]._gittimes, { section: "ai", repo: "org/r", date: "2026-03-04" });
+  });
+
+  it("respects limit and titles corrections", () => {
+    const doc = JSON.parse(generateJsonFeed([{ kind: "correction", date: "2026-03-05", headline: "X", url: "/x/" }, ...mockManifest], "https://gittimes.com", 2));
+    assert.equal(doc.items.length, 2);
+    assert.equal(doc.items[0].title, "Correction: X");
+  });
+});
@@ -0,0 +1,219 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  defineSource,
+  listSources,
+  registerSource,
+  fetchFlowSources,
+  recordCooldowns,
+  pickFlowBands,
+  renderFlowBands,
+} = require("../src/flow-sources");
+const { harvestEvents, buildRegistry } = require("../src/registry");
+const { renderFrontPagePanel } = require("../src/render");
+const { pickBands } = require("../src/publish");
+
+const NOW = Date.parse("2026-07-29T00:00:00Z");
+
+const LEAD = {
+  headline: "Lead Story",
+  subheadline: "The subhead",
+  body: "The full story, in more than one sentence. It goes on from there.",
+  useCases: [],
+  similarProjects: [],
+  repo: { name: "org/lead", shortName: "lead", url: "https://github.com/org/lead", stars: 4200, language: "Rust" },
+};
+
+// A crates.io-style source: the shape a new FLOW band takes.
+function crates(overrides = {}) {
+  return {
+    id: "crates",
+    label: "Crates",
+    killswitch: "GT_DISABLE_CRATES",
+    fetch: async () => [{ crate: "tokio", owner: "tokio-rs", version: "2.0.0", ageDays: 1 }],
+    evidence: (c) => ({
+      ref: c.owner,
+      kind: "github",
+      type: "release",
+      title: `${c.crate} ${c.version}`,
+      url: `https://crates.io/crates/${c.crate}`,
+      occurredAt: null,
+      ageDays: c.ageDays,
+      metrics: { tag: c.version },
+      evidence: { source: "crates.io:/api/v1/crates", ref: c.crate },
+    }),
+    render: (items) => (items.length ? `<section class="crates">${items.map((c) => c.crate).join(",")}</section>` : ""),
+    ...overrides,
+  };
+}
+
+describe("flow source registry", () => {
+  let unregister = () => {};
+  afterEach(() => unregister());
+
+  it("ships the built-in bands in render order", () => {
+    assert.deepEqual(
+      listSources().map((s) => s.id),
+      ["aiWire", "modelDrops", "ghReleases", "pushups"]
+    );
+  });
+
+  it("rejects a malformed adapter and a duplicate id", () => {
+    assert.throws(() => defineSource({ fetch: async () => [] }), /string id/);
+    assert.throws(() => defineSource({ id: "x" }), /needs a fetch/);
+    assert.throws(() => defineSource({ id: "x", fetch: async () => [], render: "<b>" }), /render must be a function/);
+    assert.throws(() => registerSource({ id: "modelDrops", fetch: async () => [] }), /already registered/);
+  });
+
+  it("fills defaults and unregisters cleanly", () => {
+    unregister = registerSource({ id: "crates", fetch: async () => [] });
+    const source = listSources().find((s) => s.id === "crates");
+    assert.equal(source.label, "crates");
+    assert.deepEqual(source.empty(), []);
+    unregister();
+    assert.ok(!listSources().some((s) => s.id === "crates"));
+  });
+
+  it("a registered source is fetched, harvested and rendered with no other wiring", async () => {
+    unregister = registerSource(crates());
+    const source = listSources().find((s) => s.id === "crates");
+    const bands = await fetchFlowSources({}, { sources: [source] });
+    assert.equal(bands.crates[0].crate, "tokio");
+
+    const { events } = harvestEvents({ crates: bands.crates }, { nowMs: NOW });
+    const event = events.find((e) => e.title === "tokio 2.0.0");
+    assert.ok(event, "crate release should become a registry event");
+    assert.equal(event.type, "release");
+    assert.ok(!("ref" in event) && !("kind" in event));
+
+    const panel = renderFrontPagePanel(
+      { frontPage: { lead: LEAD } },
+      {},
+      ["frontPage"],
+      { crates: bands.crates }
+    );
+    assert.match(panel, /<section class="crates">tokio<\/section>/);
+  });
+
+  it("registered bands are stored with the edition", () => {
+    unregister = registerSource(crates());
+    const bands = pickBands({ crates: [{ crate: "serde" }] });
+    assert.deepEqual(bands.crates, [{ crate: "serde" }]);
+    assert.equal(bands.aiWire, null);
+    assert.deepEqual(bands.modelDrops, []);
+  });
+});
+
+describe("fetchFlowSources", () => {
+  it("honours the killswitch without calling fetch", async () => {
+    const source = defineSource(crates({ fetch: async () => assert.fail("killed source must not fetch") }));
+    const bands = await fetchFlowSources({}, { sources: [source], env: { GT_DISABLE_CRATES: "1" } });
+    assert.deepEqual(bands, { crates: [] });
+  });
+
+  it("contains a throwing source to its own band", async () => {
+    const broken = defineSource(crates({ id: "broken", fetch: async () => { throw new Error("503"); } }));
+    const fine = defineSource(crates());
+    const bands = await fetchFlowSources({}, { sources: [broken, fine], env: {} });
+    assert.deepEqual(bands.broken, []);
+    assert.equal(bands.crates.length, 1);
+  });
+
+  it("hands fetch the cooldown set and runs select over the result", async () => {
+    const seen = [];
+    const source = defineSource(
+      crates({
+        cooldown: { read: () => new Set(["tokio"]) },
+        fetch: async (ctx) => {
+          seen.push(ctx.cooldown, ctx.token);
+          return [{ crate: "tokio" }, { crate: "serde" }];
+        },
+        select: (items, ctx) => items.filter((c) => !ctx.cooldown.has(c.crate)),
+      })
+    );
+    const bands = await fetchFlowSources({ dataDir: "/tmp/x", token: "t" }, { sources: [source], env: {} });
+    assert.deepEqual(bands.crates, [{ crate: "serde" }]);
+    assert.ok(seen[0].has("tokio"));
+    assert.equal(seen[1], "t");
+  });
+
+  it("fetches with an empty cooldown when the ledger can't be read", async () => {
+    const source = defineSource(
+      crates({
+        cooldown: { read: () => { throw new Error("db locked"); } },
+        fetch: async (ctx) => [{ crate: "tokio", cooled: ctx.cooldown.size }],
+      })
+    );
+    const bands = await fetchFlowSources({ dataDir: "/tmp/x" }, { sources: [source], env: {} });
+    assert.equal(bands.crates[0].cooled, 0);
+  });
+});
+
+describe("recordCooldowns / renderFlowBands / pickFlowBands", () => {
+  it("records each source's featured items and survives a failing ledger", () => {
+    const recorded = [];
+    const ok = defineSource(crates({ cooldown: { read: () => new Set(), record: (dir, date, items) => recorded.push([dir, date, items]) } }));
+    const bad = defineSource(crates({ id: "bad", cooldown: { read: () => new Set(), record: () => { throw new Error("x"); } } }));
+    recordCooldowns("/data", "2026-07-29", { crates: [{ crate: "tokio" }] }, { sources: [bad, ok] });
+    assert.deepEqual(recorded, [["/data", "2026-07-29", [{ crate: "tokio" }]]]);
+  });
+
+  it("skips sources without a renderer and contains a throwing one", () => {
+    const hidden = defineSource(crates({ id: "hidden", render: undefined }));
+    const throws = defineSource(crates({ id: "throws", render: () => { throw new Error("bad"); } }));
+    const shown = defineSource(crates());
+    const html = renderFlowBands(
+      { hidden: [{ crate: "a" }], throws: [{ crate: "b" }], crates: [{ crate: "c" }] },
+      {},
+      { sources: [hidden, throws, shown] }
+    );
+    assert.equal(html, '<section class="crates">c</section>');
+  });
+
+  it("falls back per band and then to the source's empty value", () => {
+    const bands = pickFlowBands({ modelDrops: [{ id: "a/b" }] }, { fallback: { pushups: [{ repo: "x/y" }] } });
+    assert.deepEqual(bands.modelDrops, [{ id: "a/b" }]);
+    assert.deepEqual(bands.pushups, [{ repo: "x/y" }]);
+    assert.deepEqual(bands.ghReleases, []);
+    assert.equal(bands.aiWire, null);
+  });
+});
+
+describe("built-in adapters", () => {
+  it("the registry still takes releases under their pre-adapter key", () => {
+    const release = {
+      repo: "vllm-project/vllm",
+      name: "vllm",
+      tag: "v0.9.0",
+      ageDays: 1,
+      url: "https://github.com/vllm-project/vllm/releases/tag/v0.9.0",
+    };
+    const legacy = harvestEvents({ releases: [release] }, { nowMs: NOW }).events;
+    const keyed = harvestEvents({ ghReleases: [release] }, { nowMs: NOW }).events;
+    assert.deepEqual(legacy, keyed);
+    assert.equal(keyed[0].title, "vllm v0.9.0");
+    assert.equal(keyed[0].evidence.source, "github:/repos/:repo/releases");
+  });
+
+  it("model drops are harvested through their adapter", () => {
+    const { entities } = buildRegistry(
+      { modelDrops: [{ id: "Qwen/Qwen3-Next", author: "Qwen", name: "Qwen3-Next", ageDays: 1 }] },
+      { nowMs: NOW }
+    );
+    const qwen = entities.find((e) => e.id === "qwen");
+    assert.equal(qwen.stats.drops30d, 1);
+  });
+
+  it("Just Shipped is tracked but not printed; drops and pushups are", () => {
+    const html = renderFlowBands({
+      modelDrops: [{ name: "m-7b", author: "acme", url: "https://huggingface.co/acme/m-7b", likes: 9, ageDays: 1 }],
+      ghReleases: [{ repo: "a/b", owner: "a", name: "b", tag: "v1", url: "https://github.com/a/b" }],
+      pushups: [{ repo: "a/b", owner: "a", name: "b", reps: 12, repsLabel: "12", form: "solid set", url: "https://github.com/a/b" }],
+    });
+    assert.match(html, /Model Drops/);
+    assert.match(html, /The Pushup Report/);
+    assert.doesNotMatch(html, /Just Shipped/);
+    assert.ok(html.indexOf("Model Drops") < html.indexOf("The Pushup Report"));
+  });
+});
@@ -0,0 +1,208 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadLlmConfig, resolveLlmConfig, createRouter, usesProvider, isLocalURL } = require("../src/llm-providers");
+const { chat, getMetrics, resetMetrics } = require("../src/xai");
+
+const CONFIG = {
+  providers: {
+    local: { baseURL: "http://127.0.0.1:8080/v1", model: "qwen2.5-7b-instruct" },
+    frontier: { baseURL: "https://openrouter.ai/api/v1", apiKeyEnv: "FRONTIER_KEY" },
+  },
+  default: { provider: "frontier", model: "acme/default" },
+  tasks: {
+    quickHits: { provider: "local" },
+    leadArticle: { model: "acme/frontier-large" },
+  },
+};
+
+/** A makeClient that records what each provider was asked. */
+function recorder() {
+  const made = [];
+  const calls = [];
+  const makeClient = (provider, apiKey) => {
+    made.push({ id: provider.id, apiKey });
+    return {
+      chat: {
+        completions: {
+          create: async (params) => {
+            calls.push({ provider: provider.id, params });
+            return {
+              choices: [{ message: { content: `from ${provider.id}` } }],
+              usage: { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 },
+            };
+          },
+        },
+      },
+    };
+  };
+  return { made, calls, makeClient };
+}
+
+describe("resolveLlmConfig", () => {
+  it("with no file, routes everything to OpenRouter on the free default", () => {
+    const config = resolveLlmConfig({}, {});
+    assert.equal(config.default.provider, "openrouter");
+    assert.equal(config.default.model, "nvidia/nemotron-3-super-120b-a12b:free");
+    assert.equal(config.providers.get("openrouter").baseURL, "https://openrouter.ai/api/v1");
+    assert.equal(config.tasks.size, 0);
+  });
+
+  it("LLM_MODEL and LLM_BASE_URL still override the default route", () => {
+    const config = resolveLlmConfig(CONFIG, { LLM_MODEL: "env/model", LLM_BASE_URL: "http://localhost:11434/v1" });
+    assert.equal(config.default.model, "env/model");
+    const provider = config.providers.get("frontier");
+    assert.equal(provider.baseURL, "http://localhost:11434/v1");
+    assert.equal(provider.local, true);
+    assert.equal(provider.apiKeyEnv, "FRONTIER_KEY");
+  });
+
+  it("rejects typos that would silently fall back to the default", () => {
+    assert.throws(() => resolveLlmConfig({ tasks: { quickHit: { model: "x" } } }, {}), /unknown task "quickHit"/);
+    assert.throws(() => resolveLlmConfig({ tasks: { quickHits: { provider: "lcoal" } } }, {}), /unknown provider "lcoal"/);
+    assert.throws(() => resolveLlmConfig({ default: { provider: "nope" } }, {}), /unknown provider "nope"/);
+    assert.throws(() => resolveLlmConfig({ providers: { local: {} } }, {}), /needs a baseURL/);
+  });
+
+  it("the shipped example config is valid", () => {
+    const example = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "llm.config.example.json"), "utf-8"));
+    const config = resolveLlmConfig(example, {});
+    assert.equal(config.providers.get("llamacpp").local, true);
+    assert.equal(config.providers.get("vllm").local, true);
+    assert.equal(config.providers.get("openrouter").local, false);
+    assert.equal(config.providers.get("llamacpp").structuredOutput, true);
+    assert.equal(config.providers.get("openrouter").structuredOutput, false);
+  });
+});
+
+describe("loadLlmConfig", () => {
+  let tmpDir;
+  afterEach(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+  it("treats a missing file as no config and a broken one as an error", () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gittimes-llm-"));
+    assert.deepEqual(loadLlmConfig(path.join(tmpDir, "llm.config.json")), {});
+    const bad = path.join(tmpDir, "bad.json");
+    fs.writeFileSync(bad, "{ providers: ");
+    assert.throws(() => loadLlmConfig(bad), /bad\.json is not valid JSON/);
+  });
+});
+
+describe("isLocalURL", () => {
+  it("recognises loopback and .local hosts", () => {
+    assert.equal(isLocalURL("http://localhost:11434/v1"), true);
+    assert.equal(isLocalURL("http://[::1]:8080/v1"), true);
+    assert.equal(isLocalURL("http://gpu-box.local:8000/v1"), true);
+    assert.equal(isLocalURL("https://openrouter.ai/api/v1"), false);
+    assert.equal(isLocalURL("not a url"), false);
+  });
+});
+
+describe("createRouter", () => {
+  it("builds one client per provider, lazily, with keys from the named env var", () => {
+    const { made, makeClient } = recorder();
+    const router = createRouter(resolveLlmConfig(CONFIG, {}), { makeClient, env: { FRONTIER_KEY: "sk-f" } });
+    assert.equal(made.length, 0);
+
+    router.forTask("quickHits");
+    router.forTask("leadArticle");
+    router.forTask("secondaryArticle");
+    assert.deepEqual(made, [
+      { id: "local", apiKey: null },
+      { id: "frontier", apiKey: "sk-f" },
+    ]);
+  });
+
+  it("an explicit apiKey is the OpenRouter key and goes to no other provider", () => {
+    const { made, makeClient } = recorder();
+    const router = createRouter(resolveLlmConfig({
+      ...CONFIG,
+      tasks: { ...CONFIG.tasks, rubric: { provider: "openrouter" } },
+    }, {}), { makeClient, env: { FRONTIER_KEY: "sk-f" }, apiKey: "sk-or" });
+    router.forTask("leadArticle");
+    router.forTask("quickHits");
+    router.forTask("rubric");
+    assert.deepEqual(made, [
+      { id: "frontier", apiKey: "sk-f" },
+      { id: "local", apiKey: null },
+      { id: "openrouter", apiKey: "sk-or" },
+    ]);
+  });
+
+  it("a local default never sees the OpenRouter key", () => {
+    const { made, makeClient } = recorder();
+    const router = createRouter(resolveLlmConfig({ ...CONFIG, default: { provider: "local" } }, {}), { makeClient, env: {}, apiKey: "sk-or" });
+    router.forTask("trendArticle");
+    assert.deepEqual(made, [{ id: "local", apiKey: null }]);
+  });
+
+  it("says whether any route needs a provider — and so its key", () => {
+    assert.equal(usesProvider(resolveLlmConfig({}, {}), "openrouter"), true);
+    assert.equal(usesProvider(resolveLlmConfig(CONFIG, {}), "openrouter"), false, "every route is local or frontier");
+    assert.equal(usesProvider(resolveLlmConfig({ ...CONFIG, tasks: { rubric: { provider: "openrouter" } } }, {}), "openrouter"), true);
+    assert.equal(usesProvider(resolveLlmConfig(CONFIG, {}), "local"), true);
+  });
+
+  it("resolves the model from the route, then the provider, then the caller", () => {
+    const { makeClient } = recorder();
+    const router = createRouter(resolveLlmConfig(CONFIG, {}), { makeClient, env: {} });
+    assert.equal(router.forTask("leadArticle").model, "acme/frontier-large");
+    assert.equal(router.forTask("quickHits").model, "qwen2.5-7b-instruct");
+    assert.equal(router.forTask("trendArticle").model, null);
+  });
+});
+
+describe("chat() through a router", () => {
+  afterEach(() => resetMetrics());
+
+  it("sends each task to its provider and model", async () => {
+    const { calls, makeClient } = recorder();
+    const router = createRouter(resolveLlmConfig(CONFIG, {}), { makeClient, env: {} });
+    await chat(router, "acme/default", "summarise these", 100, { task: "quickHits" });
+    await chat(router, "acme/default", "write the lead", 100, { task: "leadArticle" });
+    await chat(router, "acme/default", "untasked", 100);
+
+    assert.deepEqual(
+      calls.map((c) => [c.provider, c.params.model]),
+      [
+        ["local", "qwen2.5-7b-instruct"],
+        ["frontier", "acme/frontier-large"],
+        ["frontier", "acme/default"],
+      ]
+    );
+  });
+
+  it("a pinned model stays on the default provider whatever the task's route", async () => {
+    const { calls, makeClient } = recorder();
+    const router = createRouter(resolveLlmConfig({ ...CONFIG, tasks: { editorPanel: { provider: "local" } } }, {}), { makeClient, env: {} });
+    await chat(router, "acme/editor", "vote", 100, { task: "editorPanel", pinModel: true });
+    await chat(router, "acme/editor", "vote", 100, { task: "editorPanel" });
+    assert.deepEqual(
+      calls.map((c) => [c.provider, c.params.model]),
+      [["frontier", "acme/editor"], ["local", "qwen2.5-7b-instruct"]]
+    );
+  });
+
+  it("keeps the OpenRouter-only reasoning switch off local servers", async () => {
+    const { calls, makeClient } = recorder();
+    const router = createRouter(resolveLlmConfig(CONFIG, {}), { makeClient, env: {} });
+    await chat(router, "acme/default", "a", 100, { task: "quickHits" });
+    await chat(router, "acme/default", "b", 100, { task: "leadArticle" });
+    assert.equal(calls[0].params.reasoning, undefined);
+    assert.deepEqual(calls[1].params.reasoning, { enabled: false });
+  });
+
+  it("local calls count tokens but cost nothing", async () => {
+    const { makeClient } = recorder();
+    const router = createRouter(resolveLlmConfig(CONFIG, {}), { makeClient, env: {} });
+    resetMetrics();
+    await chat(router, "acme/default", "a", 100, { task: "quickHits" });
+    const m = getMetrics();
+    assert.equal(m.totalTokens, 150);
+    assert.equal(m.costUsd, 0);
+    assert.equal(m.unpricedCalls, 0);
+  });
+});
@@ -1,7 +1,7 @@
 const { describe, it, beforeEach, afterEach } = require("node:test");
 const assert = require("node:assert/strict");
 
-const { sendNewsletter } = require("../src/newsletter");
+const { sendNewsletter, editionPayload } = require("../src/newsletter");
 
 describe("sendNewsletter", () => {
   let originalFetch;
@@ -91,4 +91,79 @@ describe("sendNewsletter", () => {
       { message: "Newsletter send failed" },
     );
   });
+
+  it("keeps calling while the worker reports batches left, and returns the total", async () => {
+    const replies = [
+      { ok: true, key: "newsletter:daily:2026-03-05", done: false, total: 250, sent: 100, remaining: 150 },
+      { ok: true, key: "newsletter:daily:2026-03-05", done: false, total: 250, sent: 200, remaining: 50 },
+      { ok: true, key: "newsletter:daily:2026-03-05", done: true, total: 250, sent: 250, remaining: 0 },
+    ];
+    let calls = 0;
+    globalThis.fetch = async () => ({ json: async () => replies[calls++] });
+
+    const sent = await sendNewsletter({ workerUrl: "https://w", newsletterSecret: "s", edition: { date: "2026-03-05" } });
+    assert.equal(sent, 250);
+    assert.equal(calls, 3);
+  });
+
+  it("stops when a call makes no progress and says the run can be resumed", async () => {
+    let calls = 0;
+    globalThis.fetch = async () => {
+      calls++;
+      return { json: async () => ({ ok: true, key: "newsletter:daily:2026-03-05", done: false, total: 300, sent: 100, remaining: 200 }) };
+    };
+
+    await assert.rejects(
+      () => sendNewsletter({ workerUrl: "https://w", newsletterSecret: "s", edition: { date: "2026-03-05" } }),
+      /200 of 300 recipients still unsent for newsletter:daily:2026-03-05 — rerun to resume/,
+    );
+    assert.equal(calls, 2);
+  });
+
+  it("a date already sent is reported, not re-sent", async () => {
+    const logs = [];
+    const log = console.log;
+    console.log = (m) => logs.push(m);
+    globalThis.fetch = async () => ({
+      json: async () => ({ ok: true, key: "newsletter:daily:2026-03-05", duplicate: true, done: true, sent: 40 }),
+    });
+    try {
+      assert.equal(await sendNewsletter({ workerUrl: "https://w", newsletterSecret: "s", edition: {} }), 40);
+    } finally {
+      console.log = log;
+    }
+    assert.match(logs.join("\n"), /already sent/);
+  });
+});
+
+describe("editionPayload", () => {
+  const entry = {
+    date: "2026-03-05",
+    url: "/editions/2026-03-05/",
+    headline: "Front Lead",
+    subheadline: "Sub",
+    repos: ["acme/kv"],
+  };
+  const content = {
+    sections: {
+      frontPage: {
+        lead: { headline: "Front Lead", subheadline: "Sub", repo: { name: "acme/kv" } },
+        secondary: [{ headline: "Second Story", repo: { name: "acme/db" } }],
+        quickHits: [{ name: "rust-lang/cargo", headline: "Cargo Speeds Up" }],
+      },
+      ai: { lead: { headline: "Models Get Smaller", repo: { name: "acme/tiny" } } },
+      cyber: { isEmpty: true },
+    },
+  };
+
+  it("carries one lead per filled desk and every story's repo and link", () => {
+    const p = editionPayload(content, entry, { siteUrl: "https://gittimes.com" });
+    assert.equal(p.url, "https://gittimes.com/editions/2026-03-05/");
+    assert.deepEqual(p.sections.map((s) => [s.id, s.repo]), [["frontPage", "acme/kv"], ["ai", "acme/tiny"]]);
+    assert.equal(p.sections[1].url, "https://gittimes.com/editions/2026-03-05/models-get-smaller/");
+    const byRepo = Object.fromEntries(p.stories.map((s) => [s.repo, s]));
+    assert.equal(byRepo["acme/db"].url, "https://gittimes.com/editions/2026-03-05/second-story/");
+    assert.equal(byRepo["rust-lang/cargo"].url, p.url, "a quick hit has no page of its own");
+    assert.deepEqual([p.headline, p.date, p.repos], ["Front Lead", "2026-03-05", ["acme/kv"]]);
+  });
 });
@@ -60,6 +60,48 @@ describe("runEditorPanel", () => {
     });
   });
 
+  it("weights each lens's vote and reports the weighted tally", async () => {
+    // impact + consequence vote #1, novelty votes #3 — but novelty has earned the desk's trust.
+    const client = mockClient((prompt) => {
+      if (prompt.includes("Why this leads today")) return "Rationale.";
+      if (prompt.includes("by NOVELTY")) return "LEAD: #3\nWHY: newest";
+      return "LEAD: #1\nWHY: helps many";
+    });
+    await withEnv("GT_DISABLE_PANEL", null, async () => {
+      const lensWeights = { impact: 0.5, novelty: 1.8, consequence: 0.6 };
+      const d = await runEditorPanel(client, candidates, llmLimit, { lensWeights });
+      assert.equal(d.chosen.repo.full_name, "c/three"); // 1.8 vs 0.5 + 0.6
+      assert.deepEqual(d.lensWeights, lensWeights);
+      assert.deepEqual(d.tally, [
+        { repo: "c/three", weight: 1.8, lenses: ["novelty"] },
+        { repo: "a/one", weight: 1.1, lenses: ["impact", "consequence"] },
+      ]);
+
+      // A lens missing from the map counts as one vote
+      const plain = await runEditorPanel(client, candidates, llmLimit, { lensWeights: { novelty: 1.8 } });
+      assert.equal(plain.chosen.repo.full_name, "a/one");
+      assert.equal(plain.lensWeights.impact, 1);
+    });
+  });
+
+  it("reads JSON votes, and a quoted number once the repair has failed", async () => {
+    const client = mockClient((prompt) => {
+      if (prompt.includes("Why this leads today")) return '{"rationale": "It fills a gap."}';
+      if (prompt.includes("by NOVELTY")) return '{"lead": "3", "why": "newest"}';
+      return '{"lead": 2, "why": "helps many"}';
+    });
+    await withEnv("GT_DISABLE_PANEL", null, async () => {
+      const d = await runEditorPanel(client, candidates, llmLimit, {});
+      assert.equal(d.chosen.repo.full_name, "b/two");
+      assert.equal(d.why, "It fills a gap.");
+      assert.deepEqual(d.lensVotes.map((v) => [v.lens, v.idx, v.why]), [
+        ["impact", 1, "helps many"],
+        ["novelty", 2, "newest"],
+        ["consequence", 1, "helps many"],
+      ]);
+    });
+  });
+
   it("returns null (fallback signal) when no lens produces a usable vote", async () => {
     const client = mockClient(() => "no idea");
     await withEnv("GT_DISABLE_PANEL", null, async () => {
@@ -107,6 +149,24 @@ describe("runEditorPanel", () => {
       assert.ok(seen.has("paid/model-x"));
     }));
   });
+
+  it("an explicit EDITOR_MODEL wins over a routed editorPanel model, on the default provider; without one the route decides", async () => {
+    const seen = [];
+    const client = (name) => ({ chat: { completions: { create: async (params) => { seen.push(`${name}:${params.model}`); return { choices: [{ message: { content: "LEAD: #1\nWHY: y" } }] }; } } } });
+    const routed = client("routed");
+    const router = { ...client("default"), provider: null, forTask: () => ({ client: routed, model: "routed/panel-model", provider: null }) };
+    await withEnv("GT_DISABLE_PANEL", null, () => withEnv("EDITOR_MODEL", "paid/model-x", async () => {
+      await runEditorPanel(router, candidates, llmLimit, {});
+    }));
+    assert.ok(seen.length > 0);
+    assert.deepEqual([...new Set(seen)], ["default:paid/model-x"]);
+
+    seen.length = 0;
+    await withEnv("GT_DISABLE_PANEL", null, () => withEnv("EDITOR_MODEL", null, async () => {
+      await runEditorPanel(router, candidates, llmLimit, {});
+    }));
+    assert.deepEqual([...new Set(seen)], ["routed:routed/panel-model"]);
+  });
 });
 
 describe("lead rationale rendering", () => {
@@ -132,6 +192,22 @@ describe("lead rationale rendering", () => {
     assert.doesNotMatch(html, /<img src=x/);
     assert.match(html, /&lt;img src=x/);
   });
+
+  it("shows the weighted panel tally under the rationale", () => {
+    const withPanel = {
+      ...article,
+      leadPanel: {
+        weights: { impact: 1.4, novelty: 0.25, consequence: 1 },
+        tally: [
+          { repo: "a/one", weight: 2.4, lenses: ["impact", "consequence"] },
+          { repo: "<b>/two", weight: 0.25, lenses: ["novelty"] },
+        ],
+      },
+    };
+    const html = renderHybridArticle(withPanel, { isLead: true });
+    assert.match(html, /<span class="lead-tally">Panel tally: a\/one 2\.4 \(impact ×1\.4, consequence ×1\) · &lt;b&gt;\/two 0\.25 \(novelty ×0\.25\)<\/span>/);
+    assert.doesNotMatch(renderHybridArticle(article, { isLead: true }), /lead-tally/);
+  });
 });
 
 // --- integration: editor path inside generateEditorialContent ---
@@ -167,18 +243,28 @@ describe("generateEditorialContent editor path", () => {
       assert.equal(result.editorialMeta.leadEditor.viaPanel, true);
       assert.equal(result.editorialMeta.leadEditor.why, "Panel rationale text.");
       assert.equal(result.sections.frontPage.lead.leadRationale, "Panel rationale text.");
+      assert.deepEqual(result.editorialMeta.leadEditor.lensWeights, { impact: 1, novelty: 1, consequence: 1 });
+      assert.deepEqual(result.editorialMeta.leadEditor.tally, [{ repo: "org/cand1", weight: 3, lenses: ["impact", "novelty", "consequence"] }]);
+      assert.deepEqual(result.sections.frontPage.lead.leadPanel.tally, result.editorialMeta.leadEditor.tally);
+      // The ballot rides along for the desk's vote ledger, keyed to slate rank
+      const ballot = result.editorialMeta.panelVotes;
+      assert.equal(ballot.winner, "org/cand1");
+      assert.equal(ballot.synthesis, "Panel rationale text.");
+      assert.deepEqual(ballot.votes.map((v) => [v.idx, v.repo, v.why]), Array(3).fill([0, "org/cand1", "lens note"]));
     }));
   });
 
   it("everything-fails-still-builds: panel + sources disabled → single-call editor, valid lead, no throw", async () => {
     const client = mockClient((p) => {
-      if (/Respond EXACTLY/.test(p) && /LEAD:/.test(p)) return "LEAD: #1\nWHY: most significant";
+      if (/"lead":/.test(p)) return '{"lead": 1, "why": "most significant"}';
       return article("Cand One Leads");
     });
     await withEnv("GT_DISABLE_PANEL", "1", () => withEnv("GT_DISABLE_SOURCES", "1", async () => {
       const result = await generateEditorialContent(sections(), "fake-key", plan(), { client });
       assert.equal(result.editorialMeta.leadEditor.viaPanel, false);
       assert.equal(result.editorialMeta.leadEditor.viaEditor, true);
+      assert.equal(result.editorialMeta.panelVotes, undefined);
+      assert.equal(result.editorialMeta.leadEditor.tally, undefined);
       assert.ok(result.sections.frontPage.lead, "front page still has a lead");
       assert.equal(result.sections.frontPage.lead.leadRationale, "most significant");
     }));
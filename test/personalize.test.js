@@ -0,0 +1,81 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalize, orderSections, isSectionHidden, classify, isEmptyLayout } = require("../public/personalize");
+const { renderHybridArticle, renderQuickHit, renderDeskRail } = require("../src/render");
+const { renderAccountPage } = require("../src/account");
+const { SECTIONS, SECTION_ORDER } = require("../src/sections");
+
+// --------------- layout rules (public/personalize.js) ---------------
+
+describe("front-page layout rules", () => {
+  const layout = {
+    sectionWeights: { cyber: 3, robotics: 0, ai: 2 },
+    hideLanguages: ["JavaScript"],
+    boostLanguages: ["rust"],
+    mutedOrgs: ["spam-org"],
+  };
+
+  it("orders sections by weight, pins the front page, keeps ties in published order", () => {
+    const ids = ["frontPage", "ai", "robotics", "cyber", "systems", "diy"];
+    assert.deepEqual(orderSections(ids, layout), ["frontPage", "cyber", "ai", "systems", "diy", "robotics"]);
+    assert.deepEqual(orderSections(ids, null), ids);
+    assert.deepEqual(orderSections(ids, { sectionWeights: { frontPage: 0 } }), ids);
+  });
+
+  it("hides weight-0 sections but never the front page", () => {
+    assert.equal(isSectionHidden("robotics", layout), true);
+    assert.equal(isSectionHidden("systems", layout), false);
+    assert.equal(isSectionHidden("frontPage", { sectionWeights: { frontPage: 0 } }), false);
+  });
+
+  it("classifies stories by org and language, case-insensitively", () => {
+    assert.equal(classify(layout, { org: "Spam-Org", lang: "Rust" }), "hide");
+    assert.equal(classify(layout, { org: "a", lang: "javascript" }), "hide");
+    assert.equal(classify(layout, { org: "a", lang: "Rust" }), "boost");
+    assert.equal(classify(layout, { org: "a", lang: "" }), "keep");
+    assert.equal(classify(null, { org: "spam-org", lang: "Rust" }), "keep");
+  });
+
+  it("treats a missing or blank layout as empty", () => {
+    assert.equal(isEmptyLayout(null), true);
+    assert.equal(isEmptyLayout({ sectionWeights: {}, hideLanguages: [" "] }), true);
+    assert.equal(isEmptyLayout(layout), false);
+    assert.deepEqual(normalize({ mutedOrgs: "not-a-list" }).mutedOrgs, []);
+  });
+});
+
+// --------------- renderer hooks ---------------
+
+describe("layout data attributes", () => {
+  const repo = { name: "Tokio-RS/tokio", url: "https://github.com/tokio-rs/tokio", stars: 30000, language: "Rust" };
+
+  it("marks articles and quick hits with their org and language", () => {
+    const card = renderHybridArticle({ headline: "Tokio 2", subheadline: "", body: "It ships.", repo });
+    assert.ok(card.includes('data-org="tokio-rs"'));
+    assert.ok(card.includes('data-lang="Rust"'));
+
+    const hit = renderQuickHit({ ...repo, summary: "Async runtime" });
+    assert.ok(hit.includes('data-org="tokio-rs"'));
+    assert.ok(hit.includes('data-lang="Rust"'));
+  });
+
+  it("marks desk-rail items with section, org and language", () => {
+    const sections = {
+      frontPage: { lead: { headline: "Front" } },
+      systems: { lead: { headline: "Tokio 2", repo } },
+    };
+    const rail = renderDeskRail(sections, SECTIONS, SECTION_ORDER);
+    assert.match(rail, /data-section="systems" data-org="tokio-rs" data-lang="Rust"/);
+  });
+
+  it("offers a weight select for every desk on the account page", () => {
+    const html = renderAccountPage({ basePath: "" });
+    assert.ok(html.includes('id="account-layout-form"'));
+    for (const id of SECTION_ORDER.filter((s) => s !== "frontPage")) {
+      assert.ok(html.includes(`<select data-section="${id}">`), id);
+    }
+    assert.ok(!html.includes('data-section="frontPage"'));
+    assert.ok(!html.includes("{{LAYOUT_SECTIONS}}"));
+  });
+});
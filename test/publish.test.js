@@ -4,7 +4,10 @@ const fs = require("fs");
 const path = require("path");
 const os = require("os");
 
-const { toDateStr, readManifest, publish, getRecentRepoNames, getRecentLeadRepos, validateContent } = require("../src/publish");
+const {
+  toDateStr, readManifest, publish, getRecentRepoNames, getRecentLeadRepos, validateContent,
+  writeEditionArtifact, articleFeedItems, writeArticleFeeds, sectionFeedDir,
+} = require("../src/publish");
 
 // --------------- toDateStr ---------------
 
@@ -96,6 +99,8 @@ describe("publish", () => {
     assert.ok(fs.existsSync(path.join(tmpDir, "index.html")));
     // Manifest
     assert.ok(fs.existsSync(path.join(tmpDir, "editions", "manifest.json")));
+    // Feeds
+    for (const f of ["feed.xml", "feed.atom", "feed.json"]) assert.ok(fs.existsSync(path.join(tmpDir, f)), f);
     // Archive
     assert.ok(fs.existsSync(path.join(tmpDir, "archive", "index.html")));
     // .nojekyll
@@ -181,6 +186,103 @@ describe("publish", () => {
   });
 });
 
+// --------------- article and section feeds ---------------
+
+describe("article feeds", () => {
+  let tmpDir;
+  const entry = { date: "2026-06-27", url: "/editions/2026-06-27/", headline: "Front Lead" };
+  const content = {
+    sections: {
+      frontPage: {
+        lead: {
+          headline: "Front Lead",
+          subheadline: "The day's biggest story",
+          body: "It **ships** today. It is fast. It is small. It is done.\n\nSecond paragraph.",
+          repo: { name: "org/front" },
+        },
+        quickHits: [{ name: "tool/one", headline: "No Page" }],
+      },
+      ai: {
+        lead: { headline: "Models Get Smaller", subheadline: "Tiny wins", body: "Short `body`.", repo: { name: "org/tiny" } },
+        deepCuts: [{ headline: "Deep Cut", body: "Buried.", repo: { name: "org/deep" } }],
+      },
+      cyber: { isEmpty: true },
+    },
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gittimes-feeds-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("one item per article page, linking that page, with the whole story", async () => {
+    const { initMarked } = require("../src/render");
+    await initMarked();
+    const items = articleFeedItems(content, entry);
+    assert.deepEqual(items.map((i) => [i.section, i.url]), [
+      ["frontPage", "/editions/2026-06-27/front-lead/"],
+      ["ai", "/editions/2026-06-27/models-get-smaller/"],
+      ["ai", "/editions/2026-06-27/deep-cut/"],
+    ]);
+    const [lead] = items;
+    assert.equal(lead.summary, "It ships today. It is fast. It is small.");
+    assert.match(lead.content, /<strong>ships<\/strong>/);
+    assert.match(lead.content, /Second paragraph/);
+    assert.match(lead.content, /href="https:\/\/github.com\/org\/front"/);
+    assert.equal(lead.repo, "org/front");
+  });
+
+  it("writes the article feed and one feed per section from stored editions", async () => {
+    const editionDir = path.join(tmpDir, "editions", entry.date);
+    fs.mkdirSync(editionDir, { recursive: true });
+    writeEditionArtifact(editionDir, { date: entry.date, content, bands: {} });
+    const count = await writeArticleFeeds(tmpDir, [entry, { date: "2026-06-26", url: "/editions/2026-06-26/" }], { siteUrl: "https://gittimes.com" });
+    assert.equal(count, 3, "an edition without an artifact is left out");
+
+    const rss = fs.readFileSync(path.join(tmpDir, "articles", "feed.xml"), "utf-8");
+    assert.ok(rss.includes("<link>https://gittimes.com/editions/2026-06-27/front-lead/</link>"));
+    assert.ok(rss.includes('href="https://gittimes.com/articles/feed.xml" rel="self"'));
+    assert.ok(rss.includes("<content:encoded>"));
+
+    const ai = JSON.parse(fs.readFileSync(path.join(tmpDir, "ai", "feed.json"), "utf-8"));
+    assert.equal(ai.feed_url, "https://gittimes.com/ai/feed.json");
+    assert.deepEqual(ai.items.map((i) => i.title), ["Models Get Smaller", "Deep Cut"]);
+    assert.deepEqual(ai.items[0]._gittimes, { section: "ai", repo: "org/tiny", date: "2026-06-27" });
+    assert.ok(fs.existsSync(path.join(tmpDir, "front-page", "feed.atom")));
+    assert.equal(JSON.parse(fs.readFileSync(path.join(tmpDir, "cyber", "feed.json"), "utf-8")).items.length, 0);
+
+    const index = JSON.parse(fs.readFileSync(path.join(tmpDir, "articles", "index.json"), "utf-8"));
+    assert.equal(index.feed_url, "https://gittimes.com/articles/index.json");
+    assert.equal(index.items.length, 3);
+  });
+
+  it("the article index keeps every story of the window; the feeds stop at 50", async () => {
+    const big = { ...content, sections: { ...content.sections } };
+    big.sections.ai = {
+      ...content.sections.ai,
+      secondary: Array.from({ length: 60 }, (_, i) => ({ headline: `Story ${i}`, body: "Body.", repo: { name: `org/s${i}` } })),
+    };
+    const editionDir = path.join(tmpDir, "editions", entry.date);
+    fs.mkdirSync(editionDir, { recursive: true });
+    writeEditionArtifact(editionDir, { date: entry.date, content: big, bands: {} });
+    const count = await writeArticleFeeds(tmpDir, [entry], { siteUrl: "https://gittimes.com" });
+
+    const read = (f) => JSON.parse(fs.readFileSync(path.join(tmpDir, "articles", f), "utf-8"));
+    assert.equal(read("feed.json").items.length, 50);
+    assert.equal(read("index.json").items.length, count);
+    assert.ok(count > 60);
+  });
+
+  it("names section feed directories in kebab case", () => {
+    assert.equal(sectionFeedDir("ai"), "ai");
+    assert.equal(sectionFeedDir("gameDev"), "game-dev");
+    assert.equal(sectionFeedDir("frontPage"), "front-page");
+  });
+});
+
 // --------------- getRecentRepoNames ---------------
 
 describe("getRecentRepoNames", () => {
@@ -4,7 +4,7 @@ const fs = require("fs");
 const os = require("os");
 const path = require("path");
 
-const { recordRegistry, getEntityHistory, getEntityTimeline, closeDb } = require("../src/db");
+const { recordRegistry, getEntityHistory, getEntityTimeline, getEditionEntityEvents, closeDb } = require("../src/db");
 const { buildRegistry } = require("../src/registry");
 
 const NOW = Date.parse("2026-07-29T00:00:00Z");
@@ -104,4 +104,14 @@ describe("registry persistence", () => {
     assert.equal(event.evidence.ref, "QwenLM/Qwen-Agent");
     assert.ok(event.metrics.reactions >= 0);
   });
+
+  it("reads back one edition's events with the company name", () => {
+    const day = getEditionEntityEvents(dataDir, "2026-08-02");
+    const v5 = day.find((e) => e.title === "DeepSeek-V5");
+    assert.ok(v5);
+    assert.equal(v5.entityId, "deepseek");
+    assert.equal(v5.name, "DeepSeek");
+    assert.ok(v5.eventKey);
+    assert.deepEqual(getEditionEntityEvents(dataDir, "1999-01-01"), []);
+  });
 });
@@ -0,0 +1,200 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The tape captures whatever global fetch it finds at load, so the stub has to
+// be in place before the module is required.
+let liveFetchCalls = 0;
+globalThis.fetch = async (url) => {
+  liveFetchCalls++;
+  return new Response(JSON.stringify({ url, n: liveFetchCalls }), {
+    status: 200,
+    headers: { "content-type": "application/json" },
+  });
+};
+
+const {
+  configureReplay,
+  resetReplay,
+  replayMode,
+  parseReplayArgs,
+  tape,
+  ReplayMissError,
+  CAPTURE_FILE,
+} = require("../src/replay");
+const { chat } = require("../src/xai");
+
+let root;
+
+function captureDir(name) {
+  return path.join(root, name);
+}
+
+function fakeClient(text, calls) {
+  return {
+    chat: {
+      completions: {
+        create: async (params) => {
+          calls.push(params);
+          return {
+            choices: [{ message: { content: text } }],
+            usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+          };
+        },
+      },
+    },
+  };
+}
+
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "gittimes-replay-"));
+});
+
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+afterEach(() => resetReplay());
+
+describe("parseReplayArgs", () => {
+  it("returns null when neither flag is present", () => {
+    assert.equal(parseReplayArgs(["--dry-run"]), null);
+  });
+
+  it("reads the mode, the directory and --live-misses", () => {
+    assert.deepEqual(parseReplayArgs(["--record", "cap"]), { mode: "record", dir: "cap", liveMisses: false });
+    assert.deepEqual(parseReplayArgs(["--replay", "cap", "--live-misses"]), {
+      mode: "replay",
+      dir: "cap",
+      liveMisses: true,
+    });
+  });
+
+  it("rejects a missing directory and both flags at once", () => {
+    assert.throws(() => parseReplayArgs(["--replay"]), /capture directory/);
+    assert.throws(() => parseReplayArgs(["--replay", "--live-misses"]), /capture directory/);
+    assert.throws(() => parseReplayArgs(["--record", "a", "--replay", "b"]), /mutually exclusive/);
+  });
+});
+
+describe("tape", () => {
+  it("passes straight through when replay is off", async () => {
+    assert.equal(replayMode(), "off");
+    assert.equal(await tape("github", "https://x", async () => 42), 42);
+  });
+
+  it("replays recorded values and errors without calling live", async () => {
+    const dir = captureDir("values");
+    configureReplay({ mode: "record", dir });
+    await tape("github", "https://api.github.com/repos/a/b", async () => ({ stars: 7 }));
+    await assert.rejects(
+      tape("github", "https://api.github.com/repos/a/b/releases/latest", async () => {
+        throw Object.assign(new Error("GitHub API 404: Not Found"), { statusCode: 404 });
+      })
+    );
+    resetReplay();
+
+    configureReplay({ mode: "replay", dir });
+    const live = async () => assert.fail("replay must not go live");
+    assert.deepEqual(await tape("github", "https://api.github.com/repos/a/b", live), { stars: 7 });
+    await assert.rejects(tape("github", "https://api.github.com/repos/a/b/releases/latest", live), (err) => {
+      assert.equal(err.statusCode, 404);
+      assert.match(err.message, /404/);
+      return true;
+    });
+  });
+
+  it("answers a repeated key in recorded order, then holds the last answer", async () => {
+    const dir = captureDir("sequence");
+    configureReplay({ mode: "record", dir });
+    await tape("llm", { prompt: "p" }, async () => "first");
+    await tape("llm", { prompt: "p" }, async () => "second");
+    resetReplay();
+
+    configureReplay({ mode: "replay", dir });
+    const live = async () => "live";
+    assert.equal(await tape("llm", { prompt: "p" }, live), "first");
+    assert.equal(await tape("llm", { prompt: "p" }, live), "second");
+    assert.equal(await tape("llm", { prompt: "p" }, live), "second");
+  });
+
+  it("fails loudly on a miss unless live misses are allowed", async () => {
+    const dir = captureDir("miss");
+    configureReplay({ mode: "record", dir });
+    resetReplay();
+
+    configureReplay({ mode: "replay", dir });
+    await assert.rejects(tape("llm", { prompt: "new" }, async () => "x"), ReplayMissError);
+    resetReplay();
+
+    configureReplay({ mode: "replay", dir, liveMisses: true });
+    assert.equal(await tape("llm", { prompt: "new" }, async () => "fresh"), "fresh");
+  });
+});
+
+describe("configureReplay", () => {
+  it("refuses to record over an existing capture or replay a missing one", () => {
+    const dir = captureDir("guard");
+    configureReplay({ mode: "record", dir });
+    resetReplay();
+    assert.throws(() => configureReplay({ mode: "record", dir }), /already holds a capture/);
+    assert.throws(() => configureReplay({ mode: "replay", dir: captureDir("nope") }), /No capture found/);
+  });
+
+  it("leaves the clock running while recording", async () => {
+    const { recordedAt } = configureReplay({ mode: "record", dir: captureDir("live-clock") });
+    const before = Date.now();
+    await new Promise((r) => setTimeout(r, 15));
+    assert.ok(Date.now() > before, "Date.now() advances during a recording");
+    assert.ok(new Date() > new Date(recordedAt));
+  });
+
+  it("pins the clock to the capture's start time on replay", async () => {
+    const dir = captureDir("clock");
+    const { recordedAt } = configureReplay({ mode: "record", dir });
+    resetReplay();
+
+    await new Promise((r) => setTimeout(r, 5));
+    configureReplay({ mode: "replay", dir });
+    assert.equal(new Date().toISOString(), recordedAt);
+    assert.equal(Date.now(), Date.parse(recordedAt));
+    // Dates built from a value are untouched.
+    assert.equal(new Date("2020-01-01T00:00:00Z").getUTCFullYear(), 2020);
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, CAPTURE_FILE), "utf-8"));
+    assert.equal(manifest.recordedAt, recordedAt);
+  });
+});
+
+describe("end to end", () => {
+  it("tapes the global fetch and hands back a working Response", async () => {
+    const dir = captureDir("fetch");
+    configureReplay({ mode: "record", dir });
+    const recorded = await (await fetch("https://huggingface.co/api/models?sort=likes7d")).json();
+    resetReplay();
+
+    const before = liveFetchCalls;
+    configureReplay({ mode: "replay", dir });
+    const res = await fetch("https://huggingface.co/api/models?sort=likes7d");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "application/json");
+    assert.deepEqual(await res.json(), recorded);
+    assert.equal(liveFetchCalls, before);
+  });
+
+  it("replays an LLM call byte-for-byte with a client that cannot connect", async () => {
+    const dir = captureDir("llm");
+    const calls = [];
+    configureReplay({ mode: "record", dir });
+    const original = await chat(fakeClient("HEADLINE: Recorded\nBODY: From the tape.", calls), "m", "write it", 100);
+    resetReplay();
+
+    configureReplay({ mode: "replay", dir });
+    const offline = {
+      chat: { completions: { create: async () => assert.fail("replay must not reach the provider") } },
+    };
+    assert.equal(await chat(offline, "m", "write it", 100), original);
+    assert.equal(calls.length, 1);
+  });
+});
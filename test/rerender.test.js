@@ -0,0 +1,140 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { publish, readEditionArtifact, EDITION_ARTIFACT } = require("../src/publish");
+const { rerenderEdition, rerenderEditions, navFor } = require("../src/rerender");
+const { closeDb } = require("../src/db");
+
+function article(name, headline) {
+  return {
+    headline,
+    subheadline: `${headline} — the subhead`,
+    body: "The full story, in more than one sentence. It goes on from there.",
+    useCases: ["Builders shipping agents"],
+    similarProjects: [],
+    repo: { name, shortName: name.split("/")[1], url: `https://github.com/${name}`, stars: 4200, language: "Rust" },
+  };
+}
+
+function content(headline) {
+  return {
+    tagline: "“A quote” — Someone",
+    sections: {
+      frontPage: {
+        lead: article("org/lead", headline),
+        secondary: [article("org/second", "Second Story Lands")],
+        quickHits: [{ name: "tool/one", shortName: "one", url: "https://github.com/tool/one", summary: "A tool", stars: 800 }],
+      },
+      ai: { lead: article("org/ai", "AI Desk Story"), secondary: [], quickHits: [] },
+    },
+  };
+}
+
+const BANDS = {
+  modelDrops: [
+    { name: "model-7b", author: "acme", url: "https://huggingface.co/acme/model-7b", likes: 120, ageDays: 2, headline: "Acme ships a 7B" },
+  ],
+  pushups: [],
+  aiWire: { headlines: [{ title: "Wire story", url: "https://example.com/w", source: "example.com" }], research: [] },
+};
+
+describe("rerender", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gittimes-rerender-"));
+  });
+
+  afterEach(() => {
+    closeDb();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("publish stores a versioned edition artifact with content and bands", async () => {
+    await publish(content("Big News"), tmpDir, { date: new Date(2026, 1, 23), ...BANDS });
+    assert.ok(fs.existsSync(path.join(tmpDir, "editions", "2026-02-23", EDITION_ARTIFACT)));
+    const artifact = readEditionArtifact(tmpDir, "2026-02-23");
+    assert.equal(artifact.version, 1);
+    assert.equal(artifact.date, "2026-02-23");
+    assert.equal(artifact.content.sections.frontPage.lead.headline, "Big News");
+    assert.equal(artifact.bands.modelDrops[0].headline, "Acme ships a 7B");
+    assert.equal(artifact.bands.aiWire.headlines[0].title, "Wire story");
+  });
+
+  it("rebuilds the edition and its article pages byte-for-byte", async () => {
+    await publish(content("Big News"), tmpDir, { date: new Date(2026, 1, 23), ...BANDS });
+    const editionDir = path.join(tmpDir, "editions", "2026-02-23");
+    const frontPage = fs.readFileSync(path.join(editionDir, "index.html"), "utf-8");
+    const articlePage = fs.readFileSync(path.join(editionDir, "big-news", "index.html"), "utf-8");
+
+    fs.rmSync(path.join(editionDir, "index.html"));
+    fs.rmSync(path.join(editionDir, "big-news"), { recursive: true });
+    const r = await rerenderEdition(tmpDir, "2026-02-23");
+
+    assert.deepEqual(r, { date: "2026-02-23", articleCount: 3, latest: true });
+    assert.equal(fs.readFileSync(path.join(editionDir, "index.html"), "utf-8"), frontPage);
+    assert.equal(fs.readFileSync(path.join(editionDir, "big-news", "index.html"), "utf-8"), articlePage);
+    assert.equal(fs.readFileSync(path.join(tmpDir, "latest", "index.html"), "utf-8"), frontPage);
+  });
+
+  it("picks up a change to the stored content without touching the LLM", async () => {
+    await publish(content("Big News"), tmpDir, { date: new Date(2026, 1, 23) });
+    const file = path.join(tmpDir, "editions", "2026-02-23", EDITION_ARTIFACT);
+    const stored = JSON.parse(fs.readFileSync(file, "utf-8"));
+    stored.content.sections.frontPage.lead.subheadline = "A corrected subhead";
+    fs.writeFileSync(file, JSON.stringify(stored));
+
+    await rerenderEdition(tmpDir, "2026-02-23");
+    const html = fs.readFileSync(path.join(tmpDir, "editions", "2026-02-23", "index.html"), "utf-8");
+    assert.match(html, /A corrected subhead/);
+  });
+
+  it("gives an older edition both neighbours and leaves /latest/ alone", async () => {
+    await publish(content("Day One"), tmpDir, { date: new Date(2026, 1, 22) });
+    await publish(content("Day Two"), tmpDir, { date: new Date(2026, 1, 23) });
+    const latestBefore = fs.readFileSync(path.join(tmpDir, "latest", "index.html"), "utf-8");
+
+    const r = await rerenderEdition(tmpDir, "2026-02-22");
+    assert.equal(r.latest, false);
+    const html = fs.readFileSync(path.join(tmpDir, "editions", "2026-02-22", "index.html"), "utf-8");
+    assert.match(html, /Next Edition/);
+    assert.match(html, /\/editions\/2026-02-23\//);
+    assert.equal(fs.readFileSync(path.join(tmpDir, "latest", "index.html"), "utf-8"), latestBefore);
+  });
+
+  it("skips editions that predate the artifact and reports failures per edition", async () => {
+    await publish(content("Big News"), tmpDir, { date: new Date(2026, 1, 23) });
+    fs.mkdirSync(path.join(tmpDir, "editions", "2026-02-21"), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, "editions", "2026-02-21", EDITION_ARTIFACT), JSON.stringify({ version: 99 }));
+
+    const r = await rerenderEditions(tmpDir, ["2026-02-23", "2026-02-20", "2026-02-21"]);
+    assert.deepEqual(r.rendered, ["2026-02-23"]);
+    assert.deepEqual(r.skipped, ["2026-02-20"]);
+    assert.equal(r.failed.length, 1);
+    assert.match(r.failed[0].error, /schema v99/);
+  });
+
+  it("rejects a malformed date", async () => {
+    await assert.rejects(rerenderEdition(tmpDir, "../etc"), /YYYY-MM-DD/);
+  });
+});
+
+describe("navFor", () => {
+  const manifest = [{ date: "2026-02-23" }, { date: "2026-02-22" }, { date: "2026-02-21" }];
+
+  it("links the newest edition backwards only", () => {
+    const nav = navFor(manifest, "2026-02-23", "");
+    assert.equal(nav.prev.url, "/editions/2026-02-22/");
+    assert.equal(nav.next, undefined);
+  });
+
+  it("links a middle edition both ways", () => {
+    const nav = navFor(manifest, "2026-02-22", "/gt");
+    assert.equal(nav.prev.url, "/gt/editions/2026-02-21/");
+    assert.equal(nav.next.url, "/gt/editions/2026-02-23/");
+    assert.equal(nav.archive, "/gt/archive/");
+  });
+});
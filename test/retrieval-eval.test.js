@@ -0,0 +1,215 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { buildCorpus } = require("../src/build-corpus");
+const { assembleArticlePage } = require("../src/render");
+const {
+  loadCases, isRelevant, evaluate, compareLanes, formatReport, toBaseline, diffBaseline, parseArgs, BASELINE_PATH,
+} = require("../src/retrieval-eval");
+
+test("isRelevant — repo names match the chunk's repo, paths match as URL prefixes", () => {
+  const chunk = { repo: "acme/kv", url: "/editions/2026-06-19/acme-ships-a-kv-store/" };
+  assert.ok(isRelevant(chunk, "acme/kv"));
+  assert.ok(isRelevant(chunk, "/editions/2026-06-19/"), "an article page falls under its edition");
+  assert.ok(!isRelevant(chunk, "/editions/2026-06-20/"));
+  assert.ok(!isRelevant(chunk, "acme/kv-store"));
+});
+
+test("evaluate — recall@k and MRR", () => {
+  const cases = [
+    { question: "a", expect: ["x/one"] },
+    { question: "b", expect: ["x/two", "x/three"] },
+    { question: "c", expect: ["x/four"] },
+  ];
+  const ranked = {
+    a: ["x/one"],
+    b: ["x/zero", "x/two"],
+    c: ["x/zero"],
+  };
+  const r = evaluate(cases, (c) => ranked[c.question].map((repo) => ({ chunk: { repo } })), { k: 6 });
+  assert.deepEqual(r.results.map((x) => x.rank), [1, 2, null]);
+  assert.ok(Math.abs(r.recall - (1 + 0.5 + 0) / 3) < 1e-9);
+  assert.ok(Math.abs(r.mrr - (1 + 0.5 + 0) / 3) < 1e-9);
+});
+
+test("evaluate — citation precision counts pages cited, over cases that cite anything", () => {
+  const cases = [
+    { question: "a", expect: ["x/one"] },
+    { question: "b", expect: ["x/two"] },
+  ];
+  const hits = {
+    // two passages of the relevant page are one citation; the other page is noise
+    a: [
+      { chunk: { repo: "x/one", url: "/editions/2026-06-01/one/", text: "p1" } },
+      { chunk: { repo: "x/one", url: "/editions/2026-06-01/one/", text: "p2" } },
+      { chunk: { repo: "x/zzz", url: "/editions/2026-06-01/zzz/", text: "p3" } },
+    ],
+    b: [],
+  };
+  const r = evaluate(cases, (c) => hits[c.question]);
+  assert.deepEqual(r.results.map((x) => [x.cited, x.citedRelevant]), [[2, 1], [0, 0]]);
+  assert.equal(r.precision, 0.5, "the case that cited nothing is not averaged in");
+});
+
+test("diffBaseline — a drop past tolerance is a regression, and the slipped question is named", () => {
+  const lane = (recall, ranks) => ({
+    k: 6, recall, mrr: recall, precision: 0.5,
+    results: Object.entries(ranks).map(([question, rank]) => ({ question, rank })),
+  });
+  const baseline = toBaseline({ bm25: lane(1, { q1: 1, q2: 1 }), next: null }, { builtAt: "x" });
+  assert.deepEqual(Object.keys(baseline.lanes), ["bm25"]);
+
+  const same = diffBaseline({ bm25: lane(1, { q1: 1, q2: 1 }) }, baseline);
+  assert.deepEqual(same.regressions, []);
+
+  const worse = diffBaseline({ bm25: lane(0.5, { q1: 1, q2: null, q3: 2 }) }, baseline);
+  assert.deepEqual(worse.regressions, ["bm25 recall 1.000 -> 0.500", "bm25 mrr 1.000 -> 0.500"]);
+  assert.ok(worse.lines.some((l) => /- \[bm25\] rank 1 -> miss: q2/.test(l)));
+  assert.ok(!worse.lines.some((l) => /q3/.test(l)), "a new question has no baseline to slip from");
+
+  assert.deepEqual(diffBaseline({ bm25: lane(0.95, { q1: 1 }) }, baseline, { tolerance: 0.1 }).regressions, []);
+  assert.deepEqual(diffBaseline({ next: lane(0.1, {}) }, baseline).regressions, [], "no baseline for the lane");
+});
+
+test("parseArgs — flags, and a bad tolerance is refused", () => {
+  const o = parseArgs(["--rebuild", "--tolerance", "0.02", "--update-baseline"]);
+  assert.equal(o.rebuild, true);
+  assert.equal(o.update, true);
+  assert.equal(o.tolerance, 0.02);
+  assert.throws(() => parseArgs(["--tolerance", "-1"]), /tolerance/);
+  assert.throws(() => parseArgs(["--nope"]), /unknown option/);
+});
+
+test("compareLanes — BM25 over the corpus, and the report names what it missed", () => {
+  const corpus = {
+    builtAt: "2026-06-27T00:00:00Z",
+    chunks: [
+      { i: 0, type: "repo", repo: "genymobile/scrcpy", title: "scrcpy mirrors Android", text: "scrcpy mirror android screen", date: "2026-06-24", url: "/editions/2026-06-24/" },
+      { i: 1, type: "repo", repo: "gitleaks/gitleaks", title: "Gitleaks", text: "gitleaks secret detection", date: "2026-06-24", url: "/editions/2026-06-24/" },
+    ],
+  };
+  const cases = [
+    { question: "scrcpy android mirror", expect: ["genymobile/scrcpy"] },
+    { question: "find leaked credentials", expect: ["gitleaks/gitleaks"] },
+  ];
+  const lanes = compareLanes(corpus, cases);
+  assert.deepEqual(Object.keys(lanes), ["bm25"]);
+  assert.deepEqual(lanes.bm25.results.map((x) => x.rank), [1, null]);
+  assert.match(formatReport(lanes), /missed by bm25:\n {4}- find leaked credentials/);
+});
+
+test("the checked-in golden set is well formed", () => {
+  const cases = loadCases();
+  assert.ok(cases.length >= 10);
+  for (const c of cases) assert.ok(c.expect.every((e) => typeof e === "string" && e.length > 0));
+});
+
+// The gate itself. Retrieval is graded end to end on a corpus rebuilt here from
+// fixture coverage — db rows plus article pages written the way publish writes
+// them — so a change to src/build-corpus.js or src/retrieve.js is judged by the
+// code as it stands, not by an old data/corpus.json. The accepted numbers are in
+// test/snapshots/retrieval/baseline.json; after a deliberate change, rewrite it
+// and commit the diff:
+//   UPDATE_SNAPSHOTS=1 node --test test/retrieval-eval.test.js
+const SNAPSHOT = path.join(__dirname, "snapshots", "retrieval", "baseline.json");
+const UPDATE = process.env.UPDATE_SNAPSHOTS === "1";
+
+// [repo, edition date, headline]; the first two also get an article page.
+const FIXTURE_REPOS = [
+  ["Genymobile/scrcpy", "2026-06-24", "Scrcpy mirrors and controls Android devices over USB"],
+  ["gitleaks/gitleaks", "2026-06-24", "Gitleaks scans git history for leaked secrets"],
+  ["rustdesk/rustdesk", "2026-06-10", "RustDesk is an open-source remote desktop you host yourself"],
+  ["ventoy/Ventoy", "2026-05-20", "Ventoy boots many ISO files from one USB drive"],
+  ["netdata/netdata", "2026-05-20", "Netdata streams per-second server metrics"],
+  ["wolfpld/tracy", "2026-04-02", "Tracy is a frame profiler for games"],
+  ["pikvm/pikvm", "2026-04-02", "PiKVM turns a Raspberry Pi into KVM over IP"],
+  ["keras-team/keras", "2026-03-16", "Keras 3 runs on JAX, TensorFlow and PyTorch"],
+];
+const FIXTURE_BODIES = {
+  "Genymobile/scrcpy":
+    "Scrcpy shows a phone's screen on a laptop and takes keyboard and mouse input back.\n\n" +
+    "It needs no app on the device and no root, and the latency stays under a frame.",
+  "gitleaks/gitleaks":
+    "Gitleaks walks every commit looking for tokens, passwords and cloud credentials.\n\n" +
+    "A pre-commit hook stops a key before it lands; rotating it is still on you once it has.",
+};
+const FIXTURE_CASES = [
+  { question: "How do I mirror and control my Android phone from my laptop?", expect: ["Genymobile/scrcpy"] },
+  { question: "What should I use to catch leaked API keys in git history?", expect: ["gitleaks/gitleaks"] },
+  { question: "a hook that stops passwords before they are committed", expect: ["/editions/2026-06-24/"] },
+  { question: "Is there a self-hosted alternative to TeamViewer?", expect: ["rustdesk/rustdesk"] },
+  { question: "One USB stick that boots several operating system installers", expect: ["ventoy/Ventoy"] },
+  { question: "per-second monitoring of server metrics", expect: ["netdata/netdata"] },
+  { question: "frame profiler for game performance tuning", expect: ["wolfpld/tracy"] },
+  { question: "KVM over IP with a Raspberry Pi for remote server control", expect: ["pikvm/pikvm"] },
+  { question: "deep learning framework that runs on JAX and PyTorch backends", expect: ["keras-team/keras"] },
+];
+
+async function buildFixtureCorpus() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gittimes-eval-"));
+  const dbPath = path.join(dir, "gittimes.db");
+  const siteDir = path.join(dir, "site");
+  const db = new Database(dbPath);
+  db.exec(
+    "CREATE TABLE repo_snapshots (repo_name TEXT, stars INTEGER, date TEXT);" +
+      "CREATE TABLE edition_repos (repo_name TEXT, headline TEXT, edition_date TEXT);" +
+      "CREATE TABLE editions (date TEXT, headline TEXT, subheadline TEXT, tagline TEXT, url TEXT);"
+  );
+  for (const [repo, date, headline] of FIXTURE_REPOS) {
+    db.prepare("INSERT INTO repo_snapshots VALUES (?,?,?)").run(repo, 1000, date);
+    db.prepare("INSERT INTO edition_repos VALUES (?,?,?)").run(repo, headline, date);
+    if (!FIXTURE_BODIES[repo]) continue;
+    const { html, slug } = await assembleArticlePage(
+      { headline, subheadline: "", body: FIXTURE_BODIES[repo], repo: { url: `https://github.com/${repo}`, name: repo, language: "Go", stars: 1000 } },
+      { date: new Date(date), dateStr: date, basePath: "", siteUrl: "https://gittimes.com", sectionId: "dev", slot: "secondary" }
+    );
+    fs.mkdirSync(path.join(siteDir, "editions", date, slug), { recursive: true });
+    fs.writeFileSync(path.join(siteDir, "editions", date, slug, "index.html"), html);
+  }
+  db.prepare("INSERT INTO editions VALUES (?,?,?,?,?)").run("2026-06-24", "Tools that keep secrets secret", "", "", null);
+  db.close();
+  // Pin the build time: recency, and so the numbers, must not drift day to day.
+  return { dir, corpus: { ...buildCorpus(dbPath, { siteDir }), builtAt: "2026-06-27T00:00:00.000Z" } };
+}
+
+test("golden questions hold their baseline on a corpus rebuilt from fixtures", async () => {
+  const { dir, corpus } = await buildFixtureCorpus();
+  try {
+    const lanes = compareLanes(corpus, FIXTURE_CASES);
+    if (UPDATE) {
+      fs.mkdirSync(path.dirname(SNAPSHOT), { recursive: true });
+      fs.writeFileSync(SNAPSHOT, JSON.stringify(toBaseline(lanes, corpus), null, 2) + "\n");
+      return;
+    }
+    assert.ok(fs.existsSync(SNAPSHOT), "no retrieval baseline — run with UPDATE_SNAPSHOTS=1 to record it");
+    const baseline = JSON.parse(fs.readFileSync(SNAPSHOT, "utf8"));
+    assert.deepEqual(
+      Object.keys(baseline.lanes.bm25.ranks).sort(),
+      FIXTURE_CASES.map((c) => c.question).sort(),
+      "the fixture questions changed — rerun with UPDATE_SNAPSHOTS=1"
+    );
+    const { regressions, lines } = diffBaseline(lanes, baseline);
+    assert.deepEqual(regressions, [], `retrieval regressed:\n${lines.join("\n")}`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// The checked-in corpus and its baseline move together: `gittimes eval retrieval
+// --update-baseline` after any rebuild of data/corpus.json, in the same commit.
+test("golden questions hold their baseline on the checked-in corpus", () => {
+  const corpus = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "data", "corpus.json"), "utf8"));
+  const baseline = JSON.parse(fs.readFileSync(BASELINE_PATH, "utf8"));
+  assert.equal(
+    baseline.corpusBuiltAt,
+    corpus.builtAt,
+    "data/corpus.json was rebuilt without its baseline — run `gittimes eval retrieval --update-baseline`"
+  );
+  const { regressions, lines } = diffBaseline(compareLanes(corpus, loadCases()), baseline);
+  assert.deepEqual(regressions, [], `retrieval regressed:\n${lines.join("\n")}`);
+});
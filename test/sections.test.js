@@ -0,0 +1,129 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+const {
+  SECTIONS,
+  SECTION_ORDER,
+  BUILTIN_ORDER,
+  resolveSections,
+  reloadSections,
+  describeSections,
+} = require("../src/sections");
+const { assembleHtml, assembleArticlePage } = require("../src/render");
+const { renderApiDocsPage } = require("../src/api-docs");
+
+const EXAMPLE = path.join(__dirname, "..", "sections.config.example.json");
+
+// --------------- resolveSections ---------------
+
+describe("resolveSections", () => {
+  it("is the built-in paper with no config", () => {
+    const { sections, order } = resolveSections({});
+    assert.deepEqual(order, BUILTIN_ORDER);
+    assert.equal(sections.frontPage.query, null);
+  });
+
+  it("adds desks after the built-ins, retunes and drops built-ins", () => {
+    const { sections, order } = resolveSections({
+      sections: {
+        databases: { label: "Databases", topics: ["database", "sql"] },
+        diy: { enabled: false },
+        ai: { budget: { secondary: 4 } },
+      },
+    });
+    assert.deepEqual(order, ["frontPage", "ai", "robotics", "cyber", "systems", "gameDev", "databases"]);
+    assert.deepEqual(sections.databases, {
+      id: "databases",
+      label: "Databases",
+      budget: { secondary: 3, quickHits: 5 },
+      query: { topics: ["database", "sql"], languages: [] },
+    });
+    assert.deepEqual(sections.ai.budget, { secondary: 4, quickHits: 5 });
+    assert.ok(sections.ai.query.topics.includes("llm"));
+    assert.equal(sections.diy, undefined);
+  });
+
+  it("takes a partial order and always leads with the Front Page", () => {
+    const { order } = resolveSections({
+      sections: { devTools: { label: "DevTools", topics: ["cli"] } },
+      order: ["devTools", "systems"],
+    });
+    assert.deepEqual(order, ["frontPage", "devTools", "systems", "ai", "robotics", "cyber", "diy", "gameDev"]);
+  });
+
+  it("rejects configs that would silently lose a desk", () => {
+    assert.throws(() => resolveSections({ sections: { empty: { label: "Empty" } } }), /at least one topic or language/);
+    assert.throws(() => resolveSections({ sections: { "dev-tools": { label: "X", topics: ["cli"] } } }), /camelCase/);
+    assert.throws(() => resolveSections({ sections: { aiWire: { label: "X", topics: ["cli"] } } }), /reserved/);
+    assert.throws(() => resolveSections({ sections: { x: { topics: ["cli"] } } }), /needs a label/);
+    assert.throws(() => resolveSections({ sections: { frontPage: { enabled: false } } }), /cannot be disabled/);
+    assert.throws(() => resolveSections({ order: ["nope"] }), /unknown or disabled section "nope"/);
+    assert.throws(
+      () => resolveSections({ sections: { x: { label: "X", topics: ["a"], budget: { quickHits: -1 } } } }),
+      /budget.quickHits/
+    );
+  });
+});
+
+// --------------- a configured paper end to end ---------------
+
+describe("sections.config.json", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gittimes-sections-"));
+  });
+
+  afterEach(() => {
+    reloadSections();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("reloads the shared SECTIONS / SECTION_ORDER in place", () => {
+    reloadSections(EXAMPLE);
+    assert.deepEqual(SECTION_ORDER.slice(0, 5), ["frontPage", "ai", "databases", "devTools", "systems"]);
+    assert.equal(SECTIONS.devTools.budget.quickHits, 6);
+    const listed = describeSections();
+    assert.equal(listed.length, SECTION_ORDER.length);
+    assert.deepEqual(Object.keys(listed[2]), ["id", "label", "topics", "languages", "budget"]);
+    assert.ok(renderApiDocsPage("").includes('"label": "Databases"'));
+
+    reloadSections();
+    assert.deepEqual(SECTION_ORDER, BUILTIN_ORDER);
+    assert.equal(SECTIONS.databases, undefined);
+  });
+
+  it("names the file when it isn't JSON", () => {
+    const file = path.join(tmpDir, "sections.config.json");
+    fs.writeFileSync(file, "{ nope");
+    assert.throws(() => reloadSections(file), /sections\.config\.json is not valid JSON/);
+  });
+
+  it("gives a configured desk a nav tab, a panel and labelled article pages", async () => {
+    reloadSections(EXAMPLE);
+    const article = (headline, name) => ({
+      headline,
+      subheadline: "Sub",
+      body: "First sentence. Second sentence.",
+      repo: { name, url: `https://github.com/${name}`, stars: 900, language: "Go" },
+    });
+    const content = {
+      sections: {
+        frontPage: { lead: article("Front", "a/front"), secondary: [], quickHits: [], isEmpty: false },
+        databases: { lead: article("A new SQLite fork", "b/lite"), secondary: [], quickHits: [], isEmpty: false },
+      },
+      tagline: "Today",
+    };
+    const opts = { date: new Date("2026-06-23"), dateStr: "2026-06-23", basePath: "", siteUrl: "https://gittimes.com" };
+    const html = await assembleHtml(content, opts);
+    assert.match(html, /<button class="section-tab" data-section="databases">Databases<\/button>/);
+    assert.match(html, /section-tab" data-section="devTools" disabled>DevTools/);
+    assert.ok(/section-panel" data-section="databases">[\s\S]*A new SQLite fork/.test(html));
+
+    const page = await assembleArticlePage(content.sections.databases.lead, { ...opts, sectionId: "databases" });
+    assert.ok(page.html.includes("Databases"));
+  });
+});
@@ -1,8 +1,14 @@
-const { describe, it } = require("node:test");
+const { describe, it, before, after, beforeEach } = require("node:test");
 const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 
-const { buildLeadThreadContext, extractLead } = require("../src/threads");
+const threads = require("../src/threads");
+const { buildLeadThreadContext, extractLead } = threads;
 const { chooseLeadPrompt } = require("../src/prompts");
+const { closeDb, getDb, upsertEdition, recordPlacements } = require("../src/db");
+const { renderHybridArticle } = require("../src/render");
 
 describe("buildLeadThreadContext", () => {
   const manifest = [
@@ -73,7 +79,7 @@ describe("chooseLeadPrompt continuity injection", () => {
     const p = chooseLeadPrompt(candidates);
     assert.doesNotMatch(p, /RECENT FRONT PAGES/);
     assert.match(p, /CANDIDATES:/);
-    assert.match(p, /LEAD:/);
+    assert.match(p, /"lead":/);
   });
 
   it("includes the continuity block when a threadBlock is given", () => {
@@ -85,6 +91,210 @@ describe("chooseLeadPrompt continuity injection", () => {
     assert.match(p, /o\/prev/);
     // candidates still present and format intact
     assert.match(p, /a\/one/);
-    assert.match(p, /LEAD:/);
+    assert.match(p, /"lead":/);
+  });
+});
+
+describe("buildLeadThreadContext open threads", () => {
+  const openThreads = [
+    { title: "OpenAI", lastDate: "2026-06-23", count: 3, latestHeadline: "Codex goes local" },
+    { title: "denoland/deno", lastDate: "2026-06-20", count: 2, latestHeadline: "" },
+  ];
+
+  it("lists open threads with their last development date", () => {
+    const { block } = buildLeadThreadContext(
+      [{ date: "2026-06-24", headline: "Lead", repos: ["o/prev"] }],
+      { openThreads }
+    );
+    assert.match(block, /RECENT FRONT PAGES/);
+    assert.match(block, /OPEN STORY THREADS/);
+    assert.match(block, /- OpenAI \(last development 2026-06-23, 3 stories\) — latest: "Codex goes local"/);
+    assert.match(block, /- denoland\/deno \(last development 2026-06-20, 2 stories\)$/m);
+    assert.ok(block.indexOf("OPEN STORY THREADS") < block.indexOf("CONTINUITY GUIDANCE"));
+  });
+
+  it("still gives the editor open threads when the manifest is empty", () => {
+    const { block, recentLeadRepos } = buildLeadThreadContext([], { openThreads });
+    assert.match(block, /OPEN STORY THREADS/);
+    assert.match(block, /CONTINUITY GUIDANCE/);
+    assert.doesNotMatch(block, /RECENT FRONT PAGES/);
+    assert.equal(recentLeadRepos.size, 0);
+  });
+
+  it("leaves the block unchanged when there are no open threads", () => {
+    const manifest = [{ date: "2026-06-24", headline: "Lead", repos: ["o/prev"] }];
+    assert.equal(
+      buildLeadThreadContext(manifest, { openThreads: [] }).block,
+      buildLeadThreadContext(manifest).block
+    );
+  });
+});
+
+describe("story thread ledger", () => {
+  let dataDir;
+  const article = (repo, headline, slot = "lead") => ({
+    repo, headline, section: "frontPage", slot, url: `/editions/x/${headline.toLowerCase().replace(/ /g, "-")}/`,
+  });
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "gittimes-threads-"));
+  });
+
+  after(() => {
+    closeDb();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    getDb(dataDir).exec(
+      "DELETE FROM editions; DELETE FROM edition_repos; DELETE FROM story_threads; DELETE FROM thread_articles;"
+    );
+  });
+
+  it("files a repo under its own thread and its company's", () => {
+    assert.deepEqual(threads.threadsForRepo("openai/codex").map((t) => t.id), ["repo-openai-codex", "entity-openai"]);
+    assert.deepEqual(threads.threadsForRepo("someone/tool").map((t) => t.id), ["repo-someone-tool"]);
+    assert.equal(threads.threadsForRepo("openai/codex")[1].title, "OpenAI");
+  });
+
+  it("links new coverage to prior coverage of the same repo", () => {
+    threads.recordThreads(dataDir, "2026-06-20", [article("denoland/deno", "Deno 2.8 ships")]);
+    threads.recordThreads(dataDir, "2026-06-24", [article("denoland/deno", "Deno 2.9 follows")]);
+
+    const t = threads.getThreadTimeline(dataDir, "denoland/deno", { before: "2026-06-24" });
+    assert.equal(t.id, "repo-denoland-deno");
+    assert.equal(t.status, "developing");
+    assert.deepEqual(t.entries.map((e) => e.headline), ["Deno 2.8 ships"]);
+
+    const later = threads.getThreadTimeline(dataDir, "denoland/deno", { before: "2026-06-25" });
+    assert.deepEqual(later.entries.map((e) => e.date), ["2026-06-24", "2026-06-20"]);
+  });
+
+  it("falls back to the company thread for a company's first story on a repo", () => {
+    threads.recordThreads(dataDir, "2026-06-20", [article("openai/codex", "Codex goes local")]);
+    const t = threads.getThreadTimeline(dataDir, "openai/agents-sdk", { before: "2026-06-24" });
+    assert.equal(t.id, "entity-openai");
+    assert.equal(t.title, "OpenAI");
+    assert.equal(t.entries[0].repo, "openai/codex");
+    assert.equal(threads.getThreadTimeline(dataDir, "someone/new", { before: "2026-06-24" }), null);
+  });
+
+  it("is idempotent per edition — a republish replaces the day's filings", () => {
+    threads.recordThreads(dataDir, "2026-06-20", [article("a/one", "First"), article("b/two", "Second", "secondary")]);
+    threads.recordThreads(dataDir, "2026-06-20", [article("a/one", "First, revised")]);
+    const n = getDb(dataDir).prepare("SELECT COUNT(*) AS n FROM thread_articles").get().n;
+    assert.equal(n, 1);
+    // b/two lost its only story, so its thread is gone too
+    assert.equal(getDb(dataDir).prepare("SELECT COUNT(*) AS n FROM story_threads WHERE id = 'repo-b-two'").get().n, 0);
+  });
+
+  it("resolves quiet threads and reopens them on new coverage", () => {
+    threads.recordThreads(dataDir, "2026-05-01", [article("a/one", "Early"), article("b/two", "Also early")]);
+    threads.recordThreads(dataDir, "2026-05-02", [article("a/one", "Again")]);
+    threads.recordThreads(dataDir, "2026-06-01", [article("c/three", "Much later")]);
+    const status = (id) => getDb(dataDir).prepare("SELECT status FROM story_threads WHERE id = ?").get(id).status;
+    assert.equal(status("repo-a-one"), "resolved");
+    assert.equal(status("repo-c-three"), "developing");
+
+    threads.recordThreads(dataDir, "2026-06-02", [article("a/one", "Back")]);
+    assert.equal(status("repo-a-one"), "developing");
+  });
+
+  it("judges status from the newest edition, so refiling an old date changes nothing", () => {
+    threads.recordThreads(dataDir, "2026-05-01", [article("a/one", "Early")]);
+    threads.recordThreads(dataDir, "2026-06-01", [article("c/three", "Much later")]);
+    const status = (id) => getDb(dataDir).prepare("SELECT status FROM story_threads WHERE id = ?").get(id).status;
+    assert.equal(status("repo-a-one"), "resolved");
+
+    // A rerender or backfill of May 1st: a/one is still a month quiet, c/three still moving.
+    threads.recordThreads(dataDir, "2026-05-01", [article("a/one", "Early, refiled")]);
+    assert.equal(status("repo-a-one"), "resolved");
+    assert.equal(status("repo-c-three"), "developing");
+
+    // The newest edition counts even before its own coverage is filed.
+    upsertEdition(dataDir, { date: "2026-07-01", headline: "Later still", repos: [] });
+    threads.recordThreads(dataDir, "2026-05-01", [article("a/one", "Early")]);
+    assert.equal(status("repo-c-three"), "resolved");
+  });
+
+  it("gives the editor developing threads with more than one story, newest first", () => {
+    threads.recordThreads(dataDir, "2026-06-20", [article("a/one", "One"), article("b/two", "Two")]);
+    threads.recordThreads(dataDir, "2026-06-22", [article("a/one", "One again"), article("c/three", "Three")]);
+    const open = threads.getOpenThreads(dataDir);
+    assert.deepEqual(open.map((t) => t.id), ["repo-a-one"]);
+    assert.equal(open[0].lastDate, "2026-06-22");
+    assert.equal(open[0].count, 2);
+    assert.equal(open[0].latestHeadline, "One again");
+    assert.equal(threads.getOpenThreads(dataDir, { minStories: 1 }).length, 3);
+  });
+
+  it("backfills an empty ledger from edition history", () => {
+    upsertEdition(dataDir, { date: "2026-06-20", headline: "Deno 2.8 ships", repos: ["denoland/deno", "x/quick"] });
+    upsertEdition(dataDir, { date: "2026-06-22", headline: "Other news", repos: ["o/other", "denoland/deno"] });
+    recordPlacements(dataDir, "2026-06-22", [
+      { repo: "denoland/deno", section: "frontPage", slot: "secondary", rank: 0, headline: "Deno 2.9 follows" },
+    ]);
+
+    assert.equal(threads.backfillThreads(dataDir), 2);
+    assert.equal(threads.backfillThreads(dataDir), 0, "a populated ledger is left alone");
+
+    const t = threads.getThreadTimeline(dataDir, "denoland/deno", { before: "2026-06-30" });
+    assert.deepEqual(t.entries.map((e) => e.headline), ["Deno 2.9 follows", "Deno 2.8 ships"]);
+    assert.equal(t.entries[0].url, "/editions/2026-06-22/deno-2-9-follows/");
+    assert.equal(t.entries[1].url, "/editions/2026-06-20/deno-2-8-ships/");
+    const quick = threads.getThreadTimeline(dataDir, "x/quick", { before: "2026-06-30" });
+    assert.equal(quick.entries[0].url, "/editions/2026-06-20/");
+  });
+
+  it("attaches timelines to articles ahead of publishing", () => {
+    threads.recordThreads(dataDir, "2026-06-20", [article("denoland/deno", "Deno 2.8 ships")]);
+    const content = {
+      sections: {
+        frontPage: {
+          lead: { headline: "Deno 2.9", repo: { name: "denoland/deno" } },
+          secondary: [{ headline: "Fresh", repo: { name: "new/repo" } }],
+        },
+      },
+    };
+    assert.equal(threads.attachThreadTimelines(dataDir, content, "2026-06-24"), 1);
+    assert.equal(content.sections.frontPage.lead.thread.entries[0].headline, "Deno 2.8 ships");
+    assert.equal(content.sections.frontPage.secondary[0].thread, undefined);
+  });
+});
+
+describe("thread timeline rendering", () => {
+  const base = {
+    headline: "Deno 2.9 follows",
+    subheadline: "Deck",
+    body: "One. Two. Three.",
+    repo: { name: "denoland/deno", url: "https://github.com/denoland/deno", language: "Rust", stars: 100 },
+    priorCoverage: [{ date: "2026-06-20", headline: "Deno 2.8 ships" }],
+    thread: {
+      id: "repo-denoland-deno",
+      title: "denoland/deno",
+      status: "developing",
+      entries: [
+        { date: "2026-06-20", repo: "denoland/deno", headline: "Deno 2.8 ships", url: "/editions/2026-06-20/deno-2-8-ships/" },
+        { date: "2026-06-10", repo: "denoland/fresh", headline: "Fresh 2 lands", url: "" },
+      ],
+    },
+  };
+
+  it("renders the timeline in place of the single prior line on article pages", () => {
+    const html = renderHybridArticle(base, { isLead: true, expanded: true, timeline: true });
+    assert.match(html, /Previously in The Git Times/);
+    assert.match(html, /data-thread="repo-denoland-deno"/);
+    assert.match(html, /href="\{\{BASE_PATH\}\}\/editions\/2026-06-20\/deno-2-8-ships\/"/);
+    assert.match(html, /href="\{\{BASE_PATH\}\}\/editions\/2026-06-10\/"/);
+    // Only entries from another repo name it
+    assert.match(html, /thread-timeline-repo">denoland\/fresh/);
+    assert.doesNotMatch(html, /thread-timeline-repo">denoland\/deno/);
+    assert.doesNotMatch(html, /hybrid-prior/);
+  });
+
+  it("keeps the single prior line on edition pages", () => {
+    const html = renderHybridArticle(base, { isLead: true });
+    assert.match(html, /hybrid-prior/);
+    assert.doesNotMatch(html, /thread-timeline/);
   });
 });
@@ -1491,10 +1491,10 @@ describe("breakoutArticlePrompt", () => {
   };
   const delta = { starDelta: 500, forkDelta: 50, daysSinceSnapshot: 2, previousStars: 4500, starVelocity: 250 };
 
-  it("returns a string containing HEADLINE marker", () => {
+  it("asks for the article contract's headline field", () => {
     const result = breakoutArticlePrompt(repo, delta);
     assert.equal(typeof result, "string");
-    assert.ok(result.includes("HEADLINE:"));
+    assert.ok(result.includes(`"headline":`));
   });
 
   it("includes SPOTLIGHT keyword", () => {
@@ -1509,7 +1509,7 @@ describe("breakoutArticlePrompt", () => {
   it("works without delta", () => {
     const result = breakoutArticlePrompt(repo, null);
     assert.equal(typeof result, "string");
-    assert.ok(result.includes("HEADLINE:"));
+    assert.ok(result.includes(`"headline":`));
   });
 });
 
@@ -1522,10 +1522,10 @@ describe("trendArticlePrompt", () => {
     ],
   };
 
-  it("returns a string containing HEADLINE marker", () => {
+  it("asks for the article contract's headline field", () => {
     const result = trendArticlePrompt(trend);
     assert.equal(typeof result, "string");
-    assert.ok(result.includes("HEADLINE:"));
+    assert.ok(result.includes(`"headline":`));
   });
 
   it("includes TREND keyword", () => {
@@ -1549,10 +1549,10 @@ describe("sleeperArticlePrompt", () => {
     reason: "Under-the-radar with 80 stars, gained 25 since last snapshot",
   };
 
-  it("returns a string containing HEADLINE marker", () => {
+  it("asks for the article contract's headline field", () => {
     const result = sleeperArticlePrompt(sleeper);
     assert.equal(typeof result, "string");
-    assert.ok(result.includes("HEADLINE:"));
+    assert.ok(result.includes(`"headline":`));
   });
 
   it("includes Deep Cuts framing", () => {
@@ -0,0 +1,187 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+const { rankWeek, collectWeek, writeDigest, publishWeekly } = require("../src/weekly");
+const { writeEditionArtifact, toDateStr } = require("../src/publish");
+const { closeDb } = require("../src/db");
+
+function daysAgo(n) {
+  const d = new Date();
+  d.setDate(d.getDate() - n);
+  return toDateStr(d);
+}
+
+function article(repo, headline) {
+  return { headline, subheadline: "", body: "Body.", repo: { name: repo } };
+}
+
+/** Seed a site dir with dailies: manifest.json plus each edition's edition.json. */
+function seedSite(dir, editions) {
+  const manifest = [];
+  for (const e of editions) {
+    const editionDir = path.join(dir, "editions", e.date);
+    fs.mkdirSync(editionDir, { recursive: true });
+    writeEditionArtifact(editionDir, { date: e.date, content: e.content, bands: e.bands || {} });
+    manifest.push({ date: e.date, headline: e.headline, tagline: "", url: `/editions/${e.date}/`, repos: [] });
+  }
+  manifest.sort((a, b) => b.date.localeCompare(a.date));
+  fs.writeFileSync(path.join(dir, "editions", "manifest.json"), JSON.stringify(manifest));
+}
+
+function mockClient(content) {
+  return {
+    chat: {
+      completions: {
+        create: async () => {
+          if (content instanceof Error) throw content;
+          return { choices: [{ message: { content } }], usage: { prompt_tokens: 10, completion_tokens: 10, total_tokens: 20 } };
+        },
+      },
+    },
+  };
+}
+
+// --------------- rankWeek ---------------
+
+describe("rankWeek", () => {
+  it("weights leads over quick hits and the front page over desks", () => {
+    const days = [
+      {
+        date: "2026-07-05",
+        url: "/editions/2026-07-05/",
+        placements: [
+          { repo: "a/lead", section: "frontPage", slot: "lead", rank: 0, headline: "A leads" },
+          { repo: "b/desk", section: "ai", slot: "lead", rank: 0, headline: "B leads AI" },
+          { repo: "c/hit", section: "frontPage", slot: "quickHit", rank: 0, headline: "" },
+        ],
+      },
+    ];
+    const ranked = rankWeek(days);
+    assert.deepEqual(ranked.map((s) => s.repo), ["a/lead", "b/desk", "c/hit"]);
+    assert.equal(ranked[0].url, "/editions/2026-07-05/a-leads/");
+    assert.equal(ranked[2].url, "/editions/2026-07-05/");
+    assert.equal(ranked[2].headline, "c/hit");
+  });
+
+  it("counts repeat days and lets growth break a tie", () => {
+    const hit = (repo) => ({ repo, section: "ai", slot: "quickHit", rank: 0, headline: "" });
+    const days = [
+      { date: "2026-07-05", url: "", placements: [hit("x/steady"), hit("y/fast"), hit("z/flat")] },
+      { date: "2026-07-04", url: "", placements: [hit("x/steady")] },
+    ];
+    const velocity = new Map([["y/fast", { delta: 900, days: 6 }]]);
+    const ranked = rankWeek(days, { velocity });
+    assert.deepEqual(ranked.map((s) => s.repo), ["y/fast", "x/steady", "z/flat"]);
+    assert.equal(ranked[1].appearances, 2);
+    assert.equal(ranked[0].starDelta, 900);
+  });
+});
+
+// --------------- collectWeek + publishWeekly ---------------
+
+describe("weekly digest from a site", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "gittimes-weekly-"));
+    const section = (leadRepo, headline) => ({
+      lead: article(leadRepo, headline),
+      secondary: [],
+      quickHits: [{ name: "tool/hit", summary: "A tool" }],
+    });
+    seedSite(tmpDir, [
+      {
+        date: daysAgo(8),
+        headline: "Too old",
+        content: { sections: { frontPage: section("old/repo", "Old news") } },
+      },
+      {
+        date: daysAgo(2),
+        headline: "Agents everywhere",
+        content: { sections: { frontPage: section("org/agent", "Agent runtime ships") } },
+        bands: { modelDrops: [{ id: "lab/m1", author: "lab", name: "m1", likes: 10, url: "https://huggingface.co/lab/m1" }] },
+      },
+      {
+        date: daysAgo(1),
+        headline: "Agent runtime again",
+        content: { sections: { frontPage: section("org/agent", "Agent runtime goes 1.0") } },
+        bands: { modelDrops: [{ id: "lab/m2", author: "lab", name: "m2", likes: 50 }, { id: "lab/m1", author: "lab", name: "m1", likes: 10 }] },
+      },
+    ]);
+    fs.writeFileSync(
+      path.join(tmpDir, "editions", "history.json"),
+      JSON.stringify({
+        snapshots: [
+          { date: daysAgo(0), repos: [{ full_name: "org/agent", stars: 1500 }] },
+          { date: daysAgo(5), repos: [{ full_name: "org/agent", stars: 1000 }] },
+        ],
+      })
+    );
+  });
+
+  afterEach(() => {
+    closeDb();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("ranks placements from stored editions, with velocity and model drops", () => {
+    const week = collectWeek(tmpDir, daysAgo(0));
+    assert.equal(week.editions.length, 3);
+    assert.equal(week.stories[0].repo, "org/agent");
+    assert.equal(week.stories[0].appearances, 2);
+    assert.equal(week.stories[0].headline, "Agent runtime goes 1.0");
+    assert.equal(week.stories[0].starDelta, 500);
+    assert.deepEqual(week.modelDrops.map((d) => d.id), ["lab/m2", "lab/m1"]);
+
+    const earlier = collectWeek(tmpDir, daysAgo(2));
+    assert.equal(earlier.to, daysAgo(2));
+    assert.equal(earlier.editions.length, 2);
+  });
+
+  it("parses the digest pass and falls back to the dailies' headlines", async () => {
+    const week = collectWeek(tmpDir, daysAgo(0));
+    const digest = await writeDigest(
+      mockClient(
+        "HEADLINE: Agent runtimes became infrastructure this week\nSUBHEADLINE: One runtime led twice.\nBODY: It was the agents' week.\n\nThe rest followed.\nSTORIES:\n1. It went 1.0 and led twice.\n2. A steady tool."
+      ),
+      week
+    );
+    assert.equal(digest._isFallback, false);
+    assert.equal(digest.headline, "Agent runtimes became infrastructure this week");
+    assert.equal(digest.intro, "It was the agents' week.\n\nThe rest followed.");
+    assert.equal(digest.blurbs[0], "It went 1.0 and led twice.");
+
+    const failed = await writeDigest(mockClient(Object.assign(new Error("bad request"), { status: 400 })), week);
+    assert.equal(failed._isFallback, true);
+    assert.equal(failed.headline, "Agent runtime goes 1.0");
+  });
+
+  it("publishes the issue into the archive and feeds beside the dailies", async () => {
+    const week = collectWeek(tmpDir, daysAgo(0));
+    const digest = await writeDigest(null, week);
+    const entry = publishWeekly(digest, week, tmpDir, { siteUrl: "https://example.com" });
+
+    const issue = fs.readFileSync(path.join(tmpDir, "weekly", daysAgo(0), "index.html"), "utf-8");
+    assert.ok(issue.includes("Agent runtime goes 1.0"));
+    assert.ok(issue.includes("+500 stars in 5d"));
+    assert.ok(fs.existsSync(path.join(tmpDir, "weekly", daysAgo(0), "weekly.json")));
+    assert.equal(fs.readFileSync(path.join(tmpDir, "weekly", "index.html"), "utf-8"), issue);
+
+    const weeklies = JSON.parse(fs.readFileSync(path.join(tmpDir, "weekly", "manifest.json"), "utf-8"));
+    assert.deepEqual(weeklies, [entry]);
+    const rss = fs.readFileSync(path.join(tmpDir, "feed.xml"), "utf-8");
+    assert.ok(rss.includes(`Week in Review: ${digest.headline}`));
+    assert.ok(rss.includes("Agents everywhere"));
+    const archive = fs.readFileSync(path.join(tmpDir, "archive", "index.html"), "utf-8");
+    assert.ok(archive.includes("archive-weekly"));
+
+    // A rerun for the same week replaces the issue rather than listing it twice.
+    publishWeekly({ ...digest, headline: "Second take" }, week, tmpDir);
+    const again = JSON.parse(fs.readFileSync(path.join(tmpDir, "weekly", "manifest.json"), "utf-8"));
+    assert.equal(again.length, 1);
+    assert.equal(again[0].headline, "Second take");
+  });
+});
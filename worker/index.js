@@ -71,112 +71,199 @@ const THINKING_INSTRUCTION =
 
 // --- AI Desk corpus retrieval (full-corpus RAG with citations) ---
 //
-// INLINED, KEPT IN SYNC with src/retrieve.js — the worker must stay import-free
-// because its test harness compiles it from a standalone string. The canonical
-// (unit-tested) copy lives in src/retrieve.js; change both together.
-
-const RAG_STOPWORDS = new Set(
-  ("a an and are as at be by for from has have how i in is it its of on or that the to was what when where which who " +
-    "with you your about into over than then this these those tell me show find get does do can could would should " +
-    "whats what's vs versus best good any all more most use using used")
-    .split(" ")
-);
-
-function ragTokenize(s) {
-  return String(s || "")
-    .toLowerCase()
-    .split(/[^a-z0-9]+/)
-    .filter((t) => t.length >= 2 && !RAG_STOPWORDS.has(t));
-}
-
-function scoreChunks(query, chunks, opts) {
-  const o = opts || {};
-  const k = o.k || 6;
-  const now = o.now || _nowMs();
-  const recencyWeight = o.recencyWeight != null ? o.recencyWeight : 0.3;
-  const halfLifeDays = o.halfLifeDays || 45;
-  const minScore = o.minScore || 0;
-  const K1 = 1.2;
-  const B = 0.75;
-  const DAY_MS = 86400000;
-
-  const qTerms = Array.from(new Set(ragTokenize(query)));
-  if (!qTerms.length || !chunks.length) return [];
-
-  const docTokens = new Array(chunks.length);
-  const df = new Map();
-  let totalLen = 0;
-  for (let d = 0; d < chunks.length; d++) {
-    const toks = ragTokenize(chunks[d].text);
-    docTokens[d] = toks;
-    totalLen += toks.length;
-    const seen = new Set();
-    for (const t of toks) {
-      if (seen.has(t)) continue;
-      seen.add(t);
-      df.set(t, (df.get(t) || 0) + 1);
+// Generated from the canonical (unit-tested) src/retrieve.js by
+// `npm run build:worker` — the worker stays one import-free file for wrangler
+// and for its string-compile test harness. Edit src/retrieve.js, never the
+// block below; test/build-worker.test.js fails when the two diverge.
+// --- BEGIN GENERATED from src/retrieve.js by scripts/build-worker.js — do not edit ---
+var _retrieve = (() => {
+  var __getOwnPropNames = Object.getOwnPropertyNames;
+  var __commonJS = (cb, mod) => function __require() {
+    try {
+      return mod || (0, cb[__getOwnPropNames(cb)[0]])((mod = { exports: {} }).exports, mod), mod.exports;
+    } catch (e) {
+      throw mod = 0, e;
     }
-  }
-  const N = chunks.length;
-  const avgdl = totalLen / N || 1;
-  const idf = new Map();
-  for (const t of qTerms) {
-    const n = df.get(t) || 0;
-    idf.set(t, Math.max(0, Math.log(1 + (N - n + 0.5) / (n + 0.5))));
-  }
+  };
 
-  const results = [];
-  for (let d = 0; d < N; d++) {
-    const toks = docTokens[d];
-    if (!toks.length) continue;
-    const tf = new Map();
-    for (const t of toks) tf.set(t, (tf.get(t) || 0) + 1);
-    let bm25 = 0;
-    const matched = [];
-    for (const t of qTerms) {
-      const f = tf.get(t);
-      if (!f) continue;
-      matched.push(t);
-      const denom = f + K1 * (1 - B + (B * toks.length) / avgdl);
-      bm25 += idf.get(t) * ((f * (K1 + 1)) / denom);
-    }
-    if (bm25 <= 0) continue;
-    const c = chunks[d];
-    let recency = 1;
-    if (c.date) {
-      const ageDays = Math.max(0, (now - Date.parse(c.date + "T00:00:00Z")) / DAY_MS);
-      recency = 1 + recencyWeight * Math.pow(0.5, ageDays / halfLifeDays);
+  // src/retrieve.js
+  var require_retrieve = __commonJS({
+    "src/retrieve.js"(exports, module) {
+      var STOPWORDS = new Set(
+        "a an and are as at be by for from has have how i in is it its of on or that the to was what when where which who with you your about into over than then this these those tell me show find get does do can could would should whats what's vs versus best good any all more most use using used".split(" ")
+      );
+      function tokenize(s) {
+        return String(s || "").toLowerCase().split(/[^a-z0-9]+/).filter((t) => t.length >= 2 && !STOPWORDS.has(t));
+      }
+      var K1 = 1.2;
+      var B = 0.75;
+      var DAY_MS = 864e5;
+      var RAG_MIN_SCORE = 2.5;
+      function scoreChunks(query, chunks, opts) {
+        const o = opts || {};
+        const k = o.k || 6;
+        const now = o.now || Date.now();
+        const recencyWeight = o.recencyWeight != null ? o.recencyWeight : 0.3;
+        const halfLifeDays = o.halfLifeDays || 45;
+        const minScore = o.minScore || 0;
+        const qTerms = Array.from(new Set(tokenize(query)));
+        if (!qTerms.length || !chunks.length) return [];
+        const docTokens = new Array(chunks.length);
+        const df = /* @__PURE__ */ new Map();
+        let totalLen = 0;
+        for (let d = 0; d < chunks.length; d++) {
+          const toks = tokenize(chunks[d].text);
+          docTokens[d] = toks;
+          totalLen += toks.length;
+          const seen = /* @__PURE__ */ new Set();
+          for (const t of toks) {
+            if (seen.has(t)) continue;
+            seen.add(t);
+            df.set(t, (df.get(t) || 0) + 1);
+          }
+        }
+        const N = chunks.length;
+        const avgdl = totalLen / N || 1;
+        const idf = /* @__PURE__ */ new Map();
+        for (const t of qTerms) {
+          const n = df.get(t) || 0;
+          idf.set(t, Math.max(0, Math.log(1 + (N - n + 0.5) / (n + 0.5))));
+        }
+        const results = [];
+        for (let d = 0; d < N; d++) {
+          const toks = docTokens[d];
+          if (!toks.length) continue;
+          const tf = /* @__PURE__ */ new Map();
+          for (const t of toks) tf.set(t, (tf.get(t) || 0) + 1);
+          let bm25 = 0;
+          const matched = [];
+          for (const t of qTerms) {
+            const f = tf.get(t);
+            if (!f) continue;
+            matched.push(t);
+            const denom = f + K1 * (1 - B + B * toks.length / avgdl);
+            bm25 += idf.get(t) * (f * (K1 + 1) / denom);
+          }
+          if (bm25 <= 0) continue;
+          const c = chunks[d];
+          let recency = 1;
+          if (c.date) {
+            const ageDays = Math.max(0, (now - Date.parse(c.date + "T00:00:00Z")) / DAY_MS);
+            recency = 1 + recencyWeight * Math.pow(0.5, ageDays / halfLifeDays);
+          }
+          const score = bm25 * recency;
+          if (score > minScore) results.push({ chunk: c, score, bm25, matched });
+        }
+        results.sort((a, b) => b.score - a.score);
+        return results.slice(0, k);
+      }
+      function shardsFor(results, shards) {
+        if (!results || !results.length || !Array.isArray(shards) || !shards.length) return [];
+        const months = new Set(results.map((r) => String(r.chunk.date || "").slice(0, 7)));
+        return shards.filter((s) => months.has(s.month));
+      }
+      function questionOf(content) {
+        const s = String(content || "");
+        const idx = s.lastIndexOf("\nQuestion: ");
+        return (idx >= 0 ? s.slice(idx + "\nQuestion: ".length) : s).slice(0, 400);
+      }
+      var ANAPHORA = new Set(
+        "it its it's itself they them their theirs this that these those he him his she her one ones same former latter".split(" ")
+      );
+      var CONTINUATION_RE = /^\s*(?:and|also|so|but|what about|how about|same for|compared to|versus|vs\.?)\b/i;
+      var REPO_REF_RE = /(?:^|[\s(`"'[])([A-Za-z0-9][\w.-]*\/[A-Za-z0-9][\w.-]*[A-Za-z0-9])(?=$|[\s)`"',.?!:;\]])/g;
+      var HISTORY_TURNS = 6;
+      function needsContext(question) {
+        if (CONTINUATION_RE.test(question)) return true;
+        return String(question).toLowerCase().split(/[^a-z']+/).some((w) => ANAPHORA.has(w));
+      }
+      function repoRefs(text) {
+        return Array.from(String(text || "").matchAll(REPO_REF_RE), (m) => m[1]);
+      }
+      function mentionedAliases(text, aliases) {
+        if (!Array.isArray(aliases) || !aliases.length) return [];
+        const words = (x) => String(x || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+        const hay = ` ${words(text)} `;
+        const out = [];
+        for (const group of aliases) {
+          const hit = group.find((a) => words(a) && hay.includes(` ${words(a)} `));
+          if (hit) out.push({ hit, group });
+        }
+        return out;
+      }
+      function namedIn(text, aliases) {
+        const refs = repoRefs(text);
+        return refs.length ? refs.slice(0, 3) : mentionedAliases(text, aliases).map((m) => m.hit);
+      }
+      function subjectOf(asked, answer, aliases) {
+        const q = questionOf(asked.content);
+        const named = namedIn(q, aliases);
+        if (named.length) return named;
+        const words = needsContext(q) ? [] : tokenize(q);
+        if (words.length >= 2) return words;
+        const replied = answer ? namedIn(answer.content, aliases) : [];
+        return replied.length ? replied : words;
+      }
+      function rewriteQuery(question, history, { aliases } = {}) {
+        const q = String(question || "").trim();
+        let subject = [];
+        if (q && needsContext(q) && !repoRefs(q).length) {
+          const turns = (Array.isArray(history) ? history : []).filter((m) => m && (m.role === "user" || m.role === "assistant") && typeof m.content === "string").slice(-HISTORY_TURNS);
+          for (let i = turns.length - 1; i >= 0 && !subject.length; i--) {
+            if (turns[i].role !== "user") continue;
+            const answer = turns[i + 1] && turns[i + 1].role === "assistant" ? turns[i + 1] : null;
+            subject = subjectOf(turns[i], answer, aliases);
+          }
+        }
+        const have = new Set(tokenize(q));
+        subject = Array.from(new Set(subject)).filter((s) => tokenize(s).some((t) => !have.has(t)));
+        let query = subject.length ? `${q} ${subject.join(" ")}` : q;
+        const expanded = [];
+        for (const { group } of mentionedAliases(query, aliases)) {
+          const seen = new Set(tokenize(query));
+          for (const a of group) {
+            if (tokenize(a).some((t) => !seen.has(t))) {
+              expanded.push(a);
+              tokenize(a).forEach((t) => seen.add(t));
+            }
+          }
+        }
+        if (expanded.length) query = `${query} ${expanded.join(" ")}`;
+        return { query, subject, expanded };
+      }
+      function formatGrounding(results) {
+        if (!results || !results.length) return { block: "", sources: [] };
+        const cited = /* @__PURE__ */ new Map();
+        for (const r of results) {
+          const key = r.chunk.url || `#${r.chunk.i}`;
+          if (cited.has(key)) cited.get(key).texts.push(r.chunk.text);
+          else cited.set(key, { chunk: r.chunk, texts: [r.chunk.text] });
+        }
+        const lines = [];
+        const sources = [];
+        Array.from(cited.values()).forEach(({ chunk: c, texts }, idx) => {
+          const n = idx + 1;
+          const tag = c.repo ? c.repo : c.type === "article" ? "article" : "edition";
+          const where = c.section ? `, ${c.section}${c.slot ? ` ${c.slot}` : ""}` : "";
+          const stars = c.stars != null ? `, ${c.stars.toLocaleString()}\u2605` : "";
+          lines.push(`[${n}] ${c.title} (${tag}${where}, ${c.date}${stars})
+    ${texts.join(" \u2026 ")}`);
+          sources.push({ n, title: c.title, url: c.url, repo: c.repo || null, date: c.date, section: c.section || null, slot: c.slot || null });
+        });
+        const block = "\n\nGROUNDING \u2014 relevant Git Times coverage retrieved for this question. Cite the sources you use inline as [n], and if these don't answer the question, say so plainly rather than guessing:\n" + lines.join("\n");
+        return { block, sources };
+      }
+      module.exports = { tokenize, scoreChunks, shardsFor, questionOf, rewriteQuery, formatGrounding, STOPWORDS, RAG_MIN_SCORE };
     }
-    const score = bm25 * recency;
-    if (score > minScore) results.push({ chunk: c, score, bm25, matched });
-  }
-  results.sort((a, b) => b.score - a.score);
-  return results.slice(0, k);
-}
-
-function formatGrounding(results) {
-  if (!results || !results.length) return { block: "", sources: [] };
-  const lines = [];
-  const sources = [];
-  results.forEach((r, idx) => {
-    const n = idx + 1;
-    const c = r.chunk;
-    const tag = c.repo ? c.repo : "edition";
-    const stars = c.stars != null ? `, ${c.stars.toLocaleString()}★` : "";
-    lines.push(`[${n}] ${c.title} (${tag}, ${c.date}${stars})\n    ${c.text}`);
-    sources.push({ n, title: c.title, url: c.url, repo: c.repo || null, date: c.date });
   });
-  const block =
-    "\n\nGROUNDING — relevant Git Times coverage retrieved for this question. " +
-    "Cite the sources you use inline as [n], and if these don't answer the question, say so plainly rather than guessing:\n" +
-    lines.join("\n");
-  return { block, sources };
-}
+  return require_retrieve();
+})();
+const { scoreChunks, shardsFor, questionOf, rewriteQuery, formatGrounding, RAG_MIN_SCORE } = _retrieve;
+// --- END GENERATED ---
 
 // Corpus cache (per-isolate), refreshed from the published static asset.
 let _corpusCache = { at: 0, data: null };
 const CORPUS_TTL_MS = 6 * 60 * 60 * 1000; // 6h
-const RAG_MIN_SCORE = 2.5; // require a reasonably strong match before grounding
 
 async function getCorpus(env, now) {
   const ts = now || _nowMs();
@@ -196,26 +283,73 @@ async function getCorpus(env, now) {
   }
 }
 
-// The client stuffs context as "<label>:\n<context>\n\nQuestion: <text>". Pull
-// just the question for retrieval so we match on intent, not the dumped context.
+// Month shards of older article bodies (data/corpus/YYYY-MM.json), fetched only
+// when a first pass lands in that month. Cached per isolate like the main file.
+const _shardCache = new Map();
+
+async function getShardChunks(env, shards, now) {
+  const ts = now || _nowMs();
+  const origin = env.SITE_BASE_URL || "https://gittimes.com";
+  const lists = await Promise.all(
+    shards.map(async (s) => {
+      const hit = _shardCache.get(s.month);
+      if (hit && ts - hit.at < CORPUS_TTL_MS) return hit.chunks;
+      try {
+        const res = await fetch(`${origin}${s.url}`, {
+          signal: AbortSignal.timeout(4000),
+          cf: { cacheTtl: 21600, cacheEverything: true },
+        });
+        if (!res.ok) return hit ? hit.chunks : [];
+        const data = await res.json();
+        const chunks = Array.isArray(data.chunks) ? data.chunks : [];
+        _shardCache.set(s.month, { at: ts, chunks });
+        return chunks;
+      } catch {
+        return hit ? hit.chunks : [];
+      }
+    }),
+  );
+  return lists.flat();
+}
+
+// The latest user question, stripped of the client's stuffed context.
 function extractQuery(messages) {
   for (let i = messages.length - 1; i >= 0; i--) {
     const m = messages[i];
-    if (m && m.role === "user" && typeof m.content === "string") {
-      const idx = m.content.lastIndexOf("\nQuestion: ");
-      return (idx >= 0 ? m.content.slice(idx + "\nQuestion: ".length) : m.content).slice(0, 400);
-    }
+    if (m && m.role === "user" && typeof m.content === "string") return questionOf(m.content);
   }
   return "";
 }
 
-async function buildGrounding(env, messages, now) {
+// Everything before the latest user question — what a follow-up leans on.
+function priorTurns(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const m = messages[i];
+    if (m && m.role === "user" && typeof m.content === "string") return messages.slice(0, i);
+  }
+  return [];
+}
+
+// Retrieval runs on a standalone rewrite of the question: a follow-up ("what
+// about its license?") takes its subject from the conversation — the request's
+// own earlier turns, else the account's stored transcript (`saved`) — and
+// registry aliases widen entity names. See rewriteQuery in src/retrieve.js.
+async function buildGrounding(env, messages, now, saved) {
   try {
-    const q = extractQuery(messages);
-    if (!q) return { block: "", sources: [] };
+    const question = extractQuery(messages);
+    if (!question) return { block: "", sources: [] };
     const corpus = await getCorpus(env, now);
     if (!corpus || !Array.isArray(corpus.chunks)) return { block: "", sources: [] };
-    const results = scoreChunks(q, corpus.chunks, { k: 6, now: now || _nowMs(), minScore: RAG_MIN_SCORE });
+    let history = priorTurns(messages);
+    if (!history.length && saved && Array.isArray(saved.messages)) history = saved.messages;
+    const { query: q } = rewriteQuery(question, history, { aliases: corpus.aliases });
+    const opts = { k: 6, now: now || _nowMs(), minScore: RAG_MIN_SCORE };
+    let results = scoreChunks(q, corpus.chunks, opts);
+    const wanted = shardsFor(results, corpus.shards);
+    if (wanted.length) {
+      const older = await getShardChunks(env, wanted, now);
+      if (older.length) results = scoreChunks(q, corpus.chunks.concat(older), opts);
+    }
     return formatGrounding(results);
   } catch {
     return { block: "", sources: [] };
@@ -416,6 +550,14 @@ async function persistTranscript(env, email, messages) {
 
 // --- Utility functions ---
 
+// USERS also holds non-account records under these prefixes; scans over every
+// user (admin stats, the grace sweep, alert watchers) skip them.
+const NON_USER_PREFIXES = ["stats:", "transcript:", "saved:", "newsletter:", "alerts:", "feed:", "corrections:"];
+
+function isUserKey(name) {
+  return !NON_USER_PREFIXES.some((p) => name.startsWith(p));
+}
+
 async function generateUnsubscribeToken(email, secret) {
   const encoder = new TextEncoder();
   const key = await crypto.subtle.importKey(
@@ -432,38 +574,753 @@ async function generateUnsubscribeToken(email, secret) {
     .slice(0, 32);
 }
 
-function renderNewsletterHtml({ headline, subheadline, tagline, date, url, repos, unsubscribeUrl }) {
-  const repoItems = (repos || [])
-    .map((r) => `<li style="margin:0 0 4px;color:#333;">${r}</li>`)
-    .join("");
-  return `<!DOCTYPE html>
+// Every email's subject, HTML, plain-text part and List-Unsubscribe headers
+// come from the templates in src/email.js, bundled below.
+// --- BEGIN GENERATED from src/email.js by scripts/build-worker.js — do not edit ---
+var _email = (() => {
+  var __getOwnPropNames = Object.getOwnPropertyNames;
+  var __commonJS = (cb, mod) => function __require() {
+    try {
+      return mod || (0, cb[__getOwnPropNames(cb)[0]])((mod = { exports: {} }).exports, mod), mod.exports;
+    } catch (e) {
+      throw mod = 0, e;
+    }
+  };
+
+  // src/email.js
+  var require_email = __commonJS({
+    "src/email.js"(exports, module) {
+      var SITE_URL = "https://gittimes.com";
+      var ACCOUNT_URL = `${SITE_URL}/account/`;
+      function escapeHtml(s) {
+        return String(s == null ? "" : s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+      }
+      var LABEL_STYLE = "margin:0 0 8px;font-size:13px;font-weight:bold;color:#888;text-transform:uppercase;letter-spacing:1px;";
+      var P_STYLE = "margin:0 0 16px;font-size:15px;color:#333;line-height:1.6;";
+      function button(url, label) {
+        return `<tr><td style="padding:8px 32px 32px;text-align:center;">
+    <a href="${escapeHtml(url)}" style="display:inline-block;padding:12px 32px;background:#2c2c2c;color:#fff;text-decoration:none;font-size:15px;font-weight:bold;letter-spacing:0.5px;">${escapeHtml(label)}</a>
+  </td></tr>`;
+      }
+      function paragraphs(lines) {
+        return `<tr><td style="padding:32px 32px 8px;">
+    ${lines.map((l) => `<p style="${P_STYLE}">${l}</p>`).join("\n    ")}
+  </td></tr>`;
+      }
+      function layout({ dateline, rows, footer, unsubscribeUrl }) {
+        return `<!DOCTYPE html>
 <html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1.0"></head>
 <body style="margin:0;padding:0;background:#f4f1eb;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;">
 <table width="100%" cellpadding="0" cellspacing="0" style="background:#f4f1eb;"><tr><td align="center" style="padding:24px 16px;">
 <table width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#fff;border:1px solid #d5d0c4;">
   <tr><td style="padding:24px 32px 16px;border-bottom:2px solid #2c2c2c;text-align:center;">
     <h2 style="margin:0;font-family:Georgia,serif;font-size:24px;color:#2c2c2c;letter-spacing:1px;">The Git Times</h2>
-    <p style="margin:4px 0 0;font-size:13px;color:#888;">${date || ""}</p>
-  </td></tr>
-  <tr><td style="padding:32px 32px 16px;">
-    <h1 style="margin:0 0 12px;font-family:Georgia,serif;font-size:22px;color:#2c2c2c;line-height:1.3;">${headline || "Today's Edition"}</h1>
-    ${subheadline ? `<p style="margin:0 0 16px;font-size:16px;color:#555;line-height:1.5;">${subheadline}</p>` : ""}
-    ${tagline ? `<blockquote style="margin:0 0 20px;padding:12px 16px;border-left:3px solid #c5a55a;background:#faf8f4;font-style:italic;color:#666;font-size:14px;">${tagline}</blockquote>` : ""}
-  </td></tr>
-  ${repoItems ? `<tr><td style="padding:0 32px 20px;">
-    <p style="margin:0 0 8px;font-size:13px;font-weight:bold;color:#888;text-transform:uppercase;letter-spacing:1px;">Trending Today</p>
-    <ul style="margin:0;padding:0 0 0 20px;font-size:14px;line-height:1.6;">${repoItems}</ul>
-  </td></tr>` : ""}
-  <tr><td style="padding:8px 32px 32px;text-align:center;">
-    <a href="${url}" style="display:inline-block;padding:12px 32px;background:#2c2c2c;color:#fff;text-decoration:none;font-size:15px;font-weight:bold;letter-spacing:0.5px;">Read the Full Edition</a>
+    ${dateline ? `<p style="margin:4px 0 0;font-size:13px;color:#888;">${escapeHtml(dateline)}</p>` : ""}
   </td></tr>
+  ${rows.filter(Boolean).join("\n  ")}
   <tr><td style="padding:16px 32px;border-top:1px solid #e8e4dc;text-align:center;">
-    <p style="margin:0;font-size:12px;color:#aaa;">You're receiving this because you subscribed to The Git Times.</p>
-    <p style="margin:4px 0 0;font-size:12px;"><a href="${unsubscribeUrl}" style="color:#aaa;">Unsubscribe</a></p>
+    <p style="margin:0;font-size:12px;color:#aaa;">${escapeHtml(footer)}</p>
+    ${unsubscribeUrl ? `<p style="margin:4px 0 0;font-size:12px;"><a href="${escapeHtml(unsubscribeUrl)}" style="color:#aaa;">Unsubscribe</a></p>` : ""}
   </td></tr>
 </table>
 </td></tr></table>
 </body></html>`;
+      }
+      function listBlock(label, items, lineHeight = "1.5") {
+        if (!items.length) return "";
+        return `<tr><td style="padding:0 32px 20px;">
+    <p style="${LABEL_STYLE}">${escapeHtml(label)}</p>
+    <ul style="margin:0;padding:0 0 0 20px;font-size:14px;line-height:${lineHeight};">${items.join("")}</ul>
+  </td></tr>`;
+      }
+      var TEMPLATES = {
+        // The daily edition, cut per subscriber by the worker (leads/followed), and
+        // the Sunday digest (src/weekly.js), which rides it with its own labels.
+        newsletter: {
+          subject: ({ kind, headline }) => kind === "weekly" ? `The Week in Review: ${headline || "The Git Times"}` : headline || "Today's Git Times",
+          html({ kind, headline, subheadline, tagline, date, url, repos, leads, followed, unsubscribeUrl }) {
+            const weekly = kind === "weekly";
+            const link = (item) => `<a href="${escapeHtml(item.url)}" style="color:#2c2c2c;">${escapeHtml(item.headline)}</a>`;
+            return layout({
+              dateline: `${weekly ? "The Week in Review \xB7 " : ""}${date || ""}`,
+              rows: [
+                `<tr><td style="padding:32px 32px 16px;">
+    <h1 style="margin:0 0 12px;font-family:Georgia,serif;font-size:22px;color:#2c2c2c;line-height:1.3;">${escapeHtml(headline || "Today's Edition")}</h1>
+    ${subheadline ? `<p style="margin:0 0 16px;font-size:16px;color:#555;line-height:1.5;">${escapeHtml(subheadline)}</p>` : ""}
+    ${tagline ? `<blockquote style="margin:0 0 20px;padding:12px 16px;border-left:3px solid #c5a55a;background:#faf8f4;font-style:italic;color:#666;font-size:14px;">${escapeHtml(tagline)}</blockquote>` : ""}
+  </td></tr>`,
+                listBlock("Repos You Follow Appeared Today", (followed || []).map(
+                  (st) => `<li style="margin:0 0 6px;color:#333;"><strong>${escapeHtml(st.repo)}</strong> &mdash; ${link(st)}</li>`
+                )),
+                listBlock("Across the Desks", (leads || []).map(
+                  (l) => `<li style="margin:0 0 6px;color:#333;"><span style="font-size:12px;color:#888;text-transform:uppercase;letter-spacing:1px;">${escapeHtml(l.label)}</span><br>${link(l)}</li>`
+                )),
+                listBlock(weekly ? "This Week's Stories" : "Trending Today", (repos || []).map(
+                  (r) => `<li style="margin:0 0 4px;color:#333;">${escapeHtml(r)}</li>`
+                ), "1.6"),
+                button(url || `${SITE_URL}/latest/`, weekly ? "Read the Week in Review" : "Read the Full Edition")
+              ],
+              footer: "You're receiving this because you subscribed to The Git Times.",
+              unsubscribeUrl
+            });
+          }
+        },
+        // A reader's watchlist matches from one edition (worker /alerts/publish).
+        alertDigest: {
+          subject: ({ items }) => {
+            const n = (items || []).length;
+            return `Your watchlist: ${n} new alert${n === 1 ? "" : "s"} \u2014 The Git Times`;
+          },
+          html: ({ date, items, unsubscribeUrl }) => layout({
+            dateline: date || "",
+            rows: [
+              paragraphs(["Things you follow showed up in today's edition."]),
+              listBlock("Your Alerts", (items || []).map(
+                (a) => `<li style="margin:0 0 6px;color:#333;"><span style="font-size:12px;color:#888;text-transform:uppercase;letter-spacing:1px;">${escapeHtml(a.detail || a.source)}</span><br><a href="${escapeHtml(a.url)}" style="color:#2c2c2c;">${escapeHtml(a.title)}</a></li>`
+              )),
+              button(ACCOUNT_URL, "Manage your watchlist")
+            ],
+            footer: "You're receiving this because you follow these on your Git Times account.",
+            unsubscribeUrl
+          })
+        },
+        magicLink: {
+          subject: () => "Sign in to The Git Times",
+          html: ({ url }) => layout({
+            rows: [
+              paragraphs(["Click the button below to sign in to your Git Times account. This link expires in 15 minutes."]),
+              button(url, "Sign In"),
+              paragraphs([`Or paste this link into your browser: <a href="${escapeHtml(url)}" style="color:#2c2c2c;word-break:break-all;">${escapeHtml(url)}</a>`])
+            ],
+            footer: "If you didn't request this, you can safely ignore this email."
+          })
+        },
+        paymentFailed: {
+          subject: () => "Action Required: Payment Failed \u2014 The Git Times",
+          html: () => layout({
+            rows: [
+              paragraphs([
+                "Your most recent payment for The Git Times Premium failed.",
+                "Please update your payment method within 3 days to keep your Premium access. If you don't, your account will revert to the Free plan."
+              ]),
+              button(ACCOUNT_URL, "Manage your account")
+            ],
+            footer: "You're receiving this because you have a Premium subscription to The Git Times."
+          })
+        },
+        upgrade: {
+          subject: () => "Welcome to Premium \u2014 The Git Times",
+          html: () => layout({
+            rows: [
+              paragraphs([
+                "You're now a Premium member of The Git Times!",
+                "You have unlimited access to AI-powered chat about trending repos and developer news."
+              ]),
+              button(ACCOUNT_URL, "Visit your account")
+            ],
+            footer: "Thank you for supporting The Git Times."
+          })
+        },
+        // Sent on cancellation — the leakiest hop in the funnel.
+        winback: {
+          subject: () => "Your Premium has ended \u2014 come back any time",
+          html: () => layout({
+            rows: [
+              paragraphs([
+                "Your Premium subscription to The Git Times has ended, and your account is back on the Free plan.",
+                "You can still read every edition and ask a few AI questions a day. If you'd like unlimited AI access to trending repos and developer news again, you can re-subscribe any time."
+              ]),
+              button(ACCOUNT_URL, "Reactivate Premium"),
+              paragraphs(["We'd genuinely value knowing what made you cancel \u2014 just reply to this email."])
+            ],
+            footer: "You're receiving this because you had a Premium subscription to The Git Times."
+          })
+        },
+        // Owner-facing, to env.ALERT_EMAIL.
+        conversionAlert: {
+          subject: () => "New Premium conversion \u2014 The Git Times",
+          html: ({ email, customerId, subscriptionId, at }) => layout({
+            rows: [
+              paragraphs(["A reader just converted free &rarr; premium."]),
+              listBlock("Conversion", [
+                `Email: ${escapeHtml(email || "(unknown)")}`,
+                `Stripe customer: ${escapeHtml(customerId || "(none)")}`,
+                `Stripe subscription: ${escapeHtml(subscriptionId || "(none)")}`,
+                `At: ${escapeHtml(at || "")}`
+              ].map((x) => `<li style="margin:0 0 4px;color:#333;">${x}</li>`))
+            ],
+            footer: "Owner alert \u2014 set by ALERT_EMAIL on the worker."
+          })
+        }
+      };
+      var ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", mdash: "\u2014", ndash: "\u2013", rarr: "\u2192", middot: "\xB7", hellip: "\u2026" };
+      function htmlToText(html) {
+        return String(html).replace(/<head[\s\S]*?<\/head>/gi, "").replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, inner) => {
+          const label = inner.replace(/<[^>]+>/g, "").trim();
+          return label && label !== href ? `${label} (${href})` : href;
+        }).replace(/<br\s*\/?>/gi, "\n").replace(/<li[^>]*>/gi, "\n- ").replace(/<\/(p|h1|h2|h3|blockquote|ul|ol|tr)>/gi, "\n\n").replace(/<[^>]+>/g, "").replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (m, e) => {
+          if (e[0] !== "#") return ENTITIES[e.toLowerCase()] ?? m;
+          const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+          return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+        }).split("\n").map((line) => line.replace(/[ \t]+/g, " ").trim()).join("\n").replace(/\n{3,}/g, "\n\n").trim() + "\n";
+      }
+      function renderEmail(name, data = {}) {
+        const template = TEMPLATES[name];
+        if (!template) throw new Error(`unknown email template "${name}" (have: ${Object.keys(TEMPLATES).join(", ")})`);
+        const html = template.html(data);
+        const headers = {};
+        if (data.unsubscribeUrl) {
+          headers["List-Unsubscribe"] = `<${data.unsubscribeUrl}>`;
+          headers["List-Unsubscribe-Post"] = "List-Unsubscribe=One-Click";
+        }
+        return { subject: template.subject(data), html, text: htmlToText(html), headers };
+      }
+      module.exports = { renderEmail, htmlToText, escapeHtml, TEMPLATES };
+    }
+  });
+  return require_email();
+})();
+const { renderEmail } = _email;
+// --- END GENERATED ---
+
+const RESEND_EMAILS = "https://api.resend.com/emails";
+
+function emailFrom(env) {
+  return env.EMAIL_FROM || "The Git Times <noreply@gittimes.com>";
+}
+
+// One rendered email (renderEmail) as a Resend message.
+function resendMessage(env, to, { subject, html, text, headers }) {
+  return {
+    from: emailFrom(env),
+    to: [to],
+    subject,
+    html,
+    text,
+    ...(Object.keys(headers).length ? { headers } : {}),
+  };
+}
+
+async function sendEmail(env, to, rendered) {
+  return fetch(RESEND_EMAILS, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${env.RESEND_API_KEY}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(resendMessage(env, to, rendered)),
+  });
+}
+
+// --- Newsletter delivery ledger ---
+//
+// One send per edition. The first /newsletter/send for a (kind, date) freezes
+// its recipient list — with each subscriber's newsletter prefs, and who the
+// empty-day rule skipped — into a ledger record (USERS `newsletter:<kind>:<date>`,
+// skipped by the user scans) and every batch's outcome is written back as it
+// lands. A second same-day publish finds the record sent and sends nothing; a
+// call that died mid-run is picked up by the next one at the first batch not
+// yet sent. Each batch also carries a Resend Idempotency-Key, which covers the
+// window between Resend accepting a batch and the ledger write recording it.
+//
+// An Idempotency-Key names a batch by its index in the frozen plan, so the
+// plan is written before the first batch goes out: a call that dies mid-run
+// leaves the next one the same recipients in the same batches, never a fresh
+// list whose batch n is other people under an already-used key. When that
+// first write fails, nothing is sent.
+//
+// KV takes at most one write per second to a key, so after that a call writes
+// the ledger once, after its batches (putLedger), and waits out the rest of
+// that second when the previous write was more recent (the sender calls back
+// to back). A write that fails then is logged and the call still answers: the
+// next call resumes the frozen plan from the last saved state, and the
+// Idempotency-Keys keep Resend from delivering a batch twice. The watchlist
+// alerts run the same way.
+const NEWSLETTER_BATCH = 100;
+const NEWSLETTER_BATCHES_PER_CALL = 10; // env.NEWSLETTER_BATCHES_PER_CALL overrides
+const NEWSLETTER_LEDGER_TTL = 60 * 60 * 24 * 90; // 90 days
+const KV_KEY_WRITE_GAP_MS = 1000;
+
+function newsletterLedgerKey(kind, date) {
+  return `newsletter:${kind === "weekly" ? "weekly" : "daily"}:${date}`;
+}
+
+// Every subscriber who hasn't opted out, in SUBSCRIBERS key order, with the
+// newsletter preferences from their account (null without one).
+async function newsletterRecipients(env) {
+  const emails = [];
+  let cursor = null;
+  do {
+    const listOpts = { limit: 1000 };
+    if (cursor) listOpts.cursor = cursor;
+    const result = await env.SUBSCRIBERS.list(listOpts);
+    for (const key of result.keys) emails.push(key.name);
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+
+  const recipients = [];
+  for (const email of emails) {
+    const user = await env.USERS.get(email, "json");
+    if (user && user.subscribedToNewsletter === false) continue;
+    const prefs = (user && user.readerSettings && user.readerSettings.newsletter) || null;
+    recipients.push({ email, prefs: prefs && (prefs.sections.length || prefs.follow.length) ? prefs : null });
+  }
+  return recipients;
+}
+
+// Does a story's repo match a follow ("owner/repo" exactly, or a bare org)?
+function followsRepo(follow, repo) {
+  const r = String(repo || "").toLowerCase();
+  return follow.some((f) => (f.includes("/") ? f === r : r.startsWith(`${f}/`)));
+}
+
+// One subscriber's cut of a structured edition (src/newsletter.js
+// editionPayload): the leads of their desks first — the first one becomes the
+// email's top story — then the other desks' leads, plus the stories about
+// repos they follow. `skip` is the empty-day rule: a reader who picked desks
+// or follows gets no email on a day none of their desks ran a lead and none
+// of their repos appeared. No prefs, or an unstructured edition (the weekly
+// digest), means the edition as published.
+const NEWSLETTER_MAX_LEADS = 5;
+
+function personalizeNewsletter(edition, prefs) {
+  const leads = Array.isArray(edition.sections) ? edition.sections : [];
+  const stories = Array.isArray(edition.stories) ? edition.stories : [];
+  const wanted = new Set((prefs && prefs.sections) || []);
+  const follow = (prefs && prefs.follow) || [];
+  const seen = new Set();
+  const followed = stories.filter((st) => {
+    if (!followsRepo(follow, st.repo) || seen.has(st.repo)) return false;
+    seen.add(st.repo);
+    return true;
+  });
+  const mine = leads.filter((l) => wanted.has(l.id));
+  const top = mine[0] || null;
+  const rest = [...mine.slice(1), ...leads.filter((l) => !wanted.has(l.id) && l.id !== "frontPage")];
+  if (top && top.id !== "frontPage") {
+    const front = leads.find((l) => l.id === "frontPage");
+    if (front) rest.push(front);
+  }
+  return {
+    skip: !!prefs && leads.length > 0 && !mine.length && !followed.length,
+    headline: top ? top.headline : edition.headline,
+    subheadline: top ? top.subheadline : edition.subheadline,
+    url: top ? top.url : edition.url,
+    leads: rest.slice(0, NEWSLETTER_MAX_LEADS).map((l) => ({ ...l, mine: wanted.has(l.id) })),
+    followed,
+  };
+}
+
+async function newsletterEmail(env, origin, edition, email, prefs) {
+  const { kind, tagline, date, repos } = edition;
+  const cut = personalizeNewsletter(edition, prefs);
+  const token = await generateUnsubscribeToken(email, env.NEWSLETTER_SECRET);
+  const unsubscribeUrl = `${origin}/newsletter/unsubscribe?email=${encodeURIComponent(email)}&token=${token}`;
+  return resendMessage(env, email, renderEmail("newsletter", {
+    kind,
+    headline: cut.headline,
+    subheadline: cut.subheadline || "",
+    tagline: tagline || "",
+    date: date || "",
+    url: cut.url || "https://gittimes.com/latest/",
+    // A structured edition lists its desks' leads instead of bare repo names.
+    repos: cut.leads.length ? [] : repos || [],
+    leads: cut.leads,
+    followed: cut.followed,
+    unsubscribeUrl,
+  }));
+}
+
+// Per-recipient counts from the batch outcomes. Batch n covers
+// recipients[n*NEWSLETTER_BATCH, (n+1)*NEWSLETTER_BATCH).
+function newsletterLedgerSummary(run) {
+  let sent = 0;
+  let failed = 0;
+  run.batches.forEach((b, n) => {
+    const count = Math.min(NEWSLETTER_BATCH, run.recipients.length - n * NEWSLETTER_BATCH);
+    if (b.status === "sent") sent += count;
+    else if (b.status === "failed") failed += count;
+  });
+  return { total: run.recipients.length, sent, failed, remaining: run.recipients.length - sent, skipped: (run.skipped || []).length };
+}
+
+// Freeze who gets this edition: recipients in send order, the prefs their
+// emails are cut from, and who the empty-day rule skipped. From an existing
+// ledger the frozen plan is returned as recorded.
+function planNewsletterRecipients(edition, subscribers, run) {
+  if (run) return { recipients: run.recipients, prefs: run.prefs || {}, skipped: run.skipped || [] };
+  const plan = { recipients: [], prefs: {}, skipped: [] };
+  for (const { email, prefs } of subscribers) {
+    if (prefs && personalizeNewsletter(edition, prefs).skip) {
+      plan.skipped.push(email);
+      continue;
+    }
+    plan.recipients.push(email);
+    if (prefs) plan.prefs[email] = prefs;
+  }
+  return plan;
+}
+
+function newsletterRecipientStatus(run, email) {
+  if ((run.skipped || []).includes(email)) return { email, batch: null, status: "skipped", id: null, error: null };
+  const idx = run.recipients.indexOf(email);
+  if (idx < 0) return null;
+  const n = Math.floor(idx / NEWSLETTER_BATCH);
+  const b = run.batches[n];
+  return { email, batch: n, status: b.status, id: (b.ids && b.ids[idx % NEWSLETTER_BATCH]) || null, error: b.error || null };
+}
+
+// Save a send ledger (newsletter or alerts run); false (logged) when KV
+// refused the write.
+async function putLedger(env, run, ttl) {
+  const wait = Date.parse(run.updatedAt || "") + KV_KEY_WRITE_GAP_MS - _nowMs();
+  if (wait > 0) await new Promise((resolve) => setTimeout(resolve, Math.min(wait, KV_KEY_WRITE_GAP_MS)));
+  run.updatedAt = new Date().toISOString();
+  try {
+    await env.USERS.put(run.key, JSON.stringify(run), { expirationTtl: ttl });
+    return true;
+  } catch (e) {
+    console.error(`ledger write failed for ${run.key}: ${e.message}`);
+    return false;
+  }
+}
+
+// --- Watchlist alerts ---
+//
+// A reader follows repos/orgs, registry companies and AI models
+// (readerSettings.watchlist, set on the account page). At publish,
+// src/alerts.js posts the day's alert events to /alerts/publish; every
+// watchlist is matched against them and the matches are prepended to that
+// reader's feed (USERS `alerts:<email>`, skipped by the user scans), served by
+// GET /alerts and — unless they turned it off — mailed as one digest. Event ids
+// are stable (a release is its tag, an entity event its event_key), so a repeat
+// publish or a release seen two days running adds nothing and mails nobody.
+// The feed is the record: a digest that fails to send is not retried, its
+// items are on the account page regardless.
+//
+// A publish is a run with a ledger, like the newsletter's (USERS
+// `alerts:run:<date>`): the first call freezes the day's events, and each call
+// scans one page of accounts from where the last one stopped, mails that
+// page's digests under a Resend Idempotency-Key and writes the ledger once.
+// src/alerts.js calls again while `done` is false; a repeat publish for a
+// finished date is a `duplicate` and does nothing.
+const ALERTS_FEED_MAX = 200;
+const ALERTS_MAX_EVENTS = 500;
+const ALERTS_TTL = 60 * 60 * 24 * 90; // 90 days
+const ALERTS_USERS_PER_CALL = 200; // keys scanned per call; env.ALERTS_USERS_PER_CALL overrides
+
+function alertsLedgerKey(date) {
+  return `alerts:run:${date}`;
+}
+
+function alertsLedgerSummary(run) {
+  return {
+    events: run.events.length,
+    scanned: run.scanned,
+    watchers: run.watchers,
+    alerted: run.alerted,
+    emailed: run.emailed,
+    failed: run.failed,
+  };
+}
+
+function hasWatchlist(w) {
+  return !!w && (w.repos.length > 0 || w.entities.length > 0 || w.models.length > 0);
+}
+
+function alertMatches(watch, event) {
+  if (event.repo && followsRepo(watch.repos, event.repo)) return true;
+  if (event.entity && watch.entities.includes(event.entity)) return true;
+  return Array.isArray(event.models) && event.models.some((m) => watch.models.includes(m));
+}
+
+// The accounts with a non-empty watchlist in one page of USERS keys, from
+// `cursor`. The returned cursor is null once the scan is complete.
+async function alertWatchersPage(env, cursor, limit) {
+  const listOpts = { limit };
+  if (cursor) listOpts.cursor = cursor;
+  const result = await env.USERS.list(listOpts);
+  const watchers = [];
+  for (const key of result.keys) {
+    if (!isUserKey(key.name)) continue;
+    const u = await env.USERS.get(key.name, "json");
+    const watchlist = u && u.readerSettings && u.readerSettings.watchlist;
+    if (hasWatchlist(watchlist)) watchers.push({ email: u.email || key.name, watchlist });
+  }
+  return { watchers, scanned: result.keys.length, cursor: result.list_complete ? null : result.cursor };
+}
+
+async function alertDigestEmail(env, origin, email, date, items) {
+  const token = await generateUnsubscribeToken(`alerts:${email}`, env.NEWSLETTER_SECRET);
+  const unsubscribeUrl = `${origin}/alerts/unsubscribe?email=${encodeURIComponent(email)}&token=${token}`;
+  return resendMessage(env, email, renderEmail("alertDigest", { date, items, unsubscribeUrl }));
+}
+
+// --- Reader feeds ---
+//
+// A feed reader can't log in, so a reader mints a private feed URL on the
+// account page: /feed/<token>.xml (RSS), .atom or .json (JSON Feed). The token
+// is the credential. USERS `feed:<token>` names its account (skipped by the
+// user scans) and user.feedToken is the live one, so rotating it retires the
+// old URL. Each request cuts the site's article index (articles/index.json,
+// written at publish: every story of the article feed's 14 editions, where
+// articles/feed.json stops at 50) by the reader's newsletter desks and follows
+// and their watchlist repos, merges in their /alerts items — the companies,
+// models and releases they watch — and only then keeps the newest
+// READER_FEED_LIMIT. No desks or follows means every story.
+// --- BEGIN GENERATED from src/feed.js by scripts/build-worker.js — do not edit ---
+var _feed = (() => {
+  var __getOwnPropNames = Object.getOwnPropertyNames;
+  var __commonJS = (cb, mod) => function __require() {
+    try {
+      return mod || (0, cb[__getOwnPropNames(cb)[0]])((mod = { exports: {} }).exports, mod), mod.exports;
+    } catch (e) {
+      throw mod = 0, e;
+    }
+  };
+
+  // src/feed.js
+  var require_feed = __commonJS({
+    "src/feed.js"(exports, module) {
+      function escapeXml(str) {
+        return String(str || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+      }
+      function cdata(str) {
+        return `<![CDATA[${String(str || "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+      }
+      var TITLE_PREFIX = {
+        weekly: "Week in Review",
+        correction: "Correction",
+        retraction: "Retraction"
+      };
+      var SITE_FEED = {
+        title: "The Git Times",
+        description: "AI-generated newspaper for builders \u2014 daily coverage of trending GitHub projects",
+        path: "/feed"
+      };
+      function itemTitle(entry) {
+        const title = entry.headline || "The Git Times Edition";
+        const prefix = TITLE_PREFIX[entry.kind];
+        return prefix ? `${prefix}: ${title}` : title;
+      }
+      function itemTime(entry) {
+        const exact = entry.publishedAt ? new Date(entry.publishedAt) : null;
+        return exact && !isNaN(exact) ? exact : /* @__PURE__ */ new Date(entry.date + "T12:00:00Z");
+      }
+      function itemUrl(entry, siteUrl) {
+        const url = entry.url || `/editions/${entry.date}/`;
+        return /^https?:\/\//.test(url) ? url : siteUrl + url;
+      }
+      function itemSummary(entry) {
+        return entry.summary || entry.tagline || entry.subheadline || "";
+      }
+      function feedMeta(siteUrl, feed = {}) {
+        const meta = { ...SITE_FEED, ...feed };
+        const base = meta.self || siteUrl + meta.path;
+        const id = feed.self || feed.path ? base + ".atom" : `${siteUrl}/`;
+        return { ...meta, id, home: meta.home || siteUrl, url: (ext) => base + ext };
+      }
+      function generateRss(manifest, siteUrl, limit = 20, feed) {
+        const meta = feedMeta(siteUrl, feed);
+        const items = manifest.slice(0, limit);
+        const buildDate = (/* @__PURE__ */ new Date()).toUTCString();
+        const lastPubDate = items.length > 0 ? itemTime(items[0]).toUTCString() : buildDate;
+        const hasContent = items.some((e) => e.content);
+        let xml = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom"${hasContent ? ' xmlns:content="http://purl.org/rss/1.0/modules/content/"' : ""}>
+  <channel>
+    <title>${escapeXml(meta.title)}</title>
+    <link>${escapeXml(meta.home)}</link>
+    <description>${escapeXml(meta.description)}</description>
+    <language>en-us</language>
+    <lastBuildDate>${escapeXml(buildDate)}</lastBuildDate>
+    <pubDate>${escapeXml(lastPubDate)}</pubDate>
+    <atom:link href="${escapeXml(meta.url(".xml"))}" rel="self" type="application/rss+xml"/>
+`;
+        for (const entry of items) {
+          const link = itemUrl(entry, siteUrl);
+          const guid = entry.id || link;
+          const pubDate = itemTime(entry).toUTCString();
+          xml += `    <item>
+      <title>${cdata(itemTitle(entry))}</title>
+      <link>${escapeXml(link)}</link>
+      <guid isPermaLink="${guid === link}">${escapeXml(guid)}</guid>
+      <pubDate>${escapeXml(pubDate)}</pubDate>
+${entry.section ? `      <category>${escapeXml(entry.section)}</category>
+` : ""}      <description>${cdata(itemSummary(entry))}</description>
+${entry.content ? `      <content:encoded>${cdata(entry.content)}</content:encoded>
+` : ""}    </item>
+`;
+        }
+        xml += `  </channel>
+</rss>
+`;
+        return xml;
+      }
+      function generateAtom(manifest, siteUrl, limit = 20, feed) {
+        const meta = feedMeta(siteUrl, feed);
+        const items = manifest.slice(0, limit);
+        const updated = items.length > 0 ? itemTime(items[0]).toISOString() : (/* @__PURE__ */ new Date()).toISOString();
+        let xml = `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(meta.title)}</title>
+  <subtitle>${escapeXml(meta.description)}</subtitle>
+  <link href="${escapeXml(meta.home)}" rel="alternate"/>
+  <link href="${escapeXml(meta.url(".atom"))}" rel="self" type="application/atom+xml"/>
+  <id>${escapeXml(meta.id)}</id>
+  <updated>${escapeXml(updated)}</updated>
+  <author>
+    <name>The Git Times</name>
+  </author>
+`;
+        for (const entry of items) {
+          const link = itemUrl(entry, siteUrl);
+          xml += `  <entry>
+    <title>${cdata(itemTitle(entry))}</title>
+    <link href="${escapeXml(link)}" rel="alternate"/>
+    <id>${escapeXml(entry.id || link)}</id>
+    <updated>${escapeXml(itemTime(entry).toISOString())}</updated>
+${entry.section ? `    <category term="${escapeXml(entry.section)}"/>
+` : ""}    <summary>${cdata(itemSummary(entry))}</summary>
+${entry.content ? `    <content type="html">${cdata(entry.content)}</content>
+` : ""}  </entry>
+`;
+        }
+        xml += `</feed>
+`;
+        return xml;
+      }
+      function generateJsonFeed(manifest, siteUrl, limit = 20, feed) {
+        const meta = feedMeta(siteUrl, feed);
+        const doc = {
+          version: "https://jsonfeed.org/version/1.1",
+          title: meta.title,
+          home_page_url: meta.home,
+          feed_url: meta.url(".json"),
+          description: meta.description,
+          language: "en-US",
+          authors: [{ name: "The Git Times" }],
+          items: manifest.slice(0, limit).map((entry) => {
+            const link = itemUrl(entry, siteUrl);
+            const item = {
+              id: entry.id || link,
+              url: link,
+              title: itemTitle(entry),
+              summary: itemSummary(entry),
+              date_published: itemTime(entry).toISOString()
+            };
+            if (entry.content) item.content_html = entry.content;
+            else item.content_text = item.summary;
+            if (entry.section || entry.repo) {
+              item.tags = [entry.section, entry.repo].filter(Boolean);
+              item._gittimes = { section: entry.section || null, repo: entry.repo || null, date: entry.date };
+            }
+            return item;
+          })
+        };
+        return JSON.stringify(doc, null, 2) + "\n";
+      }
+      module.exports = { generateRss, generateAtom, generateJsonFeed };
+    }
+  });
+  return require_feed();
+})();
+const { generateRss, generateAtom, generateJsonFeed } = _feed;
+// --- END GENERATED ---
+
+const READER_FEED_LIMIT = 50;
+const READER_FEED_FORMATS = {
+  xml: [generateRss, "application/rss+xml"],
+  atom: [generateAtom, "application/atom+xml"],
+  json: [generateJsonFeed, "application/feed+json"],
+};
+
+let _articleFeedCache = { at: 0, data: null };
+const ARTICLE_FEED_TTL_MS = 60 * 60 * 1000; // 1h
+
+async function getArticleFeed(env, now) {
+  const ts = now || _nowMs();
+  if (_articleFeedCache.data && ts - _articleFeedCache.at < ARTICLE_FEED_TTL_MS) return _articleFeedCache.data;
+  try {
+    const origin = env.SITE_BASE_URL || "https://gittimes.com";
+    const res = await fetch(`${origin}/articles/index.json`, {
+      signal: AbortSignal.timeout(4000),
+      cf: { cacheTtl: 3600, cacheEverything: true },
+    });
+    if (!res.ok) return _articleFeedCache.data;
+    const data = await res.json();
+    _articleFeedCache = { at: ts, data };
+    return data;
+  } catch {
+    return _articleFeedCache.data;
+  }
+}
+
+function readerFeedUrls(origin, token) {
+  if (!token) return null;
+  return { rss: `${origin}/feed/${token}.xml`, atom: `${origin}/feed/${token}.atom`, json: `${origin}/feed/${token}.json` };
+}
+
+// One reader's items, newest first: the articles their desks and follows pick
+// out of the site's article index, then any alert not already there as its
+// article (a quick hit's placement links the edition, so it stays).
+function readerFeedItems(articles, alerts, settings) {
+  const prefs = (settings && settings.newsletter) || { sections: [], follow: [] };
+  const watch = (settings && settings.watchlist) || { repos: [] };
+  const sections = new Set(prefs.sections);
+  const follow = [...prefs.follow, ...watch.repos];
+  const everything = !sections.size && !follow.length;
+  const items = [];
+  const seen = new Set();
+  for (const a of articles) {
+    const gt = a._gittimes || {};
+    if (!everything && !sections.has(gt.section) && !(gt.repo && followsRepo(follow, gt.repo))) continue;
+    seen.add(a.url);
+    items.push({
+      id: a.id,
+      url: a.url,
+      headline: a.title,
+      summary: a.summary || "",
+      content: a.content_html || "",
+      date: gt.date || String(a.date_published || "").slice(0, 10),
+      publishedAt: a.date_published,
+      section: gt.section || null,
+      repo: gt.repo || null,
+    });
+  }
+  for (const al of alerts) {
+    if (seen.has(al.url)) continue;
+    seen.add(al.url);
+    items.push({
+      id: `urn:gittimes:alert:${encodeURIComponent(al.id)}`,
+      url: al.url,
+      headline: al.title,
+      summary: al.detail || "",
+      date: al.date,
+      publishedAt: al.at,
+    });
+  }
+  const when = (i) => new Date(i.publishedAt || `${i.date}T12:00:00Z`).getTime() || 0;
+  return items.sort((x, y) => when(y) - when(x));
+}
+
+// --- Corrections ledger ---
+//
+// The editor's desk (api-server.js) files corrections here rather than into
+// its own copy of the site, which is not what gh-pages serves: publish pulls
+// the ledger at the start of every run (src/corrections.js pullCorrections),
+// merges it into the site's corrections/corrections.json and applies it. One
+// USERS key, newest first, append-only like the site ledger it feeds; records
+// arrive whole (src/corrections.js builds them) and are kept by id.
+const CORRECTIONS_KEY = "corrections:ledger";
+const CORRECTION_ID_RE = /^\d{4}-\d{2}-\d{2}-[a-z0-9][a-z0-9-]*-\d+$/;
+
+function validCorrection(c) {
+  return !!c && typeof c === "object" &&
+    CORRECTION_ID_RE.test(String(c.id || "")) &&
+    /^\d{4}-\d{2}-\d{2}$/.test(String(c.date || "")) &&
+    ["correction", "retraction"].includes(c.kind) &&
+    typeof c.text === "string" && c.text.trim().length > 0 && c.text.length <= 2000;
 }
 
 function generateToken() {
@@ -477,19 +1334,7 @@ async function sendMagicLinkEmail(email, url, env) {
     console.error("magic-link: RESEND_API_KEY not set");
     return false;
   }
-  const res = await fetch("https://api.resend.com/emails", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${env.RESEND_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      from: env.EMAIL_FROM || "The Git Times <noreply@gittimes.com>",
-      to: [email],
-      subject: "Sign in to The Git Times",
-      html: `<p>Click the link below to sign in to your Git Times account:</p><p><a href="${url}">${url}</a></p><p>This link expires in 15 minutes.</p><p>If you didn't request this, you can safely ignore this email.</p>`,
-    }),
-  });
+  const res = await sendEmail(env, email, renderEmail("magicLink", { url }));
   if (!res.ok) {
     const body = await res.text().catch(() => "");
     console.error(`magic-link Resend send failed (${res.status}) to ${email}: ${body}`);
@@ -498,80 +1343,33 @@ async function sendMagicLinkEmail(email, url, env) {
 }
 
 async function sendPaymentFailedEmail(email, env) {
-  const res = await fetch("https://api.resend.com/emails", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${env.RESEND_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      from: env.EMAIL_FROM || "The Git Times <noreply@gittimes.com>",
-      to: [email],
-      subject: "Action Required: Payment Failed — The Git Times",
-      html: `<p>Your most recent payment for The Git Times Premium failed.</p><p>Please update your payment method within 3 days to keep your Premium access.</p><p><a href="https://gittimes.com/account/">Manage your account</a></p><p>If you don't update your payment, your account will revert to the Free plan.</p>`,
-    }),
-  });
+  const res = await sendEmail(env, email, renderEmail("paymentFailed"));
   return res.ok;
 }
 
 async function sendUpgradeEmail(email, env) {
-  const res = await fetch("https://api.resend.com/emails", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${env.RESEND_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      from: env.EMAIL_FROM || "The Git Times <noreply@gittimes.com>",
-      to: [email],
-      subject: "Welcome to Premium — The Git Times",
-      html: `<p>You're now a Premium member of The Git Times!</p><p>You have unlimited access to AI-powered chat about trending repos and developer news.</p><p><a href="https://gittimes.com/account/">Visit your account</a></p><p>Thank you for supporting The Git Times.</p>`,
-    }),
-  });
+  const res = await sendEmail(env, email, renderEmail("upgrade"));
   return res.ok;
 }
 
 // Win-back email on cancellation — the leakiest hop in the funnel. Additive and
-// non-fatal; mirrors sendUpgradeEmail's Resend shape.
+// non-fatal, like sendUpgradeEmail.
 async function sendWinbackEmail(email, env) {
-  const res = await fetch("https://api.resend.com/emails", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${env.RESEND_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      from: env.EMAIL_FROM || "The Git Times <noreply@gittimes.com>",
-      to: [email],
-      subject: "Your Premium has ended — come back any time",
-      html: `<p>Your Premium subscription to The Git Times has ended, and your account is back on the Free plan.</p><p>You can still read every edition and ask a few AI questions a day. If you'd like unlimited AI access to trending repos and developer news again, you can re-subscribe any time.</p><p><a href="https://gittimes.com/account/">Reactivate Premium</a></p><p>We'd genuinely value knowing what made you cancel — just reply to this email.</p>`,
-    }),
-  });
+  const res = await sendEmail(env, email, renderEmail("winback"));
   return res.ok;
 }
 
 // Owner-facing alert on each free->premium conversion. Strictly additive and
 // env-gated: no-ops (returns false) when env.ALERT_EMAIL is unset so the feature
-// is OFF by default. Mirrors the Resend pattern of the customer emails above.
+// is OFF by default.
 async function sendConversionAlertEmail(session, env) {
   if (!env.ALERT_EMAIL) return false;
-  const email = (session.customer_email || (session.metadata && session.metadata.user_email) || "").toLowerCase();
-  const customerId = session.customer || "";
-  const subscriptionId = session.subscription || "";
-  const at = new Date().toISOString();
-  const res = await fetch("https://api.resend.com/emails", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${env.RESEND_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      from: env.EMAIL_FROM || "The Git Times <noreply@gittimes.com>",
-      to: [env.ALERT_EMAIL],
-      subject: "New Premium conversion — The Git Times",
-      html: `<p>A reader just converted free &rarr; premium.</p><ul><li>Email: ${email || "(unknown)"}</li><li>Stripe customer: ${customerId || "(none)"}</li><li>Stripe subscription: ${subscriptionId || "(none)"}</li><li>At: ${at}</li></ul>`,
-    }),
-  });
+  const res = await sendEmail(env, env.ALERT_EMAIL, renderEmail("conversionAlert", {
+    email: (session.customer_email || (session.metadata && session.metadata.user_email) || "").toLowerCase(),
+    customerId: session.customer || "",
+    subscriptionId: session.subscription || "",
+    at: new Date().toISOString(),
+  }));
   return res.ok;
 }
 
@@ -612,6 +1410,70 @@ function isDisposableEmail(email) {
   return DISPOSABLE_EMAIL_DOMAINS.has(email.slice(at + 1));
 }
 
+// Front-page layout preferences (public/personalize.js re-lays the page out
+// client-side from these). Section ids and languages are short free-form
+// tokens; the client ignores any it doesn't recognise, so sanitising here is
+// about size and shape, not about knowing today's section list.
+const LAYOUT_MAX_WEIGHT = 3;
+
+function cleanLayout(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const list = (v, max, re, cap) =>
+    (Array.isArray(v) ? v : typeof v === "string" ? v.split(",") : [])
+      .map((x) => String(x).trim().toLowerCase().slice(0, max))
+      .filter((x, i, arr) => x && re.test(x) && arr.indexOf(x) === i)
+      .slice(0, cap);
+  const sectionWeights = {};
+  const weights = raw.sectionWeights && typeof raw.sectionWeights === "object" ? raw.sectionWeights : {};
+  for (const [id, w] of Object.entries(weights).slice(0, 32)) {
+    if (!/^[A-Za-z][A-Za-z0-9]{0,31}$/.test(id)) continue;
+    const n = Math.round(Number(w));
+    if (Number.isFinite(n)) sectionWeights[id] = Math.max(0, Math.min(LAYOUT_MAX_WEIGHT, n));
+  }
+  const LANG_RE = /^[a-z0-9][a-z0-9+#. -]*$/;
+  return {
+    sectionWeights,
+    hideLanguages: list(raw.hideLanguages, 24, LANG_RE, 20),
+    boostLanguages: list(raw.boostLanguages, 24, LANG_RE, 20),
+    mutedOrgs: list(raw.mutedOrgs, 39, /^[a-z0-9][a-z0-9._-]*$/, 50),
+  };
+}
+
+// Newsletter preferences: the desks whose leads a subscriber wants first and
+// the repos/orgs they follow ("owner/repo", or a bare org for all its repos).
+// Same shape-not-meaning sanitising as the layout.
+function cleanNewsletterPrefs(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const list = (v, re, cap) =>
+    (Array.isArray(v) ? v : typeof v === "string" ? v.split(",") : [])
+      .map((x) => String(x).trim())
+      .filter((x, i, arr) => x && x.length <= 100 && re.test(x) && arr.indexOf(x) === i)
+      .slice(0, cap);
+  return {
+    sections: list(raw.sections, /^[A-Za-z][A-Za-z0-9]{0,31}$/, 32),
+    follow: list(raw.follow, /^[A-Za-z0-9][A-Za-z0-9._-]*(?:\/[A-Za-z0-9._-]+)?$/, 50).map((x) => x.toLowerCase()),
+  };
+}
+
+// Watchlist: repos/orgs (as newsletter follows), registry company ids (the
+// slug of their /companies/ page) and model ids (OpenRouter "lab/model" or the
+// ticker key). All lowercased, the form the alert events carry. `email: false`
+// keeps the /alerts feed but stops the digest.
+function cleanWatchlist(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const list = (v, re, cap) =>
+    (Array.isArray(v) ? v : typeof v === "string" ? v.split(",") : [])
+      .map((x) => String(x).trim().toLowerCase())
+      .filter((x, i, arr) => x && x.length <= 100 && re.test(x) && arr.indexOf(x) === i)
+      .slice(0, cap);
+  return {
+    repos: list(raw.repos, /^[a-z0-9][a-z0-9._-]*(?:\/[a-z0-9._-]+)?$/, 50),
+    entities: list(raw.entities, /^[a-z0-9][a-z0-9._-]{0,63}$/, 50),
+    models: list(raw.models, /^[a-z0-9][a-z0-9._:-]*(?:\/[a-z0-9._:-]+)?$/, 50),
+    email: raw.email !== false,
+  };
+}
+
 async function getSessionUser(request, env) {
   const auth = request.headers.get("Authorization") || "";
   if (!auth.startsWith("Bearer ")) return null;
@@ -1166,8 +2028,9 @@ const handler = {
     }
 
     // GET /auth/settings — the logged-in user's saved reader settings (Theme/
-    // Font/Size/Width + custom colors), so preferences follow them across
-    // browsers and devices instead of living in per-browser localStorage.
+    // Font/Size/Width + custom colors, front-page layout, newsletter desks and
+    // follows, watchlist), so preferences follow them across browsers and devices instead
+    // of living in per-browser localStorage.
     if (url.pathname === "/auth/settings" && request.method === "GET") {
       const user = await getSessionUser(request, env);
       if (!user) {
@@ -1211,9 +2074,22 @@ const handler = {
         if (incoming[key] != null) clean[key] = String(incoming[key]).slice(0, 16);
       }
       if (clean.design != null && !DESIGNS.includes(clean.design)) delete clean.design;
-      user.readerSettings = clean;
+      // Display settings (the edition's settings panel), the front-page layout,
+      // the newsletter preferences and the watchlist (all on the account page)
+      // are saved by separate forms, so a write keeps whatever parts it didn't
+      // carry as stored.
+      const prev = user.readerSettings || {};
+      const sentDisplay = ALLOWED.some((key) => incoming[key] != null);
+      const next = sentDisplay ? clean : Object.fromEntries(Object.entries(prev).filter(([k]) => !["layout", "newsletter", "watchlist"].includes(k)));
+      const layout = incoming.layout !== undefined ? cleanLayout(incoming.layout) : prev.layout;
+      if (layout) next.layout = layout;
+      const newsletter = incoming.newsletter !== undefined ? cleanNewsletterPrefs(incoming.newsletter) : prev.newsletter;
+      if (newsletter) next.newsletter = newsletter;
+      const watchlist = incoming.watchlist !== undefined ? cleanWatchlist(incoming.watchlist) : prev.watchlist;
+      if (watchlist) next.watchlist = watchlist;
+      user.readerSettings = next;
       await env.USERS.put(user.email, JSON.stringify(user));
-      return new Response(JSON.stringify({ ok: true, settings: clean }), {
+      return new Response(JSON.stringify({ ok: true, settings: next }), {
         status: 200,
         headers: { ...corsHeaders, "Content-Type": "application/json" },
       });
@@ -1284,6 +2160,8 @@ const handler = {
         env.USERS.delete(user.email),
         env.USERS.delete(`transcript:${user.email}`),
         env.USERS.delete(`saved:${user.email}`),
+        env.USERS.delete(`alerts:${user.email}`),
+        user.feedToken ? env.USERS.delete(`feed:${user.feedToken}`) : null,
         env.SUBSCRIBERS.delete(user.email),
         env.SESSIONS.delete(token),
       ]);
@@ -1711,7 +2589,11 @@ const handler = {
 
       // Server-side transcript memory — persist this account's conversation so the
       // AI Desk has continuity (client history is in-memory only). Best-effort.
+      // The stored conversation is read first: a follow-up sent from a fresh
+      // page (no earlier turns in the request) still resolves against it.
+      let savedTranscript = null;
       if (accountUser && authorized) {
+        if (messages.length === 1) savedTranscript = await env.USERS.get(`transcript:${accountUser.email}`, "json").catch(() => null);
         await persistTranscript(env, accountUser.email, messages);
       }
 
@@ -1761,7 +2643,7 @@ const handler = {
 
       // Full-corpus RAG: retrieve relevant past coverage and ground the answer,
       // with [n] citations. Fail-soft — no grounding => an ordinary answer.
-      const grounding = await buildGrounding(env, messages);
+      const grounding = await buildGrounding(env, messages, undefined, savedTranscript);
       const wantThinking = body.think === true;
 
       let systemContent = buildSystemPrompt(market);
@@ -1878,83 +2760,147 @@ const handler = {
         });
       }
 
-      const { headline, subheadline, tagline, date, repos } = body;
-      const editionUrl = body.url;
-
-      // Collect all subscriber emails (paginated KV list)
-      const emails = [];
-      let cursor = null;
-      do {
-        const listOpts = { limit: 1000 };
-        if (cursor) listOpts.cursor = cursor;
-        const result = await env.SUBSCRIBERS.list(listOpts);
-        for (const key of result.keys) {
-          emails.push(key.name);
-        }
-        cursor = result.list_complete ? null : result.cursor;
-      } while (cursor);
-
-      // Filter out unsubscribed users
-      const recipients = [];
-      for (const email of emails) {
-        const user = await env.USERS.get(email, "json");
-        if (user && user.subscribedToNewsletter === false) continue;
-        recipients.push(email);
+      // Idempotency key: one send per (kind, edition date).
+      const editionDate = /^\d{4}-\d{2}-\d{2}$/.test(body.date || "") ? body.date : new Date().toISOString().slice(0, 10);
+      const ledgerKey = newsletterLedgerKey(body.kind, editionDate);
+      const existing = await env.USERS.get(ledgerKey, "json");
+
+      // Dry run: who would get it and what they'd see — nothing sent, nothing
+      // recorded. `previewFor` renders one subscriber's personalized cut.
+      if (body.dryRun === true) {
+        const plan = planNewsletterRecipients(body, existing ? null : await newsletterRecipients(env), existing);
+        const who = (typeof body.previewFor === "string" && body.previewFor.toLowerCase()) || plan.recipients[0] || "reader@example.com";
+        const preview = await newsletterEmail(env, url.origin, body, who, plan.prefs[who] || null);
+        return new Response(JSON.stringify({
+          ok: true,
+          dryRun: true,
+          key: ledgerKey,
+          recipients: plan.recipients.length,
+          skipped: plan.skipped.length,
+          previewFor: who,
+          previewSkipped: plan.skipped.includes(who),
+          ledger: existing ? { status: existing.status, ...newsletterLedgerSummary(existing) } : null,
+          subject: preview.subject,
+          html: preview.html,
+          text: preview.text,
+          headers: preview.headers || {},
+        }), {
+          status: 200,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
       }
 
-      if (recipients.length === 0) {
-        return new Response(JSON.stringify({ ok: true, sent: 0 }), {
+      if (existing && existing.status === "sent") {
+        return new Response(JSON.stringify({ ok: true, key: ledgerKey, duplicate: true, done: true, ...newsletterLedgerSummary(existing) }), {
           status: 200,
           headers: { ...corsHeaders, "Content-Type": "application/json" },
         });
       }
 
-      // Send in batches of 100 via Resend batch API
-      let totalSent = 0;
-      for (let i = 0; i < recipients.length; i += 100) {
-        const batch = recipients.slice(i, i + 100);
-        const emailPayloads = [];
-        for (const email of batch) {
-          const token = await generateUnsubscribeToken(email, env.NEWSLETTER_SECRET);
-          const unsubscribeUrl = `${url.origin}/newsletter/unsubscribe?email=${encodeURIComponent(email)}&token=${token}`;
-          emailPayloads.push({
-            from: env.EMAIL_FROM || "The Git Times <noreply@gittimes.com>",
-            to: [email],
-            subject: headline || "Today's Git Times",
-            html: renderNewsletterHtml({
-              headline,
-              subheadline: subheadline || "",
-              tagline: tagline || "",
-              date: date || "",
-              url: editionUrl || "https://gittimes.com/latest/",
-              repos: repos || [],
-              unsubscribeUrl,
-            }),
+      let run = existing;
+      if (!run) {
+        const { recipients, prefs, skipped } = planNewsletterRecipients(body, await newsletterRecipients(env));
+        run = {
+          key: ledgerKey,
+          kind: body.kind === "weekly" ? "weekly" : "daily",
+          date: editionDate,
+          status: recipients.length ? "sending" : "sent",
+          createdAt: new Date().toISOString(),
+          recipients,
+          prefs,
+          skipped,
+          batches: Array.from({ length: Math.ceil(recipients.length / NEWSLETTER_BATCH) }, () => ({ status: "pending" })),
+        };
+        if (run.status === "sending" && !(await putLedger(env, run, NEWSLETTER_LEDGER_TTL))) {
+          return new Response(JSON.stringify({ ok: false, key: ledgerKey, error: "Could not record the send plan — nothing sent" }), {
+            status: 503,
+            headers: { ...corsHeaders, "Content-Type": "application/json" },
           });
         }
+      }
 
-        const res = await fetch("https://api.resend.com/emails/batch", {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${env.RESEND_API_KEY}`,
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify(emailPayloads),
-        });
+      // Send the batches not yet sent (failed ones get another try), a bounded
+      // number per call so one invocation stays inside the worker's limits; the
+      // caller calls again while `done` is false.
+      const perCall = parseInt(env.NEWSLETTER_BATCHES_PER_CALL || "", 10) || NEWSLETTER_BATCHES_PER_CALL;
+      let attempted = 0;
+      for (let n = 0; n < run.batches.length && attempted < perCall; n++) {
+        if (run.batches[n].status === "sent") continue;
+        attempted++;
+        const batch = run.recipients.slice(n * NEWSLETTER_BATCH, (n + 1) * NEWSLETTER_BATCH);
+        const emailPayloads = [];
+        for (const email of batch) emailPayloads.push(await newsletterEmail(env, url.origin, body, email, (run.prefs || {})[email] || null));
 
-        if (res.ok) {
-          totalSent += batch.length;
+        const attempts = (run.batches[n].attempts || 0) + 1;
+        try {
+          const res = await fetch(`${RESEND_EMAILS}/batch`, {
+            method: "POST",
+            headers: {
+              Authorization: `Bearer ${env.RESEND_API_KEY}`,
+              "Content-Type": "application/json",
+              "Idempotency-Key": `gittimes/${ledgerKey}/${n}`,
+            },
+            body: JSON.stringify(emailPayloads),
+          });
+          if (res.ok) {
+            const data = await res.json().catch(() => null);
+            const ids = data && Array.isArray(data.data) ? data.data.map((d) => (d && d.id) || null) : [];
+            run.batches[n] = { status: "sent", attempts, sentAt: new Date().toISOString(), ids };
+          } else {
+            run.batches[n] = { status: "failed", attempts, failedAt: new Date().toISOString(), error: `Resend HTTP ${res.status}` };
+          }
+        } catch (e) {
+          run.batches[n] = { status: "failed", attempts, failedAt: new Date().toISOString(), error: String(e && e.message) };
         }
       }
 
-      return new Response(JSON.stringify({ ok: true, sent: totalSent }), {
+      const summary = newsletterLedgerSummary(run);
+      if (summary.remaining === 0) run.status = "sent";
+      const saved = await putLedger(env, run, NEWSLETTER_LEDGER_TTL);
+      return new Response(JSON.stringify({ ok: true, key: ledgerKey, done: run.status === "sent", ...summary, ...(saved ? {} : { ledgerSaved: false }) }), {
+        status: 200,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // GET /newsletter/ledger?date=YYYY-MM-DD[&kind=weekly][&email=] — delivery
+    // status of one send (per batch, or for one recipient). Same secret as /send.
+    if (url.pathname === "/newsletter/ledger" && request.method === "GET") {
+      if ((request.headers.get("Authorization") || "") !== `Bearer ${env.NEWSLETTER_SECRET}`) {
+        return new Response(JSON.stringify({ ok: false, error: "Unauthorized" }), {
+          status: 401,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+      const key = newsletterLedgerKey(url.searchParams.get("kind"), url.searchParams.get("date") || "");
+      const run = await env.USERS.get(key, "json");
+      if (!run) {
+        return new Response(JSON.stringify({ ok: false, error: "No send recorded", key }), {
+          status: 404,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+      const email = (url.searchParams.get("email") || "").trim().toLowerCase();
+      const out = {
+        ok: true,
+        key,
+        status: run.status,
+        createdAt: run.createdAt,
+        updatedAt: run.updatedAt,
+        ...newsletterLedgerSummary(run),
+        batches: run.batches.map((b, n) => ({ n, status: b.status, attempts: b.attempts || 0, at: b.sentAt || b.failedAt || null, error: b.error || null })),
+      };
+      if (email) out.recipient = newsletterRecipientStatus(run, email);
+      return new Response(JSON.stringify(out), {
         status: 200,
         headers: { ...corsHeaders, "Content-Type": "application/json" },
       });
     }
 
-    // GET /newsletter/unsubscribe — one-click unsubscribe
-    if (url.pathname === "/newsletter/unsubscribe" && request.method === "GET") {
+    // GET /newsletter/unsubscribe — the link in the email footer.
+    // POST — RFC 8058 one-click from the mail client's own Unsubscribe button
+    // (List-Unsubscribe-Post); same signed URL, answered without a page.
+    if (url.pathname === "/newsletter/unsubscribe" && (request.method === "GET" || request.method === "POST")) {
       const email = (url.searchParams.get("email") || "").trim().toLowerCase();
       const token = url.searchParams.get("token") || "";
 
@@ -1987,6 +2933,7 @@ const handler = {
         }));
       }
 
+      if (request.method === "POST") return new Response("Unsubscribed", { status: 200 });
       return new Response(`<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1.0"><title>Unsubscribed</title></head>
 <body style="margin:0;padding:60px 20px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;text-align:center;background:#f4f1eb;">
 <h1 style="font-family:Georgia,serif;color:#2c2c2c;">Unsubscribed</h1>
@@ -1998,6 +2945,275 @@ const handler = {
       });
     }
 
+    // POST /alerts/publish — the day's alert events (src/alerts.js), matched
+    // against every watchlist. Same secret as /newsletter/send.
+    if (url.pathname === "/alerts/publish" && request.method === "POST") {
+      const auth = request.headers.get("Authorization") || "";
+      if (auth !== `Bearer ${env.NEWSLETTER_SECRET}`) {
+        return new Response(JSON.stringify({ ok: false, error: "Unauthorized" }), {
+          status: 401,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+      let body;
+      try {
+        body = await request.json();
+      } catch {
+        return new Response(JSON.stringify({ ok: false, error: "Invalid JSON" }), {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+      const date = /^\d{4}-\d{2}-\d{2}$/.test(body.date || "") ? body.date : new Date().toISOString().slice(0, 10);
+      const ledgerKey = alertsLedgerKey(date);
+      const existing = await env.USERS.get(ledgerKey, "json");
+      if (existing && existing.status === "sent") {
+        return new Response(JSON.stringify({ ok: true, date, key: ledgerKey, duplicate: true, done: true, ...alertsLedgerSummary(existing) }), {
+          status: 200,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+      const run = existing || {
+        key: ledgerKey,
+        date,
+        status: "sending",
+        createdAt: new Date().toISOString(),
+        events: (Array.isArray(body.events) ? body.events : [])
+          .filter((e) => e && typeof e.id === "string" && e.title && e.url)
+          .slice(0, ALERTS_MAX_EVENTS),
+        cursor: null,
+        pages: 0,
+        scanned: 0,
+        watchers: 0,
+        alerted: 0,
+        emailed: 0,
+        failed: 0,
+      };
+      const events = run.events;
+
+      const now = new Date().toISOString();
+      const perCall = parseInt(env.ALERTS_USERS_PER_CALL || "", 10) || ALERTS_USERS_PER_CALL;
+      const page = await alertWatchersPage(env, run.cursor, perCall);
+      const digests = [];
+      for (const { email, watchlist } of page.watchers) {
+        const matches = events.filter((e) => alertMatches(watchlist, e));
+        if (!matches.length) continue;
+        const feedKey = `alerts:${email}`;
+        const feed = (await env.USERS.get(feedKey, "json")) || { items: [] };
+        const seen = new Set(feed.items.map((i) => i.id));
+        const fresh = matches
+          .filter((e) => !seen.has(e.id))
+          .map((e) => ({
+            id: e.id,
+            source: String(e.source || ""),
+            title: String(e.title).slice(0, 300),
+            detail: String(e.detail || "").slice(0, 60),
+            url: String(e.url),
+            date,
+            at: now,
+          }));
+        if (!fresh.length) continue;
+        feed.items = [...fresh, ...feed.items].slice(0, ALERTS_FEED_MAX);
+        feed.updatedAt = now;
+        await env.USERS.put(feedKey, JSON.stringify(feed), { expirationTtl: ALERTS_TTL });
+        run.alerted++;
+        if (watchlist.email !== false) digests.push(await alertDigestEmail(env, url.origin, email, date, fresh));
+      }
+
+      for (let i = 0; i < digests.length; i += NEWSLETTER_BATCH) {
+        const batch = digests.slice(i, i + NEWSLETTER_BATCH);
+        try {
+          const res = await fetch(`${RESEND_EMAILS}/batch`, {
+            method: "POST",
+            headers: {
+              Authorization: `Bearer ${env.RESEND_API_KEY}`,
+              "Content-Type": "application/json",
+              "Idempotency-Key": `gittimes/${ledgerKey}/${run.pages}/${i / NEWSLETTER_BATCH}`,
+            },
+            body: JSON.stringify(batch),
+          });
+          if (res.ok) run.emailed += batch.length;
+          else {
+            run.failed += batch.length;
+            console.error(`alerts: digest batch failed (${res.status}) for ${date}`);
+          }
+        } catch (e) {
+          run.failed += batch.length;
+          console.error(`alerts: digest batch failed for ${date}: ${e.message}`);
+        }
+      }
+
+      run.pages++;
+      run.scanned += page.scanned;
+      run.watchers += page.watchers.length;
+      run.cursor = page.cursor;
+      if (!page.cursor) run.status = "sent";
+      const saved = await putLedger(env, run, ALERTS_TTL);
+      return new Response(JSON.stringify({ ok: true, date, key: ledgerKey, done: run.status === "sent", ...alertsLedgerSummary(run), ...(saved ? {} : { ledgerSaved: false }) }), {
+        status: 200,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // GET /corrections — the desk's corrections ledger (see "Corrections
+    // ledger"), for publish to merge. POST /corrections files one record; a
+    // record already on file by id is left as it is. Same secret as /newsletter/send.
+    if (url.pathname === "/corrections" && (request.method === "GET" || request.method === "POST")) {
+      if ((request.headers.get("Authorization") || "") !== `Bearer ${env.NEWSLETTER_SECRET}`) {
+        return new Response(JSON.stringify({ ok: false, error: "Unauthorized" }), {
+          status: 401,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+      const items = (await env.USERS.get(CORRECTIONS_KEY, "json")) || [];
+      if (request.method === "GET") {
+        return new Response(JSON.stringify({ ok: true, items }), {
+          status: 200,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+      let record;
+      try {
+        record = await request.json();
+      } catch {
+        record = null;
+      }
+      if (!validCorrection(record)) {
+        return new Response(JSON.stringify({ ok: false, error: "Not a correction record" }), {
+          status: 400,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+      const filed = !items.some((c) => c.id === record.id);
+      if (filed) {
+        items.unshift(record);
+        await env.USERS.put(CORRECTIONS_KEY, JSON.stringify(items));
+      }
+      return new Response(JSON.stringify({ ok: true, filed, count: items.length }), {
+        status: filed ? 201 : 200,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // GET /alerts — the logged-in reader's alert feed, newest first, with the
+    // watchlist it was matched against (the account page renders both).
+    if (url.pathname === "/alerts" && request.method === "GET") {
+      const user = await getSessionUser(request, env);
+      if (!user) {
+        return new Response(JSON.stringify({ ok: false, error: "Not authenticated" }), {
+          status: 401,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+      const feed = (await env.USERS.get(`alerts:${user.email}`, "json")) || { items: [] };
+      const limit = Math.min(Math.max(parseInt(url.searchParams.get("limit"), 10) || 50, 1), ALERTS_FEED_MAX);
+      return new Response(JSON.stringify({
+        ok: true,
+        items: feed.items.slice(0, limit),
+        total: feed.items.length,
+        watchlist: (user.readerSettings && user.readerSettings.watchlist) || null,
+      }), {
+        status: 200,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // GET|POST /alerts/unsubscribe — the digest's footer link and its
+    // List-Unsubscribe one-click. Stops the email only; the feed and the
+    // watchlist stay.
+    if (url.pathname === "/alerts/unsubscribe" && (request.method === "GET" || request.method === "POST")) {
+      const email = (url.searchParams.get("email") || "").trim().toLowerCase();
+      const token = url.searchParams.get("token") || "";
+      const expected = email ? await generateUnsubscribeToken(`alerts:${email}`, env.NEWSLETTER_SECRET) : null;
+      if (!email || !token || token !== expected) {
+        return new Response("<h1>Invalid unsubscribe link</h1>", {
+          status: !email || !token ? 400 : 403,
+          headers: { "Content-Type": "text/html" },
+        });
+      }
+      const user = await env.USERS.get(email, "json");
+      if (user && user.readerSettings && user.readerSettings.watchlist) {
+        user.readerSettings.watchlist.email = false;
+        await env.USERS.put(email, JSON.stringify(user));
+      }
+      if (request.method === "POST") return new Response("Unsubscribed", { status: 200 });
+      return new Response(`<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1.0"><title>Unsubscribed</title></head>
+<body style="margin:0;padding:60px 20px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;text-align:center;background:#f4f1eb;">
+<h1 style="font-family:Georgia,serif;color:#2c2c2c;">Alert emails off</h1>
+<p style="color:#555;">You won't get watchlist alert emails any more. Your alerts are still on your account page.</p>
+<p style="margin-top:24px;"><a href="https://gittimes.com/account/" style="color:#2c2c2c;">Your account</a></p>
+</body></html>`, {
+        status: 200,
+        headers: { "Content-Type": "text/html" },
+      });
+    }
+
+    // GET /auth/feed-token — the reader's private feed URLs (null until minted).
+    // POST /auth/feed-token — mint or rotate them; { revoke: true } turns the
+    // feed off. Either way the previous URL stops working.
+    if (url.pathname === "/auth/feed-token" && (request.method === "GET" || request.method === "POST")) {
+      const user = await getSessionUser(request, env);
+      if (!user) {
+        return new Response(JSON.stringify({ ok: false, error: "Not authenticated" }), {
+          status: 401,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
+      }
+      if (request.method === "POST") {
+        let body;
+        try { body = await request.json(); } catch { body = {}; }
+        if (user.feedToken) await env.USERS.delete(`feed:${user.feedToken}`);
+        if (body && body.revoke) {
+          delete user.feedToken;
+        } else {
+          user.feedToken = generateToken();
+          await env.USERS.put(`feed:${user.feedToken}`, JSON.stringify({ email: user.email, createdAt: new Date().toISOString() }));
+        }
+        await env.USERS.put(user.email, JSON.stringify(user));
+      }
+      return new Response(JSON.stringify({ ok: true, urls: readerFeedUrls(url.origin, user.feedToken) }), {
+        status: 200,
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // GET /feed/<token>.xml|.atom|.json — a reader's private feed (see
+    // "Reader feeds"). An unknown or rotated token is a plain 404.
+    const feedPath = url.pathname.match(/^\/feed\/([a-f0-9]{64})\.(xml|atom|json)$/);
+    if (feedPath && request.method === "GET") {
+      const [, token, ext] = feedPath;
+      const link = await env.USERS.get(`feed:${token}`, "json");
+      const user = link && (await env.USERS.get(link.email, "json"));
+      if (!user || user.feedToken !== token) {
+        return new Response("Feed not found", { status: 404, headers: { "Content-Type": "text/plain" } });
+      }
+      const [articles, alerts] = await Promise.all([
+        getArticleFeed(env),
+        env.USERS.get(`alerts:${user.email}`, "json"),
+      ]);
+      const items = readerFeedItems(
+        (articles && Array.isArray(articles.items)) ? articles.items : [],
+        (alerts && alerts.items) || [],
+        user.readerSettings,
+      );
+      const siteUrl = env.SITE_BASE_URL || "https://gittimes.com";
+      const [render, type] = READER_FEED_FORMATS[ext];
+      const body = render(items, siteUrl, READER_FEED_LIMIT, {
+        title: "The Git Times — Your Feed",
+        description: "Your desks, the repos you follow and your watchlist alerts",
+        self: `${url.origin}/feed/${token}`,
+        home: `${siteUrl}/account/`,
+      });
+      return new Response(body, {
+        status: 200,
+        headers: {
+          "Content-Type": `${type}; charset=utf-8`,
+          "Cache-Control": "private, max-age=900",
+          "X-Robots-Tag": "noindex",
+        },
+      });
+    }
+
     // POST /auth/update-newsletter — toggle newsletter preference
     if (url.pathname === "/auth/update-newsletter" && request.method === "POST") {
       const user = await getSessionUser(request, env);
@@ -2113,7 +3329,7 @@ const handler = {
           if (cursor) listOpts.cursor = cursor;
           const result = await env.USERS.list(listOpts);
           for (const key of result.keys) {
-            if (key.name.startsWith("stats:") || key.name.startsWith("transcript:") || key.name.startsWith("saved:")) continue;
+            if (!isUserKey(key.name)) continue;
             const u = await env.USERS.get(key.name, "json");
             if (u) {
               scannedTotal++;
@@ -2172,7 +3388,7 @@ const handler = {
       if (cursor) listOpts.cursor = cursor;
       const result = await env.USERS.list(listOpts);
       for (const key of result.keys) {
-        if (key.name.startsWith("stats:") || key.name.startsWith("transcript:")) continue;
+        if (!isUserKey(key.name)) continue;
         const u = await env.USERS.get(key.name, "json");
         if (u && u.gracePeriodEndsAt) {
           const before = u.plan;